@@ -0,0 +1,458 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { ethers } from 'ethers';
+import { transfer } from './transfer.js';
+import { getChain, getProvider } from '../lib/chains.js';
+import {
+  IdempotencyConflictError,
+  PayoutValidationError,
+  PolicyViolationError,
+  PrivyApiError,
+  TransactionSimulationError
+} from '../lib/errors.js';
+import { toPublicKey } from '../lib/solana.js';
+import { formatUnits, getTokenBalance, getTokenMetadata } from '../lib/tokens.js';
+import { getIdempotencyState } from '../lib/idempotency.js';
+import { getPrivyClient } from '../lib/privy-client.js';
+import { getWallet } from '../lib/wallets.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, getLogger, setLogger } from '../lib/logger.js';
+import { printPayout } from '../cli/format.js';
+
+/**
+ * Batch payouts from a CSV or JSON file
+ *
+ * Input rows are { recipient, amount, asset, chain }: a CSV file with that
+ * header row, or a JSON array (or { payouts: [...] }). `asset` defaults to
+ * the native coin and `chain` to the `chain` option.
+ *
+ * Every row is validated and the totals are checked against the wallet's
+ * on-chain balances before anything is sent. Rows are then sent one at a
+ * time; on EVM chains each send carries the next nonce explicitly, so the
+ * transactions land in file order.
+ *
+ * Each row is sent with the idempotency key `payout:<batchId>:<row>`. After
+ * a crash, running the same file again returns the stored result for every
+ * row that already went out and only sends the rest; a row the crash caught
+ * mid-send goes out again with the nonce it was first given. The batch ID defaults
+ * to a hash of the file, so pass the same `batchId` when resuming with an
+ * edited file. The report (default <file>.report.json) is rewritten after
+ * every row.
+ */
+
+export const PAYOUT_COLUMNS = ['recipient', 'amount', 'asset', 'chain'];
+
+/**
+ * Split CSV text into rows of cells (quoted cells may contain commas, quotes and newlines)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read payout rows from a .csv or .json file
+ *
+ * @param {string} file - Path to the payout list
+ * @returns {Object[]} Rows { row, recipient, amount, asset, chain } with 1-based row numbers
+ */
+export function loadPayoutFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (/\.json$/i.test(file)) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data.payouts;
+    if (!Array.isArray(list)) {
+      throw new Error(`${file} must contain an array of payouts or { "payouts": [...] }`);
+    }
+    return list.map((payout, index) => ({ row: index + 1, ...pickColumns(payout) }));
+  }
+
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const missing = ['recipient', 'amount'].filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`${file} is missing the ${missing.join(', ')} column(s); expected a header row of ${PAYOUT_COLUMNS.join(',')}`);
+  }
+
+  // Row numbers count the header, so they match the line in a spreadsheet
+  return rows.map((cells, index) => ({
+    row: index + 2,
+    ...pickColumns(Object.fromEntries(columns.map((name, i) => [name, cells[i]?.trim()])))
+  }));
+}
+
+function pickColumns(payout) {
+  return Object.fromEntries(
+    PAYOUT_COLUMNS.map(name => [name, payout[name] === undefined || payout[name] === '' ? undefined : String(payout[name]).trim()])
+  );
+}
+
+/**
+ * Validate every row and resolve its chain, token and raw amount
+ *
+ * @param {Object[]} payouts - Rows from loadPayoutFile (or the same shape)
+ * @param {Object} options
+ * @param {string} options.chain - Chain for rows without one
+ * @param {string} options.chainType - Wallet chain type; rows on other chains are invalid
+ * @returns {Promise<Object[]>} Rows with { chain, token, amountRaw } resolved
+ * @throws {PayoutValidationError} Listing every invalid row
+ */
+export async function validatePayouts(payouts, { chain: defaultChain, chainType } = {}) {
+  if (payouts.length === 0) {
+    throw new PayoutValidationError('No payouts to send', []);
+  }
+
+  const errors = [];
+  const resolved = [];
+
+  for (const [index, payout] of payouts.entries()) {
+    const row = payout.row ?? index + 1;
+    try {
+      if (!payout.recipient) throw new Error('recipient is missing');
+      if (!payout.amount) throw new Error('amount is missing');
+      if (!payout.chain && !defaultChain) throw new Error('chain is missing and no default chain was given');
+
+      const chain = getChain(payout.chain || defaultChain);
+      if (chainType && chain.chainType !== chainType) {
+        throw new Error(`${chain.privy} is a ${chain.chainType} chain; this wallet can only send on ${chainType} chains`);
+      }
+
+      if (chain.chainType === 'solana') {
+        toPublicKey(payout.recipient, 'recipient address');
+      } else if (!ethers.isAddress(payout.recipient)) {
+        throw new Error(`Invalid recipient address: ${payout.recipient}`);
+      }
+
+      const token = await getTokenMetadata(chain.caip2, payout.asset || 'native');
+      let amountRaw;
+      try {
+        amountRaw = ethers.parseUnits(payout.amount, token.decimals);
+      } catch {
+        throw new Error(`invalid amount ${payout.amount} for ${token.symbol} (${token.decimals} decimals)`);
+      }
+      if (amountRaw <= 0n) throw new Error(`amount must be greater than zero, got ${payout.amount}`);
+
+      resolved.push({ ...payout, row, chain, token, amountRaw });
+    } catch (error) {
+      errors.push({ row, message: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new PayoutValidationError(
+      `${errors.length} invalid payout row(s): ` + errors.map(error => `row ${error.row}: ${error.message}`).join('; '),
+      errors
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Compare the total per chain and token with the wallet's balance
+ *
+ * Network fees come on top of the totals and are not included.
+ *
+ * @param {Object[]} payouts - Rows from validatePayouts
+ * @param {string} address - Sending wallet address
+ * @returns {Promise<Object[]>} [{ chain, symbol, total, balance, sufficient }] with human-readable amounts
+ */
+export async function checkPayoutBalances(payouts, address) {
+  const groups = new Map();
+  payouts.forEach(payout => {
+    const key = `${payout.chain.caip2}:${payout.token.address}`;
+    const group = groups.get(key) || { chain: payout.chain, token: payout.token, totalRaw: 0n };
+    group.totalRaw += payout.amountRaw;
+    groups.set(key, group);
+  });
+
+  return Promise.all([...groups.values()].map(async ({ chain, token, totalRaw }) => {
+    const balanceRaw = await getTokenBalance(chain.caip2, token.native ? 'native' : token.address, address);
+    return {
+      chain: chain.caip2,
+      symbol: token.symbol,
+      total: formatUnits(totalRaw, token.decimals),
+      balance: formatUnits(balanceRaw, token.decimals),
+      sufficient: balanceRaw >= totalRaw
+    };
+  }));
+}
+
+function defaultReportFile(file) {
+  return file ? `${file}.report.json` : path.resolve('payout-report.json');
+}
+
+function writeReport(file, report) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  // Write then rename, so a crash never leaves a half-written report
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(report, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+function summarize(rows) {
+  const count = (predicate) => rows.filter(predicate).length;
+  return {
+    total: rows.length,
+    sent: count(row => row.hash),
+    replayed: count(row => row.replayed),
+    failed: count(row => row.status === 'failed'),
+    queued: count(row => row.status === 'queued')
+  };
+}
+
+/**
+ * Send a batch of payouts from one wallet
+ *
+ * @param {Object} params
+ * @param {string} params.walletId - Privy wallet ID
+ * @param {string} params.file - CSV or JSON payout list (or pass `payouts`)
+ * @param {Object[]} params.payouts - Rows { recipient, amount, asset, chain } instead of a file
+ * @param {string} params.chain - Chain for rows without one (e.g. the CAIP2 env var)
+ * @param {string} params.batchId - Keeps the idempotency keys when the file is edited between runs (default: hash of the rows)
+ * @param {string} params.reportFile - Where to write the per-row report (default: <file>.report.json)
+ * @param {boolean} params.dryRun - Validate and check balances only
+ * @param {boolean} params.skipBalanceCheck - Send even if a total exceeds the balance
+ * @param {boolean} params.stopOnError - Stop at the first failed row instead of continuing
+ * @param {boolean} params.sponsorGas - Request Privy gas sponsorship for every row
+ * @param {boolean|Object} params.wait - Wait for each receipt before sending the next row
+ * @param {Object} params.client - Privy client (default: the shared one from lib/privy-client.js)
+ * @returns {Promise<Object>} Report { batchId, walletId, from, balances, summary, rows, ... }
+ * @throws {PayoutValidationError} When a row is invalid or a balance is too low; nothing is sent
+ */
+export async function batchPayout({
+  walletId,
+  file,
+  payouts,
+  chain,
+  batchId,
+  reportFile = defaultReportFile(file),
+  dryRun = false,
+  skipBalanceCheck = false,
+  stopOnError = false,
+  sponsorGas = false,
+  wait = false,
+  client = getPrivyClient()
+}) {
+  if (!walletId) throw new Error('walletId is required');
+  if (!file && !payouts) throw new Error('file or payouts is required');
+
+  const logger = getLogger({ module: 'payout' });
+  const input = payouts || loadPayoutFile(file);
+  const wallet = await getWallet(walletId, { client });
+  const rows = await validatePayouts(input, { chain, chainType: wallet.chainType });
+
+  const id = batchId || createHash('sha256')
+    .update(JSON.stringify(rows.map(row => [row.row, row.recipient, row.amount, row.token.symbol, row.chain.caip2])))
+    .digest('hex')
+    .slice(0, 16);
+
+  logger.info(`Payout batch ${id}: ${rows.length} row(s)`, { walletId, from: wallet.address, file });
+
+  const rowKey = (row) => `payout:${id}:${row.row}`;
+  // Rows an earlier run already sent are paid for, so only the rest has to be covered
+  const unsent = rows.filter(row => !['sent', 'completed'].includes(getIdempotencyState(rowKey(row))?.status));
+  const balances = await checkPayoutBalances(unsent, wallet.address);
+  const short = balances.filter(balance => !balance.sufficient);
+  if (short.length > 0 && !skipBalanceCheck) {
+    throw new PayoutValidationError(
+      'Insufficient balance: ' + short.map(b => `${b.total} ${b.symbol} needed on ${b.chain}, wallet has ${b.balance}`).join('; '),
+      short.map(b => ({ row: null, message: `${b.total} ${b.symbol} needed on ${b.chain}, wallet has ${b.balance}` }))
+    );
+  }
+
+  const report = {
+    batchId: id,
+    walletId,
+    from: wallet.address,
+    file: file ?? null,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    balances,
+    summary: null,
+    rows: rows.map(row => ({
+      row: row.row,
+      recipient: row.recipient,
+      amount: row.amount,
+      asset: row.token.symbol,
+      chain: row.chain.caip2,
+      status: 'queued',
+      hash: null,
+      explorerUrl: null,
+      nonce: null,
+      replayed: false,
+      error: null
+    }))
+  };
+
+  const save = () => {
+    report.updatedAt = new Date().toISOString();
+    report.summary = summarize(report.rows);
+    if (reportFile) writeReport(reportFile, report);
+  };
+
+  if (dryRun) {
+    save();
+    return report;
+  }
+
+  // Nonces given to rows an earlier run left `started`: they may be on the chain already
+  const reserved = new Map(rows
+    .map(row => [row, getIdempotencyState(rowKey(row))])
+    .filter(([, state]) => state?.status === 'started' && state.meta?.nonce !== undefined)
+    .map(([row, state]) => [row, state.meta.nonce]));
+
+  // Next nonce per EVM chain, read from the pending block once and then counted locally
+  const nonces = new Map();
+  const nextNonce = async (chainInfo) => {
+    if (!nonces.has(chainInfo.caip2)) {
+      const pending = await getProvider(chainInfo.chainId).getTransactionCount(wallet.address, 'pending');
+      const taken = [...reserved].filter(([row]) => row.chain.caip2 === chainInfo.caip2).map(([, nonce]) => nonce + 1);
+      nonces.set(chainInfo.caip2, Math.max(pending, ...taken));
+    }
+    return nonces.get(chainInfo.caip2);
+  };
+
+  for (const [index, row] of rows.entries()) {
+    const entry = report.rows[index];
+    const evm = row.chain.chainType !== 'solana';
+    let nonce;
+
+    try {
+      // A row resumed from `started` keeps its nonce, so Privy sees the same request under its key
+      nonce = evm ? reserved.get(row) ?? await nextNonce(row.chain) : undefined;
+      const result = await transfer({
+        walletId,
+        caip2: row.chain.caip2,
+        asset: row.token.native ? 'native' : row.token.address,
+        amount: row.amount,
+        recipientAddress: row.recipient,
+        sponsorGas,
+        wait,
+        nonce,
+        idempotencyKey: rowKey(row),
+        client
+      });
+
+      const replayed = result.idempotency?.replayed ?? false;
+      // A replayed row was sent in an earlier run, so the pending nonce already counted it
+      if (evm && !replayed && !reserved.has(row)) nonces.set(row.chain.caip2, nonce + 1);
+
+      Object.assign(entry, {
+        status: result.receipt?.status ?? 'sent',
+        hash: result.hash,
+        explorerUrl: result.explorerUrl,
+        nonce: replayed ? null : nonce ?? null,
+        replayed
+      });
+      logger.info(`Row ${row.row}: ${replayed ? 'already sent' : 'sent'} ${row.amount} ${row.token.symbol} to ${row.recipient}`, {
+        hash: result.hash
+      });
+    } catch (error) {
+      // Unless the row provably never went out, count its nonce as used. Re-reading the
+      // pending nonce instead could hand out a nonce the RPC has not seen being used yet.
+      if (nonce !== undefined && !reserved.has(row) && !failedBeforeBroadcast(error)) {
+        nonces.set(row.chain.caip2, nonce + 1);
+      }
+      Object.assign(entry, { status: 'failed', error: error.message });
+      logger.error(`Row ${row.row} failed`, { error });
+    }
+
+    save();
+    if (entry.status === 'failed' && stopOnError) break;
+  }
+
+  save();
+  return report;
+}
+
+/**
+ * Whether a send failed before anything could reach the chain
+ *
+ * A rejection from Privy (4xx) or a local check proves it; a network error
+ * or a 5xx could have come after the broadcast.
+ */
+function failedBeforeBroadcast(error) {
+  return error instanceof PolicyViolationError ||
+    error instanceof TransactionSimulationError ||
+    error instanceof IdempotencyConflictError ||
+    (error instanceof PrivyApiError && error.status >= 400 && error.status < 500);
+}
+
+/**
+ * CLI usage
+ *
+ * Examples:
+ *  npm run api:payout payouts.csv
+ *  npm run api:payout payouts.json -- --dry-run
+ *  CAIP2=eip155:11155111 npm run api:payout payouts.csv -- --wait --stop-on-error
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  setLogger(createLoggerFromEnv());
+  const [fileArg] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const walletId = getConfig().walletId;
+
+  if (!walletId) {
+    console.error('❌ WALLET_ID must be set in .env');
+    process.exit(1);
+  }
+
+  if (!fileArg) {
+    console.error('Usage: npm run api:payout <payouts.csv|payouts.json> [--dry-run] [--wait] [--stop-on-error] [--sponsor]');
+    console.error(`\nCSV header: ${PAYOUT_COLUMNS.join(',')} (asset defaults to the native coin, chain to CAIP2 from .env)`);
+    process.exit(1);
+  }
+
+  batchPayout({
+    walletId,
+    file: fileArg,
+    chain: getConfig().chain,
+    dryRun: process.argv.includes('--dry-run'),
+    wait: process.argv.includes('--wait'),
+    stopOnError: process.argv.includes('--stop-on-error'),
+    sponsorGas: process.argv.includes('--sponsor')
+  })
+    .then((report) => {
+      printPayout(report);
+      process.exit(report.summary.failed > 0 ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error('\nFailed:', error.message);
+      process.exit(1);
+    });
+}
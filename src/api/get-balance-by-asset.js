@@ -1,60 +1,39 @@
-import { PrivyClient } from '@privy-io/server-auth';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { SUPPORTED_ASSETS, getChainsForAsset } from '../lib/chains.js';
+import { getPrivyClient } from '../lib/privy-client.js';
+import { getWallet } from '../lib/wallets.js';
+import { formatUnits } from '../lib/tokens.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, getLogger, setLogger } from '../lib/logger.js';
+import { printBalanceByAsset } from '../cli/format.js';
 
 /**
  * Get balance for specific asset across all supported chains
+ *
+ * Only chains of the wallet's type are queried: USDC on an EVM wallet means
+ * the EVM chains, on a Solana wallet the Solana clusters.
  * 
  * @param {string} walletId - Wallet ID
  * @param {string} asset - Asset: 'eth', 'usdc', 'usdt', 'pol', 'sol'
+ * @param {Object} client - Privy client (default: the shared one from lib/privy-client.js)
  * @returns {Promise<Object>} Balance information grouped by chain
  */
-export async function getBalanceByAsset({ walletId, asset }) {
-  const client = new PrivyClient(
-    process.env.PRIVY_APP_ID,
-    process.env.PRIVY_APP_SECRET
-  );
+export async function getBalanceByAsset({ walletId, asset, client = getPrivyClient() }) {
+  if (!SUPPORTED_ASSETS.includes(asset?.toLowerCase())) {
+    throw new Error(`Unsupported asset: ${asset}. Supported: ${SUPPORTED_ASSETS.join(', ')}`);
+  }
 
-  try {
-    console.log(`💎 Getting ${asset.toUpperCase()} balance across all chains...`);
-    console.log('Wallet ID:', walletId);
-
-    // Define chains based on asset
-    const chainsByAsset = {
-      eth: ['ethereum', 'base', 'arbitrum', 'optimism', 'linea', 'zksync_era', 'polygon', 'sepolia'],
-      usdc: ['ethereum', 'base', 'arbitrum', 'optimism', 'linea', 'polygon', 'sepolia'],
-      usdt: ['ethereum', 'polygon', 'arbitrum', 'optimism', 'sepolia'],
-      pol: ['polygon'],
-      sol: ['solana', 'sepolia']
-    };
+  const logger = getLogger({ module: 'balance' });
 
-    const chains = chainsByAsset[asset.toLowerCase()] || ['ethereum', 'base', 'polygon'];
-
-    // Build query
-    const params = new URLSearchParams();
-    params.append('asset', asset);
-    chains.forEach(chain => params.append('chain', chain));
-    params.append('include_currency', 'usd');
-
-    // Make API call
-    const url = `https://api.privy.io/v1/wallets/${walletId}/balance?${params.toString()}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Basic ${Buffer.from(`${process.env.PRIVY_APP_ID}:${process.env.PRIVY_APP_SECRET}`).toString('base64')}`,
-        'privy-app-id': process.env.PRIVY_APP_ID,
-        'Content-Type': 'application/json'
-      }
-    });
+  try {
+    logger.info(`Getting ${asset.toUpperCase()} balance across all chains`, { walletId });
 
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`API Error: ${response.status} - ${error}`);
+    const { chainType } = await getWallet(walletId, { client });
+    const chains = getChainsForAsset(asset, { chainType });
+    if (chains.length === 0) {
+      throw new Error(`${asset} is not available on any ${chainType} chain`);
     }
 
-    const data = await response.json();
+    const data = await client.getBalance(walletId, { asset, chain: chains, includeCurrency: true });
 
     // Calculate totals
     let totalAmount = 0;
@@ -62,9 +41,7 @@ export async function getBalanceByAsset({ walletId, asset }) {
     const balancesByChain = {};
 
     data.balances.forEach(balance => {
-      const displayValue = parseFloat(balance.display_values[asset] || 
-                                      balance.display_values.eth || 
-                                      balance.display_values.sol || '0');
+      const displayValue = parseFloat(formatUnits(balance.raw_value, balance.raw_value_decimals));
       const usdValue = parseFloat(balance.display_values.usd || '0');
       
       totalAmount += displayValue;
@@ -78,21 +55,7 @@ export async function getBalanceByAsset({ walletId, asset }) {
       };
     });
 
-    console.log('\n✅ Balance retrieved!\n');
-    console.log('═'.repeat(60));
-    console.log(`💎 ${asset.toUpperCase()} Holdings`);
-    console.log('═'.repeat(60));
-    
-    Object.keys(balancesByChain).forEach(chain => {
-      const balance = balancesByChain[chain];
-      console.log(`\n  ${chain.padEnd(20)} ${balance.amount.toFixed(6)} ${asset.toUpperCase()}`);
-      console.log(`  ${' '.repeat(20)} $${balance.usd.toFixed(2)}`);
-    });
-    
-    console.log('\n' + '═'.repeat(60));
-    console.log(`📊 Total ${asset.toUpperCase()}: ${totalAmount.toFixed(6)}`);
-    console.log(`💵 Total USD: $${totalUSD.toFixed(2)}`);
-    console.log('═'.repeat(60));
+    logger.debug('Balance retrieved', { chains: Object.keys(balancesByChain).length });
 
     return {
       asset,
@@ -105,7 +68,7 @@ export async function getBalanceByAsset({ walletId, asset }) {
       }
     };
   } catch (error) {
-    console.error('❌ Error getting balance:', error.message);
+    logger.error('Error getting balance', { walletId, asset, error });
     throw error;
   }
 }
@@ -113,45 +76,46 @@ export async function getBalanceByAsset({ walletId, asset }) {
 /**
  * Get all USDC across chains
  */
-export async function getAllUSDC({ walletId }) {
-  return getBalanceByAsset({ walletId, asset: 'usdc' });
+export async function getAllUSDC({ walletId, client }) {
+  return getBalanceByAsset({ walletId, asset: 'usdc', client });
 }
 
 /**
  * Get all ETH across chains
  */
-export async function getAllETH({ walletId }) {
-  return getBalanceByAsset({ walletId, asset: 'eth' });
+export async function getAllETH({ walletId, client }) {
+  return getBalanceByAsset({ walletId, asset: 'eth', client });
 }
 
 /**
  * Get all USDT across chains
  */
-export async function getAllUSDT({ walletId }) {
-  return getBalanceByAsset({ walletId, asset: 'usdt' });
+export async function getAllUSDT({ walletId, client }) {
+  return getBalanceByAsset({ walletId, asset: 'usdt', client });
 }
 
 /**
  * CLI usage
  */
 if (import.meta.url === `file://${process.argv[1]}`) {
+  setLogger(createLoggerFromEnv());
   const asset = process.argv[2] || 'eth';
-  const walletId = process.env.WALLET_ID;
+  const walletId = getConfig().walletId;
 
   if (!walletId) {
     console.error('❌ WALLET_ID not set in .env');
     process.exit(1);
   }
 
-  const validAssets = ['eth', 'usdc', 'usdt', 'pol', 'sol'];
-  if (!validAssets.includes(asset.toLowerCase())) {
+  if (!SUPPORTED_ASSETS.includes(asset.toLowerCase())) {
     console.error(`❌ Invalid asset: ${asset}`);
-    console.error(`   Valid assets: ${validAssets.join(', ')}`);
+    console.error(`   Valid assets: ${SUPPORTED_ASSETS.join(', ')}`);
     process.exit(1);
   }
 
   getBalanceByAsset({ walletId, asset: asset.toLowerCase() })
     .then(result => {
+      printBalanceByAsset(result);
       console.log(`\n📈 Found ${result.total.chains} chain(s) with ${asset.toUpperCase()}`);
       process.exit(0);
     })
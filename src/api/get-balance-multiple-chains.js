@@ -0,0 +1,189 @@
+import { getWalletBalance } from './get-wallet-balance.js';
+import {
+  DEFAULT_ASSETS,
+  MAINNET_CHAINS,
+  SUPPORTED_ASSETS,
+  TESTNET_CHAINS,
+  assertChainType,
+  getChain,
+  getChainsForAsset,
+  isTestnet,
+  listChains
+} from '../lib/chains.js';
+import { getPrivyClient } from '../lib/privy-client.js';
+import { getWallet } from '../lib/wallets.js';
+import { formatUnits } from '../lib/tokens.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, getLogger, setLogger } from '../lib/logger.js';
+import { printMatrix } from '../cli/format.js';
+
+/**
+ * Get balances for several assets across several chains as one matrix
+ *
+ * Every asset is queried only on the chains it is supported on, so
+ * unsupported asset/chain pairs show up as `null` cells instead of errors.
+ * Chains must match the wallet's type; the defaults are the wallet's chains.
+ *
+ * @param {Object} params
+ * @param {string} params.walletId - Wallet ID
+ * @param {string[]} params.assets - Assets to check (default: eth, usdc, usdt; sol, usdc for Solana wallets)
+ * @param {string[]} params.chains - Chains to check (default: all mainnets of the wallet's type)
+ * @param {boolean} params.includeTestnets - Add all testnets to the default chains (default: false)
+ * @param {Object} params.client - Privy client (default: the shared one from lib/privy-client.js)
+ * @returns {Promise<Object>} Asset x chain matrix with per-chain and grand totals
+ */
+export async function getBalanceMultipleChains({
+  walletId,
+  assets,
+  chains,
+  includeTestnets = false,
+  client = getPrivyClient()
+}) {
+  if (!walletId) throw new Error('walletId is required');
+
+  const wallet = await getWallet(walletId, { client });
+  const { chainType } = wallet;
+  const chainList = chains && chains.length > 0
+    ? assertChainType(chains, chainType)
+    : listChains({ chainType, testnet: includeTestnets ? undefined : false }).map(c => c.privy);
+
+  const defaultAssets = chainType === 'solana'
+    ? [...new Set(chainList.flatMap(chain => getChain(chain).assets))]
+    : DEFAULT_ASSETS;
+  const assetList = (assets || defaultAssets).map(asset => asset.toLowerCase());
+  const unknown = assetList.filter(asset => !SUPPORTED_ASSETS.includes(asset));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported asset(s): ${unknown.join(', ')}. Supported: ${SUPPORTED_ASSETS.join(', ')}`);
+  }
+
+  getLogger({ module: 'balance' }).info('Getting balances across chains', {
+    walletId,
+    assets: assetList,
+    chains: chainList
+  });
+
+  // One balance request per asset, restricted to the chains it lives on; the
+  // wallet is passed down so it is looked up only once
+  const requests = assetList
+    .map(asset => ({
+      asset,
+      chains: chainList.filter(chain => getChainsForAsset(asset).includes(chain))
+    }))
+    .filter(request => request.chains.length > 0);
+
+  const responses = await Promise.all(
+    requests.map(({ asset, chains: assetChains }) =>
+      getWalletBalance({ walletId, asset, chain: assetChains, includeCurrency: true, wallet, client })
+    )
+  );
+
+  // Build the matrix with a null cell for every pair we did not query
+  const matrix = {};
+  assetList.forEach(asset => {
+    matrix[asset] = {};
+    chainList.forEach(chain => {
+      matrix[asset][chain] = null;
+    });
+  });
+
+  responses.forEach(data => {
+    data.balances.forEach(balance => {
+      if (!matrix[balance.asset] || !(balance.chain in matrix[balance.asset])) return;
+
+      matrix[balance.asset][balance.chain] = {
+        raw: balance.raw_value,
+        decimals: balance.raw_value_decimals,
+        amount: parseFloat(formatUnits(balance.raw_value, balance.raw_value_decimals)),
+        usd: parseFloat(balance.display_values.usd || '0')
+      };
+    });
+  });
+
+  // Totals per chain and per asset
+  const totalsByChain = {};
+  chainList.forEach(chain => {
+    totalsByChain[chain] = {
+      usd: assetList.reduce((sum, asset) => sum + (matrix[asset][chain]?.usd || 0), 0),
+      testnet: isTestnet(chain)
+    };
+  });
+
+  const totalsByAsset = {};
+  assetList.forEach(asset => {
+    const cells = Object.values(matrix[asset]).filter(Boolean);
+    totalsByAsset[asset] = {
+      amount: cells.reduce((sum, cell) => sum + cell.amount, 0),
+      usd: cells.reduce((sum, cell) => sum + cell.usd, 0)
+    };
+  });
+
+  const mainnetUSD = chainList
+    .filter(chain => !isTestnet(chain))
+    .reduce((sum, chain) => sum + totalsByChain[chain].usd, 0);
+  const testnetUSD = chainList
+    .filter(chain => isTestnet(chain))
+    .reduce((sum, chain) => sum + totalsByChain[chain].usd, 0);
+
+  return {
+    walletId,
+    assets: assetList,
+    chains: chainList,
+    matrix,
+    totalsByChain,
+    totalsByAsset,
+    total: {
+      usd: mainnetUSD + testnetUSD,
+      mainnetUSD,
+      testnetUSD
+    }
+  };
+}
+
+/**
+ * CLI usage
+ *
+ * Examples:
+ *   npm run api:balance-multi
+ *   npm run api:balance-multi -- --assets eth,usdc --chains base,ethereum
+ *   npm run api:balance-multi -- --testnets
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  setLogger(createLoggerFromEnv());
+  const args = process.argv.slice(2);
+  const getListArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1].split(',') : undefined;
+  };
+
+  const walletId = getConfig().walletId;
+
+  if (!walletId) {
+    console.error('❌ WALLET_ID not set in .env');
+    process.exit(1);
+  }
+
+  if (args.includes('--help')) {
+    console.log('Usage: npm run api:balance-multi -- [--assets a,b] [--chains x,y] [--testnets]');
+    console.log('\nSupported assets:');
+    console.log(`  ${SUPPORTED_ASSETS.join(', ')}`);
+    console.log('\nSupported chains:');
+    console.log(`  ${MAINNET_CHAINS.join(', ')}`);
+    console.log(`  ${TESTNET_CHAINS.join(', ')}`);
+    process.exit(0);
+  }
+
+  getBalanceMultipleChains({
+    walletId,
+    assets: getListArg('--assets'),
+    chains: getListArg('--chains'),
+    includeTestnets: args.includes('--testnets')
+  })
+    .then(result => {
+      printMatrix(result);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('\nFailed:', error.message);
+      process.exit(1);
+    });
+}
@@ -1,90 +1,62 @@
-import { PrivyClient } from '@privy-io/server-auth';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import {
+  DEFAULT_ASSETS,
+  DEFAULT_CHAINS,
+  MAINNET_CHAINS,
+  SUPPORTED_ASSETS,
+  TESTNET_CHAINS,
+  assertChainType,
+  getChain,
+  listChains,
+  planBalanceQuery
+} from '../lib/chains.js';
+import { getPrivyClient } from '../lib/privy-client.js';
+import { getWallet } from '../lib/wallets.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, getLogger, setLogger } from '../lib/logger.js';
+import { printBalances } from '../cli/format.js';
 
 /**
  * Get wallet balance using Privy SDK
  * Based on: https://docs.privy.io/api-reference/wallets/get-balance
+ *
+ * Every asset is only queried on the requested chains that hold it. An
+ * unknown asset, an asset none of the chains hold, or a chain of the other
+ * type than the wallet (Solana chains for an EVM wallet) is an error.
  * 
  * @param {string} walletId - Wallet ID
  * @param {string|string[]} asset - Asset(s) to check: 'eth', 'usdc', 'usdt', 'pol', 'sol'
  * @param {string|string[]} chain - Chain(s) to check
  * @param {boolean} includeCurrency - Include USD conversion (default: true)
+ * @param {Object} wallet - The wallet from lib/wallets.js, when the caller already looked it up
+ * @param {Object} client - Privy client (default: the shared one from lib/privy-client.js)
  * @returns {Promise<Object>} Balance information
  */
 export async function getWalletBalance({ 
   walletId, 
   asset = 'eth', 
   chain, 
-  includeCurrency = true 
+  includeCurrency = true,
+  wallet,
+  client = getPrivyClient()
 }) {
-  const client = new PrivyClient(
-    process.env.PRIVY_APP_ID,
-    process.env.PRIVY_APP_SECRET
-  );
-
-  try {
-    console.log('💰 Getting wallet balance...');
-    console.log('Wallet ID:', walletId);
-    console.log('Asset:', asset);
-    console.log('Chain:', chain);
-
-    // Build query parameters
-    const params = new URLSearchParams();
-    
-    // Add asset(s)
-    if (Array.isArray(asset)) {
-      asset.forEach(a => params.append('asset', a));
-    } else {
-      params.append('asset', asset);
-    }
-    
-    // Add chain(s)
-    if (Array.isArray(chain)) {
-      chain.forEach(c => params.append('chain', c));
-    } else {
-      params.append('chain', chain);
-    }
-    
-    // Add currency conversion
-    if (includeCurrency) {
-      params.append('include_currency', 'usd');
-    }
-
-    // Make API call
-    const url = `https://api.privy.io/v1/wallets/${walletId}/balance?${params.toString()}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Basic ${Buffer.from(`${process.env.PRIVY_APP_ID}:${process.env.PRIVY_APP_SECRET}`).toString('base64')}`,
-        'privy-app-id': process.env.PRIVY_APP_ID,
-        'Content-Type': 'application/json'
-      }
-    });
+  if (!chain) throw new Error('chain is required');
 
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`API Error: ${response.status} - ${error}`);
-    }
+  const logger = getLogger({ module: 'balance' });
 
-    const data = await response.json();
-
-    console.log('✅ Balance retrieved!');
-    console.log('\n📊 Balances:');
-    data.balances.forEach((balance, index) => {
-      console.log(`\n${index + 1}. ${balance.asset.toUpperCase()} on ${balance.chain}`);
-      console.log(`   Raw: ${balance.raw_value} (${balance.raw_value_decimals} decimals)`);
-      console.log(`   Display: ${balance.display_values[balance.asset] || balance.display_values.eth || balance.display_values.sol} ${balance.asset.toUpperCase()}`);
-      if (balance.display_values.usd) {
-        console.log(`   USD: $${balance.display_values.usd}`);
-      }
-    });
+  logger.info('Getting wallet balance', { walletId, asset, chain });
 
+  try {
+    const { chainType } = wallet || await getWallet(walletId, { client });
+    const requests = planBalanceQuery({ assets: [asset].flat(), chains: [chain].flat(), chainType });
+
+    const responses = await Promise.all(
+      requests.map(request => client.getBalance(walletId, { asset: request.asset, chain: request.chains, includeCurrency }))
+    );
+    const data = { balances: responses.flatMap(response => response.balances) };
+    logger.debug('Balance retrieved', { balances: data.balances.length });
     return data;
   } catch (error) {
-    console.error('❌ Error getting balance:', error.message);
+    logger.error('Error getting balance', { walletId, error });
     throw error;
   }
 }
@@ -92,36 +64,52 @@ export async function getWalletBalance({
 /**
  * Get ETH balance on specific chain
  */
-export async function getETHBalance({ walletId, chain }) {
+export async function getETHBalance({ walletId, chain, client }) {
   return getWalletBalance({
     walletId,
     asset: 'eth',
     chain,
-    includeCurrency: true
+    includeCurrency: true,
+    client
   });
 }
 
 /**
  * Get USDC balance on specific chain
  */
-export async function getUSDCBalance({ walletId, chain }) {
+export async function getUSDCBalance({ walletId, chain, client }) {
   return getWalletBalance({
     walletId,
     asset: 'usdc',
     chain,
-    includeCurrency: true
+    includeCurrency: true,
+    client
   });
 }
 
 /**
  * Get all balances across multiple chains
+ *
+ * Solana wallets default to the Solana mainnet and every asset it holds.
  */
-export async function getAllBalances({ walletId, chains }) {
+export async function getAllBalances({ walletId, chains, client = getPrivyClient() }) {
+  const wallet = await getWallet(walletId, { client });
+  const { chainType } = wallet;
+  const defaultChains = chainType === 'solana'
+    ? listChains({ testnet: false, chainType }).map(c => c.privy)
+    : DEFAULT_CHAINS;
+  const chainList = assertChainType(chains || defaultChains, chainType);
+
+  const held = new Set(chainList.flatMap(chain => getChain(chain).assets));
+  const assets = (chainType === 'solana' ? [...held] : DEFAULT_ASSETS).filter(asset => held.has(asset));
+
   return getWalletBalance({
     walletId,
-    asset: ['eth', 'usdc', 'usdt'],
-    chain: chains || ['ethereum', 'base', 'polygon', 'arbitrum', 'optimism'],
-    includeCurrency: true
+    asset: assets,
+    chain: chainList,
+    includeCurrency: true,
+    wallet,
+    client
   });
 }
 
@@ -129,8 +117,9 @@ export async function getAllBalances({ walletId, chains }) {
  * CLI usage
  */
 if (import.meta.url === `file://${process.argv[1]}`) {
+  setLogger(createLoggerFromEnv());
   const command = process.argv[2];
-  const walletId = process.env.WALLET_ID;
+  const walletId = getConfig().walletId;
 
   if (!walletId) {
     console.error('❌ WALLET_ID not set in .env');
@@ -140,7 +129,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   if (command === 'eth') {
     const chain = process.argv[3] || 'base';
     getETHBalance({ walletId, chain })
-      .then(() => process.exit(0))
+      .then((data) => {
+        printBalances(data);
+        process.exit(0);
+      })
       .catch(error => {
         console.error('\nFailed:', error.message);
         process.exit(1);
@@ -148,7 +140,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   } else if (command === 'usdc') {
     const chain = process.argv[3] || 'base';
     getUSDCBalance({ walletId, chain })
-      .then(() => process.exit(0))
+      .then((data) => {
+        printBalances(data);
+        process.exit(0);
+      })
       .catch(error => {
         console.error('\nFailed:', error.message);
         process.exit(1);
@@ -159,7 +154,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       walletId, 
       chains: chains.length > 0 ? chains : undefined 
     })
-      .then(() => process.exit(0))
+      .then((data) => {
+        printBalances(data);
+        process.exit(0);
+      })
       .catch(error => {
         console.error('\nFailed:', error.message);
         process.exit(1);
@@ -168,7 +166,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     const asset = process.argv[3] || 'eth';
     const chain = process.argv[4] || 'base';
     getWalletBalance({ walletId, asset, chain })
-      .then(() => process.exit(0))
+      .then((data) => {
+        printBalances(data);
+        process.exit(0);
+      })
       .catch(error => {
         console.error('\nFailed:', error.message);
         process.exit(1);
@@ -185,11 +186,12 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     console.log('  node get-wallet-balance.js usdc ethereum');
     console.log('  node get-wallet-balance.js all base ethereum polygon');
     console.log('  node get-wallet-balance.js custom usdt polygon');
+    console.log('  node get-wallet-balance.js custom sol solana');
     console.log('\nSupported chains:');
-    console.log('  ethereum, arbitrum, base, linea, optimism, polygon, solana, zksync_era');
-    console.log('  sepolia, arbitrum_sepolia, base_sepolia, linea_testnet, etc.');
+    console.log(`  ${MAINNET_CHAINS.join(', ')}`);
+    console.log(`  ${TESTNET_CHAINS.join(', ')}`);
     console.log('\nSupported assets:');
-    console.log('  eth, usdc, usdt, pol, sol');
+    console.log(`  ${SUPPORTED_ASSETS.join(', ')}`);
     process.exit(0);
   }
 }
@@ -0,0 +1,374 @@
+import { randomUUID } from 'node:crypto';
+import { getBalanceMultipleChains } from './get-balance-multiple-chains.js';
+import { listTransactions } from '../lib/history.js';
+import { listSnapshots, saveSnapshot } from '../lib/snapshots.js';
+import { getPrivyClient } from '../lib/privy-client.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, getLogger, setLogger } from '../lib/logger.js';
+import { printPortfolioReport, printPortfolioSnapshot } from '../cli/format.js';
+
+/**
+ * Portfolio valuation over time
+ *
+ * takePortfolioSnapshot stores what one or more wallets hold on every chain
+ * (lib/snapshots.js). getPortfolioReport turns the stored snapshots into
+ * holdings over time and splits each change in USD into:
+ *   market - price moves of what was held at the start of the interval
+ *   swaps  - swaps recorded by swapTokenBebop (lib/history.js), valued at the end prices
+ *   flows  - the rest: transfers in and out, payouts, gas
+ */
+
+// Wrapped and legacy symbols priced like a snapshot asset
+const PRICE_ALIASES = { weth: 'eth', wpol: 'pol', matic: 'pol', wmatic: 'pol', wsol: 'sol' };
+const STABLE_ASSETS = ['usdc', 'usdt'];
+const FAILED_STATUSES = ['failed', 'reverted', 'dropped'];
+
+const toCents = (usd) => Math.round(usd * 100) / 100;
+
+/**
+ * Wallets to snapshot or report on: given ones, else PORTFOLIO_WALLETS, else fallback
+ */
+function resolveWalletIds(walletIds, fallback) {
+  if (walletIds && walletIds.length > 0) return walletIds;
+  const { portfolio } = getConfig();
+  return portfolio.wallets.length > 0 ? [...portfolio.wallets] : fallback;
+}
+
+function pricesOf(snapshot) {
+  return Object.fromEntries(Object.entries(snapshot.byAsset).map(([asset, entry]) => [asset, entry.price]));
+}
+
+/**
+ * USD price of a token symbol from snapshot prices; stablecoins are $1 when not held
+ */
+function priceOf(prices, symbol) {
+  const key = symbol?.toLowerCase();
+  const asset = PRICE_ALIASES[key] ?? key;
+  if (prices[asset] !== undefined && prices[asset] !== null) return prices[asset];
+  return STABLE_ASSETS.includes(asset) ? 1 : null;
+}
+
+function toSnapshot(walletId, runId, takenAt, balance) {
+  const holdings = balance.assets.flatMap(asset => balance.chains
+    .map(chain => ({ asset, chain, cell: balance.matrix[asset][chain] }))
+    .filter(({ cell }) => cell && cell.raw !== '0')
+    .map(({ asset: symbol, chain, cell }) => ({
+      asset: symbol,
+      chain,
+      amount: cell.amount,
+      amountRaw: cell.raw,
+      decimals: cell.decimals,
+      usd: cell.usd
+    })));
+
+  const byAsset = Object.fromEntries(balance.assets.map(asset => {
+    const { amount, usd } = balance.totalsByAsset[asset];
+    return [asset, { amount, usd, price: amount > 0 ? usd / amount : null }];
+  }));
+
+  return {
+    runId,
+    takenAt,
+    walletId,
+    assets: balance.assets,
+    chains: balance.chains,
+    holdings,
+    byAsset,
+    totals: balance.total
+  };
+}
+
+/**
+ * Snapshot every asset on every chain of one or more wallets into the snapshot file
+ *
+ * A wallet whose balances cannot be read is reported in `errors` and the
+ * others are still stored; it only throws when no wallet could be read.
+ *
+ * @param {Object} params
+ * @param {string[]} params.walletIds - Wallets to capture (default: PORTFOLIO_WALLETS, else WALLET_ID)
+ * @param {string[]} params.assets - Assets to check (default: as getBalanceMultipleChains)
+ * @param {string[]} params.chains - Chains to check (default: all mainnets of each wallet's type)
+ * @param {boolean} params.includeTestnets - Add testnets to the default chains (default: false)
+ * @param {Object} params.client - Privy client (default: the shared one from lib/privy-client.js)
+ * @returns {Promise<Object>} { runId, takenAt, snapshots, errors, totalUsd }
+ */
+export async function takePortfolioSnapshot({
+  walletIds,
+  assets,
+  chains,
+  includeTestnets = false,
+  client = getPrivyClient()
+} = {}) {
+  const { walletId } = getConfig();
+  const wallets = resolveWalletIds(walletIds, walletId ? [walletId] : []);
+  if (wallets.length === 0) {
+    throw new Error('walletIds is required (or set PORTFOLIO_WALLETS or WALLET_ID)');
+  }
+
+  const logger = getLogger({ module: 'portfolio' });
+  const runId = randomUUID();
+  const takenAt = new Date().toISOString();
+  logger.info('Taking portfolio snapshot', { wallets, runId });
+
+  const results = await Promise.allSettled(wallets.map(id =>
+    getBalanceMultipleChains({ walletId: id, assets, chains, includeTestnets, client })
+  ));
+
+  const snapshots = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.warn('Could not snapshot wallet', { walletId: wallets[index], error: result.reason });
+      errors.push({ walletId: wallets[index], error: result.reason.message });
+      return;
+    }
+    snapshots.push(saveSnapshot(toSnapshot(wallets[index], runId, takenAt, result.value)));
+  });
+
+  if (snapshots.length === 0) {
+    throw results[0].reason;
+  }
+
+  return {
+    runId,
+    takenAt,
+    snapshots,
+    errors,
+    totalUsd: toCents(snapshots.reduce((sum, snapshot) => sum + snapshot.totals.usd, 0))
+  };
+}
+
+/**
+ * Value a recorded swap: what was sold and bought, and the difference in USD
+ *
+ * @param {Object} record - Swap record from lib/history.js
+ * @param {Object} prices - { eth: 3000, ... } USD prices by snapshot asset
+ * @returns {Object} { id, createdAt, chain, status, hash, sell, buy, pnlUsd }; usd fields are null when unpriced
+ */
+export function valueSwap(record, prices) {
+  const side = (symbol, amount) => {
+    const price = priceOf(prices, symbol);
+    return {
+      symbol,
+      amount,
+      usd: price !== null && Number.isFinite(amount) ? toCents(amount * price) : null
+    };
+  };
+
+  const sell = side(record.asset?.symbol, Number(record.amount));
+  const buy = side(record.quote?.buySymbol, Number(record.quote?.buyAmount));
+
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    walletId: record.walletId,
+    chain: record.chain,
+    status: record.status,
+    hash: record.hash,
+    sell,
+    buy,
+    pnlUsd: sell.usd !== null && buy.usd !== null ? toCents(buy.usd - sell.usd) : null
+  };
+}
+
+// Swaps after one snapshot up to and including the start of the next: a
+// snapshot reads balances after its takenAt, so a swap in that same
+// millisecond is already in it
+function listSwaps(walletId, since, until) {
+  return listTransactions({ walletId, type: 'swap', since })
+    .filter(record => record.createdAt > since && record.createdAt <= until)
+    .filter(record => !FAILED_STATUSES.includes(record.status))
+    .reverse();
+}
+
+/**
+ * Change between two snapshots of one wallet, split into market, swaps and flows
+ *
+ * @param {Object} from - Earlier snapshot
+ * @param {Object} to - Later snapshot
+ * @param {Object} options
+ * @param {Object[]} options.swaps - Swap records in between (default: read from lib/history.js)
+ * @returns {Object} { walletId, from, to, startUsd, endUsd, changeUsd, changePct, byAsset, attribution, swaps }
+ */
+export function compareSnapshots(from, to, { swaps = listSwaps(to.walletId, from.takenAt, to.takenAt) } = {}) {
+  const startPrices = pricesOf(from);
+  const endPrices = { ...startPrices, ...Object.fromEntries(Object.entries(pricesOf(to)).filter(([, price]) => price !== null)) };
+
+  const assets = [...new Set([...Object.keys(from.byAsset), ...Object.keys(to.byAsset)])];
+  let marketUsd = 0;
+  const byAsset = Object.fromEntries(assets.map(asset => {
+    const start = from.byAsset[asset] || { amount: 0, usd: 0 };
+    const end = to.byAsset[asset] || { amount: 0, usd: 0 };
+    const startPrice = startPrices[asset] ?? null;
+    const endPrice = endPrices[asset] ?? null;
+    if (start.amount > 0 && startPrice !== null && endPrice !== null) {
+      marketUsd += start.amount * (endPrice - startPrice);
+    }
+    return [asset, {
+      startAmount: start.amount,
+      endAmount: end.amount,
+      amountChange: end.amount - start.amount,
+      startUsd: toCents(start.usd),
+      endUsd: toCents(end.usd),
+      changeUsd: toCents(end.usd - start.usd)
+    }];
+  }));
+
+  const valuedSwaps = swaps.map(record => valueSwap(record, endPrices));
+  const swapsUsd = valuedSwaps.reduce((sum, swap) => sum + (swap.pnlUsd ?? 0), 0);
+  const changeUsd = to.totals.usd - from.totals.usd;
+
+  return {
+    walletId: to.walletId,
+    from: from.takenAt,
+    to: to.takenAt,
+    startUsd: toCents(from.totals.usd),
+    endUsd: toCents(to.totals.usd),
+    changeUsd: toCents(changeUsd),
+    changePct: from.totals.usd > 0 ? changeUsd / from.totals.usd * 100 : null,
+    byAsset,
+    attribution: {
+      marketUsd: toCents(marketUsd),
+      swapsUsd: toCents(swapsUsd),
+      flowsUsd: toCents(changeUsd - marketUsd - swapsUsd)
+    },
+    swaps: valuedSwaps
+  };
+}
+
+function summarize(changes) {
+  if (changes.length === 0) return null;
+
+  const sum = (pick) => toCents(changes.reduce((total, change) => total + pick(change), 0));
+  const startUsd = changes[0].startUsd;
+  const changeUsd = sum(change => change.changeUsd);
+  return {
+    from: changes[0].from,
+    to: changes.at(-1).to,
+    startUsd,
+    endUsd: changes.at(-1).endUsd,
+    changeUsd,
+    changePct: startUsd > 0 ? changeUsd / startUsd * 100 : null,
+    attribution: {
+      marketUsd: sum(change => change.attribution.marketUsd),
+      swapsUsd: sum(change => change.attribution.swapsUsd),
+      flowsUsd: sum(change => change.attribution.flowsUsd)
+    }
+  };
+}
+
+function walletReport(walletId, snapshots) {
+  const changes = snapshots.slice(1).map((snapshot, index) => compareSnapshots(snapshots[index], snapshot));
+  const first = snapshots[0];
+  const last = snapshots.at(-1);
+
+  // Every swap over the whole period, at today's prices and at the prices of the snapshot before it
+  const swaps = listSwaps(walletId, first.takenAt, last.takenAt).map(record => {
+    const before = snapshots.filter(snapshot => snapshot.takenAt < record.createdAt).at(-1);
+    return {
+      ...valueSwap(record, pricesOf(last)),
+      pnlAtSwapUsd: valueSwap(record, pricesOf(before)).pnlUsd
+    };
+  });
+
+  return {
+    walletId,
+    snapshots: snapshots.map(snapshot => ({
+      id: snapshot.id,
+      runId: snapshot.runId,
+      takenAt: snapshot.takenAt,
+      totalUsd: toCents(snapshot.totals.usd),
+      byAsset: snapshot.byAsset
+    })),
+    changes,
+    summary: summarize(changes),
+    swaps
+  };
+}
+
+/**
+ * Holdings over time with USD changes and PnL attributed to swaps
+ *
+ * @param {Object} params
+ * @param {string[]} params.walletIds - Wallets to report on (default: PORTFOLIO_WALLETS, else every wallet with snapshots)
+ * @param {string|Date} params.since - Only snapshots taken at or after
+ * @param {string|Date} params.until - Only snapshots taken before
+ * @returns {Object} { since, until, wallets, runs, summary }; runs are the summed totals of each snapshot run
+ */
+export function getPortfolioReport({ walletIds, since, until } = {}) {
+  const wanted = resolveWalletIds(walletIds, undefined);
+  const snapshots = listSnapshots({ walletId: wanted, since, until });
+
+  const byWallet = new Map((wanted || []).map(walletId => [walletId, []]));
+  snapshots.forEach(snapshot => {
+    if (!byWallet.has(snapshot.walletId)) byWallet.set(snapshot.walletId, []);
+    byWallet.get(snapshot.walletId).push(snapshot);
+  });
+
+  const wallets = [...byWallet.entries()]
+    .filter(([, walletSnapshots]) => walletSnapshots.length > 0)
+    .map(([walletId, walletSnapshots]) => walletReport(walletId, walletSnapshots));
+
+  const runs = new Map();
+  snapshots.forEach(snapshot => {
+    const run = runs.get(snapshot.runId) || { runId: snapshot.runId, takenAt: snapshot.takenAt, usd: 0, wallets: 0 };
+    run.usd = toCents(run.usd + snapshot.totals.usd);
+    run.wallets += 1;
+    runs.set(snapshot.runId, run);
+  });
+
+  const summaries = wallets.map(wallet => wallet.summary).filter(Boolean);
+  const total = (pick) => toCents(summaries.reduce((sum, summary) => sum + pick(summary), 0));
+
+  return {
+    since: since ?? null,
+    until: until ?? null,
+    wallets,
+    runs: [...runs.values()],
+    summary: summaries.length === 0 ? null : {
+      startUsd: total(summary => summary.startUsd),
+      endUsd: total(summary => summary.endUsd),
+      changeUsd: total(summary => summary.changeUsd),
+      attribution: {
+        marketUsd: total(summary => summary.attribution.marketUsd),
+        swapsUsd: total(summary => summary.attribution.swapsUsd),
+        flowsUsd: total(summary => summary.attribution.flowsUsd)
+      }
+    }
+  };
+}
+
+/**
+ * CLI usage
+ *
+ * Examples:
+ *   npm run api:portfolio snapshot
+ *   npm run api:portfolio snapshot -- --wallets wallet-1,wallet-2 --testnets
+ *   npm run api:portfolio report -- --since 2024-06-01
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  setLogger(createLoggerFromEnv());
+  const [action = 'report'] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const getArg = (name) => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+  const walletIds = getArg('--wallets')?.split(',').map(id => id.trim()).filter(Boolean);
+
+  if (!['snapshot', 'report'].includes(action)) {
+    console.error('Usage: npm run api:portfolio <snapshot|report> [--wallets id1,id2] [--testnets] [--since date] [--until date]');
+    console.error('\nWallets default to PORTFOLIO_WALLETS, then WALLET_ID (snapshot) or every wallet with snapshots (report)');
+    process.exit(1);
+  }
+
+  const run = action === 'snapshot'
+    ? takePortfolioSnapshot({ walletIds, includeTestnets: process.argv.includes('--testnets') }).then(printPortfolioSnapshot)
+    : Promise.resolve(getPortfolioReport({ walletIds, since: getArg('--since'), until: getArg('--until') })).then(printPortfolioReport);
+
+  run
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('\n❌ Portfolio failed:', error.message);
+      process.exit(1);
+    });
+}
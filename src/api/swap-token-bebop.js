@@ -1,9 +1,28 @@
-import { PrivyClient } from '@privy-io/node';
 import { ethers } from 'ethers';
-import dotenv from 'dotenv';
 import axios from 'axios';
-
-dotenv.config();
+import { getPrivyClient } from '../lib/privy-client.js';
+import { getTokenMetadata } from '../lib/tokens.js';
+import { getBebopChainName, getChain, getExplorerTxUrl, listChains } from '../lib/chains.js';
+import {
+  APPROVAL_TYPES,
+  BEBOP_SETTLEMENT,
+  PERMIT2_ADDRESS,
+  ensureTokenApproval,
+  signEip2612Permits,
+  signPermit2
+} from '../lib/approvals.js';
+import { preflightTransaction, resolveWaitOptions, waitForTransaction } from '../lib/transactions.js';
+import { authHeaders, getBebopApiUrl, signBebopOrder, submitBebopOrder, waitForBebopOrder } from '../lib/bebop.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, getLogger, setLogger } from '../lib/logger.js';
+import { enforcePolicy } from '../lib/policy.js';
+import { withIdempotency } from '../lib/idempotency.js';
+import { getWallet } from '../lib/wallets.js';
+import { receiptToHistory, recordTransaction, updateTransaction } from '../lib/history.js';
+import { printQuote, printSwap } from '../cli/format.js';
+
+const MAX_REQUOTES = 2;
+const QUOTE_EXPIRY_MARGIN_MS = 5000;
 
 /**
  * Swap tokens using Bebop API with Privy wallet
@@ -11,16 +30,41 @@ dotenv.config();
  * 
  * @param {Object} params
  * @param {string} params.walletId - Privy wallet ID
- * @param {string} params.fromToken - Token address to sell (0x...)
- * @param {string} params.toToken - Token address to buy (0x...)
+ * @param {string} params.fromToken - Token to sell: symbol (USDC, ETH) or address
+ * @param {string} params.toToken - Token to buy: symbol (WETH) or address
  * @param {string} params.amount - Amount to sell in token units (e.g., "1.5")
  * @param {number} params.fromChain - Source chain ID (e.g., 8453 for Base)
  * @param {number} params.toChain - Destination chain ID (must match fromChain for Bebop)
- * @param {boolean} params.gasless - Use gasless swap (default: false)
+ * @param {boolean} params.gasless - Sign a Bebop order and let Bebop's relayer pay the gas (default: false)
  * @param {boolean} params.skipApproval - Skip approval check/transaction (default: false)
- * @returns {Promise<Object>} Swap result with transaction hash
+ * @param {string} params.approvalType - 'Standard', 'Permit' (EIP-2612) or 'Permit2' (default: 'Standard')
+ * @param {boolean} params.exactApproval - Approve only the sell amount instead of unlimited (default: false)
+ * @param {boolean|Object} params.wait - Wait for the swap receipt; true or { confirmations, timeoutMs, rpcUrl }
+ * @param {boolean} params.dryRun - Only return the quote preview, send nothing (default: false)
+ * @param {number} params.maxSlippageBps - Refuse to send if the swap can settle for this many bps below expectedBuyAmount
+ * @param {string} params.expectedBuyAmount - Reference buy amount for maxSlippageBps, e.g. from getSwapQuote (required with it)
+ * @param {string} params.minBuyAmount - Refuse to send if the swap can settle for less than this (token units)
+ * @param {number} params.maxPriceImpactBps - Refuse to send if Bebop reports a larger price impact
+ * @param {boolean} params.simulate - Preflight each transaction right before it is sent and abort if it would revert.
+ *   The swap can only be simulated once its allowance exists, so a needed approval is already on-chain by then
+ * @param {string} params.idempotencyKey - Reuse on retries; a repeated call returns the original result instead of swapping again
+ * @param {Object} params.client - Privy client (default: the shared one from lib/privy-client.js)
+ * @returns {Promise<Object>} Swap result with transaction hash (or the quote preview on dryRun)
  */
-export async function swapTokenBebop({
+export async function swapTokenBebop({ idempotencyKey, ...params }) {
+  const { walletId, fromToken, toToken, amount, fromChain, toChain, gasless = false, approvalType = 'Standard' } = params;
+
+  return withIdempotency(
+    {
+      key: params.dryRun ? undefined : idempotencyKey,
+      operation: 'swap',
+      request: { walletId, fromToken, toToken, amount: amount?.toString(), fromChain, toChain, gasless, approvalType }
+    },
+    (idempotency) => runSwap(params, idempotency)
+  );
+}
+
+async function runSwap({
   walletId,
   fromToken,
   toToken,
@@ -28,211 +72,570 @@ export async function swapTokenBebop({
   fromChain,
   toChain,
   gasless = false,
-  skipApproval = false
-}) {
-  // Validate inputs
-  if (!walletId) throw new Error('walletId is required');
-  if (!fromToken) throw new Error('fromToken address is required');
-  if (!toToken) throw new Error('toToken address is required');
-  if (!amount) throw new Error('amount is required');
-  if (!fromChain) throw new Error('fromChain ID is required');
-  
-  // Bebop only supports same-chain swaps
-  if (toChain && toChain !== fromChain) {
-    throw new Error('Bebop only supports same-chain swaps. fromChain must equal toChain.');
+  skipApproval = false,
+  approvalType = 'Standard',
+  exactApproval = false,
+  wait = false,
+  dryRun = false,
+  maxSlippageBps,
+  expectedBuyAmount,
+  minBuyAmount,
+  maxPriceImpactBps,
+  simulate = false,
+  client = getPrivyClient()
+}, idempotency) {
+  await validateSwapParams({ walletId, fromToken, toToken, amount, fromChain, toChain, gasless, approvalType, maxSlippageBps });
+
+  if (dryRun) {
+    return getSwapQuote({ walletId, fromToken, toToken, amount, fromChain, gasless, approvalType, maxSlippageBps, client });
   }
 
-  if (!ethers.isAddress(fromToken)) {
-    throw new Error(`Invalid fromToken address: ${fromToken}`);
-  }
-  if (!ethers.isAddress(toToken)) {
-    throw new Error(`Invalid toToken address: ${toToken}`);
+  // Slippage measured against the quote being executed would always pass
+  if (maxSlippageBps !== undefined && expectedBuyAmount === undefined) {
+    throw new Error('expectedBuyAmount is required with maxSlippageBps; take it from a quote preview (dryRun)');
   }
 
-  // Get Bebop credentials
-  const BEBOP_AUTH_KEY = process.env.BEBOP_AUTH_KEY || 'bebop-auth-key';
-  const BEBOP_SOURCE_ID = process.env.BEBOP_SOURCE_ID || 'privy-integration';
+  // Bebop partner credentials; quotes are unauthenticated when they are unset
+  const { authKey, sourceId } = getConfig().bebop;
 
-  const client = new PrivyClient(
-    process.env.PRIVY_APP_ID,
-    process.env.PRIVY_APP_SECRET
-  );
+  const logger = getLogger({ module: 'swap' });
 
-  console.log('🔄 Starting Bebop Swap...');
-  console.log('From Token:', fromToken);
-  console.log('To Token  :', toToken);
-  console.log('Amount    :', amount);
-  console.log('Chain ID  :', fromChain);
-  console.log('Gasless   :', gasless);
+  logger.info('Starting Bebop swap', { fromToken, toToken, amount, chainId: fromChain, gasless });
 
   try {
     // Step 1: Get wallet address
-    console.log('\n📋 Step 1: Getting wallet address...');
-    const walletInfo = await getWalletAddress(client, walletId, fromChain);
-    console.log('Wallet address:', walletInfo.address);
-
-    // Step 2: Check and approve token (if needed)
-    if (!skipApproval) {
-      console.log('\n✅ Step 2: Checking token approval...');
-    //   await ensureTokenApproval(client, walletId, fromToken, amount, fromChain, walletInfo.address);
-    } else {
-      console.log('\n⏭️  Step 2: Skipping approval (skipApproval=true)');
+    logger.info('Step 1: Getting wallet address');
+    const walletInfo = await getEvmWallet(client, walletId);
+    logger.debug('Wallet address', { address: walletInfo.address });
+
+    const [sellToken, buyToken] = await Promise.all([
+      getTokenMetadata(fromChain, fromToken),
+      getTokenMetadata(fromChain, toToken)
+    ]);
+    const sellAmountRaw = ethers.parseUnits(amount.toString(), sellToken.decimals);
+
+    // A gasless order can only pull ERC-20s from the wallet
+    if (gasless && sellToken.native) {
+      throw new Error(`Gasless swaps cannot sell the native token (${sellToken.symbol}); wrap it first`);
     }
 
-    // Step 3: Get quote from Bebop
-    console.log('\n💱 Step 3: Requesting quote from Bebop...');
-    const quote = await getBebopQuote({
+    // Step 2: Get quote from Bebop
+    logger.info('Step 2: Requesting quote from Bebop');
+    const quoteParams = {
       walletAddress: walletInfo.address,
-      fromToken,
-      toToken,
+      sellToken,
+      buyToken,
       amount,
       chainId: fromChain,
       gasless,
-      authKey: BEBOP_AUTH_KEY,
-      sourceId: BEBOP_SOURCE_ID
+      approvalType,
+      slippageBps: maxSlippageBps,
+      authKey,
+      sourceId
+    };
+    let quote = await getBebopQuote(quoteParams);
+
+    logger.info('Quote received', {
+      sell: `${quote.sellAmountFormatted} ${sellToken.symbol}`,
+      buy: `${quote.buyAmountFormatted ?? 'calculated by Bebop'} ${buyToken.symbol}`,
+      quoteId: quote.quoteId
     });
 
-    console.log('Quote received!');
-    console.log('Sell amount:', quote.sellAmount || amount);
-    console.log('Buy amount :', quote.buyAmount || 'calculated by Bebop');
+    // Guard against a bad price before anything is signed or sent
+    const guard = {
+      referenceBuyAmount: expectedBuyAmount !== undefined
+        ? ethers.parseUnits(expectedBuyAmount.toString(), buyToken.decimals)
+        : undefined,
+      minBuyAmount: minBuyAmount !== undefined
+        ? ethers.parseUnits(minBuyAmount.toString(), buyToken.decimals)
+        : undefined,
+      maxSlippageBps,
+      maxPriceImpactBps,
+      buyToken
+    };
+    checkQuote(quote, guard);
+
+    // Check the local policy before anything is signed or sent, the approval included
+    const checkPolicy = (previous) => enforcePolicy({
+      walletId,
+      chain: fromChain,
+      transaction: gasless ? { to: quote.settlementAddress || BEBOP_SETTLEMENT } : quote.tx,
+      kind: 'swap',
+      spend: { token: sellToken, amountRaw: sellAmountRaw, recipient: walletInfo.address },
+      client,
+      supersedes: previous?.id
+    });
+    let policyRecord = await checkPolicy();
+
+    // Step 3: Check and approve token (if needed), once the quote and policy allow the swap
+    // Standard approves the settlement contract; Permit2 approves the Permit2
+    // contract once and signs per-swap allowances after the quote; EIP-2612
+    // Permit needs no transaction at all
+    let approval = { approved: false, hash: null };
+    if (skipApproval) {
+      logger.info('Step 3: Skipping approval (skipApproval=true)');
+    } else if (sellToken.native) {
+      logger.info('Step 3: Selling native token, no approval needed');
+    } else if (approvalType === 'Permit') {
+      logger.info('Step 3: Using EIP-2612 permit signature instead of approval');
+    } else {
+      logger.info('Step 3: Checking token approval');
+      approval = await ensureTokenApproval({
+        client,
+        walletId,
+        walletAddress: walletInfo.address,
+        chain: fromChain,
+        tokenAddress: sellToken.address,
+        amount: sellAmountRaw,
+        spender: approvalType === 'Permit2' ? PERMIT2_ADDRESS : BEBOP_SETTLEMENT,
+        exact: exactApproval,
+        simulate,
+        idempotencyKey: idempotency.key && `${idempotency.key}:approve`
+      });
+    }
+
+    // Re-quote if the quote expired while approving
+    for (let requotes = 0; isQuoteExpired(quote); requotes++) {
+      if (requotes >= MAX_REQUOTES) {
+        throw new Error(`Quote expired ${MAX_REQUOTES} times in a row, giving up`);
+      }
+      logger.warn('Quote expired, requesting a fresh one', { quoteId: quote.quoteId });
+      quote = await getBebopQuote(quoteParams);
+      logger.info('Quote received', { buy: `${quote.buyAmountFormatted} ${buyToken.symbol}`, quoteId: quote.quoteId });
+      checkQuote(quote, guard);
+      // A new quote brings a new target and calldata
+      policyRecord = await checkPolicy(policyRecord);
+    }
+
+    // Sign the permits Bebop asked for; they are submitted with the order
+    if (approvalType !== 'Standard' && quote.requiredSignatures.length > 0) {
+      logger.info(`Signing ${approvalType} approval`, { tokens: quote.requiredSignatures });
+      const permitParams = {
+        client,
+        walletId,
+        walletAddress: walletInfo.address,
+        chain: fromChain,
+        tokenAddresses: quote.requiredSignatures,
+        amounts: { [sellToken.address.toLowerCase()]: sellAmountRaw },
+        spender: quote.settlementAddress || BEBOP_SETTLEMENT,
+        deadline: quote.expiry || Math.floor(Date.now() / 1000) + 30 * 60
+      };
+      approval.permit = approvalType === 'Permit2'
+        ? await signPermit2({ ...permitParams, exact: exactApproval })
+        : await signEip2612Permits(permitParams);
+    }
 
     // Step 4: Execute swap
-    console.log('\n🚀 Step 4: Executing swap...');
-    const txHash = await executeSwap(client, walletId, quote.tx, fromChain);
+    // Gasless: sign the order and let Bebop settle it; otherwise send quote.tx ourselves
+    const waitOptions = resolveWaitOptions(wait);
+    const historyRecord = {
+      walletId,
+      chain: getChain(fromChain).caip2,
+      type: 'swap',
+      from: walletInfo.address,
+      to: gasless ? quote.settlementAddress || BEBOP_SETTLEMENT : quote.tx.to,
+      asset: { symbol: sellToken.symbol, address: sellToken.native ? null : sellToken.address, decimals: sellToken.decimals },
+      amount: quote.sellAmountFormatted,
+      amountRaw: quote.sellAmount,
+      quote: {
+        quoteId: quote.quoteId,
+        buySymbol: buyToken.symbol,
+        buyAddress: buyToken.address,
+        buyAmount: quote.buyAmountFormatted,
+        buyAmountRaw: quote.buyAmount,
+        gasless,
+        approvalType
+      }
+    };
+    const approvalSummary = {
+      type: approvalType,
+      approved: approval.approved,
+      hash: approval.hash,
+      ...(approval.permit && { permit: approval.permit })
+    };
+    const quoteSummary = {
+      fromToken,
+      toToken,
+      sellSymbol: sellToken.symbol,
+      buySymbol: buyToken.symbol,
+      sellAmount: quote.sellAmount,
+      buyAmount: quote.buyAmount,
+      sellAmountFormatted: quote.sellAmountFormatted,
+      buyAmountFormatted: quote.buyAmountFormatted,
+      quoteId: quote.quoteId
+    };
+    let historyId;
+    let txHash;
+    let order;
+    let simulation;
+    if (gasless) {
+      logger.info('Step 4: Signing and submitting gasless order');
+      if (simulate) {
+        logger.info('Gasless order is settled by Bebop, nothing to simulate locally');
+      }
+      const signature = await signBebopOrder({ client, walletId, chain: fromChain, quote: quote.raw });
+      let submitted;
+      try {
+        submitted = await submitBebopOrder({
+          chain: fromChain,
+          quoteId: quote.quoteId,
+          signature,
+          approvalType,
+          permit: approval.permit,
+          authKey
+        });
+      } catch (error) {
+        recordTransaction({ ...historyRecord, status: 'failed', hash: null, error: error.message });
+        throw error;
+      }
+      historyId = recordTransaction({ ...historyRecord, status: 'submitted', hash: submitted.txHash || null });
+      idempotency.checkpoint({
+        success: null,
+        transactionHash: submitted.txHash || null,
+        order: { quoteId: quote.quoteId, status: 'pending', bebopStatus: submitted.status },
+        approval: approvalSummary,
+        quote: quoteSummary
+      });
+      logger.info('Order submitted, waiting for Bebop to settle it', { quoteId: quote.quoteId, status: submitted.status });
+      order = await waitForBebopOrder({
+        chain: fromChain,
+        quoteId: quote.quoteId,
+        authKey,
+        ...(waitOptions?.timeoutMs && { timeoutMs: waitOptions.timeoutMs })
+      });
+      logger.info('Order status', { quoteId: quote.quoteId, status: order.bebopStatus });
+      updateTransaction(historyId, {
+        status: order.status === 'settled' ? 'success' : order.status,
+        hash: order.txHash || submitted.txHash || null,
+        orderStatus: order.bebopStatus
+      });
+
+      if (order.status === 'failed') {
+        const error = new Error(`Bebop order ${quote.quoteId} failed (${order.bebopStatus})`);
+        error.order = order;
+        throw error;
+      }
+      txHash = order.txHash || submitted.txHash || null;
+    } else {
+      // Not before the approval: without the allowance the swap's transferFrom reverts in any simulation
+      if (simulate) {
+        simulation = await preflightTransaction({ chain: fromChain, from: walletInfo.address, transaction: quote.tx });
+      }
+      logger.info('Step 4: Executing swap');
+      try {
+        txHash = await executeSwap(client, walletId, quote.tx, fromChain, idempotency.headers('swap'));
+      } catch (error) {
+        recordTransaction({ ...historyRecord, status: 'failed', hash: null, error: error.message });
+        throw error;
+      }
+      historyId = recordTransaction({
+        ...historyRecord,
+        status: 'submitted',
+        hash: txHash,
+        explorerUrl: getExplorerTxUrl(fromChain, txHash)
+      });
+      idempotency.checkpoint({ success: null, transactionHash: txHash, approval: approvalSummary, quote: quoteSummary });
+    }
 
-    console.log('\n✅ Swap completed!');
-    console.log('Transaction hash:', txHash);
-    console.log('Explorer:', getExplorerUrl(fromChain, txHash));
+    logger.info('Swap sent', {
+      hash: txHash,
+      explorerUrl: txHash ? getExplorerTxUrl(fromChain, txHash) : null
+    });
+
+    let receipt;
+    if (waitOptions && txHash) {
+      logger.info('Waiting for confirmation', { hash: txHash });
+      receipt = await waitForTransaction({ chain: fromChain, hash: txHash, ...waitOptions });
+      logger.info('Swap receipt', { status: receipt.status, revertReason: receipt.revertReason });
+      updateTransaction(historyId, receiptToHistory(receipt));
+    }
 
     return {
-      success: true,
+      success: receipt ? receipt.status === 'success' : !order || order.status === 'settled',
       transactionHash: txHash,
-      quote: {
-        fromToken,
-        toToken,
-        sellAmount: quote.sellAmount,
-        buyAmount: quote.buyAmount
-      }
+      ...(receipt && { receipt }),
+      ...(order && { order }),
+      ...(simulation && { simulation }),
+      approval: approvalSummary,
+      quote: quoteSummary
     };
   } catch (error) {
-    console.error('\n❌ Swap failed:', error.message);
+    logger.error('Swap failed', { error });
     throw error;
   }
 }
 
 /**
- * Get wallet address for the given chain
+ * Preview a Bebop swap without sending anything
+ *
+ * @param {Object} params
+ * @param {string} params.walletId - Privy wallet ID (the taker)
+ * @param {string} params.fromToken - Token to sell: symbol (USDC, ETH) or address
+ * @param {string} params.toToken - Token to buy: symbol (WETH) or address
+ * @param {string} params.amount - Amount to sell in token units (e.g., "1.5")
+ * @param {number} params.fromChain - Chain ID (e.g., 8453 for Base)
+ * @param {boolean} params.gasless - Quote a gasless swap (default: false)
+ * @param {string} params.approvalType - 'Standard', 'Permit' or 'Permit2' (default: 'Standard')
+ * @param {number} params.maxSlippageBps - Slippage tolerance Bebop should price the minimum amount with
+ * @param {Object} params.client - Privy client (default: the shared one from lib/privy-client.js)
+ * @returns {Promise<Object>} Expected buy amount, effective price, price impact, gas estimate, expiry and route
  */
-async function getWalletAddress(client, walletId, chainId) {
-  // For embedded wallets, wallet ID is typically the address
-  // But we verify via balance API
-  const caip2 = getCAIP2(chainId);
-  const wallet = await client.wallets().get(walletId);
+export async function getSwapQuote({
+  walletId,
+  fromToken,
+  toToken,
+  amount,
+  fromChain,
+  gasless = false,
+  approvalType = 'Standard',
+  maxSlippageBps,
+  client = getPrivyClient()
+}) {
+  await validateSwapParams({ walletId, fromToken, toToken, amount, fromChain, gasless, approvalType, maxSlippageBps });
+
+  const walletInfo = await getEvmWallet(client, walletId);
+  const [sellToken, buyToken] = await Promise.all([
+    getTokenMetadata(fromChain, fromToken),
+    getTokenMetadata(fromChain, toToken)
+  ]);
+
+  // The wallet may not have approved yet, so ask Bebop not to validate balances/allowances
+  const { authKey, sourceId } = getConfig().bebop;
+  const quote = await getBebopQuote({
+    walletAddress: walletInfo.address,
+    sellToken,
+    buyToken,
+    amount,
+    chainId: fromChain,
+    gasless,
+    approvalType,
+    slippageBps: maxSlippageBps,
+    skipValidation: true,
+    authKey,
+    sourceId
+  });
+
+  const sell = Number(quote.sellAmountFormatted);
+  const buy = Number(quote.buyAmountFormatted);
+
   return {
-    address: wallet.address // Privy wallet ID is the address for embedded wallets
+    dryRun: true,
+    chainId: Number(fromChain),
+    taker: walletInfo.address,
+    sellToken: { address: sellToken.address, symbol: sellToken.symbol, decimals: sellToken.decimals },
+    buyToken: { address: buyToken.address, symbol: buyToken.symbol, decimals: buyToken.decimals },
+    sellAmount: quote.sellAmount,
+    sellAmountFormatted: quote.sellAmountFormatted,
+    buyAmount: quote.buyAmount,
+    buyAmountFormatted: quote.buyAmountFormatted,
+    minBuyAmount: quote.minBuyAmount,
+    minBuyAmountFormatted: quote.minBuyAmount
+      ? ethers.formatUnits(quote.minBuyAmount, buyToken.decimals)
+      : undefined,
+    price: sell > 0 ? buy / sell : null,
+    priceImpactBps: quote.priceImpactBps,
+    gas: {
+      limit: quote.tx?.gas ? BigInt(quote.tx.gas).toString() : null,
+      feeNative: quote.gasFee?.native ?? null,
+      feeUsd: quote.gasFee?.usd ?? null
+    },
+    expiry: quote.expiry,
+    expiresAt: quote.expiry ? new Date(quote.expiry * 1000).toISOString() : null,
+    route: {
+      quoteId: quote.quoteId,
+      type: quote.type,
+      settlementAddress: quote.settlementAddress,
+      approvalTarget: quote.approvalTarget,
+      requiredSignatures: quote.requiredSignatures
+    },
+    tx: quote.tx
   };
 }
 
 /**
- * Ensure token is approved for Bebop settlement contract
+ * Validate the inputs shared by swapTokenBebop and getSwapQuote
  */
-async function ensureTokenApproval(client, walletId, tokenAddress, amount, chainId, walletAddress) {
-  const BEBOP_SETTLEMENT = '0xbbbbbBB520d69a9775E85b458C58c648259FAD5F';
+async function validateSwapParams({ walletId, fromToken, toToken, amount, fromChain, toChain, gasless, approvalType, maxSlippageBps }) {
+  if (!walletId) throw new Error('walletId is required');
+  if (!fromToken) throw new Error('fromToken address is required');
+  if (!toToken) throw new Error('toToken address is required');
+  if (!amount) throw new Error('amount is required');
+  if (!fromChain) throw new Error('fromChain ID is required');
   
-  console.log('Approving', tokenAddress, 'for Bebop settlement...');
-  console.log('Settlement contract:', BEBOP_SETTLEMENT);
+  // Bebop only supports same-chain swaps
+  if (toChain && toChain !== fromChain) {
+    throw new Error('Bebop only supports same-chain swaps. fromChain must equal toChain.');
+  }
 
-  // Encode ERC20 approve function call
-  const erc20Abi = ['function approve(address spender, uint256 amount) returns (bool)'];
-  const iface = new ethers.Interface(erc20Abi);
-  
-  // Use max uint256 for unlimited approval
-  const data = iface.encodeFunctionData('approve', [
-    BEBOP_SETTLEMENT,
-    ethers.MaxUint256
-  ]);
+  if (!APPROVAL_TYPES.includes(approvalType)) {
+    throw new Error(`Invalid approvalType: ${approvalType}. Supported: ${APPROVAL_TYPES.join(', ')}`);
+  }
+
+  // Permit signatures travel with a signed Bebop order, not with quote.tx
+  if (approvalType !== 'Standard' && !gasless) {
+    throw new Error(`approvalType ${approvalType} requires gasless: true`);
+  }
 
-  const caip2 = getCAIP2(chainId);
+  // A fraction or a value past 100% would make the slippage floor meaningless
+  if (maxSlippageBps !== undefined && !(Number.isInteger(maxSlippageBps) && maxSlippageBps >= 0 && maxSlippageBps <= 10000)) {
+    throw new Error(`Invalid maxSlippageBps: ${maxSlippageBps}. Must be an integer from 0 to 10000`);
+  }
 
-  const result = await client.walletApi.rpc({
-    walletId,
-    caip2,
-    method: 'eth_sendTransaction',
-    params: {
-      transaction: {
-        to: tokenAddress,
-        data: data,
-        value: '0x0'
-      }
+  // Symbols or addresses, resolved the same way as for transfers and balances;
+  // the chain first, so an unsupported chain is not reported as a bad token
+  getChain(fromChain);
+  for (const [name, token] of [['fromToken', fromToken], ['toToken', toToken]]) {
+    try {
+      await getTokenMetadata(fromChain, token);
+    } catch (error) {
+      throw new Error(`Invalid ${name}: ${error.message}`);
     }
-  });
+  }
+}
 
-  console.log('Approval tx hash:', result.data.hash);
-  console.log('Waiting for approval confirmation...');
-  
-  // Wait a bit for tx to be mined
-  await new Promise(resolve => setTimeout(resolve, 3000));
-  
-  return result.data.hash;
+/**
+ * Refuse a quote that is worse than the caller allows
+ *
+ * Amount floors apply to Bebop's minimumAmount when the quote has one: the
+ * swap can settle for that little, whatever buyAmount says.
+ *
+ * @param {Object} quote - Quote from getBebopQuote
+ * @param {Object} guard
+ * @param {bigint} guard.referenceBuyAmount - Buy amount maxSlippageBps is measured against
+ * @param {bigint} guard.minBuyAmount - Absolute floor for the buy amount
+ * @param {number} guard.maxSlippageBps - Allowed shortfall against the reference, in bps
+ * @param {number} guard.maxPriceImpactBps - Allowed price impact, in bps
+ * @param {Object} guard.buyToken - Buy token metadata, for error messages
+ */
+function checkQuote(quote, { referenceBuyAmount, minBuyAmount, maxSlippageBps, maxPriceImpactBps, buyToken }) {
+  const buyAmount = BigInt(quote.minBuyAmount || quote.buyAmount || 0);
+  const format = (raw) => `${ethers.formatUnits(raw, buyToken.decimals)} ${buyToken.symbol}`;
+
+  if (minBuyAmount !== undefined && buyAmount < minBuyAmount) {
+    throw new Error(`Quote rejected: buys as little as ${format(buyAmount)}, below minBuyAmount ${format(minBuyAmount)}`);
+  }
+
+  if (maxSlippageBps !== undefined) {
+    const floor = referenceBuyAmount * BigInt(10000 - maxSlippageBps) / 10000n;
+    if (buyAmount < floor) {
+      throw new Error(
+        `Quote rejected: buys as little as ${format(buyAmount)}, more than ${maxSlippageBps} bps below ${format(referenceBuyAmount)}`
+      );
+    }
+  }
+
+  if (maxPriceImpactBps !== undefined && quote.priceImpactBps !== null && quote.priceImpactBps > maxPriceImpactBps) {
+    throw new Error(`Quote rejected: price impact ${quote.priceImpactBps} bps exceeds ${maxPriceImpactBps} bps`);
+  }
+}
+
+/**
+ * Quotes are treated as expired a few seconds early so the send cannot race the deadline
+ */
+function isQuoteExpired(quote) {
+  return Boolean(quote.expiry) && quote.expiry * 1000 - QUOTE_EXPIRY_MARGIN_MS <= Date.now();
+}
+
+/**
+ * Look up the wallet and make sure it can sign EVM transactions
+ */
+async function getEvmWallet(client, walletId) {
+  const wallet = await getWallet(walletId, { client });
+  if (wallet.chainType !== 'ethereum') {
+    throw new Error(`Wallet ${walletId} is a ${wallet.chainType} wallet; Bebop swaps need an Ethereum wallet`);
+  }
+  return wallet;
 }
 
 /**
  * Get quote from Bebop API
+ *
+ * `sellToken` and `buyToken` are metadata from lib/tokens.js, so amounts are
+ * converted with each token's real decimals.
  */
 async function getBebopQuote({
   walletAddress,
-  fromToken,
-  toToken,
+  sellToken,
+  buyToken,
   amount,
   chainId,
   gasless,
+  approvalType = 'Standard',
+  slippageBps,
+  skipValidation = false,
   authKey,
   sourceId
 }) {
-  const chainName = getChainName(chainId);
-  const url = `https://api.bebop.xyz/pmm/${chainName}/v3/quote`;
+  const chainName = getBebopChainName(chainId);
+  const url = `${getBebopApiUrl()}/${chainName}/v3/quote`;
 
-  // Convert amount to wei (assuming 18 decimals, adjust if needed)
-  const amountWei = ethers.parseEther(amount.toString()).toString();
+  const amountWei = ethers.parseUnits(amount.toString(), sellToken.decimals).toString();
 
   const params = {
-    buy_tokens: toToken,
-    sell_tokens: fromToken,
+    buy_tokens: buyToken.address,
+    sell_tokens: sellToken.address,
     sell_amounts: amountWei,
     taker_address: walletAddress,
     gasless: gasless,
-    approval_type: 'Standard',
-    // source: sourceId
+    approval_type: approvalType,
+    ...(slippageBps !== undefined && { slippage: slippageBps / 100 }),
+    ...(skipValidation && { skip_validation: true }),
+    ...(sourceId && { source: sourceId })
   };
 
-  console.log('Quote request:', params);
+  const logger = getLogger({ module: 'swap' });
+  logger.debug('Quote request', { url, params });
 
   const response = await axios.get(url, {
     params,
-    // headers: {
-    //   'source-auth': authKey
-    // }
+    ...authHeaders(authKey)
   });
-  console.log('response', response.url);
-  console.log('response', response.data);
+  logger.debug('Quote response', { quoteId: response.data.quoteId, status: response.status });
   if (response.data.error) {
     throw new Error(`Bebop quote error: ${response.data.error}`);
   }
 
+  const buyEntry = findTokenEntry(response.data.buyTokens, buyToken.address);
+  const buyAmount = buyEntry?.amount?.toString() ||
+    response.data.buyAmount ||
+    response.data.tx?.buyAmount;
+  const priceImpact = Number(response.data.priceImpact);
+
   return {
     tx: response.data.tx,
     sellAmount: amountWei,
-    buyAmount: response.data.buyAmount || response.data.tx.buyAmount
+    buyAmount,
+    sellAmountFormatted: ethers.formatUnits(amountWei, sellToken.decimals),
+    buyAmountFormatted: buyAmount ? ethers.formatUnits(buyAmount, buyToken.decimals) : undefined,
+    minBuyAmount: buyEntry?.minimumAmount?.toString(),
+    priceImpactBps: Number.isFinite(priceImpact) ? Math.round(Math.abs(priceImpact) * 10000) : null,
+    gasFee: response.data.gasFee,
+    quoteId: response.data.quoteId,
+    type: response.data.type,
+    requiredSignatures: response.data.requiredSignatures || [],
+    settlementAddress: response.data.settlementAddress,
+    approvalTarget: response.data.approvalTarget,
+    expiry: response.data.expiry,
+    raw: response.data
   };
 }
 
+/**
+ * Helper: Read a token entry from Bebop's { [address]: { amount, ... } } maps
+ */
+function findTokenEntry(tokens, address) {
+  if (!tokens) return undefined;
+  const key = Object.keys(tokens).find(k => k.toLowerCase() === address.toLowerCase());
+  return key ? tokens[key] : undefined;
+}
+
 /**
  * Execute swap transaction
  */
-async function executeSwap(client, walletId, rawTransaction, chainId) {
-  const caip2 = getCAIP2(chainId);
+async function executeSwap(client, walletId, rawTransaction, chainId, headers) {
+  const { caip2 } = getChain(chainId);
 
-  const result = await client.walletApi.rpc({
+  const result = await client.rpc({
     walletId,
     caip2,
     method: 'eth_sendTransaction',
@@ -242,56 +645,13 @@ async function executeSwap(client, walletId, rawTransaction, chainId) {
         data: rawTransaction.data,
         value: rawTransaction.value || '0x0'
       }
-    }
+    },
+    headers
   });
 
   return result.data.hash;
 }
 
-/**
- * Helper: Convert chain ID to CAIP2 format
- */
-function getCAIP2(chainId) {
-  return `eip155:${chainId}`;
-}
-
-/**
- * Helper: Get chain name for Bebop API
- */
-function getChainName(chainId) {
-  const chains = {
-    1: 'ethereum',
-    8453: 'base',
-    137: 'polygon',
-    42161: 'arbitrum',
-    10: 'optimism',
-    11155111: 'sepolia'
-  };
-  
-  const name = chains[chainId];
-  if (!name) {
-    throw new Error(`Unsupported chain ID: ${chainId}. Supported: ${Object.keys(chains).join(', ')}`);
-  }
-  
-  return name;
-}
-
-/**
- * Helper: Get block explorer URL
- */
-function getExplorerUrl(chainId, txHash) {
-  const explorers = {
-    1: 'https://etherscan.io/tx/',
-    8453: 'https://basescan.org/tx/',
-    137: 'https://polygonscan.com/tx/',
-    42161: 'https://arbiscan.io/tx/',
-    10: 'https://optimistic.etherscan.io/tx/',
-    11155111: 'https://sepolia.etherscan.io/tx/'
-  };
-  
-  return (explorers[chainId] || 'https://etherscan.io/tx/') + txHash;
-}
-
 /**
  * CLI usage
  * 
@@ -299,18 +659,32 @@ function getExplorerUrl(chainId, txHash) {
  *   # Swap 1 WETH to USDC on Base
  *   npm run api:swap 0x4200000000000000000000000000000000000006 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913 1 8453
  *   
- *   # Gasless swap
+ *   # Gasless swap (signed order, Bebop pays the gas)
  *   npm run api:swap [from] [to] [amount] [chain] --gasless
  */
 if (import.meta.url === `file://${process.argv[1]}`) {
+  setLogger(createLoggerFromEnv());
   const fromToken = process.argv[2];
   const toToken = process.argv[3];
   const amount = process.argv[4];
   const chainId = parseInt(process.argv[5]) || 8453;
   const gasless = process.argv.includes('--gasless');
   const skipApproval = process.argv.includes('--skip-approval');
+  const exactApproval = process.argv.includes('--exact-approval');
+  const wait = process.argv.includes('--wait');
+  const approvalType = process.argv.includes('--permit2')
+    ? 'Permit2'
+    : process.argv.includes('--permit') ? 'Permit' : 'Standard';
+  const dryRun = process.argv.includes('--dry-run');
+  const simulate = process.argv.includes('--simulate');
+  const getArg = (name) => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+  const maxSlippageBps = getArg('--max-slippage-bps');
+  const maxPriceImpactBps = getArg('--max-price-impact-bps');
 
-  const walletId = process.env.WALLET_ID;
+  const walletId = getConfig().walletId;
 
   if (!walletId) {
     console.error('❌ WALLET_ID must be set in .env');
@@ -318,15 +692,20 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   }
 
   if (!fromToken || !toToken || !amount) {
-    console.error('Usage: npm run api:swap <fromToken> <toToken> <amount> [chainId] [--gasless] [--skip-approval]');
+    console.error('Usage: npm run api:swap <fromToken> <toToken> <amount> [chainId] [--gasless] [--skip-approval] [--exact-approval] [--permit|--permit2] [--wait] [--simulate]');
+    console.error('       [--dry-run] [--max-slippage-bps <bps>] [--expected-buy <amount>] [--min-buy <amount>] [--max-price-impact-bps <bps>]');
+    console.error('       [--idempotency-key <key>]');
+    console.error('\n--simulate checks each transaction before it is sent; a needed approval goes out before the swap can be simulated');
     console.error('\nExamples:');
     console.error('  # Swap 1 WETH to USDC on Base');
     console.error('  npm run api:swap 0x4200000000000000000000000000000000000006 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913 1 8453');
+    console.error('  # Preview the same swap without sending');
+    console.error('  npm run api:swap 0x4200000000000000000000000000000000000006 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913 1 8453 --dry-run');
     console.error('\nCommon tokens on Base:');
     console.error('  WETH: 0x4200000000000000000000000000000000000006');
     console.error('  USDC: 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
     console.error('\nChain IDs:');
-    console.error('  Ethereum: 1, Base: 8453, Polygon: 137, Arbitrum: 42161, Optimism: 10');
+    console.error(`  ${listChains({ evm: true }).filter(c => c.bebop).map(c => `${c.privy}: ${c.chainId}`).join(', ')}`);
     process.exit(1);
   }
 
@@ -338,12 +717,25 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     fromChain: chainId,
     toChain: chainId,
     gasless,
-    skipApproval
+    skipApproval,
+    approvalType,
+    exactApproval,
+    wait,
+    dryRun,
+    maxSlippageBps: maxSlippageBps !== undefined ? Number(maxSlippageBps) : undefined,
+    expectedBuyAmount: getArg('--expected-buy'),
+    minBuyAmount: getArg('--min-buy'),
+    maxPriceImpactBps: maxPriceImpactBps !== undefined ? Number(maxPriceImpactBps) : undefined,
+    simulate,
+    idempotencyKey: getArg('--idempotency-key')
   })
     .then((result) => {
-      console.log('\n🎉 Swap successful!');
-      console.log(JSON.stringify(result, null, 2));
-      process.exit(0);
+      if (dryRun) {
+        printQuote(result);
+        process.exit(0);
+      }
+      printSwap(result);
+      process.exit(result.success ? 0 : 1);
     })
     .catch((error) => {
       console.error('\n💥 Swap failed:', error.message);
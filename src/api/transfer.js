@@ -0,0 +1,279 @@
+import { ethers } from 'ethers';
+import { getPrivyClient } from '../lib/privy-client.js';
+import { getChain, getExplorerTxUrl } from '../lib/chains.js';
+import { getTokenMetadata } from '../lib/tokens.js';
+import { preflightTransaction, resolveWaitOptions, waitForTransaction } from '../lib/transactions.js';
+import { buildSolanaTransfer, preflightSolanaTransaction, toPublicKey } from '../lib/solana.js';
+import { enforcePolicy } from '../lib/policy.js';
+import { withIdempotency } from '../lib/idempotency.js';
+import { getWalletAddress } from '../lib/wallets.js';
+import { receiptToHistory, recordTransaction, updateTransaction } from '../lib/history.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, getLogger, setLogger } from '../lib/logger.js';
+import { printTransfer } from '../cli/format.js';
+
+const ERC20_ABI = ['function transfer(address to, uint256 amount) returns (bool)'];
+
+/**
+ * Transfer a native coin or token from a Privy wallet on any supported chain
+ *
+ * On EVM chains this sends a value transfer or ERC-20 transfer with
+ * eth_sendTransaction. On Solana it sends SOL or an SPL token with
+ * signAndSendTransaction; the transaction is built with a fresh blockhash
+ * right before it goes to Privy.
+ *
+ * @param {Object} params
+ * @param {string} params.walletId         - Privy wallet ID
+ * @param {string} params.caip2            - CAIP-2 chain ID (e.g. "eip155:8453" or "solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp")
+ * @param {string} params.asset            - 'native', native symbol (ETH, POL, SOL), token symbol (USDC) or token address/mint
+ * @param {string|number} params.amount    - Human-readable amount (e.g. "12.5")
+ * @param {string} params.recipientAddress - Destination address (0x... or a base58 Solana address)
+ * @param {boolean} params.sponsorGas      - Optional gas sponsorship flag
+ * @param {boolean|Object} params.wait     - Wait for the receipt; true or { confirmations, timeoutMs, rpcUrl }
+ * @param {boolean} params.simulate        - Preflight (eth_call/eth_estimateGas, or simulateTransaction on Solana) and abort if it would fail
+ * @param {number} params.nonce            - EVM only: nonce to send with instead of letting Privy pick one
+ * @param {string} params.idempotencyKey   - Reuse on retries; a repeated call returns the original result instead of sending again
+ * @param {Object} params.client           - Privy client (default: the shared one from lib/privy-client.js)
+ * @returns {Promise<Object>} Transaction result { hash, caip2, explorerUrl, simulation?, receipt?, ... }
+ */
+export async function transfer({ idempotencyKey, ...params }) {
+  const { walletId, caip2, asset = 'native', amount, recipientAddress, sponsorGas = false } = params;
+
+  return withIdempotency(
+    {
+      key: idempotencyKey,
+      operation: 'transfer',
+      request: { walletId, caip2, asset, amount: amount?.toString(), recipientAddress, sponsorGas },
+      // Kept so a resumed send can go out with the same nonce (see api/batch-payout.js)
+      meta: params.nonce !== undefined ? { nonce: params.nonce } : undefined
+    },
+    (idempotency) => sendTransfer(params, idempotency)
+  );
+}
+
+async function sendTransfer({
+  walletId,
+  caip2,
+  asset = 'native',
+  amount,
+  recipientAddress,
+  sponsorGas = false,
+  wait = false,
+  simulate = false,
+  nonce,
+  client = getPrivyClient()
+}, idempotency) {
+  if (!walletId) throw new Error('walletId is required');
+  if (!caip2) throw new Error('caip2 is required');
+  if (!recipientAddress) throw new Error('recipientAddress is required');
+  if (!amount) throw new Error('amount is required');
+
+  const chain = getChain(caip2);
+  const solana = chain.chainType === 'solana';
+
+  if (solana) {
+    toPublicKey(recipientAddress, 'recipient address');
+    if (nonce !== undefined) throw new Error('nonce only applies to EVM chains');
+  } else if (!ethers.isAddress(recipientAddress)) {
+    throw new Error(`Invalid recipient address: ${recipientAddress}`);
+  }
+
+  const token = await getTokenMetadata(chain.caip2, asset);
+  const amountRaw = ethers.parseUnits(amount.toString(), token.decimals);
+
+  if (amountRaw <= 0n) {
+    throw new Error(`Amount must be greater than zero: ${amount}`);
+  }
+
+  // What the policy sees; Solana transactions are only built once the policy allowed them
+  const transaction = solana
+    ? { to: token.native ? recipientAddress : token.address }
+    : token.native
+      ? {
+          to: recipientAddress,
+          value: ethers.toBeHex(amountRaw),
+          ...(nonce !== undefined && { nonce })
+        }
+      : {
+          to: token.address,
+          data: new ethers.Interface(ERC20_ABI).encodeFunctionData('transfer', [
+            recipientAddress,
+            amountRaw
+          ]),
+          value: '0x0',
+          ...(nonce !== undefined && { nonce })
+        };
+
+  const logger = getLogger({ module: 'transfer' });
+
+  logger.info(`Transferring ${amount} ${token.symbol} on ${chain.privy}`, {
+    walletId,
+    caip2: chain.caip2,
+    recipient: recipientAddress,
+    amountRaw: amountRaw.toString(),
+    decimals: token.decimals,
+    token: token.native ? null : token.address,
+    sponsorGas
+  });
+
+  try {
+    await enforcePolicy({
+      walletId,
+      chain: chain.caip2,
+      transaction,
+      kind: 'transfer',
+      spend: { token, amountRaw, recipient: recipientAddress },
+      client
+    });
+
+    const from = await getWalletAddress(walletId, { client });
+    let simulation;
+    let request;
+    let lastValidBlockHeight;
+    if (solana) {
+      const built = await buildSolanaTransfer({ chain: chain.caip2, from, to: recipientAddress, token, amountRaw });
+      if (simulate) {
+        simulation = await preflightSolanaTransaction({ chain: chain.caip2, transaction: built.transaction });
+      }
+      lastValidBlockHeight = built.lastValidBlockHeight;
+      request = {
+        method: 'signAndSendTransaction',
+        chainType: 'solana',
+        params: { transaction: built.serialized, encoding: 'base64' }
+      };
+    } else {
+      if (simulate) {
+        simulation = await preflightTransaction({ chain: chain.chainId, from, transaction });
+      }
+      request = { method: 'eth_sendTransaction', params: { transaction } };
+    }
+
+    const historyRecord = {
+      walletId,
+      chain: chain.caip2,
+      type: 'transfer',
+      from,
+      to: recipientAddress,
+      asset: { symbol: token.symbol, address: token.native ? null : token.address, decimals: token.decimals },
+      amount: amount.toString(),
+      amountRaw: amountRaw.toString(),
+      sponsorGas
+    };
+
+    let result;
+    try {
+      result = await client.rpc({
+        walletId,
+        caip2: chain.caip2,
+        ...request,
+        sponsor: sponsorGas,
+        headers: idempotency.headers()
+      });
+    } catch (error) {
+      recordTransaction({ ...historyRecord, status: 'failed', hash: null, error: error.message });
+      throw error;
+    }
+
+    const explorerUrl = getExplorerTxUrl(chain.caip2, result.data.hash);
+    const historyId = recordTransaction({ ...historyRecord, status: 'submitted', hash: result.data.hash, explorerUrl });
+    const sent = {
+      hash: result.data.hash,
+      caip2: result.data.caip2 || chain.caip2,
+      explorerUrl,
+      asset: {
+        symbol: token.symbol,
+        address: token.native ? null : token.address,
+        decimals: token.decimals
+      },
+      amount: amount.toString(),
+      amountRaw: amountRaw.toString(),
+      recipient: recipientAddress
+    };
+    idempotency.checkpoint(sent);
+
+    logger.info('Transfer sent', { hash: result.data.hash, explorerUrl });
+
+    const waitOptions = resolveWaitOptions(wait);
+    let receipt;
+    if (waitOptions) {
+      logger.info('Waiting for confirmation', { hash: result.data.hash });
+      receipt = await waitForTransaction({
+        chain: chain.caip2,
+        hash: result.data.hash,
+        lastValidBlockHeight,
+        ...waitOptions
+      });
+      logger.info('Transfer receipt', { status: receipt.status, revertReason: receipt.revertReason });
+      updateTransaction(historyId, receiptToHistory(receipt));
+    }
+
+    return {
+      ...sent,
+      ...(simulation && { simulation }),
+      ...(receipt && { receipt })
+    };
+  } catch (error) {
+    logger.error('Transfer failed', { error, privy: error.body });
+    throw error;
+  }
+}
+
+/**
+ * CLI usage
+ *
+ * Examples:
+ *  npm run api:transfer 0.01 ETH 0xRecipient eip155:8453
+ *  npm run api:transfer 25 USDC 0xRecipient eip155:42161 --sponsor
+ *  npm run api:transfer 0.1 SOL RecipientBase58 solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1
+ *  CAIP2=eip155:137 npm run api:transfer 1 POL 0xRecipient
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  setLogger(createLoggerFromEnv());
+  const getArg = (name) => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+  const idempotencyKey = getArg('--idempotency-key');
+  const args = process.argv.slice(2).filter((arg, index, all) => !arg.startsWith('--') && all[index - 1] !== '--idempotency-key');
+  const [amountArg, assetArg, recipientArg = getConfig().withdrawRecipient, caip2Arg = getConfig().chain] = args;
+  const sponsorFlag = process.argv.includes('--sponsor');
+  const waitFlag = process.argv.includes('--wait');
+  const simulateFlag = process.argv.includes('--simulate');
+
+  const walletId = getConfig().walletId;
+
+  if (!walletId) {
+    console.error('❌ WALLET_ID must be set in .env');
+    process.exit(1);
+  }
+
+  if (!amountArg || !assetArg || !recipientArg || !caip2Arg) {
+    console.error('Usage: npm run api:transfer <amount> <asset> [recipient] [caip2] [--sponsor] [--wait] [--simulate] [--idempotency-key <key>]');
+    console.error('\nRecipient defaults to WITHDRAW_RECIPIENT and caip2 to CAIP2 from .env');
+    console.error('\nExamples:');
+    console.error('  npm run api:transfer 0.01 ETH 0xRecipient eip155:8453');
+    console.error('  npm run api:transfer 25 USDC 0xRecipient eip155:42161 --sponsor');
+    console.error('  npm run api:transfer 0.1 SOL RecipientBase58 solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1');
+    process.exit(1);
+  }
+
+  transfer({
+    walletId,
+    caip2: caip2Arg,
+    asset: assetArg,
+    amount: amountArg,
+    recipientAddress: recipientArg,
+    sponsorGas: sponsorFlag,
+    wait: waitFlag,
+    simulate: simulateFlag,
+    idempotencyKey
+  })
+    .then((result) => {
+      printTransfer(result);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\nFailed:', error.message);
+      process.exit(1);
+    });
+}
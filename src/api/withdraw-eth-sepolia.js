@@ -1,76 +1,48 @@
-import { PrivyClient } from '@privy-io/server-auth';
-import { ethers } from 'ethers';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { transfer } from './transfer.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, setLogger } from '../lib/logger.js';
+import { printTransfer } from '../cli/format.js';
 
 /**
  * Withdraw ETH on Sepolia (eip155:11155111)
  *
+ * Kept for existing callers; this is `transfer` pinned to Sepolia and native ETH.
+ *
  * @param {Object} params
  * @param {string} params.walletId           - Privy wallet ID that holds Sepolia ETH
  * @param {string} params.recipientAddress   - Destination address (0x...)
  * @param {string|number} params.amountEth   - Amount in ETH (e.g., "0.01")
  * @param {boolean} params.sponsorGas        - Optional gas sponsorship flag
- * @returns {Promise<Object>} Transaction result { hash, caip2 }
+ * @param {boolean|Object} params.wait       - Wait for the receipt; true or { confirmations, timeoutMs, rpcUrl }
+ * @param {boolean} params.simulate          - Preflight with eth_call/eth_estimateGas and abort if it would revert
+ * @param {string} params.idempotencyKey      - Reuse on retries; a repeated call returns the original result instead of sending again
+ * @param {Object} params.client              - Privy client (default: the shared one from lib/privy-client.js)
+ * @returns {Promise<Object>} Transaction result { hash, caip2, explorerUrl, ... }
  */
 export async function withdrawSepoliaETH({
   walletId,
   recipientAddress,
   amountEth,
-  sponsorGas = false
+  sponsorGas = false,
+  wait = false,
+  simulate = false,
+  idempotencyKey,
+  client
 }) {
-  if (!walletId) throw new Error('walletId is required');
-  if (!recipientAddress) throw new Error('recipientAddress is required');
   if (!amountEth) throw new Error('amountEth is required');
 
-  if (!ethers.isAddress(recipientAddress)) {
-    throw new Error(`Invalid recipient address: ${recipientAddress}`);
-  }
-
-  const client = new PrivyClient(
-    process.env.PRIVY_APP_ID,
-    process.env.PRIVY_APP_SECRET
-  );
-
-  const amountWeiHex = ethers.toBeHex(ethers.parseEther(amountEth.toString()));
-
-  console.log('🚀 Withdrawing ETH on Sepolia...');
-  console.log('Wallet ID      :', walletId);
-  console.log('Recipient      :', recipientAddress);
-  console.log('Amount (ETH)   :', amountEth);
-  console.log('Amount (wei)   :', amountWeiHex);
-  console.log('Gas sponsorship:', sponsorGas ? 'ENABLED' : 'disabled');
-
-  try {
-    const caip2 = 'eip155:11155111'; // Sepolia testnet
-
-    const result = await client.walletApi.rpc({
-      walletId,
-      caip2,
-      method: 'eth_sendTransaction',
-      params: {
-        transaction: {
-          to: recipientAddress,
-          value: amountWeiHex
-        },
-        sponsor: sponsorGas
-      }
-    });
-
-    console.log('\n✅ Withdrawal sent!');
-    console.log('Transaction hash:', result.data.hash);
-    console.log('Chain          :', result.data.caip2);
-    console.log('Explorer       : https://sepolia.etherscan.io/tx/' + result.data.hash);
-
-    return result.data;
-  } catch (error) {
-    console.error('\n❌ Withdrawal failed');
-    if (error.response?.data) {
-      console.error('Privy response:', JSON.stringify(error.response.data, null, 2));
-    }
-    throw error;
-  }
+  return transfer({
+    walletId,
+    caip2: 'eip155:11155111', // Sepolia testnet
+    asset: 'ETH',
+    amount: amountEth,
+    recipientAddress,
+    sponsorGas,
+    wait,
+    simulate,
+    idempotencyKey,
+    client
+  });
 }
 
 /**
@@ -81,11 +53,15 @@ export async function withdrawSepoliaETH({
  *  PRIVY_WALLET_ID=xxx npm run api:withdraw-sepolia 0.05
  */
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const amountArg = process.argv[2];
-  const recipientArg = process.argv[3] || process.env.WITHDRAW_RECIPIENT;
+  setLogger(createLoggerFromEnv());
+  const positional = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const amountArg = positional[0];
+  const recipientArg = positional[1] || getConfig().withdrawRecipient;
   const sponsorFlag = process.argv.includes('--sponsor');
+  const waitFlag = process.argv.includes('--wait');
+  const simulateFlag = process.argv.includes('--simulate');
 
-  const walletId = process.env.WALLET_ID;
+  const walletId = getConfig().walletId;
 
   if (!walletId) {
     console.error('❌ WALLET_ID must be set in .env');
@@ -106,9 +82,14 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     walletId,
     recipientAddress: recipientArg,
     amountEth: amountArg,
-    sponsorGas: sponsorFlag
+    sponsorGas: sponsorFlag,
+    wait: waitFlag,
+    simulate: simulateFlag
   })
-    .then(() => process.exit(0))
+    .then((result) => {
+      printTransfer(result);
+      process.exit(0);
+    })
     .catch((error) => {
       console.error('\nFailed:', error.message);
       process.exit(1);
@@ -0,0 +1,356 @@
+import { formatUnits } from '../lib/tokens.js';
+
+/**
+ * Human-readable console rendering for API results
+ *
+ * Library functions only log through lib/logger.js; everything printed for
+ * people lives here and is used by the privy-wallet CLI and the per-file
+ * npm scripts.
+ */
+
+/**
+ * Print a raw Privy balance response (getWalletBalance)
+ */
+export function printBalances(data) {
+  console.log('\n📊 Balances:');
+  data.balances.forEach((balance, index) => {
+    console.log(`\n${index + 1}. ${balance.asset.toUpperCase()} on ${balance.chain}`);
+    console.log(`   Raw: ${balance.raw_value} (${balance.raw_value_decimals} decimals)`);
+    console.log(`   Display: ${formatUnits(balance.raw_value, balance.raw_value_decimals)} ${balance.asset.toUpperCase()}`);
+    if (balance.display_values.usd) {
+      console.log(`   USD: $${balance.display_values.usd}`);
+    }
+  });
+}
+
+/**
+ * Print one asset across chains (getBalanceByAsset)
+ */
+export function printBalanceByAsset(result) {
+  const symbol = result.asset.toUpperCase();
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(`💎 ${symbol} Holdings`);
+  console.log('═'.repeat(60));
+
+  Object.keys(result.balancesByChain).forEach(chain => {
+    const balance = result.balancesByChain[chain];
+    console.log(`\n  ${chain.padEnd(20)} ${balance.amount.toFixed(6)} ${symbol}`);
+    console.log(`  ${' '.repeat(20)} $${balance.usd.toFixed(2)}`);
+  });
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(`📊 Total ${symbol}: ${result.total.amount.toFixed(6)}`);
+  console.log(`💵 Total USD: $${result.total.usd.toFixed(2)}`);
+  console.log('═'.repeat(60));
+}
+
+/**
+ * Print an asset x chain balance matrix as a table (getBalanceMultipleChains)
+ */
+export function printMatrix(result) {
+  const { assets, chains, matrix, totalsByChain, total } = result;
+  const columnWidth = 14;
+
+  console.log('\n' + '═'.repeat(20 + (assets.length + 1) * columnWidth));
+  console.log(
+    'Chain'.padEnd(20) +
+    assets.map(asset => asset.toUpperCase().padStart(columnWidth)).join('') +
+    'USD'.padStart(columnWidth)
+  );
+  console.log('═'.repeat(20 + (assets.length + 1) * columnWidth));
+
+  chains.forEach(chain => {
+    const cells = assets.map(asset => {
+      const cell = matrix[asset][chain];
+      return (cell ? cell.amount.toFixed(6) : '-').padStart(columnWidth);
+    });
+    const usd = `$${totalsByChain[chain].usd.toFixed(2)}`.padStart(columnWidth);
+    console.log(chain.padEnd(20) + cells.join('') + usd);
+  });
+
+  console.log('═'.repeat(20 + (assets.length + 1) * columnWidth));
+  console.log(`💵 Mainnet USD: $${total.mainnetUSD.toFixed(2)}`);
+  console.log(`🧪 Testnet USD: $${total.testnetUSD.toFixed(2)}`);
+  console.log(`📊 Total USD  : $${total.usd.toFixed(2)}`);
+}
+
+/**
+ * Print a receipt from waitForTransaction
+ */
+export function printReceipt(receipt) {
+  const icon = { success: '✅', reverted: '❌', dropped: '🗑️', pending: '⏳' }[receipt.status] || '❔';
+  console.log(`${icon} Status       : ${receipt.status}`);
+  if (receipt.blockNumber !== null) {
+    console.log(`   Block        : ${receipt.blockNumber} (${receipt.confirmations} confirmations)`);
+    console.log(`   Gas used     : ${receipt.gasUsed}`);
+  }
+  if (receipt.revertReason) {
+    console.log(`   Revert reason: ${receipt.revertReason}`);
+  }
+}
+
+/**
+ * Print a successful preflight simulation
+ */
+export function printSimulation(simulation) {
+  console.log(`🧪 Simulated    : gas ${simulation.gasLimit}, fee ~${simulation.feeFormatted} ${simulation.nativeSymbol}`);
+}
+
+/**
+ * Print a transfer result
+ */
+export function printTransfer(result) {
+  console.log(`\n✅ Sent ${result.amount} ${result.asset.symbol} to ${result.recipient}`);
+  console.log('Transaction hash:', result.hash);
+  console.log('Explorer       :', result.explorerUrl);
+  if (result.simulation) {
+    printSimulation(result.simulation);
+  }
+  if (result.receipt) {
+    printReceipt(result.receipt);
+  }
+}
+
+/**
+ * Print a swap quote preview (getSwapQuote / swapTokenBebop dryRun)
+ */
+export function printQuote(result) {
+  console.log('\n🔍 Quote preview (nothing sent)');
+  console.log(`Sell        : ${result.sellAmountFormatted} ${result.sellToken.symbol}`);
+  console.log(`Buy         : ${result.buyAmountFormatted} ${result.buyToken.symbol}`);
+  if (result.minBuyAmountFormatted) {
+    console.log(`Minimum buy : ${result.minBuyAmountFormatted} ${result.buyToken.symbol}`);
+  }
+  console.log(`Price       : ${result.price} ${result.buyToken.symbol}/${result.sellToken.symbol}`);
+  console.log(`Price impact: ${result.priceImpactBps ?? 'n/a'} bps`);
+  console.log(`Gas         : ${result.gas.limit ?? 'n/a'} (~$${result.gas.feeUsd ?? 'n/a'})`);
+  console.log(`Expires     : ${result.expiresAt ?? 'n/a'}`);
+  console.log(`Route       : ${result.route.type ?? 'PMM'} via ${result.route.settlementAddress ?? 'default settlement'}`);
+}
+
+/**
+ * Print a swap result
+ */
+export function printSwap(result) {
+  const { quote } = result;
+  console.log(result.success ? '\n🎉 Swap successful!' : '\n⚠️  Swap not confirmed');
+  console.log(`Sold        : ${quote.sellAmountFormatted} ${quote.sellSymbol}`);
+  console.log(`Bought      : ${quote.buyAmountFormatted ?? 'n/a'} ${quote.buySymbol}`);
+  console.log(`Tx hash     : ${result.transactionHash ?? 'not yet known'}`);
+  if (result.approval.hash) {
+    console.log(`Approval tx : ${result.approval.hash}`);
+  }
+  if (result.order) {
+    console.log(`Bebop order : ${result.order.bebopStatus} (${result.order.quoteId})`);
+  }
+  if (result.simulation) {
+    printSimulation(result.simulation);
+  }
+  if (result.receipt) {
+    printReceipt(result.receipt);
+  }
+}
+
+/**
+ * Print a transaction status lookup (privy-wallet tx status)
+ */
+export function printTxStatus(result) {
+  printReceipt(result);
+  console.log(`   Explorer     : ${result.explorerUrl}`);
+}
+
+/**
+ * Print transaction history records (privy-wallet history list)
+ */
+export function printHistory(records) {
+  if (records.length === 0) {
+    console.log('No transactions recorded');
+    return;
+  }
+
+  records.forEach(record => {
+    const what = record.type === 'swap'
+      ? `${record.amount} ${record.asset?.symbol} → ${record.quote?.buyAmount ?? '?'} ${record.quote?.buySymbol}`
+      : record.type === 'approve'
+        ? `approve ${record.spender}`
+        : `${record.amount} ${record.asset?.symbol} → ${record.to}`;
+    console.log(
+      `${record.createdAt}  ${record.type.padEnd(8)} ${record.status.padEnd(9)} ${record.chain.padEnd(16)} ${what}`
+    );
+    if (record.hash) {
+      console.log(`${' '.repeat(26)}${record.hash}`);
+    }
+    if (record.error) {
+      console.log(`${' '.repeat(26)}error: ${record.error}`);
+    }
+  });
+}
+
+/**
+ * Print a history export: the CSV itself, or where it was written
+ */
+export function printHistoryExport(result) {
+  if (result.file) {
+    console.log(`✅ Wrote ${result.count} transactions to ${result.file}`);
+  } else {
+    process.stdout.write(result.csv);
+  }
+}
+
+/**
+ * Print a batch payout report (privy-wallet payout)
+ */
+export function printPayout(report) {
+  console.log(`\n💸 Payout batch ${report.batchId}${report.dryRun ? ' (dry run, nothing sent)' : ''}`);
+  console.log(`From        : ${report.from}`);
+  report.balances.forEach(balance => {
+    const icon = balance.sufficient ? '✅' : '⚠️ ';
+    console.log(`${icon} ${balance.total} ${balance.symbol} on ${balance.chain} (balance ${balance.balance})`);
+  });
+
+  console.log('');
+  report.rows.forEach(row => {
+    const note = row.replayed ? ' (sent in an earlier run)' : '';
+    console.log(`row ${String(row.row).padEnd(5)} ${row.status.padEnd(9)} ${row.amount} ${row.asset} → ${row.recipient}${note}`);
+    if (row.hash) {
+      console.log(`${' '.repeat(10)}${row.explorerUrl ?? row.hash}`);
+    }
+    if (row.error) {
+      console.log(`${' '.repeat(10)}error: ${row.error}`);
+    }
+  });
+
+  const { summary } = report;
+  console.log(`\n${summary.sent}/${summary.total} sent, ${summary.failed} failed, ${summary.queued} not attempted`);
+}
+
+/**
+ * Print one wallet (privy-wallet wallet get/create/update)
+ */
+export function printWallet(wallet) {
+  console.log(`\n👛 ${wallet.id}`);
+  console.log(`Address     : ${wallet.address}`);
+  console.log(`Chain type  : ${wallet.chainType}`);
+  console.log(`Owner       : ${wallet.ownerId ?? 'app (no owner)'}`);
+  if (wallet.additionalSigners.length > 0) {
+    console.log('Signers     :');
+    wallet.additionalSigners.forEach(signer => {
+      const policies = signer.overridePolicyIds.length > 0 ? ` (policies: ${signer.overridePolicyIds.join(', ')})` : '';
+      console.log(`  ${signer.signerId}${policies}`);
+    });
+  }
+  if (wallet.policyIds.length > 0) {
+    console.log(`Policies    : ${wallet.policyIds.join(', ')}`);
+  }
+  if (wallet.createdAt) {
+    console.log(`Created     : ${wallet.createdAt}`);
+  }
+}
+
+/**
+ * Print a page of wallets (privy-wallet wallet list)
+ */
+export function printWallets(result) {
+  if (result.wallets.length === 0) {
+    console.log('No wallets');
+  }
+  result.wallets.forEach(wallet => {
+    console.log(`${wallet.id.padEnd(28)} ${wallet.chainType.padEnd(9)} ${wallet.address}`);
+  });
+  if (result.nextCursor) {
+    console.log(`\nMore wallets: --cursor ${result.nextCursor}`);
+  }
+}
+
+const usd = (value) => value === null || value === undefined
+  ? '-'
+  : `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+const signedUsd = (value) => value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${usd(value)}`;
+
+/**
+ * Print the snapshots just taken (privy-wallet portfolio snapshot)
+ */
+export function printPortfolioSnapshot(result) {
+  console.log(`\n📸 Portfolio snapshot ${result.takenAt}`);
+  result.snapshots.forEach(snapshot => {
+    console.log(`\n👛 ${snapshot.walletId}`);
+    if (snapshot.holdings.length === 0) {
+      console.log('   no holdings');
+    }
+    snapshot.holdings.forEach(holding => {
+      console.log(
+        `   ${holding.asset.toUpperCase().padEnd(6)} ${holding.chain.padEnd(18)} ` +
+        `${holding.amount.toFixed(6).padStart(16)} ${usd(holding.usd).padStart(14)}`
+      );
+    });
+    console.log(`   Total ${usd(snapshot.totals.usd)}`);
+  });
+  result.errors.forEach(({ walletId, error }) => {
+    console.log(`\n⚠️  ${walletId}: ${error}`);
+  });
+  console.log(`\n💵 Total USD: ${usd(result.totalUsd)}`);
+}
+
+/**
+ * Print holdings over time, changes and swap PnL (privy-wallet portfolio report)
+ */
+export function printPortfolioReport(report) {
+  if (report.wallets.length === 0) {
+    console.log('No portfolio snapshots yet; take one with privy-wallet portfolio snapshot');
+    return;
+  }
+
+  const columnWidth = 16;
+  report.wallets.forEach(wallet => {
+    const assets = [...new Set(wallet.snapshots.flatMap(snapshot => Object.keys(snapshot.byAsset)))];
+    const width = 26 + (assets.length + 2) * columnWidth;
+
+    console.log(`\n👛 ${wallet.walletId}`);
+    console.log('═'.repeat(width));
+    console.log(
+      'Taken at'.padEnd(26) +
+      assets.map(asset => asset.toUpperCase().padStart(columnWidth)).join('') +
+      'USD'.padStart(columnWidth) +
+      'Change'.padStart(columnWidth)
+    );
+    console.log('═'.repeat(width));
+    wallet.snapshots.forEach((snapshot, index) => {
+      const amounts = assets.map(asset => (snapshot.byAsset[asset]?.amount ?? 0).toFixed(6).padStart(columnWidth));
+      const change = index > 0 ? signedUsd(wallet.changes[index - 1].changeUsd) : '';
+      console.log(snapshot.takenAt.padEnd(26) + amounts.join('') + usd(snapshot.totalUsd).padStart(columnWidth) + change.padStart(columnWidth));
+    });
+    console.log('═'.repeat(width));
+
+    if (wallet.summary) {
+      const { summary } = wallet;
+      const pct = summary.changePct !== null ? ` (${summary.changePct > 0 ? '+' : ''}${summary.changePct.toFixed(2)}%)` : '';
+      console.log(`📈 Change : ${signedUsd(summary.changeUsd)}${pct}`);
+      console.log(`   market : ${signedUsd(summary.attribution.marketUsd)}`);
+      console.log(`   swaps  : ${signedUsd(summary.attribution.swapsUsd)}`);
+      console.log(`   flows  : ${signedUsd(summary.attribution.flowsUsd)}`);
+    }
+
+    if (wallet.swaps.length > 0) {
+      console.log('\n🔄 Swaps (PnL at the latest prices / at the time of the swap)');
+      wallet.swaps.forEach(swap => {
+        console.log(
+          `${swap.createdAt}  ${swap.sell.amount} ${swap.sell.symbol} → ${swap.buy.amount} ${swap.buy.symbol}  ` +
+          `${signedUsd(swap.pnlUsd)} / ${signedUsd(swap.pnlAtSwapUsd)}`
+        );
+      });
+    }
+  });
+
+  if (report.wallets.length > 1) {
+    console.log('\n📊 All wallets');
+    report.runs.forEach(run => {
+      console.log(`${run.takenAt.padEnd(26)} ${usd(run.usd).padStart(columnWidth)}  (${run.wallets} wallets)`);
+    });
+    if (report.summary) {
+      console.log(`📈 Change : ${signedUsd(report.summary.changeUsd)} ` +
+        `(market ${signedUsd(report.summary.attribution.marketUsd)}, swaps ${signedUsd(report.summary.attribution.swapsUsd)}, ` +
+        `flows ${signedUsd(report.summary.attribution.flowsUsd)})`);
+    }
+  }
+}
@@ -0,0 +1,686 @@
+#!/usr/bin/env node
+import { realpathSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { getBalanceMultipleChains } from '../api/get-balance-multiple-chains.js';
+import { getBalanceByAsset } from '../api/get-balance-by-asset.js';
+import { transfer } from '../api/transfer.js';
+import { batchPayout } from '../api/batch-payout.js';
+import { getPortfolioReport, takePortfolioSnapshot } from '../api/portfolio.js';
+import { getSwapQuote, swapTokenBebop } from '../api/swap-token-bebop.js';
+import { MAINNET_CHAINS, SUPPORTED_ASSETS, TESTNET_CHAINS, getChain, getExplorerTxUrl } from '../lib/chains.js';
+import {
+  ConfigError,
+  IdempotencyConflictError,
+  PayoutValidationError,
+  PolicyViolationError,
+  PrivyApiError,
+  TransactionSimulationError
+} from '../lib/errors.js';
+import { getConfig, loadConfig, setConfig } from '../lib/config.js';
+import { listTransactions, receiptToHistory, toCsv, updateTransaction } from '../lib/history.js';
+import { createLoggerFromEnv, setLogger } from '../lib/logger.js';
+import { waitForTransaction } from '../lib/transactions.js';
+import { CHAIN_TYPES, createWallet, getWallet, listWallets, updateWallet } from '../lib/wallets.js';
+import {
+  printBalanceByAsset,
+  printHistory,
+  printHistoryExport,
+  printMatrix,
+  printPayout,
+  printPortfolioReport,
+  printPortfolioSnapshot,
+  printQuote,
+  printSwap,
+  printTransfer,
+  printTxStatus,
+  printWallet,
+  printWallets
+} from './format.js';
+
+/**
+ * Exit codes, stable so shell pipelines can branch on them
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,        // Unexpected error (network, RPC, bad config)
+  USAGE: 2,        // Unknown command, bad flag or missing argument
+  API: 3,          // Privy or Bebop rejected the request
+  TX_FAILED: 4,    // Transaction reverted or was dropped, or the Bebop order failed
+  TX_PENDING: 5,   // Transaction or order not confirmed before the timeout
+  POLICY: 6        // Denied by the local policy (POLICY_FILE)
+};
+
+class UsageError extends Error {}
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  wallet: { type: 'string' },
+  profile: { type: 'string' }
+};
+
+const WAIT_OPTIONS = {
+  wait: { type: 'boolean', default: false },
+  confirmations: { type: 'string' },
+  timeout: { type: 'string' }
+};
+
+const HISTORY_OPTIONS = {
+  chain: { type: 'string' },
+  type: { type: 'string' },
+  status: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  limit: { type: 'string' },
+  'all-wallets': { type: 'boolean', default: false }
+};
+
+// Commands written as two words, e.g. `tx status`
+const COMMAND_GROUPS = ['tx', 'history', 'portfolio', 'wallet'];
+
+const OWNER_OPTIONS = {
+  'owner-user-id': { type: 'string' },
+  'owner-public-key': { type: 'string' },
+  'owner-id': { type: 'string' }
+};
+
+const IDEMPOTENCY_OPTIONS = {
+  'idempotency-key': { type: 'string' }
+};
+
+const SWAP_OPTIONS = {
+  chain: { type: 'string', default: '8453' },
+  gasless: { type: 'boolean', default: false },
+  'max-slippage-bps': { type: 'string' }
+};
+
+/**
+ * Subcommands: usage line, option spec, how to run them and how to print the result
+ */
+const COMMANDS = {
+  balance: {
+    usage: 'balance [--assets eth,usdc] [--chains base,ethereum] [--testnets]',
+    description: 'Asset x chain balance matrix with USD totals',
+    options: {
+      assets: { type: 'string' },
+      chains: { type: 'string' },
+      testnets: { type: 'boolean', default: false }
+    },
+    run: ({ walletId, values }) => getBalanceMultipleChains({
+      walletId,
+      assets: splitList(values.assets),
+      chains: splitList(values.chains),
+      includeTestnets: values.testnets
+    }),
+    print: printMatrix
+  },
+
+  'balance-by-asset': {
+    usage: 'balance-by-asset <asset>',
+    description: `One asset across every chain it lives on (${SUPPORTED_ASSETS.join(', ')})`,
+    options: {},
+    run: ({ walletId, positionals: [asset] }) => {
+      requireArgs({ asset });
+      return getBalanceByAsset({ walletId, asset: asset.toLowerCase() });
+    },
+    print: printBalanceByAsset
+  },
+
+  transfer: {
+    usage: 'transfer <amount> <asset> <recipient> --chain <chain> [--sponsor] [--simulate] [--wait] [--idempotency-key K]',
+    description: 'Send a native coin or ERC-20 token',
+    options: {
+      chain: { type: 'string' },
+      sponsor: { type: 'boolean', default: false },
+      simulate: { type: 'boolean', default: false },
+      ...WAIT_OPTIONS,
+      ...IDEMPOTENCY_OPTIONS
+    },
+    run: ({ walletId, values, positionals: [amount, asset, recipient] }) => {
+      requireArgs({ amount, asset, recipient, '--chain': values.chain });
+      return transfer({
+        walletId,
+        caip2: resolveChain(values.chain).caip2,
+        asset,
+        amount,
+        recipientAddress: recipient,
+        sponsorGas: values.sponsor,
+        wait: waitOption(values),
+        simulate: values.simulate,
+        idempotencyKey: values['idempotency-key']
+      });
+    },
+    print: printTransfer,
+    exitCode: (result) => receiptExitCode(result.receipt)
+  },
+
+  payout: {
+    usage: 'payout <payouts.csv|payouts.json> [--chain <chain>] [--dry-run] [--batch-id ID] [--report file] ' +
+      '[--stop-on-error] [--skip-balance-check] [--sponsor] [--wait]',
+    description: 'Send to many recipients from a CSV/JSON file; rerun the same file to resume',
+    options: {
+      chain: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'batch-id': { type: 'string' },
+      report: { type: 'string' },
+      'stop-on-error': { type: 'boolean', default: false },
+      'skip-balance-check': { type: 'boolean', default: false },
+      sponsor: { type: 'boolean', default: false },
+      ...WAIT_OPTIONS
+    },
+    run: ({ walletId, values, positionals: [file] }) => {
+      requireArgs({ file });
+      return batchPayout({
+        walletId,
+        file,
+        chain: values.chain && resolveChain(values.chain).caip2,
+        batchId: values['batch-id'],
+        ...(values.report && { reportFile: values.report }),
+        dryRun: values['dry-run'],
+        stopOnError: values['stop-on-error'],
+        skipBalanceCheck: values['skip-balance-check'],
+        sponsorGas: values.sponsor,
+        wait: waitOption(values)
+      });
+    },
+    print: printPayout,
+    exitCode: (report) => {
+      if (report.summary.failed > 0 || report.rows.some(row => ['reverted', 'dropped'].includes(row.status))) {
+        return EXIT_CODES.TX_FAILED;
+      }
+      return report.rows.some(row => row.status === 'pending') ? EXIT_CODES.TX_PENDING : EXIT_CODES.OK;
+    }
+  },
+
+  swap: {
+    usage: 'swap <fromToken> <toToken> <amount> [--chain 8453] [--gasless] [--permit|--permit2] [--skip-approval] ' +
+      '[--exact-approval] [--simulate] [--wait] [--max-slippage-bps N] [--expected-buy X] [--min-buy X] [--max-price-impact-bps N] ' +
+      '[--idempotency-key K]',
+    description: 'Swap tokens through Bebop (--simulate can only check the swap after a needed approval is sent)',
+    options: {
+      ...SWAP_OPTIONS,
+      ...WAIT_OPTIONS,
+      ...IDEMPOTENCY_OPTIONS,
+      simulate: { type: 'boolean', default: false },
+      permit: { type: 'boolean', default: false },
+      permit2: { type: 'boolean', default: false },
+      'skip-approval': { type: 'boolean', default: false },
+      'exact-approval': { type: 'boolean', default: false },
+      'expected-buy': { type: 'string' },
+      'min-buy': { type: 'string' },
+      'max-price-impact-bps': { type: 'string' }
+    },
+    run: ({ walletId, values, positionals: [fromToken, toToken, amount] }) => {
+      requireArgs({ fromToken, toToken, amount });
+      const chainId = resolveChain(values.chain).chainId;
+      return swapTokenBebop({
+        walletId,
+        fromToken,
+        toToken,
+        amount,
+        fromChain: chainId,
+        toChain: chainId,
+        gasless: values.gasless,
+        approvalType: values.permit2 ? 'Permit2' : values.permit ? 'Permit' : 'Standard',
+        skipApproval: values['skip-approval'],
+        exactApproval: values['exact-approval'],
+        wait: waitOption(values),
+        maxSlippageBps: toInteger(values['max-slippage-bps'], '--max-slippage-bps'),
+        expectedBuyAmount: values['expected-buy'],
+        minBuyAmount: values['min-buy'],
+        maxPriceImpactBps: toInteger(values['max-price-impact-bps'], '--max-price-impact-bps'),
+        simulate: values.simulate,
+        idempotencyKey: values['idempotency-key']
+      });
+    },
+    print: printSwap,
+    exitCode: (result) => {
+      if (result.order?.status === 'pending') return EXIT_CODES.TX_PENDING;
+      return receiptExitCode(result.receipt);
+    }
+  },
+
+  quote: {
+    usage: 'quote <fromToken> <toToken> <amount> [--chain 8453] [--gasless] [--max-slippage-bps N]',
+    description: 'Preview a Bebop swap without sending anything',
+    options: SWAP_OPTIONS,
+    run: ({ walletId, values, positionals: [fromToken, toToken, amount] }) => {
+      requireArgs({ fromToken, toToken, amount });
+      return getSwapQuote({
+        walletId,
+        fromToken,
+        toToken,
+        amount,
+        fromChain: resolveChain(values.chain).chainId,
+        gasless: values.gasless,
+        maxSlippageBps: toInteger(values['max-slippage-bps'], '--max-slippage-bps')
+      });
+    },
+    print: printQuote
+  },
+
+  'tx status': {
+    usage: 'tx status <hash> --chain <chain> [--wait] [--confirmations N] [--timeout ms]',
+    description: 'Look up a transaction (pending until it has a receipt); --wait polls until it is confirmed',
+    options: {
+      chain: { type: 'string' },
+      ...WAIT_OPTIONS
+    },
+    needsWallet: false,
+    run: ({ values, positionals: [hash] }) => {
+      requireArgs({ hash, '--chain': values.chain });
+      const chain = resolveChain(values.chain);
+      return waitForTransaction({
+        chain: chain.caip2,
+        hash,
+        confirmations: toInteger(values.confirmations, '--confirmations') ?? 1,
+        // Without --wait, poll exactly once
+        timeoutMs: values.wait ? toInteger(values.timeout, '--timeout') ?? 120000 : 0
+      }).then(receipt => {
+        // Bring history records sent without --wait up to date: only a receipt is final,
+        // and only a full --wait run can tell a dropped transaction from a lagging RPC
+        const final = receipt.status === 'success' || receipt.status === 'reverted' ||
+          (receipt.status === 'dropped' && values.wait);
+        if (final) {
+          listTransactions({ chain: chain.caip2, hash })
+            .filter(record => record.status !== receipt.status)
+            .forEach(record => updateTransaction(record.id, receiptToHistory(receipt)));
+        }
+        return { ...receipt, explorerUrl: getExplorerTxUrl(chain.caip2, hash) };
+      });
+    },
+    print: printTxStatus,
+    // A single lookup that finds no receipt is an answer, not a timeout
+    exitCode: (result, values) => !values.wait && result.status === 'pending' ? EXIT_CODES.OK : receiptExitCode(result)
+  },
+
+  'history list': {
+    usage: 'history list [--chain base] [--type transfer|swap|approve|contract] [--status S] ' +
+      '[--since 2024-01-01] [--until 2024-02-01] [--limit N] [--all-wallets]',
+    description: 'Transactions sent from this machine, newest first (HISTORY_FILE)',
+    options: HISTORY_OPTIONS,
+    needsWallet: false,
+    run: ({ walletId, values }) => listTransactions(historyFilters(walletId, values)),
+    print: printHistory
+  },
+
+  'history export': {
+    usage: 'history export [--out history.csv] [same filters as history list]',
+    description: 'Export the transaction history as CSV (stdout unless --out)',
+    options: {
+      ...HISTORY_OPTIONS,
+      out: { type: 'string' }
+    },
+    needsWallet: false,
+    run: ({ walletId, values }) => {
+      const records = listTransactions(historyFilters(walletId, values));
+      const csv = toCsv(records);
+      if (values.out) {
+        writeFileSync(values.out, csv);
+        return { file: values.out, count: records.length };
+      }
+      return { csv, count: records.length };
+    },
+    print: printHistoryExport
+  },
+
+  'portfolio snapshot': {
+    usage: 'portfolio snapshot [--wallets id1,id2] [--assets eth,usdc] [--chains base,ethereum] [--testnets]',
+    description: 'Store what the wallets hold on every chain, with USD values (PORTFOLIO_FILE)',
+    options: {
+      wallets: { type: 'string' },
+      assets: { type: 'string' },
+      chains: { type: 'string' },
+      testnets: { type: 'boolean', default: false }
+    },
+    needsWallet: false,
+    run: ({ values }) => takePortfolioSnapshot({
+      walletIds: portfolioWallets(values),
+      assets: splitList(values.assets),
+      chains: splitList(values.chains),
+      includeTestnets: values.testnets
+    }),
+    print: printPortfolioSnapshot
+  },
+
+  'portfolio report': {
+    usage: 'portfolio report [--wallets id1,id2] [--since 2024-01-01] [--until 2024-02-01]',
+    description: 'Holdings over time with USD changes split into market moves, swaps and flows',
+    options: {
+      wallets: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' }
+    },
+    needsWallet: false,
+    run: ({ values }) => {
+      const { since, until } = historyFilters(undefined, values);
+      return getPortfolioReport({ walletIds: portfolioWallets(values), since, until });
+    },
+    print: printPortfolioReport
+  },
+
+  'wallet create': {
+    usage: 'wallet create [--chain-type ethereum|solana] [--owner-user-id U | --owner-public-key K | --owner-id Q] ' +
+      '[--signer ID ...] [--policy ID ...] [--idempotency-key K]',
+    description: 'Create a server wallet',
+    options: {
+      'chain-type': { type: 'string', default: 'ethereum' },
+      ...OWNER_OPTIONS,
+      signer: { type: 'string', multiple: true },
+      policy: { type: 'string', multiple: true },
+      ...IDEMPOTENCY_OPTIONS
+    },
+    needsWallet: false,
+    run: ({ values }) => {
+      if (!CHAIN_TYPES.includes(values['chain-type'])) {
+        throw new UsageError(`--chain-type must be one of ${CHAIN_TYPES.join(', ')}`);
+      }
+      return createWallet({
+        chainType: values['chain-type'],
+        ...ownerOption(values),
+        additionalSigners: values.signer?.map(signerId => ({ signerId })),
+        policyIds: values.policy,
+        idempotencyKey: values['idempotency-key']
+      });
+    },
+    print: printWallet
+  },
+
+  'wallet list': {
+    usage: 'wallet list [--chain-type ethereum|solana] [--user-id U] [--limit N] [--cursor C]',
+    description: 'List the app\'s wallets, one page at a time',
+    options: {
+      'chain-type': { type: 'string' },
+      'user-id': { type: 'string' },
+      limit: { type: 'string' },
+      cursor: { type: 'string' }
+    },
+    needsWallet: false,
+    run: ({ values }) => listWallets({
+      chainType: values['chain-type'],
+      userId: values['user-id'],
+      limit: toInteger(values.limit, '--limit'),
+      cursor: values.cursor
+    }),
+    print: printWallets
+  },
+
+  'wallet get': {
+    usage: 'wallet get [<walletId|address>]',
+    description: 'Show a wallet by ID or address (default: --wallet / WALLET_ID)',
+    options: {},
+    needsWallet: false,
+    run: ({ walletId, positionals: [idOrAddress = walletId] }) => {
+      requireArgs({ walletId: idOrAddress });
+      return getWallet(idOrAddress);
+    },
+    print: printWallet
+  },
+
+  'wallet update': {
+    usage: 'wallet update [<walletId|address>] [--owner-user-id U | --owner-public-key K | --owner-id Q | --no-owner] ' +
+      '[--add-signer ID ...] [--remove-signer ID ...] [--policy ID ...]',
+    description: 'Change a wallet\'s owner, additional signers or policies',
+    options: {
+      ...OWNER_OPTIONS,
+      'no-owner': { type: 'boolean', default: false },
+      'add-signer': { type: 'string', multiple: true },
+      'remove-signer': { type: 'string', multiple: true },
+      policy: { type: 'string', multiple: true }
+    },
+    needsWallet: false,
+    run: async ({ walletId, values, positionals: [idOrAddress = walletId] }) => {
+      requireArgs({ walletId: idOrAddress });
+      const wallet = await getWallet(idOrAddress, { refresh: true });
+
+      let additionalSigners;
+      if (values['add-signer'] || values['remove-signer']) {
+        const removed = new Set([...(values['remove-signer'] || []), ...(values['add-signer'] || [])]);
+        additionalSigners = [
+          ...wallet.additionalSigners.filter(signer => !removed.has(signer.signerId)),
+          ...(values['add-signer'] || []).map(signerId => ({ signerId }))
+        ];
+      }
+
+      return updateWallet({
+        walletId: wallet.id,
+        ...(values['no-owner'] ? { owner: null } : ownerOption(values)),
+        additionalSigners,
+        policyIds: values.policy
+      });
+    },
+    print: printWallet
+  }
+};
+
+function splitList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function requireArgs(args) {
+  const missing = Object.keys(args).filter(name => !args[name]);
+  if (missing.length > 0) {
+    throw new UsageError(`Missing ${missing.join(', ')}`);
+  }
+}
+
+function toInteger(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`${name} must be a non-negative integer, got ${value}`);
+  }
+  return number;
+}
+
+function resolveChain(chain) {
+  try {
+    return getChain(/^\d+$/.test(chain) ? Number(chain) : chain);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function waitOption(values) {
+  if (!values.wait) return false;
+  return {
+    confirmations: toInteger(values.confirmations, '--confirmations') ?? 1,
+    ...(values.timeout !== undefined && { timeoutMs: toInteger(values.timeout, '--timeout') })
+  };
+}
+
+function historyFilters(walletId, values) {
+  for (const name of ['since', 'until']) {
+    if (values[name] !== undefined && Number.isNaN(Date.parse(values[name]))) {
+      throw new UsageError(`--${name} must be a date, got ${values[name]}`);
+    }
+  }
+  return {
+    walletId: values['all-wallets'] ? undefined : walletId,
+    chain: values.chain && resolveChain(values.chain).caip2,
+    type: values.type,
+    status: values.status,
+    since: values.since,
+    until: values.until,
+    limit: toInteger(values.limit, '--limit')
+  };
+}
+
+// --wallets, else --wallet; unset lets the portfolio fall back to PORTFOLIO_WALLETS
+function portfolioWallets(values) {
+  return splitList(values.wallets) ?? (values.wallet ? [values.wallet] : undefined);
+}
+
+function ownerOption(values) {
+  const given = ['owner-user-id', 'owner-public-key', 'owner-id'].filter(name => values[name]);
+  if (given.length > 1) {
+    throw new UsageError(`Pass only one of --${given.join(', --')}`);
+  }
+  if (values['owner-user-id']) return { owner: { userId: values['owner-user-id'] } };
+  if (values['owner-public-key']) return { owner: { publicKey: values['owner-public-key'] } };
+  if (values['owner-id']) return { ownerId: values['owner-id'] };
+  return {};
+}
+
+function receiptExitCode(receipt) {
+  if (!receipt || receipt.status === 'success') return EXIT_CODES.OK;
+  return receipt.status === 'pending' ? EXIT_CODES.TX_PENDING : EXIT_CODES.TX_FAILED;
+}
+
+function errorExitCode(error) {
+  if (error instanceof UsageError || error instanceof IdempotencyConflictError || error instanceof PayoutValidationError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof PolicyViolationError) return EXIT_CODES.POLICY;
+  if (error.order || error instanceof TransactionSimulationError) return EXIT_CODES.TX_FAILED;
+  if (error instanceof PrivyApiError || error.response) return EXIT_CODES.API;
+  return EXIT_CODES.ERROR;
+}
+
+function printHelp(name) {
+  if (name) {
+    const command = COMMANDS[name];
+    console.log(`Usage: privy-wallet ${command.usage} [--json] [--wallet <id>]\n`);
+    console.log(command.description);
+    return;
+  }
+
+  console.log('Usage: privy-wallet <command> [options] [--json] [--wallet <id>]\n');
+  console.log('Commands:');
+  Object.entries(COMMANDS).forEach(([commandName, command]) => {
+    console.log(`  ${commandName.padEnd(18)} ${command.description}`);
+  });
+  console.log('\nGlobal options:');
+  console.log('  --json             Print only the JSON result on stdout (warnings go to stderr as JSON lines)');
+  console.log('  --wallet <id>      Wallet ID (default: WALLET_ID from .env)');
+  console.log('  --profile <name>   Settings profile from privy.config.json (default: PRIVY_PROFILE), e.g. sepolia-dev');
+  console.log('  --help, -h         Help for a command, e.g. privy-wallet swap --help');
+  console.log('\nLogging: LOG_LEVEL (debug, info, warn, error, silent) and LOG_FORMAT (pretty, json)');
+  console.log('\nChains: chain ID, CAIP-2 ID or name');
+  console.log(`  ${MAINNET_CHAINS.join(', ')}`);
+  console.log(`  ${TESTNET_CHAINS.join(', ')}`);
+  console.log('\nExit codes:');
+  console.log('  0  Success');
+  console.log('  1  Unexpected error (network, RPC, configuration)');
+  console.log('  2  Usage error (unknown command, bad flag, missing argument, idempotency key reused, invalid payout file)');
+  console.log('  3  Privy or Bebop API error');
+  console.log('  4  Transaction reverted, dropped or failed --simulate, or Bebop order failed');
+  console.log('  5  Transaction or order still pending when the timeout ran out');
+  console.log('  6  Denied by the local policy (POLICY_FILE)');
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+export async function main(argv) {
+  const json = argv.includes('--json');
+
+  const name = COMMAND_GROUPS.includes(argv[0]) ? `${argv[0]} ${argv[1] ?? ''}`.trim() : argv[0];
+  const command = COMMANDS[name];
+
+  try {
+    if (!name || name.startsWith('-')) {
+      printHelp();
+      return argv.includes('--help') || argv.includes('-h') ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    if (!command) {
+      throw new UsageError(`Unknown command: ${name}`);
+    }
+
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv.slice(name.split(' ').length),
+        options: { ...GLOBAL_OPTIONS, ...command.options },
+        allowPositionals: true,
+        strict: true
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    if (parsed.values.help) {
+      printHelp(name);
+      return EXIT_CODES.OK;
+    }
+
+    if (parsed.values.profile) {
+      setConfig(loadConfig({ profile: parsed.values.profile }));
+    }
+    const config = getConfig();
+
+    // Progress goes to stderr through the logger, so stdout only carries the result
+    setLogger(json
+      ? createLoggerFromEnv({ level: 'warn', format: 'json' })
+      : createLoggerFromEnv({ level: 'info' }));
+
+    const walletId = parsed.values.wallet || config.walletId;
+    if (command.needsWallet !== false && !walletId) {
+      throw new UsageError('No wallet: pass --wallet or set WALLET_ID in .env');
+    }
+
+    // --chain defaults to CAIP2 from the config
+    const values = command.options?.chain && config.chain
+      ? { chain: config.chain, ...parsed.values }
+      : parsed.values;
+    const result = await command.run({ walletId, values, positionals: parsed.positionals });
+
+    if (json) {
+      console.log(JSON.stringify(result, (_, value) => typeof value === 'bigint' ? value.toString() : value, 2));
+    } else {
+      command.print(result);
+    }
+
+    return command.exitCode ? command.exitCode(result, values) : EXIT_CODES.OK;
+  } catch (error) {
+    const code = errorExitCode(error);
+
+    if (json) {
+      console.log(JSON.stringify({
+        error: error.message,
+        exitCode: code,
+        ...(error.status && { status: error.status }),
+        ...(error.body && { privy: error.body }),
+        ...(error.response?.data && { response: error.response.data }),
+        ...(error.simulation && { simulation: error.simulation }),
+        ...(error.record && { policy: error.record }),
+        ...(error instanceof PayoutValidationError && { rows: error.errors }),
+        ...(error instanceof ConfigError && error.errors.length > 0 && { settings: error.errors })
+      }, null, 2));
+    } else {
+      console.error(`❌ ${error.message}`);
+      if (code === EXIT_CODES.USAGE && command) {
+        console.error(`Usage: privy-wallet ${command.usage}`);
+      } else if (code === EXIT_CODES.USAGE) {
+        console.error('Run privy-wallet --help for the list of commands');
+      }
+    }
+
+    return code;
+  }
+}
+
+/**
+ * CLI usage
+ *
+ * Examples:
+ *   npm run cli -- balance --assets eth,usdc --chains base
+ *   npm run cli -- transfer 0.01 ETH 0xRecipient --chain base --wait
+ *   npm run cli -- transfer 5 USDC RecipientBase58 --chain solana --simulate --wait
+ *   npm run cli -- payout payouts.csv --chain sepolia --dry-run
+ *   npm run cli -- quote 0x4200000000000000000000000000000000000006 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913 1 --json
+ *   npm run cli -- tx status 0xHash --chain base --wait
+ *   npm run cli -- history list --type swap --since 2024-06-01
+ *   npm run cli -- history export --out history.csv
+ *   npm run cli -- portfolio snapshot --wallets treasury-1,treasury-2
+ *   npm run cli -- portfolio report --since 2024-06-01
+ *   npm run cli -- wallet create --chain-type solana --owner-user-id did:privy:abc
+ *   npm run cli -- wallet get 0xWalletAddress
+ */
+// Resolve symlinks so this also runs when installed as the privy-wallet bin
+if (process.argv[1] && import.meta.url === `file://${realpathSync(process.argv[1])}`) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
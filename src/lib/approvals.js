@@ -0,0 +1,321 @@
+import { ethers } from 'ethers';
+import { getChain, getProvider } from './chains.js';
+import { preflightTransaction, waitForTransaction } from './transactions.js';
+import { getLogger } from './logger.js';
+import { enforcePolicy } from './policy.js';
+import { receiptToHistory, recordTransaction, updateTransaction } from './history.js';
+import { IDEMPOTENCY_HEADER } from './idempotency.js';
+
+/**
+ * Bebop PMM settlement contract (same address on every supported chain)
+ */
+export const BEBOP_SETTLEMENT = '0xbbbbbBB520d69a9775E85b458C58c648259FAD5F';
+
+/**
+ * Uniswap Permit2 contract (same address on every supported chain)
+ */
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+export const APPROVAL_TYPES = ['Standard', 'Permit', 'Permit2'];
+
+const ERC20_APPROVAL_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function nonces(address owner) view returns (uint256)',
+  'function name() view returns (string)',
+  'function version() view returns (string)'
+];
+
+const PERMIT2_ABI = [
+  'function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)'
+];
+
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT48 = (1n << 48n) - 1n;
+
+/**
+ * Read the current ERC-20 allowance
+ *
+ * @param {number|string} chain - Chain identifier
+ * @param {string} tokenAddress - ERC-20 address
+ * @param {string} owner - Token owner
+ * @param {string} spender - Approved spender
+ * @returns {Promise<bigint>} Current allowance in base units
+ */
+export async function getAllowance(chain, tokenAddress, owner, spender) {
+  const token = new ethers.Contract(tokenAddress, ERC20_APPROVAL_ABI, getProvider(chain));
+  return token.allowance(owner, spender);
+}
+
+/**
+ * Make sure `spender` may pull at least `amount` of the token, sending an
+ * approve transaction through Privy only when the allowance is too low
+ *
+ * @param {Object} params
+ * @param {Object} params.client - Privy REST client
+ * @param {string} params.walletId - Privy wallet ID
+ * @param {string} params.walletAddress - Token owner address
+ * @param {number|string} params.chain - Chain identifier
+ * @param {string} params.tokenAddress - ERC-20 address
+ * @param {bigint} params.amount - Required allowance in base units
+ * @param {string} params.spender - Spender to approve (default: Bebop settlement)
+ * @param {boolean} params.exact - Approve exactly `amount` instead of MaxUint256 (default: false)
+ * @param {number} params.timeoutMs - How long to wait for the approval receipt (default: 120000)
+ * @param {boolean} params.simulate - Preflight the approve call and abort if it would revert (default: false)
+ * @param {string} params.idempotencyKey - Sent as the Privy idempotency header of the approve transaction
+ * @returns {Promise<Object>} { approved, hash, allowance }
+ */
+export async function ensureTokenApproval({
+  client,
+  walletId,
+  walletAddress,
+  chain,
+  tokenAddress,
+  amount,
+  spender = BEBOP_SETTLEMENT,
+  exact = false,
+  timeoutMs = 120000,
+  simulate = false,
+  idempotencyKey
+}) {
+  const { caip2, chainId } = getChain(chain);
+  const currentAllowance = await getAllowance(chainId, tokenAddress, walletAddress, spender);
+  const logger = getLogger({ module: 'approvals' });
+
+  logger.debug('Allowance', { token: tokenAddress, spender, current: currentAllowance, required: amount });
+
+  if (currentAllowance >= amount) {
+    logger.info('Allowance is sufficient, no approval needed', { token: tokenAddress, spender });
+    return { approved: false, hash: null, allowance: currentAllowance };
+  }
+
+  const approveAmount = exact ? amount : ethers.MaxUint256;
+  logger.info('Approving token', {
+    token: tokenAddress,
+    spender,
+    amount: exact ? approveAmount : 'unlimited (MaxUint256)'
+  });
+
+  const data = new ethers.Interface(ERC20_APPROVAL_ABI).encodeFunctionData('approve', [
+    spender,
+    approveAmount
+  ]);
+
+  const transaction = {
+    to: tokenAddress,
+    data,
+    value: '0x0'
+  };
+
+  await enforcePolicy({ walletId, chain: chainId, transaction, kind: 'approve', client });
+
+  if (simulate) {
+    await preflightTransaction({ chain: chainId, from: walletAddress, transaction });
+  }
+
+  const historyRecord = {
+    walletId,
+    chain: caip2,
+    type: 'approve',
+    from: walletAddress,
+    to: tokenAddress,
+    spender,
+    amountRaw: approveAmount.toString()
+  };
+
+  let result;
+  try {
+    result = await client.rpc({
+      walletId,
+      caip2,
+      method: 'eth_sendTransaction',
+      params: { transaction },
+      ...(idempotencyKey && { headers: { [IDEMPOTENCY_HEADER]: idempotencyKey } })
+    });
+  } catch (error) {
+    recordTransaction({ ...historyRecord, status: 'failed', hash: null, error: error.message });
+    throw error;
+  }
+
+  const hash = result.data.hash;
+  const historyId = recordTransaction({ ...historyRecord, status: 'submitted', hash });
+  logger.info('Approval sent, waiting for receipt', { hash });
+
+  const receipt = await waitForTransaction({ chain: chainId, hash, timeoutMs });
+  updateTransaction(historyId, receiptToHistory(receipt));
+  if (receipt.status === 'reverted') {
+    throw new Error(`Approval transaction ${hash} reverted: ${receipt.revertReason || 'no reason'}`);
+  }
+  if (receipt.status !== 'success') {
+    throw new Error(`Approval transaction ${hash} not confirmed within ${timeoutMs}ms (${receipt.status})`);
+  }
+
+  logger.info('Approval confirmed', { hash, blockNumber: receipt.blockNumber });
+  return { approved: true, hash, allowance: approveAmount };
+}
+
+/**
+ * Sign EIP-712 typed data with the Privy wallet
+ *
+ * @param {Object} client - Privy REST client
+ * @param {string} walletId - Privy wallet ID
+ * @param {Object} typedData - { domain, types, primary_type, message }; bigints are sent as strings
+ * @returns {Promise<string>} Signature
+ */
+export async function signTypedData(client, walletId, typedData) {
+  const result = await client.rpc({
+    walletId,
+    method: 'eth_signTypedData_v4',
+    params: {
+      typed_data: JSON.parse(JSON.stringify(typedData, (_, value) =>
+        typeof value === 'bigint' ? value.toString() : value
+      ))
+    }
+  });
+
+  return result.data.signature;
+}
+
+/**
+ * Sign an EIP-2612 `permit` for every token Bebop asks a signature for
+ *
+ * @param {Object} params
+ * @param {Object} params.client - Privy REST client
+ * @param {string} params.walletId - Privy wallet ID
+ * @param {string} params.walletAddress - Token owner address
+ * @param {number|string} params.chain - Chain identifier
+ * @param {string[]} params.tokenAddresses - Tokens to permit (Bebop's `requiredSignatures`)
+ * @param {Object<string, bigint>} params.amounts - Amount to permit per token address
+ * @param {string} params.spender - Spender (Bebop settlement)
+ * @param {number} params.deadline - Unix seconds the permits stay valid until
+ * @returns {Promise<Object>} { signatures, approvals_deadline, token_addresses, token_nonces }
+ */
+export async function signEip2612Permits({
+  client,
+  walletId,
+  walletAddress,
+  chain,
+  tokenAddresses,
+  amounts,
+  spender = BEBOP_SETTLEMENT,
+  deadline
+}) {
+  const { chainId } = getChain(chain);
+  const provider = getProvider(chainId);
+
+  const signatures = [];
+  const nonces = [];
+
+  for (const tokenAddress of tokenAddresses) {
+    const token = new ethers.Contract(tokenAddress, ERC20_APPROVAL_ABI, provider);
+    const [name, version, nonce] = await Promise.all([
+      token.name(),
+      token.version().catch(() => '1'),
+      token.nonces(walletAddress)
+    ]);
+
+    const signature = await signTypedData(client, walletId, {
+      domain: { name, version, chainId, verifyingContract: tokenAddress },
+      types: {
+        Permit: [
+          { name: 'owner', type: 'address' },
+          { name: 'spender', type: 'address' },
+          { name: 'value', type: 'uint256' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' }
+        ]
+      },
+      primary_type: 'Permit',
+      message: {
+        owner: walletAddress,
+        spender,
+        value: amounts[tokenAddress.toLowerCase()],
+        nonce,
+        deadline
+      }
+    });
+
+    signatures.push(signature);
+    nonces.push(Number(nonce));
+  }
+
+  return {
+    signatures,
+    approvals_deadline: deadline,
+    token_addresses: tokenAddresses,
+    token_nonces: nonces
+  };
+}
+
+/**
+ * Sign a Permit2 `PermitBatch` allowance for every token Bebop asks a signature for
+ *
+ * The wallet must already have approved the Permit2 contract itself
+ * (see ensureTokenApproval with spender PERMIT2_ADDRESS).
+ *
+ * @param {Object} params
+ * @param {Object} params.client - Privy REST client
+ * @param {string} params.walletId - Privy wallet ID
+ * @param {string} params.walletAddress - Token owner address
+ * @param {number|string} params.chain - Chain identifier
+ * @param {string[]} params.tokenAddresses - Tokens to permit (Bebop's `requiredSignatures`)
+ * @param {Object<string, bigint>} params.amounts - Amount to permit per token address
+ * @param {boolean} params.exact - Permit exactly the amounts instead of max uint160
+ * @param {string} params.spender - Spender (Bebop settlement)
+ * @param {number} params.deadline - Unix seconds the signature and allowances stay valid until
+ * @returns {Promise<Object>} { signature, approvals_deadline, token_addresses, token_nonces }
+ */
+export async function signPermit2({
+  client,
+  walletId,
+  walletAddress,
+  chain,
+  tokenAddresses,
+  amounts,
+  exact = false,
+  spender = BEBOP_SETTLEMENT,
+  deadline
+}) {
+  const { chainId } = getChain(chain);
+  const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, getProvider(chainId));
+
+  const nonces = await Promise.all(
+    tokenAddresses.map(async (tokenAddress) => {
+      const { nonce } = await permit2.allowance(walletAddress, tokenAddress, spender);
+      return nonce;
+    })
+  );
+
+  const details = tokenAddresses.map((tokenAddress, i) => ({
+    token: tokenAddress,
+    amount: exact ? amounts[tokenAddress.toLowerCase()] : MAX_UINT160,
+    expiration: BigInt(deadline) > MAX_UINT48 ? MAX_UINT48 : BigInt(deadline),
+    nonce: nonces[i]
+  }));
+
+  const signature = await signTypedData(client, walletId, {
+    domain: { name: 'Permit2', chainId, verifyingContract: PERMIT2_ADDRESS },
+    types: {
+      PermitBatch: [
+        { name: 'details', type: 'PermitDetails[]' },
+        { name: 'spender', type: 'address' },
+        { name: 'sigDeadline', type: 'uint256' }
+      ],
+      PermitDetails: [
+        { name: 'token', type: 'address' },
+        { name: 'amount', type: 'uint160' },
+        { name: 'expiration', type: 'uint48' },
+        { name: 'nonce', type: 'uint48' }
+      ]
+    },
+    primary_type: 'PermitBatch',
+    message: { details, spender, sigDeadline: deadline }
+  });
+
+  return {
+    signature,
+    approvals_deadline: deadline,
+    token_addresses: tokenAddresses,
+    token_nonces: nonces.map(Number)
+  };
+}
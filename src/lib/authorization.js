@@ -0,0 +1,153 @@
+import fs from 'node:fs';
+import { createPrivateKey, createPublicKey, sign } from 'node:crypto';
+import { getConfig } from './config.js';
+
+/**
+ * Authorization signatures for owner-protected wallets
+ * Based on: https://docs.privy.io/controls/authorization-keys/using-owners/sign/direct-implementation
+ *
+ * Wallets with an owner (or a signer quorum) only accept RPC and update
+ * requests that carry a `privy-authorization-signature` header: a P-256
+ * ECDSA signature over the canonical JSON of { version, method, url, body,
+ * headers }. With several keys (a quorum) the signatures are joined by commas.
+ *
+ * Keys come from PRIVY_AUTHORIZATION_KEY (comma separated) and/or
+ * PRIVY_AUTHORIZATION_KEY_FILE (one key per line), in the "wallet-auth:..."
+ * format the Privy dashboard exports. Keys kept elsewhere (KMS, HSM) plug in
+ * with setAuthorizationSigners and any object with an async sign(payload).
+ */
+
+export const AUTHORIZATION_KEY_PREFIX = 'wallet-auth:';
+
+export const AUTHORIZATION_SIGNATURE_HEADER = 'privy-authorization-signature';
+
+let configuredSigners;
+
+/**
+ * Canonical JSON (RFC 8785 for the values Privy requests contain): object
+ * keys sorted, no whitespace, undefined fields dropped
+ *
+ * @param {*} value - JSON-like value
+ * @returns {string}
+ */
+export function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  const fields = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${fields.join(',')}}`;
+}
+
+/**
+ * Bytes that are signed for one request
+ *
+ * @param {Object} params
+ * @param {string} params.method - HTTP method
+ * @param {string} params.url - Full request URL
+ * @param {Object} params.body - JSON body
+ * @param {string} params.appId - Privy app ID
+ * @param {string} params.idempotencyKey - privy-idempotency-key header, if the request has one
+ * @returns {Buffer}
+ */
+export function formatAuthorizationPayload({ method, url, body, appId, idempotencyKey }) {
+  return Buffer.from(canonicalize({
+    version: 1,
+    method,
+    url,
+    body,
+    headers: {
+      'privy-app-id': appId,
+      ...(idempotencyKey && { 'privy-idempotency-key': idempotencyKey })
+    }
+  }));
+}
+
+/**
+ * Signer for one authorization private key
+ *
+ * @param {string} privateKey - "wallet-auth:<base64 PKCS#8>" (the prefix is optional)
+ * @returns {Object} { publicKey, sign(payload) => Promise<string> } with base64 DER signatures
+ */
+export function createKeySigner(privateKey) {
+  let key;
+  try {
+    key = createPrivateKey({
+      key: Buffer.from(privateKey.trim().replace(AUTHORIZATION_KEY_PREFIX, ''), 'base64'),
+      format: 'der',
+      type: 'pkcs8'
+    });
+  } catch {
+    throw new Error(`Invalid authorization private key: expected ${AUTHORIZATION_KEY_PREFIX}<base64 PKCS#8 P-256 key>`);
+  }
+  if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+    throw new Error('Invalid authorization private key: must be a P-256 key');
+  }
+
+  return {
+    // Base64 DER SPKI, the form Privy expects when the key is registered as an owner
+    publicKey: createPublicKey(key).export({ format: 'der', type: 'spki' }).toString('base64'),
+    sign: async (payload) => sign('sha256', payload, key).toString('base64')
+  };
+}
+
+/**
+ * Read authorization keys from PRIVY_AUTHORIZATION_KEY and PRIVY_AUTHORIZATION_KEY_FILE
+ *
+ * @param {Object} config - Config from lib/config.js (default: the shared one)
+ * @returns {string[]} Private keys, possibly empty
+ */
+export function loadAuthorizationKeys(config = getConfig()) {
+  const { authorizationKeys, authorizationKeyFile } = config.privy;
+  const fromFile = authorizationKeyFile
+    ? fs.readFileSync(authorizationKeyFile, 'utf8').split('\n')
+    : [];
+
+  return [...authorizationKeys, ...fromFile]
+    .map(key => key.trim())
+    .filter(key => key && !key.startsWith('#'));
+}
+
+/**
+ * Signers used for every signed request; loaded from the environment once
+ *
+ * @returns {Object[]} Signers, empty when no key is configured
+ */
+export function getAuthorizationSigners() {
+  if (configuredSigners === undefined) {
+    configuredSigners = loadAuthorizationKeys().map(createKeySigner);
+  }
+  return configuredSigners;
+}
+
+/**
+ * Replace the configured signers, e.g. with a KMS-backed signer
+ *
+ * @param {Array<Object|string>} signers - Private keys or objects with an async sign(payload) returning base64; [] turns signing off
+ */
+export function setAuthorizationSigners(signers) {
+  configuredSigners = signers === undefined
+    ? undefined
+    : signers.map(signer => typeof signer === 'string' ? createKeySigner(signer) : signer);
+}
+
+/**
+ * Value of the privy-authorization-signature header for a request
+ *
+ * @param {Object} params - Same as formatAuthorizationPayload, plus:
+ * @param {Object[]} params.signers - Signers to use (default: getAuthorizationSigners())
+ * @returns {Promise<string|undefined>} Comma-separated signatures, or undefined without signers
+ */
+export async function createAuthorizationSignature({ signers = getAuthorizationSigners(), ...request }) {
+  if (signers.length === 0) return undefined;
+
+  const payload = formatAuthorizationPayload(request);
+  const signatures = await Promise.all(signers.map(signer => signer.sign(payload)));
+  return signatures.join(',');
+}
@@ -0,0 +1,180 @@
+import axios from 'axios';
+import { getBebopChainName, getChain } from './chains.js';
+import { BEBOP_SETTLEMENT, signTypedData } from './approvals.js';
+import { getConfig } from './config.js';
+
+export const BEBOP_PMM_API_URL = 'https://api.bebop.xyz/pmm';
+
+/**
+ * Base URL of the Bebop PMM API, overridable with BEBOP_API_URL (e.g. a local mock)
+ *
+ * @returns {string} URL without a trailing slash
+ */
+export function getBebopApiUrl() {
+  return (getConfig().bebop.apiUrl || BEBOP_PMM_API_URL).replace(/\/+$/, '');
+}
+
+/**
+ * EIP-712 types of the orders the Bebop settlement contract accepts,
+ * keyed by the quote's `onchainOrderType`
+ */
+export const BEBOP_ORDER_TYPES = {
+  SingleOrder: [
+    { name: 'partner_id', type: 'uint64' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'taker_address', type: 'address' },
+    { name: 'maker_address', type: 'address' },
+    { name: 'maker_nonce', type: 'uint256' },
+    { name: 'taker_token', type: 'address' },
+    { name: 'maker_token', type: 'address' },
+    { name: 'taker_amount', type: 'uint256' },
+    { name: 'maker_amount', type: 'uint256' },
+    { name: 'receiver', type: 'address' },
+    { name: 'packed_commands', type: 'uint256' }
+  ],
+  MultiOrder: [
+    { name: 'partner_id', type: 'uint64' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'taker_address', type: 'address' },
+    { name: 'maker_address', type: 'address' },
+    { name: 'maker_nonce', type: 'uint256' },
+    { name: 'taker_tokens', type: 'address[]' },
+    { name: 'maker_tokens', type: 'address[]' },
+    { name: 'taker_amounts', type: 'uint256[]' },
+    { name: 'maker_amounts', type: 'uint256[]' },
+    { name: 'receiver', type: 'address' },
+    { name: 'commands', type: 'bytes' }
+  ],
+  AggregateOrder: [
+    { name: 'partner_id', type: 'uint64' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'taker_address', type: 'address' },
+    { name: 'maker_addresses', type: 'address[]' },
+    { name: 'maker_nonces', type: 'uint256[]' },
+    { name: 'taker_tokens', type: 'address[][]' },
+    { name: 'maker_tokens', type: 'address[][]' },
+    { name: 'taker_amounts', type: 'uint256[][]' },
+    { name: 'maker_amounts', type: 'uint256[][]' },
+    { name: 'receiver', type: 'address' },
+    { name: 'commands', type: 'bytes' }
+  ]
+};
+
+const SETTLED_STATUSES = ['Settled', 'Confirmed'];
+const FAILED_STATUSES = ['Failed', 'Expired', 'Rejected'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sign the order of a gasless Bebop quote with the Privy wallet
+ *
+ * @param {Object} params
+ * @param {Object} params.client - Privy REST client
+ * @param {string} params.walletId - Privy wallet ID
+ * @param {number|string} params.chain - Chain identifier
+ * @param {Object} params.quote - Raw Bebop quote response (needs `toSign` and `onchainOrderType`)
+ * @returns {Promise<string>} Order signature
+ */
+export async function signBebopOrder({ client, walletId, chain, quote }) {
+  const orderType = quote.onchainOrderType;
+  const types = BEBOP_ORDER_TYPES[orderType];
+
+  if (!quote.toSign) {
+    throw new Error('Bebop quote has no order to sign; request it with gasless: true');
+  }
+  if (!types) {
+    throw new Error(`Unsupported Bebop order type: ${orderType}`);
+  }
+
+  const { chainId } = getChain(chain);
+
+  return signTypedData(client, walletId, {
+    domain: {
+      name: 'BebopSettlement',
+      version: '2',
+      chainId,
+      verifyingContract: quote.settlementAddress || BEBOP_SETTLEMENT
+    },
+    types: { [orderType]: types },
+    primary_type: orderType,
+    message: quote.toSign
+  });
+}
+
+/**
+ * Request options carrying the partner key, if there is one
+ *
+ * @param {string} authKey - Bebop partner key (BEBOP_AUTH_KEY)
+ * @returns {Object} { headers } for axios, or {} without a key
+ */
+export function authHeaders(authKey) {
+  return authKey ? { headers: { 'source-auth': authKey } } : {};
+}
+
+/**
+ * Submit a signed gasless order; Bebop's relayer pays the gas
+ *
+ * @param {Object} params
+ * @param {number|string} params.chain - Chain identifier
+ * @param {string} params.quoteId - Quote the signature belongs to
+ * @param {string} params.signature - Order signature (see signBebopOrder)
+ * @param {string} params.approvalType - 'Standard', 'Permit' or 'Permit2'
+ * @param {Object} params.permit - Signed approval from signEip2612Permits / signPermit2
+ * @param {string} params.authKey - Bebop partner key, sent as the source-auth header (optional)
+ * @returns {Promise<Object>} Bebop's response, e.g. { status, txHash, expiry }
+ */
+export async function submitBebopOrder({ chain, quoteId, signature, approvalType = 'Standard', permit, authKey }) {
+  const url = `${getBebopApiUrl()}/${getBebopChainName(chain)}/v3/order`;
+
+  const body = {
+    signature,
+    quote_id: quoteId,
+    sign_scheme: 'EIP712',
+    ...(permit && approvalType === 'Permit2' && { permit2: permit }),
+    ...(permit && approvalType === 'Permit' && { permit })
+  };
+
+  const response = await axios.post(url, body, authHeaders(authKey));
+  if (response.data.error) {
+    const { errorCode, message } = response.data.error;
+    throw new Error(`Bebop order error${errorCode ? ` ${errorCode}` : ''}: ${message || JSON.stringify(response.data.error)}`);
+  }
+
+  return response.data;
+}
+
+/**
+ * Poll Bebop until a submitted order settles, fails, or the timeout runs out
+ *
+ * @param {Object} params
+ * @param {number|string} params.chain - Chain identifier
+ * @param {string} params.quoteId - Quote ID of the submitted order
+ * @param {number} params.timeoutMs - Give up after this long (default: 120000)
+ * @param {number} params.pollIntervalMs - Delay between polls (default: 2000)
+ * @param {string} params.authKey - Bebop partner key, sent as the source-auth header (optional)
+ * @returns {Promise<Object>} { quoteId, status, bebopStatus, txHash }
+ *   where status is 'settled', 'failed' or 'pending' (timed out)
+ */
+export async function waitForBebopOrder({ chain, quoteId, timeoutMs = 120000, pollIntervalMs = 2000, authKey }) {
+  const url = `${getBebopApiUrl()}/${getBebopChainName(chain)}/v3/order-status`;
+  const deadline = Date.now() + timeoutMs;
+  let last = {};
+
+  while (true) {
+    const response = await axios.get(url, { params: { quote_id: quoteId }, ...authHeaders(authKey) });
+    last = response.data;
+
+    if (SETTLED_STATUSES.includes(last.status)) {
+      return { quoteId, status: 'settled', bebopStatus: last.status, txHash: last.txHash || null };
+    }
+    if (FAILED_STATUSES.includes(last.status)) {
+      return { quoteId, status: 'failed', bebopStatus: last.status, txHash: last.txHash || null };
+    }
+
+    if (Date.now() >= deadline) {
+      return { quoteId, status: 'pending', bebopStatus: last.status || null, txHash: last.txHash || null };
+    }
+
+    await sleep(Math.min(pollIntervalMs, Math.max(0, deadline - Date.now())));
+  }
+}
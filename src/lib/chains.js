@@ -0,0 +1,450 @@
+import { ethers } from 'ethers';
+import { getConfig } from './config.js';
+
+/**
+ * Chain registry
+ *
+ * The single place chains are defined. Every module looks chains up here,
+ * so adding a chain is one new entry.
+ *
+ * Fields:
+ *   caip2        - CAIP-2 ID (eip155:8453, solana:...)
+ *   chainId      - Numeric EVM chain ID (null for non-EVM)
+ *   privy        - Privy chain slug used by the balance API
+ *   bebop        - Bebop API chain slug (null if Bebop does not trade there)
+ *   nativeSymbol - Native coin symbol
+ *   nativeDecimals - Decimals of the native coin (default 18; 9 for SOL)
+ *   rpcUrls      - Default RPC URLs; override with RPC_URL_<PRIVY SLUG> (comma separated)
+ *   explorerUrl  - Block explorer base URL
+ *   explorerQuery- Query string appended to explorer links (e.g. ?cluster=devnet)
+ *   testnet      - Whether this is a testnet
+ *   assets       - Privy balance assets held on this chain
+ *   tokens       - Well-known ERC-20 symbols (SPL on Solana) mapped to their contract/mint address
+ *
+ * getChain() also derives `chainType`: 'solana' for solana:* IDs, otherwise 'ethereum'.
+ */
+const REGISTRY = [
+  {
+    caip2: 'eip155:1',
+    chainId: 1,
+    privy: 'ethereum',
+    bebop: 'ethereum',
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://eth.llamarpc.com'],
+    explorerUrl: 'https://etherscan.io',
+    testnet: false,
+    assets: ['eth', 'usdc', 'usdt'],
+    tokens: {
+      USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+      USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+      WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+    }
+  },
+  {
+    caip2: 'eip155:8453',
+    chainId: 8453,
+    privy: 'base',
+    bebop: 'base',
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://mainnet.base.org'],
+    explorerUrl: 'https://basescan.org',
+    testnet: false,
+    assets: ['eth', 'usdc'],
+    tokens: {
+      USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      WETH: '0x4200000000000000000000000000000000000006'
+    }
+  },
+  {
+    caip2: 'eip155:42161',
+    chainId: 42161,
+    privy: 'arbitrum',
+    bebop: 'arbitrum',
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://arb1.arbitrum.io/rpc'],
+    explorerUrl: 'https://arbiscan.io',
+    testnet: false,
+    assets: ['eth', 'usdc', 'usdt'],
+    tokens: {
+      USDC: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+      USDT: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
+      WETH: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1'
+    }
+  },
+  {
+    caip2: 'eip155:10',
+    chainId: 10,
+    privy: 'optimism',
+    bebop: 'optimism',
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://mainnet.optimism.io'],
+    explorerUrl: 'https://optimistic.etherscan.io',
+    testnet: false,
+    assets: ['eth', 'usdc', 'usdt'],
+    tokens: {
+      USDC: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85',
+      USDT: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58',
+      WETH: '0x4200000000000000000000000000000000000006'
+    }
+  },
+  {
+    caip2: 'eip155:137',
+    chainId: 137,
+    privy: 'polygon',
+    bebop: 'polygon',
+    nativeSymbol: 'POL',
+    rpcUrls: ['https://polygon-rpc.com'],
+    explorerUrl: 'https://polygonscan.com',
+    testnet: false,
+    assets: ['eth', 'usdc', 'usdt', 'pol'],
+    tokens: {
+      USDC: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
+      USDT: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F',
+      WETH: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619'
+    }
+  },
+  {
+    caip2: 'eip155:59144',
+    chainId: 59144,
+    privy: 'linea',
+    bebop: null,
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://rpc.linea.build'],
+    explorerUrl: 'https://lineascan.build',
+    testnet: false,
+    assets: ['eth', 'usdc'],
+    tokens: {
+      USDC: '0x176211869cA2b568f2A7D4EE941E073a821EE1ff'
+    }
+  },
+  {
+    caip2: 'eip155:324',
+    chainId: 324,
+    privy: 'zksync_era',
+    bebop: 'zksync',
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://mainnet.era.zksync.io'],
+    explorerUrl: 'https://explorer.zksync.io',
+    testnet: false,
+    assets: ['eth'],
+    tokens: {}
+  },
+  {
+    caip2: 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp',
+    chainId: null,
+    privy: 'solana',
+    bebop: null,
+    nativeSymbol: 'SOL',
+    nativeDecimals: 9,
+    rpcUrls: ['https://api.mainnet-beta.solana.com'],
+    explorerUrl: 'https://solscan.io',
+    testnet: false,
+    assets: ['sol', 'usdc'],
+    tokens: {
+      USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+    }
+  },
+  {
+    caip2: 'eip155:11155111',
+    chainId: 11155111,
+    privy: 'sepolia',
+    bebop: null,
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://rpc.sepolia.org'],
+    explorerUrl: 'https://sepolia.etherscan.io',
+    testnet: true,
+    assets: ['eth', 'usdc'],
+    tokens: {
+      USDC: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238'
+    }
+  },
+  {
+    caip2: 'eip155:84532',
+    chainId: 84532,
+    privy: 'base_sepolia',
+    bebop: null,
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://sepolia.base.org'],
+    explorerUrl: 'https://sepolia.basescan.org',
+    testnet: true,
+    assets: ['eth', 'usdc'],
+    tokens: {
+      USDC: '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+    }
+  },
+  {
+    caip2: 'eip155:421614',
+    chainId: 421614,
+    privy: 'arbitrum_sepolia',
+    bebop: null,
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://sepolia-rollup.arbitrum.io/rpc'],
+    explorerUrl: 'https://sepolia.arbiscan.io',
+    testnet: true,
+    assets: ['eth', 'usdc'],
+    tokens: {
+      USDC: '0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d'
+    }
+  },
+  {
+    caip2: 'eip155:11155420',
+    chainId: 11155420,
+    privy: 'optimism_sepolia',
+    bebop: null,
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://sepolia.optimism.io'],
+    explorerUrl: 'https://sepolia-optimism.etherscan.io',
+    testnet: true,
+    assets: ['eth', 'usdc'],
+    tokens: {
+      USDC: '0x5fd84259d66Cd46123540766Be93DFE6D43130D7'
+    }
+  },
+  {
+    caip2: 'eip155:59141',
+    chainId: 59141,
+    privy: 'linea_testnet',
+    bebop: null,
+    nativeSymbol: 'ETH',
+    rpcUrls: ['https://rpc.sepolia.linea.build'],
+    explorerUrl: 'https://sepolia.lineascan.build',
+    testnet: true,
+    assets: ['eth'],
+    tokens: {}
+  },
+  {
+    caip2: 'eip155:80002',
+    chainId: 80002,
+    privy: 'polygon_amoy',
+    bebop: null,
+    nativeSymbol: 'POL',
+    rpcUrls: ['https://rpc-amoy.polygon.technology'],
+    explorerUrl: 'https://amoy.polygonscan.com',
+    testnet: true,
+    assets: ['usdc', 'pol'],
+    tokens: {
+      USDC: '0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582'
+    }
+  },
+  {
+    caip2: 'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1',
+    chainId: null,
+    privy: 'solana_devnet',
+    bebop: null,
+    nativeSymbol: 'SOL',
+    nativeDecimals: 9,
+    rpcUrls: ['https://api.devnet.solana.com'],
+    explorerUrl: 'https://solscan.io',
+    explorerQuery: '?cluster=devnet',
+    testnet: true,
+    assets: ['sol', 'usdc'],
+    tokens: {
+      USDC: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU'
+    }
+  }
+];
+
+/**
+ * Registry indexed by CAIP-2 ID and by numeric EVM chain ID
+ */
+export const CHAINS_BY_CAIP2 = Object.fromEntries(REGISTRY.map(c => [c.caip2, c]));
+export const CHAINS_BY_ID = Object.fromEntries(
+  REGISTRY.filter(c => c.chainId !== null).map(c => [c.chainId, c])
+);
+
+export const MAINNET_CHAINS = REGISTRY.filter(c => !c.testnet).map(c => c.privy);
+export const TESTNET_CHAINS = REGISTRY.filter(c => c.testnet).map(c => c.privy);
+export const SUPPORTED_ASSETS = [...new Set(REGISTRY.flatMap(c => c.assets))];
+
+/**
+ * Default asset/chain set for "show me everything" queries
+ */
+export const DEFAULT_ASSETS = ['eth', 'usdc', 'usdt'];
+export const DEFAULT_CHAINS = ['ethereum', 'base', 'polygon', 'arbitrum', 'optimism'];
+
+/**
+ * RPC URLs for a chain, honoring the configured override (RPC_URL_<PRIVY SLUG>)
+ */
+function resolveRpcUrls(entry) {
+  return getConfig().rpcUrls[entry.privy] ?? entry.rpcUrls;
+}
+
+/**
+ * Raw registry entry for a chain identifier, without configured RPC URLs
+ *
+ * lib/config.js validates chains with this, since getChain itself reads the config.
+ *
+ * @param {number|string} chain - Chain ID, CAIP-2 ID, Privy slug or Bebop slug
+ * @returns {Object} Registry entry
+ */
+export function findChain(chain) {
+  const key = chain?.toString().trim();
+  let entry;
+
+  if (/^\d+$/.test(key)) {
+    entry = CHAINS_BY_ID[Number(key)];
+  } else if (key?.includes(':')) {
+    entry = CHAINS_BY_CAIP2[key];
+  } else if (key) {
+    const name = key.toLowerCase();
+    entry = REGISTRY.find(c => c.privy === name) || REGISTRY.find(c => c.bebop === name);
+  }
+
+  if (!entry) {
+    const supported = REGISTRY.map(c => `${c.privy} (${c.caip2})`);
+    throw new Error(`Unsupported chain: ${chain}. Supported: ${supported.join(', ')}`);
+  }
+  return entry;
+}
+
+/**
+ * Look up a chain by numeric ID (8453), CAIP-2 ID (eip155:8453),
+ * Privy slug (base) or Bebop slug
+ *
+ * @param {number|string} chain - Chain identifier
+ * @returns {Object} Registry entry, with `rpcUrls`/`rpcUrl` resolved from the config
+ */
+export function getChain(chain) {
+  const entry = findChain(chain);
+  const rpcUrls = resolveRpcUrls(entry);
+  return {
+    nativeDecimals: 18,
+    ...entry,
+    chainType: entry.caip2.startsWith('solana:') ? 'solana' : 'ethereum',
+    rpcUrls,
+    rpcUrl: rpcUrls[0]
+  };
+}
+
+/**
+ * List registry entries, optionally filtered
+ *
+ * @param {Object} filters
+ * @param {boolean} filters.testnet - Only testnets (true) or only mainnets (false)
+ * @param {string} filters.asset - Only chains holding this asset
+ * @param {boolean} filters.evm - Only EVM chains
+ * @param {string} filters.chainType - Only 'ethereum' or only 'solana' chains
+ * @returns {Object[]} Matching entries
+ */
+export function listChains({ testnet, asset, evm, chainType } = {}) {
+  return REGISTRY
+    .filter(c => testnet === undefined || c.testnet === testnet)
+    .filter(c => !asset || c.assets.includes(asset.toLowerCase()))
+    .filter(c => !evm || c.chainId !== null)
+    .map(c => getChain(c.caip2))
+    .filter(c => !chainType || c.chainType === chainType);
+}
+
+/**
+ * Check whether a chain is a testnet
+ *
+ * @param {number|string} chain - Chain identifier
+ * @returns {boolean}
+ */
+export function isTestnet(chain) {
+  return getChain(chain).testnet;
+}
+
+/**
+ * Get the Privy chain slugs an asset is supported on, mainnets first
+ *
+ * @param {string} asset - Asset symbol
+ * @param {Object} options
+ * @param {boolean} options.includeTestnets - Include testnet chains (default: true)
+ * @param {string} options.chainType - Only 'ethereum' or only 'solana' chains
+ * @returns {string[]} Privy chain slugs
+ */
+export function getChainsForAsset(asset, { includeTestnets = true, chainType } = {}) {
+  const mainnets = listChains({ asset, chainType, testnet: false }).map(c => c.privy);
+  const testnets = includeTestnets ? listChains({ asset, chainType, testnet: true }).map(c => c.privy) : [];
+  return [...mainnets, ...testnets];
+}
+
+/**
+ * Check that chains match a wallet's chain type
+ *
+ * @param {Array<number|string>} chains - Chain identifiers
+ * @param {string} chainType - 'ethereum' or 'solana'
+ * @returns {string[]} Privy chain slugs
+ * @throws {Error} For a chain of another type; an EVM wallet has no balance on Solana and vice versa
+ */
+export function assertChainType(chains, chainType) {
+  return chains.map(chain => {
+    const entry = getChain(chain);
+    if (entry.chainType !== chainType) {
+      throw new Error(`${entry.privy} is a ${entry.chainType} chain; this wallet only has balances on ${chainType} chains`);
+    }
+    return entry.privy;
+  });
+}
+
+/**
+ * Split a balance query into one request per asset, on the chains that hold it
+ *
+ * @param {Object} params
+ * @param {string[]} params.assets - Privy balance assets (eth, usdc, sol, ...)
+ * @param {Array<number|string>} params.chains - Chain identifiers
+ * @param {string} params.chainType - Wallet chain type (see assertChainType)
+ * @returns {Object[]} [{ asset, chains }] with Privy chain slugs
+ * @throws {Error} For an unknown asset or an asset none of the chains hold
+ */
+export function planBalanceQuery({ assets, chains, chainType }) {
+  const slugs = assertChainType(chains, chainType);
+
+  return assets.map(asset => {
+    const name = asset.toString().toLowerCase();
+    if (!SUPPORTED_ASSETS.includes(name)) {
+      throw new Error(`Unsupported asset: ${asset}. Supported: ${SUPPORTED_ASSETS.join(', ')}`);
+    }
+
+    const assetChains = slugs.filter(slug => getChain(slug).assets.includes(name));
+    if (assetChains.length === 0) {
+      const available = getChainsForAsset(name, { chainType });
+      throw new Error(`${asset} is not available on ${slugs.join(', ')}. ` +
+        (available.length > 0 ? `Chains with ${asset}: ${available.join(', ')}` : `No ${chainType} chain has ${asset}`));
+    }
+    return { asset: name, chains: assetChains };
+  });
+}
+
+/**
+ * Get the Bebop API slug for a chain
+ *
+ * @param {number|string} chain - Chain identifier
+ * @returns {string} Bebop chain slug
+ */
+export function getBebopChainName(chain) {
+  const entry = getChain(chain);
+  if (!entry.bebop) {
+    const supported = REGISTRY.filter(c => c.bebop).map(c => `${c.privy} (${c.chainId})`);
+    throw new Error(`Bebop does not support ${entry.privy}. Supported: ${supported.join(', ')}`);
+  }
+  return entry.bebop;
+}
+
+/**
+ * Get the block explorer link for a transaction
+ *
+ * @param {number|string} chain - Chain identifier
+ * @param {string} txHash - Transaction hash
+ * @returns {string} Explorer URL
+ */
+export function getExplorerTxUrl(chain, txHash) {
+  const { explorerUrl, explorerQuery = '' } = getChain(chain);
+  return `${explorerUrl}/tx/${txHash}${explorerQuery}`;
+}
+
+/**
+ * Get a JSON-RPC provider for an EVM chain
+ *
+ * @param {number|string} chain - Chain identifier
+ * @param {Object} options - Extra ethers provider options, e.g. { cacheTimeout: -1 }
+ * @returns {ethers.JsonRpcProvider}
+ */
+export function getProvider(chain, options = {}) {
+  const { rpcUrl, chainId, privy } = getChain(chain);
+  if (chainId === null) {
+    throw new Error(`${privy} is not an EVM chain`);
+  }
+  return new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true, ...options });
+}
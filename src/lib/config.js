@@ -0,0 +1,343 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { findChain } from './chains.js';
+import { ConfigError } from './errors.js';
+import { LOG_FORMATS, LOG_LEVELS } from './logger.js';
+
+dotenv.config();
+
+/**
+ * Typed configuration shared by every module
+ *
+ * Settings are read in one place instead of each module picking at
+ * process.env. Sources, lowest precedence first:
+ *
+ *   1. the top level of a JSON config file (CONFIG_FILE, or ./privy.config.json when it exists)
+ *   2. environment variables, including .env
+ *   3. the selected profile from that file (PRIVY_PROFILE or --profile), e.g. "sepolia-dev"
+ *
+ * A profile wins over the environment so `--profile base-prod` really
+ * switches wallet and chain even when .env sets them. Every value is checked
+ * and typed (URLs, chains, addresses, log levels), placeholder secrets like
+ * "bebop-auth-key" are refused instead of being sent, and the result is
+ * deeply frozen. Unset values are null, so each module keeps its own default.
+ *
+ * Example privy.config.json:
+ *   {
+ *     "privy": { "apiUrl": "https://api.privy.io" },
+ *     "log": { "level": "info" },
+ *     "profiles": {
+ *       "sepolia-dev": { "walletId": "wallet-1", "chain": "sepolia" },
+ *       "base-prod": { "walletId": "wallet-2", "chain": "base", "policyFile": "./policy.yaml" }
+ *     }
+ *   }
+ */
+
+export const DEFAULT_CONFIG_FILE = 'privy.config.json';
+
+/**
+ * Every setting: its key in the config object and the file, its env var and its type
+ */
+export const SETTINGS = [
+  { key: 'privy.appId', env: 'PRIVY_APP_ID', type: 'string' },
+  { key: 'privy.appSecret', env: 'PRIVY_APP_SECRET', type: 'string', secret: true },
+  { key: 'privy.apiUrl', env: 'PRIVY_API_URL', type: 'url' },
+  { key: 'privy.authorizationKeys', env: 'PRIVY_AUTHORIZATION_KEY', type: 'list', secret: true },
+  { key: 'privy.authorizationKeyFile', env: 'PRIVY_AUTHORIZATION_KEY_FILE', type: 'path' },
+  { key: 'walletId', env: 'WALLET_ID', type: 'string' },
+  { key: 'chain', env: 'CAIP2', type: 'chain' },
+  { key: 'recipientAddress', env: 'RECIPIENT_ADDRESS', type: 'address' },
+  { key: 'withdrawRecipient', env: 'WITHDRAW_RECIPIENT', type: 'address' },
+  { key: 'bebop.apiUrl', env: 'BEBOP_API_URL', type: 'url' },
+  { key: 'bebop.authKey', env: 'BEBOP_AUTH_KEY', type: 'string', secret: true },
+  { key: 'bebop.sourceId', env: 'BEBOP_SOURCE_ID', type: 'string' },
+  { key: 'log.level', env: 'LOG_LEVEL', type: 'enum', values: () => LOG_LEVELS },
+  { key: 'log.format', env: 'LOG_FORMAT', type: 'enum', values: () => LOG_FORMATS },
+  { key: 'policyFile', env: 'POLICY_FILE', type: 'path' },
+  { key: 'historyFile', env: 'HISTORY_FILE', type: 'path', off: true },
+  { key: 'idempotencyFile', env: 'IDEMPOTENCY_FILE', type: 'path' },
+  { key: 'portfolio.file', env: 'PORTFOLIO_FILE', type: 'path' },
+  { key: 'portfolio.wallets', env: 'PORTFOLIO_WALLETS', type: 'list' }
+];
+
+const RPC_URL_PREFIX = 'RPC_URL_';
+
+// Example values from docs and templates; sending them only produces confusing auth errors
+const PLACEHOLDER = /^(x+|\*+|<.*>|\{\{.*\}\}|.*\.\.\.|changeme|change[-_]me|placeholder|secret|todo|none|null|undefined|your[-_ ].*|.*[-_]here|bebop-auth-key|privy-app-secret)$/i;
+
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+let cachedConfig;
+
+const isUnset = (value) => value === undefined || value === null || value === '';
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => value?.[part], object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((value, part) => value[part], object);
+  parent[parts.at(-1)] = value;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`must be an http(s) URL, got ${value}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`must be an http(s) URL, got ${value}`);
+  }
+  return value.replace(/\/+$/, '');
+}
+
+function assertNotPlaceholder(value) {
+  if (PLACEHOLDER.test(value.trim())) {
+    throw new Error(`is a placeholder (${value}); set the real value or leave it unset`);
+  }
+}
+
+/**
+ * Check and type one raw value; throws with a message naming what was expected
+ */
+function parseSetting(setting, value, baseDir) {
+  if (setting.type === 'list') {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    const list = items.map(item => {
+      if (typeof item !== 'string') throw new Error(`must be a list of strings, got ${JSON.stringify(value)}`);
+      return item.trim();
+    }).filter(Boolean);
+    if (setting.secret) list.forEach(assertNotPlaceholder);
+    return list;
+  }
+
+  if (typeof value !== 'string' && !(setting.type === 'chain' && typeof value === 'number')) {
+    throw new Error(`must be a string, got ${JSON.stringify(value)}`);
+  }
+  if (setting.secret) assertNotPlaceholder(value);
+
+  switch (setting.type) {
+    case 'url':
+      return parseUrl(value);
+    case 'chain':
+      return findChain(value).caip2;
+    case 'address':
+      if (!ethers.isAddress(value) && !SOLANA_ADDRESS.test(value)) {
+        throw new Error(`must be a 0x or base58 address, got ${value}`);
+      }
+      return value;
+    case 'enum': {
+      const values = setting.values();
+      if (!values.includes(value)) throw new Error(`must be one of ${values.join(', ')}, got ${value}`);
+      return value;
+    }
+    case 'path':
+      return setting.off && value === 'off' ? false : path.resolve(baseDir, value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * RPC_URL_<PRIVY SLUG> variables, or an `rpcUrls` object keyed by any chain identifier
+ */
+function parseRpcUrls(entries, source, errors) {
+  const rpcUrls = {};
+  entries.forEach(([chain, value]) => {
+    if (isUnset(value)) return;
+    try {
+      const slug = findChain(chain).privy;
+      const items = Array.isArray(value) ? value : String(value).split(',');
+      rpcUrls[slug] = items.map(item => item.trim()).filter(Boolean).map(parseUrl);
+    } catch (error) {
+      errors.push({ key: `rpcUrls.${chain}`, source: source(chain), message: error.message });
+    }
+  });
+  return rpcUrls;
+}
+
+// Keys of a config file (or profile) that match no setting, usually typos
+function unknownKeys(object, prefix = '') {
+  return Object.entries(object).flatMap(([name, value]) => {
+    const key = prefix + name;
+    if (SETTINGS.some(s => s.key === key) || key === 'rpcUrls' || (!prefix && name === 'profiles')) return [];
+    if (value && typeof value === 'object' && !Array.isArray(value) && SETTINGS.some(s => s.key.startsWith(`${key}.`))) {
+      return unknownKeys(value, `${key}.`);
+    }
+    return [key];
+  });
+}
+
+function readConfigFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${file}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError(`Config file ${file} must contain a JSON object`);
+  }
+  return raw;
+}
+
+function resolveConfigFile(file, env, cwd) {
+  if (!isUnset(file)) return path.resolve(cwd, file);
+  if (!isUnset(env.CONFIG_FILE)) return path.resolve(cwd, env.CONFIG_FILE);
+
+  const fallback = path.resolve(cwd, DEFAULT_CONFIG_FILE);
+  return fs.existsSync(fallback) ? fallback : null;
+}
+
+/**
+ * Load, check and freeze the configuration
+ *
+ * Collects every problem before throwing, so one run shows all of them.
+ *
+ * @param {Object} options
+ * @param {Object} options.env - Environment variables (default: process.env, with .env loaded)
+ * @param {string} options.file - JSON config file (default: CONFIG_FILE, or ./privy.config.json if present)
+ * @param {string} options.profile - Profile from the file's `profiles` (default: PRIVY_PROFILE)
+ * @param {string} options.cwd - Directory relative env paths resolve against (default: process.cwd())
+ * @returns {Object} Frozen config: { profile, file, privy, bebop, log, portfolio, walletId, chain, ..., rpcUrls }
+ * @throws {ConfigError} With `errors` listing every invalid setting
+ */
+export function loadConfig({ env = process.env, file, profile, cwd = process.cwd() } = {}) {
+  const configFile = resolveConfigFile(file, env, cwd);
+  const fileConfig = configFile ? readConfigFile(configFile) : {};
+  const fileDir = configFile ? path.dirname(configFile) : cwd;
+  const profileName = isUnset(profile) ? (isUnset(env.PRIVY_PROFILE) ? null : env.PRIVY_PROFILE) : profile;
+
+  let profileConfig = {};
+  if (profileName) {
+    const profiles = fileConfig.profiles || {};
+    if (!configFile) {
+      throw new ConfigError(`Profile ${profileName} needs a config file (CONFIG_FILE or ./${DEFAULT_CONFIG_FILE})`);
+    }
+    if (!Object.hasOwn(profiles, profileName)) {
+      const available = Object.keys(profiles);
+      throw new ConfigError(`Unknown profile: ${profileName}. ` +
+        (available.length > 0 ? `Available: ${available.join(', ')}` : `${configFile} defines no profiles`));
+    }
+    profileConfig = profiles[profileName];
+  }
+
+  const config = {
+    profile: profileName,
+    file: configFile,
+    privy: {},
+    bebop: {},
+    log: {},
+    portfolio: {},
+    rpcUrls: {}
+  };
+  SETTINGS.forEach(setting => setPath(config, setting.key, setting.type === 'list' ? [] : null));
+
+  const errors = [];
+  const fileSource = (key, prefix = '') => `${configFile}#${prefix}${key}`;
+  const profilePrefix = `profiles.${profileName}.`;
+
+  [
+    ...unknownKeys(fileConfig).map(key => fileSource(key)),
+    ...unknownKeys(profileConfig).map(key => fileSource(key, profilePrefix))
+  ].forEach(source => errors.push({ key: source.split('#')[1], source, message: 'is not a known setting' }));
+
+  const layers = [
+    { get: (s) => getPath(fileConfig, s.key), source: (s) => fileSource(s.key), baseDir: fileDir },
+    { get: (s) => env[s.env], source: (s) => s.env, baseDir: cwd },
+    { get: (s) => getPath(profileConfig, s.key), source: (s) => fileSource(s.key, profilePrefix), baseDir: fileDir }
+  ];
+  SETTINGS.forEach(setting => {
+    layers.forEach(layer => {
+      const value = layer.get(setting);
+      if (isUnset(value)) return;
+      try {
+        setPath(config, setting.key, parseSetting(setting, value, layer.baseDir));
+      } catch (error) {
+        errors.push({ key: setting.key, source: layer.source(setting), message: error.message });
+      }
+    });
+  });
+
+  Object.assign(
+    config.rpcUrls,
+    parseRpcUrls(Object.entries(fileConfig.rpcUrls || {}), (chain) => fileSource(`rpcUrls.${chain}`), errors),
+    parseRpcUrls(
+      Object.entries(env)
+        .filter(([name]) => name.startsWith(RPC_URL_PREFIX))
+        .map(([name, value]) => [name.slice(RPC_URL_PREFIX.length).toLowerCase(), value]),
+      (chain) => `${RPC_URL_PREFIX}${chain.toUpperCase()}`,
+      errors
+    ),
+    parseRpcUrls(Object.entries(profileConfig.rpcUrls || {}), (chain) => fileSource(`rpcUrls.${chain}`, profilePrefix), errors)
+  );
+
+  if (errors.length > 0) {
+    throw new ConfigError(
+      `Invalid configuration:\n${errors.map(e => `  - ${e.source}: ${e.message}`).join('\n')}`,
+      errors
+    );
+  }
+
+  return deepFreeze(config);
+}
+
+/**
+ * The shared configuration, loaded from the environment on first use
+ *
+ * @returns {Object} Frozen config from loadConfig
+ */
+export function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Replace the shared configuration (null reloads it from the environment on next use)
+ *
+ * @param {Object|null} config - Config from loadConfig
+ */
+export function setConfig(config) {
+  cachedConfig = config ? deepFreeze(config) : undefined;
+}
+
+/**
+ * The shared configuration, or a ConfigError naming every required setting that is unset
+ *
+ * @param {string[]} keys - Setting keys, e.g. ['walletId', 'chain']
+ * @param {Object} config - Config to check (default: the shared one)
+ * @returns {Object} The config
+ */
+export function requireConfig(keys, config = getConfig()) {
+  const missing = keys.map(key => {
+    const setting = SETTINGS.find(s => s.key === key);
+    if (!setting) throw new Error(`Unknown setting: ${key}`);
+    return setting;
+  }).filter(setting => {
+    const value = getPath(config, setting.key);
+    return isUnset(value) || (Array.isArray(value) && value.length === 0);
+  });
+
+  if (missing.length > 0) {
+    throw new ConfigError(
+      `Missing required configuration: ${missing.map(s => s.env).join(', ')}`,
+      missing.map(s => ({ key: s.key, source: s.env, message: 'is required' }))
+    );
+  }
+  return config;
+}
@@ -0,0 +1,154 @@
+/**
+ * Typed errors for Privy REST API failures and local transaction checks
+ *
+ * Every Privy error keeps the HTTP status and the parsed Privy error body, so
+ * callers can branch on the class instead of parsing message strings.
+ */
+
+/**
+ * Base class for any non-2xx response from the Privy API
+ */
+export class PrivyApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details
+   * @param {number} details.status - HTTP status code
+   * @param {Object|string|null} details.body - Parsed Privy error body (or raw text)
+   * @param {string} details.method - HTTP method of the failed request
+   * @param {string} details.path - Request path of the failed request
+   */
+  constructor(message, { status, body = null, method, path } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+    this.code = body && typeof body === 'object' ? body.code : undefined;
+  }
+}
+
+/**
+ * 401/403 - bad app credentials or missing authorization signature
+ */
+export class PrivyAuthError extends PrivyApiError {}
+
+/**
+ * 404 - wallet or resource does not exist
+ */
+export class PrivyNotFoundError extends PrivyApiError {}
+
+/**
+ * 429 - rate limited; `retryAfterMs` is what the server asked us to wait
+ */
+export class PrivyRateLimitError extends PrivyApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * 400/422 - request was rejected as invalid
+ */
+export class PrivyValidationError extends PrivyApiError {}
+
+/**
+ * Build the matching typed error for a failed response
+ *
+ * @param {number} status - HTTP status code
+ * @param {Object|string|null} body - Parsed error body
+ * @param {Object} details - Extra fields (method, path, retryAfterMs)
+ * @returns {PrivyApiError}
+ */
+export function createPrivyError(status, body, details = {}) {
+  const reason = body && typeof body === 'object'
+    ? body.error || body.message || JSON.stringify(body)
+    : body || 'no response body';
+  const message = `Privy API error ${status}: ${reason}`;
+  const fullDetails = { ...details, status, body };
+
+  if (status === 401 || status === 403) return new PrivyAuthError(message, fullDetails);
+  if (status === 404) return new PrivyNotFoundError(message, fullDetails);
+  if (status === 429) return new PrivyRateLimitError(message, fullDetails);
+  if (status === 400 || status === 422) return new PrivyValidationError(message, fullDetails);
+  return new PrivyApiError(message, fullDetails);
+}
+
+/**
+ * Preflight simulation says the transaction would revert, so it was not sent
+ */
+export class TransactionSimulationError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} simulation - Result of simulateTransaction ({ success: false, revertReason, ... })
+   */
+  constructor(message, simulation) {
+    super(message);
+    this.name = this.constructor.name;
+    this.simulation = simulation;
+    this.revertReason = simulation?.revertReason ?? null;
+  }
+}
+
+/**
+ * The local policy (lib/policy.js) refused the transaction before it reached Privy
+ */
+export class PolicyViolationError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} record - Audit record of the denied decision ({ reasons, ... })
+   */
+  constructor(message, record) {
+    super(message);
+    this.name = this.constructor.name;
+    this.record = record;
+    this.reasons = record?.reasons ?? [];
+  }
+}
+
+/**
+ * An idempotency key (lib/idempotency.js) was reused for a different request
+ */
+export class IdempotencyConflictError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} state - Stored state of the key ({ operation, status, ... })
+   */
+  constructor(message, state) {
+    super(message);
+    this.name = this.constructor.name;
+    this.key = state?.key;
+    this.state = state;
+  }
+}
+
+/**
+ * A batch payout file has invalid rows; nothing was sent
+ */
+export class PayoutValidationError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object[]} errors - [{ row, message }] for every invalid row
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = this.constructor.name;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Settings (lib/config.js) are missing, invalid or still hold a placeholder
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object[]} errors - [{ key, source, message }] for every bad setting
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = this.constructor.name;
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,214 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { getConfig } from './config.js';
+import { getLogger } from './logger.js';
+
+/**
+ * Local transaction history
+ *
+ * Records live in an append-only JSONL file (HISTORY_FILE, default
+ * ./transaction-history.jsonl; set it to "off" to disable). A record is
+ * written when a transaction is sent and every later status change appends
+ * a patch line with the same `id`; readers merge the lines per id.
+ */
+
+export const DEFAULT_HISTORY_FILE = 'transaction-history.jsonl';
+
+export const CSV_COLUMNS = [
+  'id',
+  'createdAt',
+  'updatedAt',
+  'walletId',
+  'chain',
+  'type',
+  'status',
+  'hash',
+  'from',
+  'to',
+  'asset',
+  'amount',
+  'amountRaw',
+  'buyAsset',
+  'buyAmount',
+  'quoteId',
+  'explorerUrl',
+  'blockNumber',
+  'gasUsed',
+  'error'
+];
+
+/**
+ * Path of the history file, or null when history is turned off
+ *
+ * @returns {string|null}
+ */
+export function getHistoryFile() {
+  const file = getConfig().historyFile;
+  return file === false ? null : path.resolve(file || DEFAULT_HISTORY_FILE);
+}
+
+function append(line) {
+  const file = getHistoryFile();
+  if (!file) return;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(line, (_, value) => typeof value === 'bigint' ? value.toString() : value) + '\n');
+}
+
+/**
+ * Store a new transaction record
+ *
+ * History must never break a send, so write failures are logged, not thrown.
+ *
+ * @param {Object} record
+ * @param {string} record.walletId - Sending wallet
+ * @param {string} record.chain - CAIP-2 chain ID
+ * @param {string} record.type - 'transfer', 'swap', 'approve' or 'contract'
+ * @param {string} record.status - 'submitted', 'success', 'reverted', 'dropped', 'pending' or 'failed'
+ * @param {string} record.hash - Transaction hash (null if the send failed or is settled by a relayer later)
+ * @param {Object} record.asset - { symbol, address, decimals } of what was sent or sold
+ * @param {string} record.amount - Human-readable amount
+ * @param {Object} record.quote - Swap quote details (buy side, quoteId, price, ...)
+ * @returns {string|null} Record ID, or null when history is off
+ */
+export function recordTransaction(record) {
+  if (!getHistoryFile()) return null;
+
+  const now = new Date().toISOString();
+  const id = randomUUID();
+
+  try {
+    append({ id, createdAt: now, updatedAt: now, ...record });
+  } catch (error) {
+    getLogger({ module: 'history' }).warn('Could not write transaction history', { error });
+  }
+  return id;
+}
+
+/**
+ * Record a status change (receipt, order settlement, ...) for an existing record
+ *
+ * @param {string} id - Record ID from recordTransaction
+ * @param {Object} patch - Fields to change, e.g. { status: 'success', blockNumber }
+ */
+export function updateTransaction(id, patch) {
+  if (!id) return;
+
+  try {
+    append({ id, updatedAt: new Date().toISOString(), ...patch });
+  } catch (error) {
+    getLogger({ module: 'history' }).warn('Could not update transaction history', { id, error });
+  }
+}
+
+/**
+ * Patch for updateTransaction from a waitForTransaction receipt
+ *
+ * @param {Object} receipt - Receipt from waitForTransaction
+ * @returns {Object} { status, blockNumber, gasUsed, effectiveGasPrice, revertReason }
+ */
+export function receiptToHistory(receipt) {
+  return {
+    status: receipt.status,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    effectiveGasPrice: receipt.effectiveGasPrice,
+    revertReason: receipt.revertReason
+  };
+}
+
+/**
+ * Read every record, merged per ID, oldest first
+ */
+function readAll() {
+  const file = getHistoryFile();
+  if (!file || !fs.existsSync(file)) return [];
+
+  const records = new Map();
+  fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return;
+    }
+    records.set(entry.id, { ...records.get(entry.id), ...entry });
+  });
+
+  return [...records.values()];
+}
+
+/**
+ * Query the transaction history
+ *
+ * @param {Object} filters
+ * @param {string} filters.walletId - Only this wallet
+ * @param {string} filters.chain - Only this CAIP-2 chain
+ * @param {string} filters.type - Only this type
+ * @param {string} filters.status - Only this status
+ * @param {string} filters.hash - Only this transaction hash
+ * @param {string|Date} filters.since - Created at or after
+ * @param {string|Date} filters.until - Created before
+ * @param {number} filters.limit - Newest N records
+ * @returns {Object[]} Matching records, newest first
+ */
+export function listTransactions({ walletId, chain, type, status, hash, since, until, limit } = {}) {
+  const sinceMs = since ? new Date(since).getTime() : null;
+  const untilMs = until ? new Date(until).getTime() : null;
+
+  const matches = readAll()
+    .filter(record => !walletId || record.walletId === walletId)
+    .filter(record => !chain || record.chain === chain)
+    .filter(record => !type || record.type === type)
+    .filter(record => !status || record.status === status)
+    .filter(record => !hash || record.hash?.toLowerCase() === hash.toLowerCase())
+    .filter(record => sinceMs === null || Date.parse(record.createdAt) >= sinceMs)
+    .filter(record => untilMs === null || Date.parse(record.createdAt) < untilMs)
+    .reverse();
+
+  return limit ? matches.slice(0, limit) : matches;
+}
+
+/**
+ * Get one record by ID
+ *
+ * @param {string} id - Record ID
+ * @returns {Object|null}
+ */
+export function getTransaction(id) {
+  return readAll().find(record => record.id === id) || null;
+}
+
+// Spreadsheets run cells starting with these as formulas; error messages and
+// token symbols come from outside, so such cells get a leading quote
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render records as CSV with one row per transaction
+ *
+ * @param {Object[]} records - Records from listTransactions
+ * @returns {string} CSV text with a header row
+ */
+export function toCsv(records) {
+  const rows = records.map(record => {
+    const flat = {
+      ...record,
+      asset: record.asset?.symbol,
+      buyAsset: record.quote?.buySymbol,
+      buyAmount: record.quote?.buyAmount,
+      quoteId: record.quote?.quoteId
+    };
+    return CSV_COLUMNS.map(column => csvCell(flat[column])).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
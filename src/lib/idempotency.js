@@ -0,0 +1,161 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { getConfig } from './config.js';
+import { IdempotencyConflictError } from './errors.js';
+import { getLogger } from './logger.js';
+
+/**
+ * Idempotency keys for sends
+ *
+ * A caller passes the same `idempotencyKey` on every retry of one logical
+ * send. The key is forwarded to Privy as the `privy-idempotency-key` header,
+ * so Privy itself never broadcasts twice for it, and its progress is kept in
+ * an append-only JSONL file (IDEMPOTENCY_FILE, default ./idempotency-keys.jsonl):
+ *
+ *   started   - the send began; nothing is known to be broadcast yet
+ *   sent      - Privy accepted the transaction; the partial result is stored
+ *   completed - the call returned; the full result is stored
+ *   failed    - the call threw before anything was sent; the key may be reused
+ *
+ * A repeated call with a `sent` or `completed` key returns the stored result
+ * instead of sending again. A `started` key is run again: the Privy header
+ * makes the repeated RPC return the original transaction. Reusing a key for a
+ * different request throws IdempotencyConflictError.
+ */
+
+export const DEFAULT_IDEMPOTENCY_FILE = 'idempotency-keys.jsonl';
+
+export const IDEMPOTENCY_HEADER = 'privy-idempotency-key';
+
+// Calls in flight in this process, so concurrent calls with one key share a send
+const inFlight = new Map();
+
+/**
+ * Path of the idempotency state file
+ *
+ * @returns {string}
+ */
+export function getIdempotencyFile() {
+  return path.resolve(getConfig().idempotencyFile || DEFAULT_IDEMPOTENCY_FILE);
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_, item) => typeof item === 'bigint' ? item.toString() : item);
+}
+
+function append(entry) {
+  const file = getIdempotencyFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, toJson({ ...entry, time: new Date().toISOString() }) + '\n');
+}
+
+/**
+ * Latest state stored for a key, or null if the key was never used
+ *
+ * @param {string} key - Idempotency key
+ * @returns {Object|null} { key, operation, fingerprint, meta?, status, result?, error?, time }
+ */
+export function getIdempotencyState(key) {
+  const file = getIdempotencyFile();
+  if (!fs.existsSync(file)) return null;
+
+  let state = null;
+  fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (entry.key === key) {
+      state = { ...state, ...entry };
+    }
+  });
+  return state;
+}
+
+/**
+ * Hash of what a key was first used for, so it cannot be reused for another request
+ */
+function fingerprint(operation, request) {
+  const canonical = toJson(Object.fromEntries(Object.entries(request).sort(([a], [b]) => a.localeCompare(b))));
+  return createHash('sha256').update(`${operation}\n${canonical}`).digest('hex');
+}
+
+/**
+ * Run a send at most once per idempotency key
+ *
+ * Without a key, `run` is simply called. With one, `run` receives helpers:
+ * `headers(step)` returns the Privy header for one RPC (pass a step name when
+ * a call sends more than one transaction, e.g. 'approve' and 'swap'), and
+ * `checkpoint(partial)` must be called as soon as Privy accepted the
+ * transaction, before waiting for a receipt.
+ *
+ * @param {Object} params
+ * @param {string} params.key - Idempotency key (optional)
+ * @param {string} params.operation - What is being sent, e.g. 'transfer' or 'swap'
+ * @param {Object} params.request - Parameters that identify the request
+ * @param {Object} params.meta - Details stored with the `started` state but not part of the fingerprint, e.g. { nonce }
+ * @param {Function} run - async ({ key, headers, checkpoint }) => result
+ * @returns {Promise<Object>} Result of `run`, or the stored result with `idempotency.replayed: true`
+ * @throws {IdempotencyConflictError} When the key was used for a different request
+ */
+export async function withIdempotency({ key, operation, request, meta }, run) {
+  if (!key) {
+    return run({ key: undefined, headers: () => undefined, checkpoint: () => {} });
+  }
+
+  if (inFlight.has(key)) {
+    await inFlight.get(key).catch(() => {});
+  }
+
+  const logger = getLogger({ module: 'idempotency' });
+  const requestFingerprint = fingerprint(operation, request);
+  const state = getIdempotencyState(key);
+
+  if (state && (state.operation !== operation || state.fingerprint !== requestFingerprint)) {
+    throw new IdempotencyConflictError(
+      `Idempotency key ${key} was already used for a different ${state.operation} request`,
+      state
+    );
+  }
+
+  if (state?.status === 'completed' || state?.status === 'sent') {
+    logger.info('Idempotency key already used, returning the original result', { key, status: state.status });
+    return { ...state.result, idempotency: { key, replayed: true, status: state.status } };
+  }
+
+  const attempt = (async () => {
+    let sent = false;
+    append({ key, operation, fingerprint: requestFingerprint, ...(meta && { meta }), status: 'started' });
+
+    try {
+      const result = await run({
+        key,
+        headers: (step) => ({ [IDEMPOTENCY_HEADER]: step ? `${key}:${step}` : key }),
+        checkpoint: (partial) => {
+          sent = true;
+          append({ key, status: 'sent', result: partial });
+        }
+      });
+      append({ key, status: 'completed', result });
+      return { ...result, idempotency: { key, replayed: false, status: 'completed' } };
+    } catch (error) {
+      // After a broadcast the key stays `sent` so a retry cannot send again
+      if (!sent) {
+        append({ key, status: 'failed', error: error.message });
+      }
+      throw error;
+    }
+  })();
+
+  inFlight.set(key, attempt);
+  try {
+    return await attempt;
+  } finally {
+    if (inFlight.get(key) === attempt) {
+      inFlight.delete(key);
+    }
+  }
+}
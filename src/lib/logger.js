@@ -0,0 +1,148 @@
+/**
+ * Minimal structured logger shared by every module
+ *
+ * Library code logs through getLogger(), which is silent until an
+ * application (CLI, MCP server, a service importing this package) installs
+ * a real logger with setLogger(). Fields whose key looks like a credential
+ * are redacted before anything is written.
+ */
+
+import { getConfig } from './config.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['pretty', 'json'];
+
+const SENSITIVE_KEY = /authorization|secret|password|private[_-]?key|api[_-]?key|auth[_-]?key|source-auth|cookie/i;
+const SENSITIVE_VALUE = /^(Basic|Bearer)\s+\S+/;
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Deep-copy a value, replacing credentials with [REDACTED]
+ *
+ * @param {*} value - Anything JSON-like; bigints become strings, errors become { name, message, status }
+ * @param {RegExp} sensitiveKey - Keys to redact (default: auth headers, secrets, private keys)
+ * @returns {*} Redacted copy
+ */
+export function redact(value, sensitiveKey = SENSITIVE_KEY, seen = new WeakSet()) {
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'string') return SENSITIVE_VALUE.test(value) ? REDACTED : value;
+  if (value === null || typeof value !== 'object') return value;
+
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.status !== undefined && { status: value.status })
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, sensitiveKey, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      sensitiveKey.test(key) ? REDACTED : redact(item, sensitiveKey, seen)
+    ])
+  );
+}
+
+/**
+ * Create a logger
+ *
+ * @param {Object} options
+ * @param {string} options.level - Lowest level written: debug, info, warn, error or silent (default: 'info')
+ * @param {string} options.format - 'pretty' (message + fields) or 'json' (one JSON object per line) (default: 'pretty')
+ * @param {Object} options.stream - Writable to log to (default: process.stderr)
+ * @param {Object} options.bindings - Fields added to every record
+ * @param {RegExp} options.redactKeys - Keys whose values are redacted
+ * @returns {Object} Logger with debug, info, warn, error and child(bindings)
+ */
+export function createLogger({
+  level = 'info',
+  format = 'pretty',
+  stream = process.stderr,
+  bindings = {},
+  redactKeys = SENSITIVE_KEY
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`Invalid log level: ${level}. Supported: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  function write(recordLevel, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(recordLevel) < threshold) return;
+
+    const data = redact({ ...bindings, ...fields }, redactKeys);
+
+    if (format === 'json') {
+      stream.write(JSON.stringify({ time: new Date().toISOString(), level: recordLevel, msg: message, ...data }) + '\n');
+      return;
+    }
+
+    const extra = Object.keys(data).length > 0 ? ` ${JSON.stringify(data)}` : '';
+    const prefix = recordLevel === 'info' ? '' : `[${recordLevel}] `;
+    stream.write(`${prefix}${message}${extra}\n`);
+  }
+
+  return {
+    level,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: (childBindings) => createLogger({
+      level,
+      format,
+      stream,
+      bindings: { ...bindings, ...childBindings },
+      redactKeys
+    })
+  };
+}
+
+/**
+ * Logger that drops everything; the default for library use
+ */
+export const silentLogger = createLogger({ level: 'silent' });
+
+let currentLogger = silentLogger;
+
+/**
+ * Install the logger every module logs through
+ *
+ * @param {Object} logger - Logger from createLogger, or any object with debug/info/warn/error/child
+ */
+export function setLogger(logger) {
+  currentLogger = logger || silentLogger;
+}
+
+/**
+ * Logger currently installed (silent unless setLogger was called)
+ *
+ * @param {Object} bindings - Optional fields to attach, e.g. { module: 'swap' }
+ * @returns {Object} Logger
+ */
+export function getLogger(bindings) {
+  return bindings ? currentLogger.child(bindings) : currentLogger;
+}
+
+/**
+ * Logger configured from LOG_LEVEL / LOG_FORMAT (lib/config.js), for CLIs and servers
+ *
+ * @param {Object} defaults - Defaults when the settings are unset, e.g. { level: 'info' }
+ * @returns {Object} Logger
+ */
+export function createLoggerFromEnv(defaults = {}) {
+  const { level, format } = getConfig().log;
+  return createLogger({
+    ...defaults,
+    level: level || defaults.level || 'info',
+    format: format || defaults.format || 'pretty'
+  });
+}
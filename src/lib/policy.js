@@ -0,0 +1,325 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { ethers } from 'ethers';
+import YAML from 'yaml';
+import { SUPPORTED_ASSETS, getChain } from './chains.js';
+import { getConfig } from './config.js';
+import { PolicyViolationError } from './errors.js';
+import { getLogger } from './logger.js';
+import { getPrivyClient } from './privy-client.js';
+import { getTokenMetadata } from './tokens.js';
+import { isWalletAddress } from './wallets.js';
+
+/**
+ * Local policy checked before any transaction reaches Privy
+ *
+ * Policy file (JSON or YAML), every section optional:
+ *
+ *   chains: [base, eip155:1]                  # allowed chains (any chain identifier)
+ *   recipients: [0xabc...]                    # allowed transfer recipients, ERC-20 transfer calldata included
+ *   contracts: [0xdef...]                     # allowed targets of calls with calldata (token contracts too)
+ *   blockedSelectors: ["0x095ea7b3"]          # 4-byte selectors that are never sent
+ *   limits:
+ *     perTransaction: { usd: 500, amount: { ETH: "0.5", USDC: "1000" } }
+ *     daily: { usd: 2000, amount: { ETH: "2" } }   # rolling 24h, per wallet
+ *   prices: { ETH: 3000 }                     # USD prices to use instead of Privy's
+ *   auditLog: ./policy-audit.jsonl            # relative to the policy file
+ *
+ * The daily window is computed from the audit log: every allowed decision
+ * counts, whether or not the send that followed succeeded. A decision that
+ * re-checks the same send (a swap requoted after its approval) supersedes
+ * the earlier one, so the send is only counted once.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ERC20_TRANSFER = new ethers.Interface(['function transfer(address to, uint256 amount)']);
+const STABLECOINS = ['USDC', 'USDT'];
+
+let cachedPolicy;
+
+// EVM addresses compare case-insensitively, Solana (base58) addresses exactly
+function addressKey(address) {
+  return address?.startsWith('0x') ? address.toLowerCase() : address;
+}
+
+/**
+ * Load and validate a policy file
+ *
+ * @param {string} file - Path to a .json, .yaml or .yml file
+ * @returns {Object} Normalized policy
+ */
+export function loadPolicy(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const raw = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+
+  return normalizePolicy(raw || {}, path.dirname(path.resolve(file)), file);
+}
+
+/**
+ * Validate a policy object and resolve chains, addresses and limits
+ *
+ * @param {Object} raw - Policy as written in the file
+ * @param {string} baseDir - Directory relative paths resolve against
+ * @param {string} source - Where the policy came from, recorded in audit records
+ * @returns {Object} Normalized policy
+ */
+export function normalizePolicy(raw, baseDir = process.cwd(), source = 'inline') {
+  const addresses = (list, field) => (list || []).map(address => {
+    if (!isWalletAddress(address)) {
+      throw new Error(`Invalid address in policy ${field}: ${address}`);
+    }
+    return addressKey(address);
+  });
+
+  const limits = (section = {}) => ({
+    usd: section.usd !== undefined ? Number(section.usd) : null,
+    amount: Object.fromEntries(
+      Object.entries(section.amount || {}).map(([symbol, value]) => [symbol.toUpperCase(), value.toString()])
+    )
+  });
+
+  return {
+    source,
+    chains: raw.chains ? raw.chains.map(chain => getChain(chain).caip2) : null,
+    recipients: raw.recipients ? addresses(raw.recipients, 'recipients') : null,
+    contracts: raw.contracts ? addresses(raw.contracts, 'contracts') : null,
+    blockedSelectors: (raw.blockedSelectors || []).map(selector => selector.toLowerCase()),
+    limits: {
+      perTransaction: limits(raw.limits?.perTransaction),
+      daily: limits(raw.limits?.daily)
+    },
+    prices: Object.fromEntries(
+      Object.entries(raw.prices || {}).map(([symbol, price]) => [symbol.toUpperCase(), Number(price)])
+    ),
+    auditLog: path.resolve(baseDir, raw.auditLog || 'policy-audit.jsonl')
+  };
+}
+
+/**
+ * Policy from POLICY_FILE, loaded once; null when no policy is configured
+ *
+ * @returns {Object|null} Normalized policy
+ */
+export function getPolicy() {
+  if (cachedPolicy === undefined) {
+    const { policyFile } = getConfig();
+    cachedPolicy = policyFile ? loadPolicy(policyFile) : null;
+  }
+  return cachedPolicy;
+}
+
+/**
+ * Replace the active policy (null disables policy checks)
+ *
+ * @param {Object|null} policy - Policy from loadPolicy/normalizePolicy
+ */
+export function setPolicy(policy) {
+  cachedPolicy = policy;
+}
+
+/**
+ * Work out what a transaction spends: native value, or the token amount of
+ * an ERC-20 transfer, unless the caller already knows (swaps)
+ */
+async function describeSpend(chain, transaction, spend) {
+  if (spend) return spend;
+
+  const data = transaction.data || '0x';
+  if (data.slice(0, 10).toLowerCase() === ERC20_TRANSFER.getFunction('transfer').selector) {
+    const [recipient, amountRaw] = ERC20_TRANSFER.decodeFunctionData('transfer', data);
+    const token = await getTokenMetadata(chain.caip2, transaction.to);
+    return { token, amountRaw, recipient };
+  }
+
+  const token = await getTokenMetadata(chain.caip2, 'native');
+  return { token, amountRaw: BigInt(transaction.value || 0), recipient: transaction.to };
+}
+
+/**
+ * USD price of a token: policy `prices`, 1 for stablecoins, else Privy's balance valuation
+ */
+async function getUsdPrice(policy, client, walletId, chain, symbol) {
+  if (policy.prices[symbol] !== undefined) return policy.prices[symbol];
+  if (STABLECOINS.includes(symbol)) return 1;
+
+  const asset = symbol.toLowerCase();
+  if (!SUPPORTED_ASSETS.includes(asset) || !chain.assets.includes(asset)) return null;
+
+  const data = await client.getBalance(walletId, { asset, chain: chain.privy, includeCurrency: true });
+  const balance = data.balances[0];
+  const amount = balance ? Number(ethers.formatUnits(balance.raw_value, balance.raw_value_decimals)) : 0;
+  const usd = Number(balance?.display_values?.usd);
+
+  return amount > 0 && Number.isFinite(usd) ? usd / amount : null;
+}
+
+/**
+ * Read allowed decisions for a wallet from the last 24 hours of the audit log,
+ * skipping superseded ones and the one being re-checked
+ */
+function readDailySpend(policy, walletId, now, supersedes) {
+  if (!fs.existsSync(policy.auditLog)) return { usd: 0, amount: {} };
+
+  const records = [];
+  fs.readFileSync(policy.auditLog, 'utf8').split('\n').filter(Boolean).forEach(line => {
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A torn line from a crash mid-write
+    }
+  });
+  const superseded = new Set([supersedes, ...records.map(record => record.supersedes)].filter(Boolean));
+
+  const totals = { usd: 0, amount: {} };
+  records.forEach(record => {
+    if (record.decision !== 'allow' || record.walletId !== walletId || superseded.has(record.id)) return;
+    if (now - Date.parse(record.time) > DAY_MS) return;
+
+    totals.usd += record.usd || 0;
+    if (record.asset?.symbol && record.amount) {
+      const symbol = record.asset.symbol;
+      totals.amount[symbol] = (totals.amount[symbol] || 0) + Number(record.amount);
+    }
+  });
+
+  return totals;
+}
+
+/**
+ * Append one decision to the audit log
+ */
+function writeAuditRecord(policy, record) {
+  fs.mkdirSync(path.dirname(policy.auditLog), { recursive: true });
+  fs.appendFileSync(policy.auditLog, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Check a transaction against a policy and record the decision
+ *
+ * @param {Object} params
+ * @param {Object} params.policy - Normalized policy
+ * @param {string} params.walletId - Sending wallet
+ * @param {number|string} params.chain - Chain identifier
+ * @param {Object} params.transaction - { to, data, value } as passed to eth_sendTransaction
+ * @param {string} params.kind - What the caller is doing: 'transfer', 'approve', 'swap' or 'contract'
+ * @param {Object} params.spend - { token, amountRaw, recipient } when the value is not in the transaction itself
+ * @param {Object} params.client - Privy client for USD prices (default: the shared one from ./privy-client.js)
+ * @param {string} params.supersedes - Audit record ID of an earlier decision for the same send, which stops counting
+ * @returns {Promise<Object>} Audit record { id, decision: 'allow'|'deny', reasons, ... }
+ */
+export async function evaluatePolicy({
+  policy,
+  walletId,
+  chain,
+  transaction,
+  kind = 'contract',
+  spend,
+  client = getPrivyClient(),
+  supersedes
+}) {
+  const chainInfo = getChain(chain);
+  const now = Date.now();
+  const reasons = [];
+
+  const data = transaction.data || '0x';
+  const selector = data.length >= 10 ? data.slice(0, 10).toLowerCase() : null;
+  const to = addressKey(transaction.to);
+
+  if (policy.chains && !policy.chains.includes(chainInfo.caip2)) {
+    reasons.push(`chain ${chainInfo.privy} is not allowed`);
+  }
+
+  if (selector && policy.blockedSelectors.includes(selector)) {
+    reasons.push(`method selector ${selector} is blocked`);
+  }
+
+  if (selector && policy.contracts && !policy.contracts.includes(to)) {
+    reasons.push(`contract ${transaction.to} is not in the allowlist`);
+  }
+
+  const { token, amountRaw, recipient } = await describeSpend(chainInfo, transaction, spend);
+  const amount = Number(ethers.formatUnits(amountRaw, token.decimals));
+
+  // Transfers name their recipient; any other call pays one when its calldata is an ERC-20 transfer
+  const paysRecipient = kind === 'transfer' || selector === ERC20_TRANSFER.getFunction('transfer').selector;
+  if (paysRecipient && policy.recipients && !policy.recipients.includes(addressKey(recipient))) {
+    reasons.push(`recipient ${recipient} is not in the allowlist`);
+  }
+
+  const { perTransaction, daily } = policy.limits;
+  const needsUsd = amount > 0 && (perTransaction.usd !== null || daily.usd !== null);
+  const price = needsUsd ? await getUsdPrice(policy, client, walletId, chainInfo, token.symbol) : null;
+  const usd = price !== null ? amount * price : null;
+
+  if (needsUsd && usd === null) {
+    reasons.push(`no USD price for ${token.symbol}, cannot apply USD limits`);
+  }
+
+  if (perTransaction.usd !== null && usd !== null && usd > perTransaction.usd) {
+    reasons.push(`$${usd.toFixed(2)} exceeds the per-transaction limit of $${perTransaction.usd}`);
+  }
+  const perTxAmount = perTransaction.amount[token.symbol];
+  if (perTxAmount !== undefined && amountRaw > ethers.parseUnits(perTxAmount, token.decimals)) {
+    reasons.push(`${amount} ${token.symbol} exceeds the per-transaction limit of ${perTxAmount} ${token.symbol}`);
+  }
+
+  if (daily.usd !== null || Object.keys(daily.amount).length > 0) {
+    const spent = readDailySpend(policy, walletId, now, supersedes);
+
+    if (daily.usd !== null && usd !== null && spent.usd + usd > daily.usd) {
+      reasons.push(`$${(spent.usd + usd).toFixed(2)} in 24h exceeds the daily limit of $${daily.usd}`);
+    }
+    const dailyAmount = daily.amount[token.symbol];
+    const spentAmount = spent.amount[token.symbol] || 0;
+    if (dailyAmount !== undefined && spentAmount + amount > Number(dailyAmount)) {
+      reasons.push(`${spentAmount + amount} ${token.symbol} in 24h exceeds the daily limit of ${dailyAmount} ${token.symbol}`);
+    }
+  }
+
+  const record = {
+    id: randomUUID(),
+    time: new Date(now).toISOString(),
+    decision: reasons.length === 0 ? 'allow' : 'deny',
+    reasons,
+    policy: policy.source,
+    walletId,
+    kind,
+    chain: chainInfo.caip2,
+    to: transaction.to ?? null,
+    selector,
+    recipient: recipient ?? null,
+    asset: { symbol: token.symbol, address: token.native ? null : token.address },
+    amount: amount.toString(),
+    usd,
+    ...(supersedes && { supersedes })
+  };
+
+  writeAuditRecord(policy, record);
+  return record;
+}
+
+/**
+ * Check a transaction against the active policy (POLICY_FILE) and throw if it is denied
+ *
+ * A no-op when no policy is configured.
+ *
+ * @param {Object} params - Same as evaluatePolicy, minus `policy`
+ * @returns {Promise<Object|null>} Audit record, or null without a policy
+ * @throws {PolicyViolationError} When the policy denies the transaction
+ */
+export async function enforcePolicy(params) {
+  const policy = getPolicy();
+  if (!policy) return null;
+
+  const logger = getLogger({ module: 'policy' });
+  const record = await evaluatePolicy({ policy, ...params });
+
+  if (record.decision === 'deny') {
+    logger.warn('Policy denied transaction', { kind: record.kind, chain: record.chain, reasons: record.reasons });
+    throw new PolicyViolationError(`Policy denied ${record.kind}: ${record.reasons.join('; ')}`, record);
+  }
+
+  logger.debug('Policy allowed transaction', { kind: record.kind, chain: record.chain, usd: record.usd });
+  return record;
+}
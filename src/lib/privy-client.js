@@ -0,0 +1,253 @@
+import { AUTHORIZATION_SIGNATURE_HEADER, createAuthorizationSignature } from './authorization.js';
+import { getConfig } from './config.js';
+import { PrivyRateLimitError, createPrivyError } from './errors.js';
+import { getLogger } from './logger.js';
+
+export const DEFAULT_PRIVY_API_URL = 'https://api.privy.io';
+
+/**
+ * Rate limits and server errors are worth another attempt
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null if absent/unparseable
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+/**
+ * Exponential backoff with jitter: base, 2x base, 4x base... capped at maxDelayMs
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const exponential = baseDelayMs * 2 ** attempt;
+  const jitter = Math.random() * baseDelayMs;
+  return Math.min(maxDelayMs, exponential + jitter);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a Privy REST API client
+ * Based on: https://docs.privy.io/api-reference/introduction
+ *
+ * Signs every request with Basic auth + privy-app-id, adds a
+ * privy-authorization-signature to writes when authorization keys are
+ * configured (./authorization.js), retries 429 and 5xx responses with
+ * backoff (honoring Retry-After) and throws typed errors from ./errors.js.
+ *
+ * @param {Object} options
+ * @param {string} options.appId - Privy app ID (default: PRIVY_APP_ID)
+ * @param {string} options.appSecret - Privy app secret (default: PRIVY_APP_SECRET)
+ * @param {string} options.baseUrl - API base URL (default: PRIVY_API_URL or https://api.privy.io)
+ * @param {number} options.maxRetries - Retries after the first attempt (default: 3)
+ * @param {number} options.baseDelayMs - First backoff delay (default: 500)
+ * @param {number} options.maxDelayMs - Backoff cap, also caps Retry-After (default: 30000)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {Object[]} options.authorizationSigners - Signers for owner-protected wallets (default: PRIVY_AUTHORIZATION_KEY / _FILE)
+ * @returns {PrivyClient} Client with request, getBalance, getWallet and rpc
+ */
+export function createPrivyClient({
+  appId = getConfig().privy.appId,
+  appSecret = getConfig().privy.appSecret,
+  baseUrl = getConfig().privy.apiUrl || DEFAULT_PRIVY_API_URL,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  fetch: fetchImpl = globalThis.fetch,
+  authorizationSigners
+} = {}) {
+  if (!appId) throw new Error('PRIVY_APP_ID is required');
+  if (!appSecret) throw new Error('PRIVY_APP_SECRET is required');
+
+  const authorization = `Basic ${Buffer.from(`${appId}:${appSecret}`).toString('base64')}`;
+  const apiUrl = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * Send a signed request to the Privy API
+   *
+   * POSTs are only retried on 5xx when they carry an idempotency key,
+   * since a 5xx after a broadcast could otherwise double-send.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL, e.g. /v1/wallets/:id
+   * @param {Object} options
+   * @param {URLSearchParams|Object} options.query - Query parameters
+   * @param {Object} options.body - JSON body
+   * @param {Object} options.headers - Extra headers
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async function request(method, path, { query, body, headers = {} } = {}) {
+    const search = query ? `?${new URLSearchParams(query).toString()}` : '';
+    const url = `${apiUrl}${path}${search}`;
+    const canRetryServerError = method === 'GET' || Boolean(headers['privy-idempotency-key']);
+    const logger = getLogger({ module: 'privy' });
+
+    // Owner-protected wallets reject writes without a signature over this exact request
+    const signature = method === 'GET' ? undefined : await createAuthorizationSignature({
+      method,
+      url,
+      body,
+      appId,
+      idempotencyKey: headers['privy-idempotency-key'],
+      ...(authorizationSigners && { signers: authorizationSigners })
+    });
+
+    for (let attempt = 0; ; attempt++) {
+      logger.debug('Privy request', { method, path, attempt, headers });
+      const response = await fetchImpl(url, {
+        method,
+        headers: {
+          'Authorization': authorization,
+          'privy-app-id': appId,
+          'Content-Type': 'application/json',
+          ...(signature && { [AUTHORIZATION_SIGNATURE_HEADER]: signature }),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+
+      if (response.ok) {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+      }
+
+      const text = await response.text();
+      let errorBody;
+      try {
+        errorBody = text ? JSON.parse(text) : null;
+      } catch {
+        errorBody = text;
+      }
+
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      const error = createPrivyError(response.status, errorBody, {
+        method,
+        path,
+        retryAfterMs
+      });
+
+      const retryable = response.status === 429 || (canRetryServerError && isRetryableStatus(response.status));
+      if (!retryable || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delay = error instanceof PrivyRateLimitError && retryAfterMs !== null
+        ? Math.min(retryAfterMs, maxDelayMs)
+        : backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      logger.warn('Privy request failed, retrying', { method, path, status: response.status, attempt, delayMs: Math.round(delay) });
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Get wallet balance
+   * Based on: https://docs.privy.io/api-reference/wallets/get-balance
+   *
+   * @param {string} walletId - Wallet ID
+   * @param {Object} params
+   * @param {string|string[]} params.asset - Asset(s)
+   * @param {string|string[]} params.chain - Chain(s)
+   * @param {boolean} params.includeCurrency - Include USD conversion
+   * @returns {Promise<Object>} { balances: [...] }
+   */
+  function getBalance(walletId, { asset, chain, includeCurrency = true }) {
+    const query = new URLSearchParams();
+    [].concat(asset).forEach(a => query.append('asset', a));
+    [].concat(chain).forEach(c => query.append('chain', c));
+    if (includeCurrency) {
+      query.append('include_currency', 'usd');
+    }
+
+    return request('GET', `/v1/wallets/${walletId}/balance`, { query });
+  }
+
+  /**
+   * Get a wallet by ID
+   *
+   * @param {string} walletId - Wallet ID
+   * @returns {Promise<Object>} { id, address, chain_type, ... }
+   */
+  function getWallet(walletId) {
+    return request('GET', `/v1/wallets/${walletId}`);
+  }
+
+  /**
+   * Call a wallet RPC method (eth_sendTransaction, personal_sign, ...)
+   * Based on: https://docs.privy.io/api-reference/wallets/ethereum/eth-send-transaction
+   *
+   * @param {Object} params
+   * @param {string} params.walletId - Wallet ID
+   * @param {string} params.caip2 - CAIP-2 chain ID, e.g. eip155:8453
+   * @param {string} params.method - RPC method
+   * @param {Object} params.params - Method params
+   * @param {boolean} params.sponsor - Request gas sponsorship
+   * @param {string} params.chainType - 'ethereum' or 'solana' (default: 'ethereum')
+   * @param {Object} params.headers - Extra headers
+   * @returns {Promise<Object>} { method, data }
+   */
+  function rpc({ walletId, caip2, method, params, sponsor, chainType = 'ethereum', headers }) {
+    return request('POST', `/v1/wallets/${walletId}/rpc`, {
+      body: {
+        method,
+        caip2,
+        chain_type: chainType,
+        params,
+        ...(sponsor !== undefined && { sponsor })
+      },
+      headers
+    });
+  }
+
+  return { baseUrl: apiUrl, request, getBalance, getWallet, rpc };
+}
+
+/**
+ * The wallet gateway every module talks to Privy through
+ *
+ * API functions take it as `client` and default to getPrivyClient(). Anything
+ * with the same four methods works, so tests can pass a fake.
+ *
+ * @typedef {Object} PrivyClient
+ * @property {Function} request - (method, path, { query, body, headers }) => Promise<Object>
+ * @property {Function} getBalance - (walletId, { asset, chain, includeCurrency }) => Promise<{ balances }>
+ * @property {Function} getWallet - (walletId) => Promise<Object>
+ * @property {Function} rpc - ({ walletId, caip2, method, params, sponsor, chainType, headers }) => Promise<{ method, data }>
+ */
+
+let defaultClient = null;
+
+/**
+ * Get the shared client, built from environment variables on first use
+ *
+ * @returns {PrivyClient} Privy REST client
+ */
+export function getPrivyClient() {
+  if (!defaultClient) {
+    defaultClient = createPrivyClient();
+  }
+  return defaultClient;
+}
+
+/**
+ * Replace the shared client (null rebuilds it from the environment on next use)
+ *
+ * @param {PrivyClient|null} client - Client from createPrivyClient, or any object with the same methods
+ */
+export function setPrivyClient(client) {
+  defaultClient = client;
+}
@@ -0,0 +1,79 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { getConfig } from './config.js';
+
+/**
+ * Local store of portfolio snapshots
+ *
+ * Every snapshot is one line of an append-only JSONL file (PORTFOLIO_FILE,
+ * default ./portfolio-snapshots.jsonl): the holdings of one wallet at one
+ * point in time, with USD values and per-asset prices. Wallets captured
+ * together share a `runId`. Snapshots are never rewritten, so the file is
+ * the treasury's valuation history.
+ */
+
+export const DEFAULT_PORTFOLIO_FILE = 'portfolio-snapshots.jsonl';
+
+/**
+ * Path of the snapshot file
+ *
+ * @returns {string}
+ */
+export function getSnapshotFile() {
+  return path.resolve(getConfig().portfolio.file || DEFAULT_PORTFOLIO_FILE);
+}
+
+/**
+ * Store a snapshot
+ *
+ * @param {Object} snapshot
+ * @param {string} snapshot.walletId - Wallet the holdings belong to
+ * @param {string} snapshot.takenAt - ISO time of the balance query
+ * @param {Object[]} snapshot.holdings - [{ asset, chain, amount, amountRaw, decimals, usd }]
+ * @param {Object} snapshot.byAsset - { eth: { amount, usd, price } } summed over chains
+ * @param {Object} snapshot.totals - { usd, mainnetUSD, testnetUSD }
+ * @returns {Object} The stored snapshot, with its `id`
+ */
+export function saveSnapshot(snapshot) {
+  const stored = { id: randomUUID(), ...snapshot };
+  const file = getSnapshotFile();
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(stored) + '\n');
+  return stored;
+}
+
+function readAll() {
+  const file = getSnapshotFile();
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Query stored snapshots
+ *
+ * @param {Object} filters
+ * @param {string|string[]} filters.walletId - Only these wallets
+ * @param {string|Date} filters.since - Taken at or after
+ * @param {string|Date} filters.until - Taken before
+ * @returns {Object[]} Matching snapshots, oldest first
+ */
+export function listSnapshots({ walletId, since, until } = {}) {
+  const walletIds = walletId === undefined ? null : [walletId].flat();
+  const sinceMs = since ? new Date(since).getTime() : null;
+  const untilMs = until ? new Date(until).getTime() : null;
+
+  return readAll()
+    .filter(snapshot => !walletIds || walletIds.includes(snapshot.walletId))
+    .filter(snapshot => sinceMs === null || Date.parse(snapshot.takenAt) >= sinceMs)
+    .filter(snapshot => untilMs === null || Date.parse(snapshot.takenAt) < untilMs)
+    .sort((a, b) => Date.parse(a.takenAt) - Date.parse(b.takenAt));
+}
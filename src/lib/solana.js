@@ -0,0 +1,331 @@
+import {
+  Connection,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction
+} from '@solana/web3.js';
+import { getChain } from './chains.js';
+import { TransactionSimulationError } from './errors.js';
+import { getLogger } from './logger.js';
+
+/**
+ * Solana transactions for Privy wallets
+ *
+ * Transactions are built here and signed and broadcast by Privy with
+ * `signAndSendTransaction`. A transaction is only valid until its blockhash
+ * expires (~60-90s), so the blockhash is fetched right before sending and
+ * its lastValidBlockHeight is what waitForSolanaTransaction uses to tell a
+ * dropped transaction from a slow one.
+ *
+ * SPL tokens are sent with TransferChecked between associated token
+ * accounts, creating the recipient's account when it does not exist yet.
+ * Both the Token and Token-2022 programs are supported.
+ */
+
+export const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+export const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VjfX6Ap4Gx3XhFoHrGBSZyVwZ2i9');
+export const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW1xSW7h8WTdNhbftZyS');
+
+const TRANSFER_CHECKED = 12;
+const CREATE_IDEMPOTENT = 1;
+const MINT_DECIMALS_OFFSET = 44;
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * RPC connection for a Solana chain (override with RPC_URL_SOLANA / RPC_URL_SOLANA_DEVNET)
+ *
+ * @param {string} chain - Chain identifier, e.g. solana or a solana:* CAIP-2 ID
+ * @returns {Connection}
+ */
+export function getConnection(chain) {
+  const { rpcUrl, chainType, privy } = getChain(chain);
+  if (chainType !== 'solana') {
+    throw new Error(`${privy} is not a Solana chain`);
+  }
+  return new Connection(rpcUrl, 'confirmed');
+}
+
+/**
+ * Parse a base58 Solana address
+ *
+ * @param {string} address - Address to check
+ * @param {string} label - What the address is, for the error message
+ * @returns {PublicKey}
+ */
+export function toPublicKey(address, label = 'address') {
+  try {
+    return new PublicKey(address);
+  } catch {
+    throw new Error(`Invalid Solana ${label}: ${address}`);
+  }
+}
+
+/**
+ * Associated token account of a wallet for a mint
+ *
+ * @param {PublicKey} owner - Wallet
+ * @param {PublicKey} mint - Token mint
+ * @param {PublicKey} tokenProgramId - Token program that owns the mint
+ * @returns {PublicKey}
+ */
+export function getAssociatedTokenAddress(owner, mint, tokenProgramId = TOKEN_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), tokenProgramId.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Read a mint's decimals and owning token program
+ *
+ * @param {number|string} chain - Chain identifier
+ * @param {string} mint - Mint address
+ * @returns {Promise<Object>} { decimals, tokenProgramId }
+ */
+export async function fetchMintInfo(chain, mint) {
+  const account = await getConnection(chain).getAccountInfo(toPublicKey(mint, 'mint'));
+  if (!account) {
+    throw new Error(`Mint ${mint} does not exist on ${getChain(chain).privy}`);
+  }
+  if (!account.owner.equals(TOKEN_PROGRAM_ID) && !account.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    throw new Error(`${mint} is not an SPL token mint`);
+  }
+
+  return {
+    decimals: account.data[MINT_DECIMALS_OFFSET],
+    tokenProgramId: account.owner
+  };
+}
+
+/**
+ * SOL or SPL balance of a wallet in base units
+ *
+ * SPL balances are read from the wallet's associated token account; a
+ * wallet without one holds zero.
+ *
+ * @param {string} chain - Solana chain identifier
+ * @param {string} owner - Wallet address
+ * @param {Object} token - Token metadata from lib/tokens.js ({ native, address })
+ * @returns {Promise<bigint>}
+ */
+export async function getSolanaBalance(chain, owner, token) {
+  const connection = getConnection(chain);
+  const ownerKey = toPublicKey(owner, 'wallet address');
+
+  if (token.native) {
+    return BigInt(await connection.getBalance(ownerKey, 'confirmed'));
+  }
+
+  const { tokenProgramId } = await fetchMintInfo(chain, token.address);
+  const account = await connection.getAccountInfo(
+    getAssociatedTokenAddress(ownerKey, toPublicKey(token.address, 'mint'), tokenProgramId)
+  );
+  // Token account layout: mint (32) | owner (32) | amount (u64 LE) | ...
+  return account ? account.data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET) : 0n;
+}
+
+/**
+ * Instructions for an SPL transfer, creating the recipient's token account if needed
+ */
+async function splTransferInstructions(connection, { chain, from, to, mint, amountRaw }) {
+  const mintKey = toPublicKey(mint, 'mint');
+  const { decimals, tokenProgramId } = await fetchMintInfo(chain, mint);
+  const source = getAssociatedTokenAddress(from, mintKey, tokenProgramId);
+  const destination = getAssociatedTokenAddress(to, mintKey, tokenProgramId);
+
+  const instructions = [];
+  if (!(await connection.getAccountInfo(destination))) {
+    instructions.push(new TransactionInstruction({
+      programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+      keys: [
+        { pubkey: from, isSigner: true, isWritable: true },
+        { pubkey: destination, isSigner: false, isWritable: true },
+        { pubkey: to, isSigner: false, isWritable: false },
+        { pubkey: mintKey, isSigner: false, isWritable: false },
+        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+        { pubkey: tokenProgramId, isSigner: false, isWritable: false }
+      ],
+      data: Buffer.from([CREATE_IDEMPOTENT])
+    }));
+  }
+
+  const data = Buffer.alloc(10);
+  data.writeUInt8(TRANSFER_CHECKED, 0);
+  data.writeBigUInt64LE(BigInt(amountRaw), 1);
+  data.writeUInt8(decimals, 9);
+
+  instructions.push(new TransactionInstruction({
+    programId: tokenProgramId,
+    keys: [
+      { pubkey: source, isSigner: false, isWritable: true },
+      { pubkey: mintKey, isSigner: false, isWritable: false },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: from, isSigner: true, isWritable: false }
+    ],
+    data
+  }));
+
+  return instructions;
+}
+
+/**
+ * Build an unsigned SOL or SPL transfer with a fresh blockhash
+ *
+ * @param {Object} params
+ * @param {string} params.chain - Solana chain identifier
+ * @param {string} params.from - Sending wallet address (fee payer)
+ * @param {string} params.to - Recipient wallet address
+ * @param {Object} params.token - Token metadata from lib/tokens.js ({ native, address })
+ * @param {bigint} params.amountRaw - Amount in lamports / token base units
+ * @returns {Promise<Object>} { transaction, serialized (base64), blockhash, lastValidBlockHeight }
+ */
+export async function buildSolanaTransfer({ chain, from, to, token, amountRaw }) {
+  const connection = getConnection(chain);
+  const fromKey = toPublicKey(from, 'sender');
+  const toKey = toPublicKey(to, 'recipient');
+
+  const instructions = token.native
+    ? [SystemProgram.transfer({ fromPubkey: fromKey, toPubkey: toKey, lamports: BigInt(amountRaw) })]
+    : await splTransferInstructions(connection, { chain, from: fromKey, to: toKey, mint: token.address, amountRaw });
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  const message = new TransactionMessage({
+    payerKey: fromKey,
+    recentBlockhash: blockhash,
+    instructions
+  }).compileToV0Message();
+  const transaction = new VersionedTransaction(message);
+
+  return {
+    transaction,
+    serialized: Buffer.from(transaction.serialize()).toString('base64'),
+    blockhash,
+    lastValidBlockHeight
+  };
+}
+
+/**
+ * Simulate an unsigned transaction and estimate its fee
+ *
+ * @param {Object} params
+ * @param {string} params.chain - Solana chain identifier
+ * @param {VersionedTransaction} params.transaction - Transaction from buildSolanaTransfer
+ * @returns {Promise<Object>} { success, fee, feeFormatted, nativeSymbol, unitsConsumed, logs, revertReason }
+ */
+export async function simulateSolanaTransaction({ chain, transaction }) {
+  const connection = getConnection(chain);
+  const { nativeSymbol, nativeDecimals } = getChain(chain);
+
+  const [{ value: simulation }, { value: fee }] = await Promise.all([
+    connection.simulateTransaction(transaction, { sigVerify: false, commitment: 'confirmed' }),
+    connection.getFeeForMessage(transaction.message, 'confirmed')
+  ]);
+
+  const feeLamports = BigInt(fee ?? 0);
+  return {
+    success: !simulation.err,
+    stage: simulation.err ? 'simulateTransaction' : undefined,
+    fee: feeLamports.toString(),
+    feeFormatted: (Number(feeLamports) / 10 ** nativeDecimals).toString(),
+    nativeSymbol,
+    unitsConsumed: simulation.unitsConsumed ?? null,
+    logs: simulation.logs || [],
+    revertReason: simulation.err ? JSON.stringify(simulation.err) : null
+  };
+}
+
+/**
+ * Simulate and refuse to continue if the transaction would fail
+ *
+ * @param {Object} params - Same as simulateSolanaTransaction
+ * @returns {Promise<Object>} The successful simulation
+ * @throws {TransactionSimulationError} When the simulation fails
+ */
+export async function preflightSolanaTransaction(params) {
+  const simulation = await simulateSolanaTransaction(params);
+  if (!simulation.success) {
+    getLogger({ module: 'solana' }).warn('Simulation failed, not sending', { revertReason: simulation.revertReason });
+    throw new TransactionSimulationError(`Transaction would fail: ${simulation.revertReason}`, simulation);
+  }
+  return simulation;
+}
+
+/**
+ * Poll until a transaction is confirmed, fails, or its blockhash expires
+ *
+ * Returns the same shape as waitForTransaction in lib/transactions.js, with
+ * the slot as blockNumber and the fee in lamports as gasUsed.
+ *
+ * @param {Object} params
+ * @param {string} params.chain - Solana chain identifier
+ * @param {string} params.hash - Transaction signature
+ * @param {number} params.lastValidBlockHeight - From buildSolanaTransfer; without it only the timeout applies
+ * @param {number} params.confirmations - 1 waits for 'confirmed', more waits for 'finalized' (default: 1)
+ * @param {number} params.timeoutMs - Give up after this long (default: 120000)
+ * @param {number} params.pollIntervalMs - Delay between polls (default: 2000)
+ * @param {string} params.rpcUrl - RPC to poll instead of the chain's default
+ * @returns {Promise<Object>} { hash, status, blockNumber, confirmations, gasUsed, effectiveGasPrice, revertReason }
+ */
+export async function waitForSolanaTransaction({
+  chain,
+  hash,
+  lastValidBlockHeight,
+  confirmations = 1,
+  timeoutMs = 120000,
+  pollIntervalMs = 2000,
+  rpcUrl
+}) {
+  if (!hash) throw new Error('hash is required');
+
+  const connection = rpcUrl ? new Connection(rpcUrl, 'confirmed') : getConnection(chain);
+  const deadline = Date.now() + timeoutMs;
+  const wanted = confirmations > 1 ? ['finalized'] : ['confirmed', 'finalized'];
+
+  const result = (status, extra = {}) => ({
+    hash,
+    status,
+    blockNumber: null,
+    confirmations: 0,
+    gasUsed: null,
+    effectiveGasPrice: null,
+    revertReason: null,
+    ...extra
+  });
+
+  while (true) {
+    const { value: [status] } = await connection.getSignatureStatuses([hash], { searchTransactionHistory: true });
+
+    if (status?.err) {
+      return result('reverted', { blockNumber: status.slot, revertReason: JSON.stringify(status.err) });
+    }
+    if (status && wanted.includes(status.confirmationStatus)) {
+      const confirmed = await connection.getTransaction(hash, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      return result('success', {
+        blockNumber: status.slot,
+        confirmations: status.confirmations ?? confirmations,
+        gasUsed: confirmed?.meta?.fee?.toString() ?? null
+      });
+    }
+
+    // Past lastValidBlockHeight an unseen transaction can never land
+    if (!status && lastValidBlockHeight !== undefined) {
+      const blockHeight = await connection.getBlockHeight('confirmed');
+      if (blockHeight > lastValidBlockHeight) {
+        return result('dropped', { revertReason: 'blockhash expired' });
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      return result(status ? 'pending' : 'dropped');
+    }
+
+    await sleep(Math.min(pollIntervalMs, Math.max(0, deadline - Date.now())));
+  }
+}
@@ -0,0 +1,205 @@
+import { ethers } from 'ethers';
+import { getChain, getProvider } from './chains.js';
+import { fetchMintInfo, getSolanaBalance, toPublicKey } from './solana.js';
+
+/**
+ * Placeholder address Bebop and most aggregators use for the native coin
+ */
+export const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+/**
+ * Built-in metadata for the tokens listed in lib/chains.js
+ *
+ * Anything not listed here is read from the contract (or SPL mint) itself.
+ */
+export const KNOWN_TOKENS = {
+  ETH: { name: 'Ether', decimals: 18 },
+  POL: { name: 'Polygon Ecosystem Token', decimals: 18 },
+  SOL: { name: 'Solana', decimals: 9 },
+  USDC: { name: 'USD Coin', decimals: 6 },
+  USDT: { name: 'Tether USD', decimals: 6 },
+  WETH: { name: 'Wrapped Ether', decimals: 18 }
+};
+
+const ERC20_METADATA_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+];
+
+const ERC20_BALANCE_ABI = ['function balanceOf(address owner) view returns (uint256)'];
+
+const cache = new Map();
+
+/**
+ * Read decimals/symbol/name from an ERC-20 contract via eth_call
+ */
+async function fetchOnChainMetadata(chain, address) {
+  const contract = new ethers.Contract(address, ERC20_METADATA_ABI, getProvider(chain.chainId));
+
+  const [decimals, symbol, name] = await Promise.all([
+    contract.decimals(),
+    contract.symbol().catch(() => null),
+    contract.name().catch(() => null)
+  ]);
+
+  return {
+    decimals: Number(decimals),
+    symbol: symbol || address,
+    name: name || symbol || address
+  };
+}
+
+/**
+ * Read decimals from an SPL mint account; SPL mints carry no symbol or name
+ */
+async function fetchMintMetadata(chain, address) {
+  const { decimals } = await fetchMintInfo(chain.caip2, address);
+  return { decimals, symbol: address, name: address };
+}
+
+/**
+ * Normalize a token address for the chain: checksummed EVM address or base58 mint
+ */
+function parseTokenAddress(chainInfo, value) {
+  if (chainInfo.chainType === 'solana') {
+    if (value.startsWith('0x')) return null;
+    try {
+      return toPublicKey(value).toBase58();
+    } catch {
+      return null;
+    }
+  }
+  return ethers.isAddress(value) ? ethers.getAddress(value) : null;
+}
+
+/**
+ * Resolve token metadata from the built-in registry, falling back to an
+ * ERC-20 eth_call (SPL mint account on Solana). Results are cached per chain
+ * and address.
+ *
+ * @param {number|string} chain - Chain ID, CAIP-2 ID or chain name
+ * @param {string} token - 'native', native symbol (ETH, SOL), token symbol (USDC) or address/mint
+ * @returns {Promise<Object>} { address, symbol, name, decimals, native }
+ */
+export async function getTokenMetadata(chain, token) {
+  const chainInfo = getChain(chain);
+  const value = token.toString().trim();
+
+  const isNative = value.toLowerCase() === 'native' ||
+    value.toUpperCase() === chainInfo.nativeSymbol ||
+    value.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase();
+
+  if (isNative) {
+    return {
+      address: NATIVE_TOKEN_ADDRESS,
+      symbol: chainInfo.nativeSymbol,
+      name: KNOWN_TOKENS[chainInfo.nativeSymbol]?.name || chainInfo.nativeSymbol,
+      decimals: chainInfo.nativeDecimals,
+      native: true
+    };
+  }
+
+  let address = parseTokenAddress(chainInfo, value);
+  if (!address) {
+    address = chainInfo.tokens[value.toUpperCase()];
+    if (!address) {
+      throw new Error(
+        `Unknown token ${token} on ${chainInfo.privy}. ` +
+        `Use ${chainInfo.nativeSymbol}, one of ${Object.keys(chainInfo.tokens).join(', ')} or a token address`
+      );
+    }
+  }
+
+  const key = `${chainInfo.caip2}:${address.toLowerCase()}`;
+  if (!cache.has(key)) {
+    const symbol = Object.keys(chainInfo.tokens).find(
+      s => chainInfo.tokens[s].toLowerCase() === address.toLowerCase()
+    );
+
+    const fetchMetadata = chainInfo.chainType === 'solana' ? fetchMintMetadata : fetchOnChainMetadata;
+    const lookup = symbol && KNOWN_TOKENS[symbol]
+      ? Promise.resolve({ symbol, ...KNOWN_TOKENS[symbol] })
+      : fetchMetadata(chainInfo, address);
+
+    // Cache the promise so concurrent lookups share one eth_call, but
+    // drop it on failure so a flaky RPC does not poison the cache
+    cache.set(key, lookup.catch((error) => {
+      cache.delete(key);
+      throw error;
+    }));
+  }
+
+  const metadata = await cache.get(key);
+  return { address, ...metadata, native: false };
+}
+
+/**
+ * Read a wallet's balance of a token from the chain itself
+ *
+ * Unlike Privy's balance API this works for any token, including ones Privy
+ * does not price.
+ *
+ * @param {number|string} chain - Chain identifier
+ * @param {string} token - Token identifier (see getTokenMetadata)
+ * @param {string} owner - Wallet address
+ * @returns {Promise<bigint>} Balance in base units
+ */
+export async function getTokenBalance(chain, token, owner) {
+  const chainInfo = getChain(chain);
+  const metadata = await getTokenMetadata(chainInfo.caip2, token);
+
+  if (chainInfo.chainType === 'solana') {
+    return getSolanaBalance(chainInfo.caip2, owner, metadata);
+  }
+
+  const provider = getProvider(chainInfo.chainId);
+  if (metadata.native) {
+    return provider.getBalance(owner);
+  }
+  return new ethers.Contract(metadata.address, ERC20_BALANCE_ABI, provider).balanceOf(owner);
+}
+
+/**
+ * Convert a human-readable amount into base units using the token's decimals
+ *
+ * @param {number|string} chain - Chain identifier
+ * @param {string} token - Token identifier (see getTokenMetadata)
+ * @param {string|number} amount - Amount, e.g. "100"
+ * @returns {Promise<bigint>} Amount in base units
+ */
+export async function parseTokenAmount(chain, token, amount) {
+  const { decimals } = await getTokenMetadata(chain, token);
+  return ethers.parseUnits(amount.toString(), decimals);
+}
+
+/**
+ * Convert base units into a human-readable amount using the token's decimals
+ *
+ * @param {number|string} chain - Chain identifier
+ * @param {string} token - Token identifier (see getTokenMetadata)
+ * @param {bigint|string} rawAmount - Amount in base units
+ * @returns {Promise<string>} Human-readable amount
+ */
+export async function formatTokenAmount(chain, token, rawAmount) {
+  const { decimals } = await getTokenMetadata(chain, token);
+  return ethers.formatUnits(BigInt(rawAmount), decimals);
+}
+
+/**
+ * Format base units when the decimals are already known (e.g. Privy balance responses)
+ *
+ * @param {bigint|string} rawAmount - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} Human-readable amount
+ */
+export function formatUnits(rawAmount, decimals) {
+  return ethers.formatUnits(BigInt(rawAmount || 0), decimals);
+}
+
+/**
+ * Forget cached metadata (mainly for tests)
+ */
+export function clearTokenMetadataCache() {
+  cache.clear();
+}
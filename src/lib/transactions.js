@@ -0,0 +1,265 @@
+import { ethers } from 'ethers';
+import { getChain, getProvider } from './chains.js';
+import { TransactionSimulationError } from './errors.js';
+import { getLogger } from './logger.js';
+import { waitForSolanaTransaction } from './solana.js';
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Load-balanced RPCs miss a known transaction now and then; only this many
+// misses in a row (or its nonce being used) make it dropped
+const DROPPED_AFTER_MISSES = 3;
+
+/**
+ * Decode revert data returned by a failed call
+ *
+ * @param {string} data - Hex revert data
+ * @returns {string|null} Readable reason, the raw selector for custom errors, or null
+ */
+export function decodeRevertReason(data) {
+  if (!data || data === '0x') return null;
+
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const payload = `0x${data.slice(10)}`;
+
+  try {
+    if (data.startsWith(ERROR_SELECTOR)) {
+      return coder.decode(['string'], payload)[0];
+    }
+    if (data.startsWith(PANIC_SELECTOR)) {
+      return `Panic(0x${coder.decode(['uint256'], payload)[0].toString(16)})`;
+    }
+  } catch {
+    // Malformed payload, fall through to the raw selector
+  }
+
+  return `Custom error ${data.slice(0, 10)}`;
+}
+
+/**
+ * Best readable reason from an ethers call/estimateGas error
+ */
+function revertReasonFromError(error) {
+  return error.reason || decodeRevertReason(error.data) || error.shortMessage || error.message;
+}
+
+/**
+ * Replay a mined transaction with eth_call at its block to recover the revert reason
+ */
+async function fetchRevertReason(provider, tx, blockNumber) {
+  try {
+    await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      blockTag: blockNumber
+    });
+    return null;
+  } catch (error) {
+    return revertReasonFromError(error);
+  }
+}
+
+/**
+ * Dry-run a transaction with eth_call and eth_estimateGas from the sending wallet
+ *
+ * Nothing is signed or broadcast. A revert comes back as `success: false`
+ * with the decoded reason instead of throwing.
+ *
+ * @param {Object} params
+ * @param {number|string} params.chain - Chain ID, CAIP-2 ID or name
+ * @param {string} params.from - Wallet address that would send the transaction
+ * @param {Object} params.transaction - { to, data, value } as passed to eth_sendTransaction
+ * @param {string} params.rpcUrl - RPC to simulate against instead of the chain's default
+ * @returns {Promise<Object>} { success, gasLimit, gasPrice, maxFeePerGas, fee, feeFormatted, nativeSymbol }
+ *   or { success: false, revertReason, stage } where stage is 'call' or 'estimateGas'
+ */
+export async function simulateTransaction({ chain, from, transaction, rpcUrl }) {
+  if (!from) throw new Error('from is required to simulate a transaction');
+
+  const { nativeSymbol } = getChain(chain);
+  const provider = rpcUrl
+    ? new ethers.JsonRpcProvider(rpcUrl)
+    : getProvider(chain);
+  const request = {
+    from,
+    to: transaction.to,
+    data: transaction.data || '0x',
+    value: transaction.value || 0
+  };
+
+  try {
+    await provider.call(request);
+  } catch (error) {
+    return { success: false, stage: 'call', revertReason: revertReasonFromError(error) };
+  }
+
+  let gasLimit;
+  try {
+    gasLimit = await provider.estimateGas(request);
+  } catch (error) {
+    return { success: false, stage: 'estimateGas', revertReason: revertReasonFromError(error) };
+  }
+
+  const feeData = await provider.getFeeData();
+  const price = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  const fee = gasLimit * price;
+
+  return {
+    success: true,
+    gasLimit: gasLimit.toString(),
+    gasPrice: feeData.gasPrice?.toString() ?? null,
+    maxFeePerGas: feeData.maxFeePerGas?.toString() ?? null,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString() ?? null,
+    fee: fee.toString(),
+    feeFormatted: ethers.formatEther(fee),
+    nativeSymbol
+  };
+}
+
+/**
+ * Simulate a transaction and refuse to continue if it would revert
+ *
+ * @param {Object} params - Same as simulateTransaction
+ * @returns {Promise<Object>} The successful simulation
+ * @throws {TransactionSimulationError} When the simulation reverts
+ */
+export async function preflightTransaction(params) {
+  const logger = getLogger({ module: 'transactions' });
+  const simulation = await simulateTransaction(params);
+
+  if (!simulation.success) {
+    logger.warn('Simulation reverted, not sending', { to: params.transaction.to, revertReason: simulation.revertReason });
+    throw new TransactionSimulationError(
+      `Transaction would revert (${simulation.stage}): ${simulation.revertReason}`,
+      simulation
+    );
+  }
+
+  logger.info('Simulation succeeded', {
+    to: params.transaction.to,
+    gasLimit: simulation.gasLimit,
+    fee: `${simulation.feeFormatted} ${simulation.nativeSymbol}`
+  });
+  return simulation;
+}
+
+/**
+ * Poll a chain RPC until a transaction has the requested confirmations,
+ * reverts, disappears from the node, or the timeout runs out
+ *
+ * Solana chains are handed to waitForSolanaTransaction in lib/solana.js,
+ * which also accepts `lastValidBlockHeight`.
+ *
+ * @param {Object} params
+ * @param {number|string} params.chain - Chain ID, CAIP-2 ID or name
+ * @param {string} params.hash - Transaction hash
+ * @param {number} params.confirmations - Blocks to wait for, including the inclusion block (default: 1)
+ * @param {number} params.timeoutMs - Give up after this long (default: 120000)
+ * @param {number} params.pollIntervalMs - Delay between polls (default: 2000)
+ * @param {string} params.rpcUrl - RPC to poll instead of the chain's default
+ * @returns {Promise<Object>} { hash, status, blockNumber, confirmations, gasUsed, effectiveGasPrice, revertReason }
+ *   where status is 'success', 'reverted', 'dropped' or 'pending' (timed out, or never seen by the RPC).
+ *   'dropped' means the node knew the transaction and then lost it for several polls in a row,
+ *   or the sender's nonce moved past it without a receipt
+ */
+export async function waitForTransaction({
+  chain,
+  hash,
+  confirmations = 1,
+  timeoutMs = 120000,
+  pollIntervalMs = 2000,
+  rpcUrl,
+  lastValidBlockHeight
+}) {
+  if (!hash) throw new Error('hash is required');
+
+  if (chain !== undefined && getChain(chain).chainType === 'solana') {
+    return waitForSolanaTransaction({ chain, hash, lastValidBlockHeight, confirmations, timeoutMs, pollIntervalMs, rpcUrl });
+  }
+
+  // Every poll has to reach the node; ethers would answer repeats from a short-lived cache
+  const providerOptions = { cacheTimeout: -1 };
+  const provider = rpcUrl
+    ? new ethers.JsonRpcProvider(rpcUrl, undefined, providerOptions)
+    : getProvider(chain, providerOptions);
+  const deadline = Date.now() + timeoutMs;
+  let seen = false;
+  let sent = null;
+  let misses = 0;
+
+  const result = (status, extra = {}) => ({
+    hash,
+    status,
+    blockNumber: null,
+    confirmations: 0,
+    gasUsed: null,
+    effectiveGasPrice: null,
+    revertReason: null,
+    ...extra
+  });
+
+  while (true) {
+    const receipt = await provider.getTransactionReceipt(hash);
+
+    if (receipt) {
+      seen = true;
+      misses = 0;
+      const currentBlock = await provider.getBlockNumber();
+      const receiptConfirmations = currentBlock - receipt.blockNumber + 1;
+      const mined = {
+        blockNumber: receipt.blockNumber,
+        confirmations: receiptConfirmations,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: (receipt.gasPrice ?? 0n).toString()
+      };
+
+      if (receipt.status !== 1) {
+        const tx = await provider.getTransaction(hash);
+        const revertReason = tx ? await fetchRevertReason(provider, tx, receipt.blockNumber) : null;
+        return result('reverted', { ...mined, revertReason });
+      }
+
+      if (receiptConfirmations >= confirmations) {
+        return result('success', mined);
+      }
+    } else {
+      const tx = await provider.getTransaction(hash);
+      if (tx) {
+        seen = true;
+        misses = 0;
+        sent = { from: tx.from, nonce: tx.nonce };
+      } else if (seen) {
+        // The node knew about it and now does not: replaced, evicted, or a replica lagging behind
+        misses += 1;
+        const replaced = sent !== null &&
+          await provider.getTransactionCount(sent.from, 'latest') > sent.nonce &&
+          !(await provider.getTransactionReceipt(hash));
+        if (replaced || misses >= DROPPED_AFTER_MISSES) {
+          return result('dropped');
+        }
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      return result('pending');
+    }
+
+    await sleep(Math.min(pollIntervalMs, Math.max(0, deadline - Date.now())));
+  }
+}
+
+/**
+ * Normalize a send function's `wait` option into waitForTransaction options
+ *
+ * @param {boolean|Object} wait - true, false or { confirmations, timeoutMs, pollIntervalMs, rpcUrl }
+ * @returns {Object|null} Options, or null when waiting is off
+ */
+export function resolveWaitOptions(wait) {
+  if (!wait) return null;
+  return wait === true ? {} : wait;
+}
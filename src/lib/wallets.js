@@ -0,0 +1,327 @@
+import { ethers } from 'ethers';
+import { getPrivyClient } from './privy-client.js';
+import { IDEMPOTENCY_HEADER } from './idempotency.js';
+
+/**
+ * Privy server wallets: create, list, look up and update
+ * Based on: https://docs.privy.io/api-reference/wallets/create
+ *
+ * Every module that needs a wallet's address resolves it here. Wallets are
+ * returned in one shape:
+ *
+ *   { id, address, chainType, ownerId, additionalSigners: [{ signerId, overridePolicyIds }],
+ *     policyIds, createdAt }
+ *
+ * and cached by ID and address, since a wallet's address never changes. The
+ * cache is kept per client, so wallets of one Privy app never answer for another.
+ */
+
+export const CHAIN_TYPES = ['ethereum', 'solana'];
+
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Privy caps list pages at 100
+const MAX_PAGE_SIZE = 100;
+
+const caches = new WeakMap();
+
+function cacheFor(client) {
+  if (!caches.has(client)) {
+    caches.set(client, { byId: new Map(), byAddress: new Map() });
+  }
+  return caches.get(client);
+}
+
+/**
+ * Convert a Privy wallet response to the shape used across this package
+ *
+ * @param {Object} wallet - Wallet as returned by the Privy API
+ * @returns {Object} { id, address, chainType, ownerId, additionalSigners, policyIds, createdAt }
+ */
+export function toWallet(wallet) {
+  return {
+    id: wallet.id,
+    address: wallet.address,
+    chainType: wallet.chain_type,
+    ownerId: wallet.owner_id ?? null,
+    additionalSigners: (wallet.additional_signers || []).map(signer => ({
+      signerId: signer.signer_id,
+      overridePolicyIds: signer.override_policy_ids || []
+    })),
+    policyIds: wallet.policy_ids || [],
+    createdAt: wallet.created_at ? new Date(wallet.created_at).toISOString() : null
+  };
+}
+
+function remember(client, wallet) {
+  const cache = cacheFor(client);
+  cache.byId.set(wallet.id, wallet);
+  cache.byAddress.set(addressKey(wallet.address), wallet);
+  return wallet;
+}
+
+// EVM addresses are case-insensitive, Solana addresses are not
+function addressKey(address) {
+  return address.startsWith('0x') ? address.toLowerCase() : address;
+}
+
+/**
+ * Whether a string is a wallet address (EVM or Solana) rather than a Privy wallet ID
+ *
+ * @param {string} value - Wallet ID or address
+ * @returns {boolean}
+ */
+export function isWalletAddress(value) {
+  return ethers.isAddress(value) || SOLANA_ADDRESS.test(value);
+}
+
+/**
+ * Translate the owner inputs to the Privy request fields
+ *
+ * @param {Object} params
+ * @param {Object|null} params.owner - { userId } or { publicKey } (P-256, base64 DER); null removes the owner
+ * @param {string} params.ownerId - ID of an existing key quorum
+ * @returns {Object} { owner } or { owner_id }, or {} when neither is given
+ */
+function ownerFields({ owner, ownerId }) {
+  if (owner !== undefined && ownerId !== undefined) {
+    throw new Error('Pass either owner or ownerId, not both');
+  }
+  if (ownerId !== undefined) return { owner_id: ownerId };
+  if (owner === undefined) return {};
+  if (owner === null) return { owner: null };
+  if (owner.userId) return { owner: { user_id: owner.userId } };
+  if (owner.publicKey) return { owner: { public_key: owner.publicKey } };
+  throw new Error('owner must have userId or publicKey');
+}
+
+function signerFields(additionalSigners) {
+  if (additionalSigners === undefined) return {};
+  return {
+    additional_signers: additionalSigners.map(signer => ({
+      signer_id: signer.signerId,
+      ...(signer.overridePolicyIds && { override_policy_ids: signer.overridePolicyIds })
+    }))
+  };
+}
+
+/**
+ * Create a server wallet
+ *
+ * @param {Object} params
+ * @param {string} params.chainType - 'ethereum' or 'solana' (default: 'ethereum')
+ * @param {Object} params.owner - { userId } or { publicKey }; without an owner the app controls the wallet
+ * @param {string} params.ownerId - Key quorum ID to own the wallet (instead of owner)
+ * @param {Object[]} params.additionalSigners - [{ signerId, overridePolicyIds }]
+ * @param {string[]} params.policyIds - Privy policies to attach
+ * @param {string} params.idempotencyKey - Reuse on retries so only one wallet is created
+ * @param {Object} params.client - Privy REST client (default: shared client)
+ * @returns {Promise<Object>} Created wallet
+ */
+export async function createWallet({
+  chainType = 'ethereum',
+  owner,
+  ownerId,
+  additionalSigners,
+  policyIds,
+  idempotencyKey,
+  client = getPrivyClient()
+} = {}) {
+  if (!CHAIN_TYPES.includes(chainType)) {
+    throw new Error(`Unsupported chain type: ${chainType}. Supported: ${CHAIN_TYPES.join(', ')}`);
+  }
+
+  const data = await client.request('POST', '/v1/wallets', {
+    body: {
+      chain_type: chainType,
+      ...ownerFields({ owner, ownerId }),
+      ...signerFields(additionalSigners),
+      ...(policyIds && { policy_ids: policyIds })
+    },
+    headers: idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : {}
+  });
+
+  return remember(client, toWallet(data));
+}
+
+/**
+ * List one page of the app's wallets
+ *
+ * @param {Object} params
+ * @param {string} params.chainType - Only 'ethereum' or 'solana' wallets
+ * @param {string} params.userId - Only wallets owned by this Privy user
+ * @param {string} params.cursor - nextCursor from the previous page
+ * @param {number} params.limit - Page size, at most 100 (default: 100)
+ * @param {Object} params.client - Privy REST client (default: shared client)
+ * @returns {Promise<Object>} { wallets, nextCursor } (nextCursor is null on the last page)
+ */
+export async function listWallets({
+  chainType,
+  userId,
+  cursor,
+  limit = MAX_PAGE_SIZE,
+  client = getPrivyClient()
+} = {}) {
+  const query = {
+    limit: String(Math.min(limit, MAX_PAGE_SIZE)),
+    ...(chainType && { chain_type: chainType }),
+    ...(userId && { user_id: userId }),
+    ...(cursor && { cursor })
+  };
+
+  const data = await client.request('GET', '/v1/wallets', { query });
+  return {
+    wallets: data.data.map(wallet => remember(client, toWallet(wallet))),
+    nextCursor: data.next_cursor || null
+  };
+}
+
+/**
+ * Find a wallet by address, paging through the app's wallets
+ *
+ * @param {string} address - EVM (any case) or Solana address
+ * @param {Object} options
+ * @param {Object} options.client - Privy REST client (default: shared client)
+ * @returns {Promise<Object|null>} Wallet, or null if the app has no wallet with this address
+ */
+export async function findWalletByAddress(address, { client = getPrivyClient() } = {}) {
+  const key = addressKey(address);
+  const { byAddress } = cacheFor(client);
+  if (byAddress.has(key)) return byAddress.get(key);
+
+  const chainType = ethers.isAddress(address) ? 'ethereum' : 'solana';
+  let cursor;
+  do {
+    const page = await listWallets({ chainType, cursor, client });
+    const match = page.wallets.find(wallet => addressKey(wallet.address) === key);
+    if (match) return match;
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return null;
+}
+
+/**
+ * Get a wallet by Privy wallet ID or by address
+ *
+ * @param {string} walletIdOrAddress - Wallet ID, or an EVM/Solana address
+ * @param {Object} options
+ * @param {boolean} options.refresh - Skip the cache, e.g. after changing signers elsewhere
+ * @param {Object} options.client - Privy REST client (default: shared client)
+ * @returns {Promise<Object>} Wallet
+ * @throws {Error} When no wallet has that address
+ */
+export async function getWallet(walletIdOrAddress, { refresh = false, client = getPrivyClient() } = {}) {
+  if (!walletIdOrAddress) throw new Error('walletId or address is required');
+
+  const cache = cacheFor(client);
+  if (isWalletAddress(walletIdOrAddress)) {
+    if (refresh) {
+      cache.byAddress.delete(addressKey(walletIdOrAddress));
+    }
+    const wallet = await findWalletByAddress(walletIdOrAddress, { client });
+    if (!wallet) throw new Error(`No wallet in this app has address ${walletIdOrAddress}`);
+    return wallet;
+  }
+
+  if (!refresh && cache.byId.has(walletIdOrAddress)) {
+    return cache.byId.get(walletIdOrAddress);
+  }
+  return remember(client, toWallet(await client.getWallet(walletIdOrAddress)));
+}
+
+/**
+ * Address of a wallet, the usual reason to look one up
+ *
+ * @param {string} walletId - Privy wallet ID
+ * @param {Object} options
+ * @param {Object} options.client - Privy REST client (default: shared client)
+ * @returns {Promise<string>} Wallet address
+ */
+export async function getWalletAddress(walletId, { client = getPrivyClient() } = {}) {
+  const wallet = await getWallet(walletId, { client });
+  return wallet.address;
+}
+
+/**
+ * Change a wallet's owner, additional signers or policies
+ *
+ * Privy requires an authorization signature from the current owner for
+ * owned wallets.
+ *
+ * @param {Object} params
+ * @param {string} params.walletId - Wallet ID
+ * @param {Object|null} params.owner - New owner ({ userId } or { publicKey }); null makes the app the owner
+ * @param {string} params.ownerId - Key quorum ID to own the wallet (instead of owner)
+ * @param {Object[]} params.additionalSigners - Full new list of [{ signerId, overridePolicyIds }]
+ * @param {string[]} params.policyIds - Full new list of policy IDs
+ * @param {Object} params.client - Privy REST client (default: shared client)
+ * @returns {Promise<Object>} Updated wallet
+ */
+export async function updateWallet({
+  walletId,
+  owner,
+  ownerId,
+  additionalSigners,
+  policyIds,
+  client = getPrivyClient()
+}) {
+  if (!walletId) throw new Error('walletId is required');
+
+  const body = {
+    ...ownerFields({ owner, ownerId }),
+    ...signerFields(additionalSigners),
+    ...(policyIds && { policy_ids: policyIds })
+  };
+  if (Object.keys(body).length === 0) {
+    throw new Error('Nothing to update: pass owner, ownerId, additionalSigners or policyIds');
+  }
+
+  const data = await client.request('PATCH', `/v1/wallets/${walletId}`, { body });
+  return remember(client, toWallet(data));
+}
+
+/**
+ * Add an additional signer to a wallet, keeping the existing ones
+ *
+ * @param {Object} params
+ * @param {string} params.walletId - Wallet ID
+ * @param {string} params.signerId - Key quorum ID of the signer
+ * @param {string[]} params.overridePolicyIds - Policies that apply to this signer instead of the wallet's
+ * @param {Object} params.client - Privy REST client (default: shared client)
+ * @returns {Promise<Object>} Updated wallet
+ */
+export async function addWalletSigner({ walletId, signerId, overridePolicyIds, client = getPrivyClient() }) {
+  if (!signerId) throw new Error('signerId is required');
+
+  const wallet = await getWallet(walletId, { refresh: true, client });
+  const others = wallet.additionalSigners.filter(signer => signer.signerId !== signerId);
+
+  return updateWallet({
+    walletId: wallet.id,
+    additionalSigners: [...others, { signerId, ...(overridePolicyIds && { overridePolicyIds }) }],
+    client
+  });
+}
+
+/**
+ * Remove an additional signer from a wallet
+ *
+ * @param {Object} params
+ * @param {string} params.walletId - Wallet ID
+ * @param {string} params.signerId - Key quorum ID of the signer
+ * @param {Object} params.client - Privy REST client (default: shared client)
+ * @returns {Promise<Object>} Updated wallet
+ */
+export async function removeWalletSigner({ walletId, signerId, client = getPrivyClient() }) {
+  const wallet = await getWallet(walletId, { refresh: true, client });
+  if (!wallet.additionalSigners.some(signer => signer.signerId === signerId)) {
+    throw new Error(`${signerId} is not a signer of wallet ${wallet.id}`);
+  }
+
+  return updateWallet({
+    walletId: wallet.id,
+    additionalSigners: wallet.additionalSigners.filter(signer => signer.signerId !== signerId),
+    client
+  });
+}
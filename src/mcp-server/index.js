@@ -0,0 +1,517 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+
+import { getWalletBalance } from '../api/get-wallet-balance.js';
+import { getBalanceByAsset } from '../api/get-balance-by-asset.js';
+import { withdrawSepoliaETH } from '../api/withdraw-eth-sepolia.js';
+import { transfer } from '../api/transfer.js';
+import { batchPayout } from '../api/batch-payout.js';
+import { getSwapQuote, swapTokenBebop } from '../api/swap-token-bebop.js';
+import { SUPPORTED_ASSETS } from '../lib/chains.js';
+import { getConfig } from '../lib/config.js';
+import { createLoggerFromEnv, setLogger } from '../lib/logger.js';
+import { CHAIN_TYPES, createWallet, getWallet, listWallets } from '../lib/wallets.js';
+
+const walletIdProperty = {
+  type: 'string',
+  description: 'Privy wallet ID (defaults to WALLET_ID from .env)'
+};
+
+const idempotencyKeyProperty = {
+  type: 'string',
+  description: 'Unique key for this send; retrying with the same key returns the original result instead of sending again'
+};
+
+/**
+ * Tool definitions exposed over MCP
+ *
+ * Each tool maps its JSON arguments onto the matching src/api function,
+ * so agents call the wallet exactly the way the npm scripts do.
+ */
+const tools = [
+  {
+    name: 'getWalletBalance',
+    description: 'Get Privy wallet balance for one or more assets on one or more chains',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        walletId: walletIdProperty,
+        asset: {
+          description: `Asset(s) to check: ${SUPPORTED_ASSETS.join(', ')}`,
+          oneOf: [
+            { type: 'string' },
+            { type: 'array', items: { type: 'string' } }
+          ],
+          default: 'eth'
+        },
+        chain: {
+          description: "Chain(s) to check, e.g. 'base', 'ethereum', 'sepolia'",
+          oneOf: [
+            { type: 'string' },
+            { type: 'array', items: { type: 'string' } }
+          ]
+        },
+        includeCurrency: {
+          type: 'boolean',
+          description: 'Include USD conversion',
+          default: true
+        }
+      },
+      required: ['chain']
+    },
+    handler: (args) => getWalletBalance(args)
+  },
+  {
+    name: 'getBalanceByAsset',
+    description: 'Get balance of a single asset across all supported chains, with totals',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        walletId: walletIdProperty,
+        asset: {
+          type: 'string',
+          enum: SUPPORTED_ASSETS,
+          description: 'Asset to check'
+        }
+      },
+      required: ['asset']
+    },
+    handler: (args) => getBalanceByAsset(args)
+  },
+  {
+    name: 'withdrawSepoliaETH',
+    description: 'Send native ETH on Sepolia (eip155:11155111) to a recipient address',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        walletId: walletIdProperty,
+        recipientAddress: {
+          type: 'string',
+          description: 'Destination address (0x...)'
+        },
+        amountEth: {
+          type: 'string',
+          description: 'Amount in ETH, e.g. "0.01"'
+        },
+        sponsorGas: {
+          type: 'boolean',
+          description: 'Request Privy gas sponsorship',
+          default: false
+        },
+        wait: {
+          type: 'boolean',
+          description: 'Wait for the transaction receipt before returning',
+          default: false
+        },
+        simulate: {
+          type: 'boolean',
+          description: 'Simulate with eth_call/eth_estimateGas first and abort if it would revert',
+          default: false
+        },
+        idempotencyKey: idempotencyKeyProperty
+      },
+      required: ['recipientAddress', 'amountEth']
+    },
+    handler: (args) => withdrawSepoliaETH(args)
+  },
+  {
+    name: 'transfer',
+    description: 'Send a native coin or token on any supported chain: ETH/ERC-20 on EVM chains, SOL/SPL on Solana',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        walletId: walletIdProperty,
+        caip2: {
+          type: 'string',
+          description: 'CAIP-2 chain ID, e.g. "eip155:8453" for Base or "solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp" for Solana'
+        },
+        asset: {
+          type: 'string',
+          description: "'native', a native symbol (ETH, POL, SOL), a token symbol (USDC) or token address/mint",
+          default: 'native'
+        },
+        amount: {
+          type: 'string',
+          description: 'Human-readable amount, e.g. "12.5"'
+        },
+        recipientAddress: {
+          type: 'string',
+          description: 'Destination address (0x... or a base58 Solana address)'
+        },
+        sponsorGas: {
+          type: 'boolean',
+          description: 'Request Privy gas sponsorship',
+          default: false
+        },
+        wait: {
+          type: 'boolean',
+          description: 'Wait for the transaction receipt before returning',
+          default: false
+        },
+        simulate: {
+          type: 'boolean',
+          description: 'Simulate with eth_call/eth_estimateGas first and abort if it would revert',
+          default: false
+        },
+        idempotencyKey: idempotencyKeyProperty
+      },
+      required: ['caip2', 'amount', 'recipientAddress']
+    },
+    handler: (args) => transfer(args)
+  },
+  {
+    name: 'batchPayout',
+    description: 'Send to many recipients from a list of rows; every row is validated and balances checked before ' +
+      'anything is sent, and calling again with the same rows resumes without paying anyone twice',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        walletId: walletIdProperty,
+        payouts: {
+          type: 'array',
+          description: 'Payout rows',
+          items: {
+            type: 'object',
+            properties: {
+              recipient: { type: 'string' },
+              amount: { type: 'string' },
+              asset: { type: 'string', description: 'Defaults to the native coin' },
+              chain: { type: 'string', description: 'Defaults to the chain argument' }
+            },
+            required: ['recipient', 'amount']
+          }
+        },
+        chain: {
+          type: 'string',
+          description: 'Chain for rows without one, e.g. "sepolia" or "eip155:8453"'
+        },
+        batchId: {
+          type: 'string',
+          description: 'Stable ID for the batch; reuse it to resume after editing the rows'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Only validate the rows and check balances',
+          default: false
+        },
+        stopOnError: {
+          type: 'boolean',
+          description: 'Stop at the first failed row',
+          default: false
+        },
+        wait: {
+          type: 'boolean',
+          description: 'Wait for each receipt before sending the next row',
+          default: false
+        }
+      },
+      required: ['payouts']
+    },
+    // Inline rows only: a file path or report path would let the agent read and
+    // write any file the server can; the report comes back as the tool result
+    handler: ({ walletId, payouts, chain, batchId, dryRun, stopOnError, wait }) => {
+      if (!Array.isArray(payouts)) throw new Error('payouts is required: a list of { recipient, amount, asset, chain } rows');
+      return batchPayout({ walletId, payouts, chain, batchId, dryRun, stopOnError, wait, reportFile: null });
+    }
+  },
+  {
+    name: 'swapTokenBebop',
+    description: 'Swap tokens on a single chain through the Bebop PMM API',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        walletId: walletIdProperty,
+        fromToken: {
+          type: 'string',
+          description: 'Token to sell: symbol (USDC, ETH) or address'
+        },
+        toToken: {
+          type: 'string',
+          description: 'Token to buy: symbol (WETH) or address'
+        },
+        amount: {
+          type: 'string',
+          description: 'Amount to sell in token units, e.g. "1.5"'
+        },
+        fromChain: {
+          type: 'integer',
+          description: 'Chain ID, e.g. 8453 for Base'
+        },
+        gasless: {
+          type: 'boolean',
+          description: 'Sign a Bebop order and let Bebop pay the gas (the sell token must be an ERC-20)',
+          default: false
+        },
+        skipApproval: {
+          type: 'boolean',
+          description: 'Skip approval check/transaction',
+          default: false
+        },
+        approvalType: {
+          type: 'string',
+          enum: ['Standard', 'Permit', 'Permit2'],
+          description: 'How the sell token is approved; Permit and Permit2 require gasless',
+          default: 'Standard'
+        },
+        exactApproval: {
+          type: 'boolean',
+          description: 'Approve only the sell amount instead of unlimited',
+          default: false
+        },
+        wait: {
+          type: 'boolean',
+          description: 'Wait for the transaction receipt before returning',
+          default: false
+        },
+        simulate: {
+          type: 'boolean',
+          description: 'Simulate each transaction with eth_call/eth_estimateGas before sending it and abort if it would revert; ' +
+            'a needed approval is sent before the swap can be simulated',
+          default: false
+        },
+        maxSlippageBps: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 10000,
+          description: 'Refuse to send if the swap can settle for this many bps below expectedBuyAmount (required with it)'
+        },
+        expectedBuyAmount: {
+          type: 'string',
+          description: 'Reference buy amount for maxSlippageBps, e.g. from getSwapQuote'
+        },
+        minBuyAmount: {
+          type: 'string',
+          description: 'Refuse to send if the swap can settle for less than this (token units)'
+        },
+        maxPriceImpactBps: {
+          type: 'integer',
+          description: 'Refuse to send if Bebop reports a larger price impact'
+        },
+        idempotencyKey: idempotencyKeyProperty
+      },
+      required: ['fromToken', 'toToken', 'amount', 'fromChain']
+    },
+    handler: (args) => swapTokenBebop({ ...args, toChain: args.fromChain })
+  },
+  {
+    name: 'getSwapQuote',
+    description: 'Preview a Bebop swap (buy amount, price, price impact, gas, expiry, route) without sending',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        walletId: walletIdProperty,
+        fromToken: {
+          type: 'string',
+          description: 'Token to sell: symbol (USDC, ETH) or address'
+        },
+        toToken: {
+          type: 'string',
+          description: 'Token to buy: symbol (WETH) or address'
+        },
+        amount: {
+          type: 'string',
+          description: 'Amount to sell in token units, e.g. "1.5"'
+        },
+        fromChain: {
+          type: 'integer',
+          description: 'Chain ID, e.g. 8453 for Base'
+        },
+        gasless: {
+          type: 'boolean',
+          description: 'Quote a gasless swap',
+          default: false
+        },
+        maxSlippageBps: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 10000,
+          description: 'Slippage tolerance for the minimum buy amount'
+        }
+      },
+      required: ['fromToken', 'toToken', 'amount', 'fromChain']
+    },
+    handler: (args) => getSwapQuote(args)
+  },
+  {
+    name: 'getWallet',
+    description: 'Look up a wallet (address, chain type, owner, additional signers) by ID or address',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        walletId: walletIdProperty,
+        address: {
+          type: 'string',
+          description: 'Wallet address (0x... or Solana); takes precedence over walletId'
+        }
+      }
+    },
+    handler: (args) => getWallet(args.address || args.walletId)
+  },
+  {
+    name: 'listWallets',
+    description: "List the app's wallets, one page at a time",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        chainType: {
+          type: 'string',
+          enum: CHAIN_TYPES,
+          description: 'Only wallets of this chain type'
+        },
+        userId: {
+          type: 'string',
+          description: 'Only wallets owned by this Privy user ID'
+        },
+        cursor: {
+          type: 'string',
+          description: 'nextCursor from the previous page'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Page size, at most 100',
+          default: 100
+        }
+      }
+    },
+    handler: ({ chainType, userId, cursor, limit }) => listWallets({ chainType, userId, cursor, limit })
+  },
+  {
+    name: 'createWallet',
+    description: 'Create a server wallet, optionally owned by a user or key and with additional signers',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        chainType: {
+          type: 'string',
+          enum: CHAIN_TYPES,
+          description: 'Chain type of the new wallet',
+          default: 'ethereum'
+        },
+        ownerUserId: {
+          type: 'string',
+          description: 'Privy user ID (did:privy:...) to own the wallet'
+        },
+        ownerPublicKey: {
+          type: 'string',
+          description: 'P-256 public key (base64 DER) to own the wallet'
+        },
+        additionalSignerIds: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Key quorum IDs allowed to sign for the wallet'
+        },
+        idempotencyKey: idempotencyKeyProperty
+      }
+    },
+    handler: ({ chainType, ownerUserId, ownerPublicKey, additionalSignerIds, idempotencyKey }) => createWallet({
+      chainType,
+      ...(ownerUserId && { owner: { userId: ownerUserId } }),
+      ...(ownerPublicKey && { owner: { publicKey: ownerPublicKey } }),
+      additionalSigners: additionalSignerIds?.map(signerId => ({ signerId })),
+      idempotencyKey
+    })
+  }
+];
+
+/**
+ * Wrap a tool result as MCP content, keeping the structured form
+ * alongside the text form for clients that support it
+ */
+function toToolResult(result) {
+  const structured = result && typeof result === 'object' && !Array.isArray(result)
+    ? result
+    : { result };
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(structured, null, 2) }],
+    structuredContent: structured
+  };
+}
+
+/**
+ * Turn an error into an MCP tool error so the agent can see what went wrong
+ */
+function toToolError(error) {
+  const details = {
+    error: error.message,
+    ...(error.status && { status: error.status }),
+    ...(error.body && { privy: error.body }),
+    ...(error.response?.data && { response: error.response.data }),
+    ...(error.simulation && { simulation: error.simulation }),
+    ...(error.record && { policy: error.record })
+  };
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(details, null, 2) }],
+    isError: true
+  };
+}
+
+/**
+ * Create the MCP server with all wallet tools registered
+ *
+ * @returns {Server} Configured (not yet connected) MCP server
+ */
+export function createServer() {
+  const server = new Server(
+    { name: 'privy-blockchain-mcp', version: '1.0.0' },
+    { capabilities: { tools: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: tools.map(({ name, description, inputSchema }) => ({
+      name,
+      description,
+      inputSchema
+    }))
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const tool = tools.find(t => t.name === name);
+
+    if (!tool) {
+      return toToolError(new Error(`Unknown tool: ${name}`));
+    }
+
+    try {
+      const result = await tool.handler({
+        ...args,
+        walletId: args.walletId || getConfig().walletId
+      });
+      return toToolResult(result);
+    } catch (error) {
+      return toToolError(error);
+    }
+  });
+
+  return server;
+}
+
+/**
+ * CLI usage
+ *
+ * Examples:
+ *   npm run start:mcp
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // stdout carries the MCP protocol, so nothing may print there; the
+  // logger writes to stderr and this catches any stray console.log
+  console.log = (...args) => console.error(...args);
+  setLogger(createLoggerFromEnv({ level: 'warn', format: 'json' }));
+  const server = createServer();
+  const transport = new StdioServerTransport();
+
+  server.connect(transport)
+    .then(() => {
+      console.error('🔌 Privy MCP server running on stdio');
+    })
+    .catch((error) => {
+      console.error('❌ Failed to start MCP server:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,88 @@
+import { getExplorerTxUrl } from '../lib/chains.js';
+import { requireConfig } from '../lib/config.js';
+import { createLoggerFromEnv, setLogger } from '../lib/logger.js';
+import { getBalance, getWalletInfo, initPrivyClient, sendTestTransaction } from './index.js';
+
+/**
+ * Step-by-step check of a Privy wallet through the server SDK
+ *
+ * Validates the configuration, creates the SDK client, reads the wallet and
+ * its balance on CAIP2, and only sends a transfer to RECIPIENT_ADDRESS when
+ * run with --send.
+ *
+ * Examples:
+ *  npm run test:transaction
+ *  npm run test:transaction -- --send --simulate --wait
+ *  npm run test:transaction -- --send --amount=0.001
+ */
+
+const REQUIRED_SETTINGS = ['privy.appId', 'privy.appSecret', 'walletId', 'chain'];
+
+async function main() {
+  const send = process.argv.includes('--send');
+  const amountArg = process.argv.find(arg => arg.startsWith('--amount='));
+  const amount = amountArg ? amountArg.slice('--amount='.length) : '0.00001';
+
+  console.log('='.repeat(60));
+  console.log('🔐 Privy Transaction Test Suite');
+  console.log('='.repeat(60));
+
+  console.log('\n📝 Step 1: Validating configuration...');
+  const config = requireConfig(send ? [...REQUIRED_SETTINGS, 'recipientAddress'] : REQUIRED_SETTINGS);
+  console.log(`✓ Configuration validated${config.profile ? ` (profile ${config.profile})` : ''}`);
+
+  console.log('\n🔌 Step 2: Initializing Privy client...');
+  const client = initPrivyClient();
+  console.log('✓ Privy client initialized');
+
+  console.log('\n👛 Step 3: Getting wallet information...');
+  const wallet = await getWalletInfo(config.walletId, { client });
+  console.log('Wallet ID:', wallet.id);
+  console.log('Address:', wallet.address);
+  console.log('Chain type:', wallet.chainType);
+
+  console.log('\n💵 Step 4: Checking wallet balance...');
+  const balance = await getBalance(wallet.address, config.chain);
+  console.log('Balance:', balance.balance, balance.symbol);
+  console.log('Balance (base units):', balance.balanceRaw);
+
+  console.log('\n📤 Step 5: Sending test transaction...');
+  if (!send) {
+    console.log('⚠️  Skipped: run with --send to send a real transaction');
+  } else {
+    console.log('Recipient:', config.recipientAddress);
+    console.log('Amount:', amount, balance.symbol);
+    console.log('Chain:', balance.caip2);
+
+    const result = await sendTestTransaction(client, config.walletId, {
+      chain: config.chain,
+      recipientAddress: config.recipientAddress,
+      amount,
+      simulate: process.argv.includes('--simulate'),
+      wait: process.argv.includes('--wait')
+    });
+
+    console.log('\n✅ Transaction sent successfully!');
+    console.log('Transaction Hash:', result.data.hash);
+    console.log('View on Explorer:', getExplorerTxUrl(balance.caip2, result.data.hash));
+    if (result.receipt) {
+      console.log('Status:', result.receipt.status);
+      if (result.receipt.revertReason) console.log('Revert reason:', result.receipt.revertReason);
+    }
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('✅ All tests completed successfully!');
+  console.log('='.repeat(60));
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  setLogger(createLoggerFromEnv());
+  main().catch((error) => {
+    console.error('\n' + '='.repeat(60));
+    console.error('❌ Test failed:', error.message);
+    if (error.revertReason) console.error('Revert reason:', error.revertReason);
+    console.error('='.repeat(60));
+    process.exit(1);
+  });
+}
@@ -1,248 +1,230 @@
-import { PrivyClient } from '@privy-io/server-auth';
-import dotenv from 'dotenv';
 import { ethers } from 'ethers';
+import { preflightTransaction, resolveWaitOptions, waitForTransaction } from '../lib/transactions.js';
+import { getChain, getExplorerTxUrl } from '../lib/chains.js';
+import { enforcePolicy } from '../lib/policy.js';
+import { receiptToHistory, recordTransaction, updateTransaction } from '../lib/history.js';
+import { withIdempotency } from '../lib/idempotency.js';
+import { getWallet, getWalletAddress } from '../lib/wallets.js';
+import { toPublicKey } from '../lib/solana.js';
+import { formatUnits, getTokenBalance, getTokenMetadata } from '../lib/tokens.js';
+import { getPrivyClient } from '../lib/privy-client.js';
+import { getLogger } from '../lib/logger.js';
+
+/**
+ * Raw EVM transactions from a Privy wallet
+ *
+ * Sends arbitrary eth_sendTransaction payloads through the same client as
+ * the api/ modules, with the policy, preflight, history and idempotency
+ * handling they get. Importing this module has no side effects; the
+ * step-by-step check lives in cli.js (`npm run test:transaction`).
+ */
+
+/**
+ * The shared Privy client, built from PRIVY_APP_ID and PRIVY_APP_SECRET on first use
+ *
+ * @returns {Object} Privy REST client (lib/privy-client.js)
+ */
+export function initPrivyClient() {
+  return getPrivyClient();
+}
+
+/**
+ * Get wallet information (ID, address, chain type, owner and signers)
+ *
+ * @param {string} walletId - Privy wallet ID
+ * @param {Object} options
+ * @param {Object} options.client - Privy client (default: the shared one)
+ * @returns {Promise<Object>} Wallet from lib/wallets.js
+ */
+export async function getWalletInfo(walletId, { client = getPrivyClient() } = {}) {
+  if (!walletId) throw new Error('walletId is required');
+  return getWallet(walletId, { client });
+}
 
-// Load environment variables
-dotenv.config();
-
-// Configuration validation
-function validateConfig() {
-  const required = [
-    'PRIVY_APP_ID',
-    'PRIVY_APP_SECRET',
-    'WALLET_ID',
-    'RECIPIENT_ADDRESS',
-    'CAIP2'
-  ];
-
-  const missing = required.filter(key => !process.env[key]);
-  
-  if (missing.length > 0) {
-    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+/**
+ * Native coin balance of an address
+ *
+ * @param {string} walletAddress - 0x address, or a base58 address on Solana chains
+ * @param {string|number} chain - CAIP-2 ID, chain ID or Privy chain name
+ * @returns {Promise<Object>} { address, caip2, symbol, balance, balanceRaw } with balanceRaw in base units
+ */
+export async function getBalance(walletAddress, chain) {
+  if (!walletAddress) throw new Error('walletAddress is required');
+  if (chain === undefined || chain === null || chain === '') throw new Error('chain is required');
+
+  const chainInfo = getChain(chain);
+  if (chainInfo.chainType === 'solana') {
+    toPublicKey(walletAddress, 'wallet address');
+  } else if (!ethers.isAddress(walletAddress)) {
+    throw new Error(`Invalid wallet address: ${walletAddress}`);
   }
 
-  console.log('✓ Configuration validated');
-}
+  const native = await getTokenMetadata(chainInfo.caip2, 'native');
+  const balanceRaw = await getTokenBalance(chainInfo.caip2, 'native', walletAddress);
 
-// Initialize Privy client
-function initPrivyClient() {
-  const client = new PrivyClient(
-    process.env.PRIVY_APP_ID,
-    process.env.PRIVY_APP_SECRET
-  );
-  
-  console.log('✓ Privy client initialized');
-  return client;
+  return {
+    address: walletAddress,
+    caip2: chainInfo.caip2,
+    symbol: native.symbol,
+    balance: formatUnits(balanceRaw, native.decimals),
+    balanceRaw: balanceRaw.toString()
+  };
 }
 
-// Get wallet information
-// Note: Server-side SDK doesn't have getWallet method
-// Wallet info is only available on client-side (React/React Native)
-// For server-side, we only need walletId to send transactions
-async function getWalletInfo(walletId) {
-  try {
-    console.log('\n📋 Wallet Information:');
-    console.log('Wallet ID:', walletId);
-    console.log('Note: Full wallet details only available on client-side SDK');
-    console.log('For server operations, wallet ID is sufficient');
-    
-    return { id: walletId };
-  } catch (error) {
-    console.error('❌ Error:', error.message);
-    throw error;
+function resolveEvmChain(chain) {
+  if (chain === undefined || chain === null || chain === '') throw new Error('chain is required');
+  const chainInfo = getChain(chain);
+  if (chainInfo.chainType === 'solana') {
+    throw new Error(`${chainInfo.privy} is a Solana chain; test transactions are EVM only (use api/transfer.js)`);
   }
+  return chainInfo;
 }
 
-// Get account balance
-async function getBalance(walletAddress, chainId) {
-  try {
-    console.log('\n💰 Checking wallet balance...');
-    
-    // Map CAIP2 to RPC URL (you should add your own RPC URLs)
-    const rpcUrls = {
-      'eip155:1': 'https://eth.llamarpc.com',
-      'eip155:8453': 'https://mainnet.base.org',
-      'eip155:11155111': 'https://rpc.sepolia.org'
-    };
-    
-    const rpcUrl = rpcUrls[process.env.CAIP2];
-    if (!rpcUrl) {
-      console.log('⚠️  No RPC URL configured for chain:', process.env.CAIP2);
-      return null;
-    }
-    
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const balance = await provider.getBalance(walletAddress);
-    const balanceInEth = ethers.formatEther(balance);
-    
-    console.log('Balance:', balanceInEth, 'ETH');
-    console.log('Balance (wei):', balance.toString());
-    
-    return balance;
-  } catch (error) {
-    console.error('❌ Error fetching balance:', error.message);
-    return null;
-  }
+// Wait for a sent transaction when the caller opted in with `wait`
+async function maybeWaitForTransaction(chain, hash, wait) {
+  const waitOptions = resolveWaitOptions(wait);
+  if (!waitOptions) return undefined;
+
+  const logger = getLogger({ module: 'test-transaction' });
+  logger.info('Waiting for confirmation', { hash });
+  const receipt = await waitForTransaction({ chain: chain.caip2, hash, ...waitOptions });
+  logger.info('Receipt', { status: receipt.status, revertReason: receipt.revertReason });
+  return receipt;
 }
 
-// Send a test transaction
-async function sendTestTransaction(client, walletId) {
-  try {
-    console.log('\n🚀 Sending test transaction...');
-    console.log('Recipient:', process.env.RECIPIENT_ADDRESS);
-    console.log('Amount: 0.00001 ETH (10000000000000 wei)');
-    console.log('Chain:', process.env.CAIP2);
-    
-    // Send transaction
-    const result = await client.walletApi.rpc({
-      walletId: walletId,
-      caip2: process.env.CAIP2,
-      method: 'eth_sendTransaction',
-      params: {
-        transaction: {
-          to: process.env.RECIPIENT_ADDRESS,
-          value: '0x2386F26FC10000', // 0.00001 ETH in hex
-          // chainId can be omitted, it will be inferred from caip2
-        }
-      }
-    });
+// Run eth_call + eth_estimateGas from the wallet and stop if the transaction would revert
+async function maybeSimulateTransaction(client, chain, walletId, transaction, simulate) {
+  if (!simulate) return undefined;
 
-    console.log('\n✅ Transaction sent successfully!');
-    console.log('Transaction Hash:', result.data.hash);
-    console.log('Chain:', result.data.caip2);
-    
-    // Generate explorer link
-    const explorerUrls = {
-      'eip155:1': 'https://etherscan.io/tx/',
-      'eip155:8453': 'https://basescan.org/tx/',
-      'eip155:11155111': 'https://sepolia.etherscan.io/tx/'
-    };
-    
-    const explorerUrl = explorerUrls[result.data.caip2];
-    if (explorerUrl) {
-      console.log('View on Explorer:', explorerUrl + result.data.hash);
-    }
-    
-    return result;
-  } catch (error) {
-    console.error('\n❌ Error sending transaction:', error.message);
-    if (error.response) {
-      console.error('Response:', error.response.data);
-    }
-    throw error;
-  }
+  const from = await getWalletAddress(walletId, { client });
+  return preflightTransaction({ chain: chain.caip2, from, transaction });
 }
 
-// Send transaction with custom parameters
-async function sendCustomTransaction(client, walletId, params) {
+// Send through Privy and write the attempt to the transaction history
+async function sendAndRecord(client, walletId, chain, transaction, { type, sponsor, idempotency } = {}) {
+  const value = BigInt(transaction.value || 0);
+  const historyRecord = {
+    walletId,
+    chain: chain.caip2,
+    type,
+    to: transaction.to,
+    asset: { symbol: chain.nativeSymbol, address: null, decimals: 18 },
+    amount: ethers.formatEther(value),
+    amountRaw: value.toString(),
+    ...(sponsor !== undefined && { sponsorGas: sponsor })
+  };
+
+  let result;
   try {
-    console.log('\n🎯 Sending custom transaction...');
-    console.log('Parameters:', JSON.stringify(params, null, 2));
-    
-    const result = await client.walletApi.rpc({
-      walletId: walletId,
-      caip2: process.env.CAIP2,
+    result = await client.rpc({
+      walletId,
+      caip2: chain.caip2,
       method: 'eth_sendTransaction',
-      params: {
-        transaction: params.transaction,
-        sponsor: params.sponsor || false
-      }
+      params: { transaction },
+      sponsor,
+      headers: idempotency.headers()
     });
-
-    console.log('\n✅ Transaction sent successfully!');
-    console.log('Transaction Hash:', result.data.hash);
-    
-    return result;
   } catch (error) {
-    console.error('\n❌ Error sending custom transaction:', error.message);
+    recordTransaction({ ...historyRecord, status: 'failed', hash: null, error: error.message });
     throw error;
   }
-}
-
-// Main function
-async function main() {
-  console.log('='.repeat(60));
-  console.log('🔐 Privy Transaction Test Suite');
-  console.log('='.repeat(60));
-
-  try {
-    // Step 1: Validate configuration
-    console.log('\n📝 Step 1: Validating configuration...');
-    validateConfig();
-
-    // Step 2: Initialize Privy client
-    console.log('\n🔌 Step 2: Initializing Privy client...');
-    const client = initPrivyClient();
-    console.log('Client:', client);
-    // Step 3: Get wallet information
-    console.log('\n👛 Step 3: Getting wallet information...');
-    const wallet = await getWalletInfo(process.env.WALLET_ID);
-    console.log('Wallet:', wallet);
-    // Step 4: Check balance (using wallet ID as address for embedded wallets)
-    console.log('\n💵 Step 4: Checking wallet balance...');
-    console.log('⚠️  To check balance, you need the wallet address');
-    console.log('Get wallet address from Privy Dashboard or user object');
-    await getBalance('0x0a1f55b674F8eB4f6988BD2725A10b30a7451783', process.env.CAIP2);
-
-    // Step 5: Send test transaction
-    console.log('\n📤 Step 5: Sending test transaction...');
-    console.log('⚠️  This will send a real transaction!');
-    
-    // Uncomment the line below to actually send the transaction
-    // await sendTestTransaction(client, process.env.WALLET_ID);
-    
-    console.log('\n⚠️  Transaction sending is commented out for safety.');
-    console.log('To actually send a transaction, uncomment the sendTestTransaction call in main()');
-
-    console.log('\n' + '='.repeat(60));
-    console.log('✅ All tests completed successfully!');
-    console.log('='.repeat(60));
-
-  } catch (error) {
-    console.error('\n' + '='.repeat(60));
-    console.error('❌ Test failed:', error.message);
-    console.error('='.repeat(60));
-    process.exit(1);
-  }
-}
 
-// Example: Send transaction with gas sponsorship
-async function exampleWithGasSponsorship() {
-  const client = initPrivyClient();
-  
-  await sendCustomTransaction(client, process.env.WALLET_ID, {
-    transaction: {
-      to: process.env.RECIPIENT_ADDRESS,
-      value: '0x2386F26FC10000'
-    },
-    sponsor: true
+  const historyId = recordTransaction({
+    ...historyRecord,
+    status: 'submitted',
+    hash: result.data.hash,
+    explorerUrl: getExplorerTxUrl(chain.caip2, result.data.hash)
   });
+  idempotency.checkpoint(result);
+  return { result, historyId };
 }
 
-// Example: Send transaction with custom data (smart contract interaction)
-async function exampleSmartContractInteraction() {
-  const client = initPrivyClient();
-  
-  await sendCustomTransaction(client, process.env.WALLET_ID, {
-    transaction: {
-      to: '0xContractAddress',
-      value: '0x0',
-      data: '0xa9059cbb000000000000000000000000...' // Encoded function call
+/**
+ * Send a raw EVM transaction from a Privy wallet
+ *
+ * @param {Object} client - Privy client, e.g. from initPrivyClient
+ * @param {string} walletId - Privy wallet ID
+ * @param {Object} params
+ * @param {string|number} params.chain - CAIP-2 ID, chain ID or Privy chain name (EVM only)
+ * @param {Object} params.transaction - { to, value, data }; chainId is inferred from the chain
+ * @param {boolean} params.sponsor - Request Privy gas sponsorship
+ * @param {boolean|Object} params.wait - Wait for the receipt; true or { confirmations, timeoutMs }
+ * @param {boolean} params.simulate - Preflight with eth_call/eth_estimateGas and abort if it would revert
+ * @param {string} params.idempotencyKey - Reuse on retries; a repeated call returns the original result
+ * @returns {Promise<Object>} Privy's response ({ data: { hash, caip2 } }) plus simulation and receipt when requested
+ */
+export async function sendCustomTransaction(client, walletId, {
+  chain,
+  transaction,
+  sponsor = false,
+  wait = false,
+  simulate = false,
+  idempotencyKey
+} = {}) {
+  if (!client) throw new Error('client is required');
+  if (!walletId) throw new Error('walletId is required');
+  if (!transaction?.to) throw new Error('transaction.to is required');
+
+  const chainInfo = resolveEvmChain(chain);
+  const kind = transaction.data && transaction.data !== '0x' ? 'contract' : 'transfer';
+  const logger = getLogger({ module: 'test-transaction' });
+
+  return withIdempotency(
+    { key: idempotencyKey, operation: 'test-transaction', request: { walletId, caip2: chainInfo.caip2, transaction } },
+    async (idempotency) => {
+      await enforcePolicy({ walletId, chain: chainInfo.caip2, transaction, kind, client });
+      const simulation = await maybeSimulateTransaction(client, chainInfo, walletId, transaction, simulate);
+
+      const { result, historyId } = await sendAndRecord(client, walletId, chainInfo, transaction, {
+        type: kind,
+        sponsor,
+        idempotency
+      });
+      logger.info('Transaction sent', {
+        hash: result.data.hash,
+        explorerUrl: getExplorerTxUrl(chainInfo.caip2, result.data.hash)
+      });
+
+      const receipt = await maybeWaitForTransaction(chainInfo, result.data.hash, wait);
+      if (receipt) {
+        updateTransaction(historyId, receiptToHistory(receipt));
+      }
+
+      return { ...result, ...(simulation && { simulation }), ...(receipt && { receipt }) };
     }
-  });
+  );
 }
 
-// Run main function
-main();
-
-// Export functions for external use
-export {
-  initPrivyClient,
-  getWalletInfo,
-  getBalance,
-  sendTestTransaction,
-  sendCustomTransaction,
-//   exampleWithGasSponsorship,
-  exampleSmartContractInteraction
-};
-
+/**
+ * Send a small native-coin transfer as a smoke test
+ *
+ * @param {Object} client - Privy client, e.g. from initPrivyClient
+ * @param {string} walletId - Privy wallet ID
+ * @param {Object} params
+ * @param {string|number} params.chain - CAIP-2 ID, chain ID or Privy chain name (EVM only)
+ * @param {string} params.recipientAddress - 0x recipient
+ * @param {string} params.amount - Amount of the native coin (default: "0.00001")
+ * @param {boolean|Object} params.wait - Wait for the receipt
+ * @param {boolean} params.simulate - Preflight before sending
+ * @param {string} params.idempotencyKey - Reuse on retries
+ * @returns {Promise<Object>} See sendCustomTransaction
+ */
+export async function sendTestTransaction(client, walletId, {
+  chain,
+  recipientAddress,
+  amount = '0.00001',
+  wait = false,
+  simulate = false,
+  idempotencyKey
+} = {}) {
+  if (!recipientAddress) throw new Error('recipientAddress is required');
+  if (!ethers.isAddress(recipientAddress)) throw new Error(`Invalid recipient address: ${recipientAddress}`);
+
+  return sendCustomTransaction(client, walletId, {
+    chain,
+    transaction: { to: recipientAddress, value: ethers.toBeHex(ethers.parseEther(amount.toString())) },
+    wait,
+    simulate,
+    idempotencyKey
+  });
+}
@@ -0,0 +1,293 @@
+import fs from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { batchPayout, loadPayoutFile, validatePayouts } from '../../src/api/batch-payout.js';
+import { getChain } from '../../src/lib/chains.js';
+import { PayoutValidationError } from '../../src/lib/errors.js';
+import { getIdempotencyFile } from '../../src/lib/idempotency.js';
+import { getPrivyClient } from '../../src/lib/privy-client.js';
+import {
+  BASE,
+  EVM_WALLET_ID,
+  RECIPIENT,
+  SEPOLIA,
+  SOLANA_RECIPIENT,
+  evmSigner,
+  startTestEnv
+} from '../helpers/env.js';
+
+const BASE_USDC = getChain('base').tokens.USDC;
+const OTHER = '0x000000000000000000000000000000000000dEaD';
+
+describe('batchPayout', () => {
+  let env;
+
+  const writeFile = (name, content) => {
+    const file = env.file(name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+  const sends = () => env.privy.requests.filter(r => r.path.endsWith('/rpc') && r.body.method === 'eth_sendTransaction');
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('1'));
+    env.evm.fund(BASE, evmSigner.address, ethers.parseEther('0.01'));
+    env.evm.addToken(BASE, BASE_USDC, { symbol: 'USDC', decimals: 6 });
+    env.evm.mint(BASE, BASE_USDC, evmSigner.address, 100_000000n);
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  describe('loadPayoutFile', () => {
+    it('reads CSV rows numbered by spreadsheet line', () => {
+      const file = writeFile('load.csv', `Recipient,Amount,Asset,Chain\r\n${RECIPIENT},0.1,,\r\n"${OTHER}","1,5",USDC,base\r\n\r\n`);
+
+      assert.deepEqual(loadPayoutFile(file), [
+        { row: 2, recipient: RECIPIENT, amount: '0.1', asset: undefined, chain: undefined },
+        { row: 3, recipient: OTHER, amount: '1,5', asset: 'USDC', chain: 'base' }
+      ]);
+    });
+
+    it('reads a JSON array or { payouts }', () => {
+      const list = [{ recipient: RECIPIENT, amount: 0.25 }];
+      const expected = [{ row: 1, recipient: RECIPIENT, amount: '0.25', asset: undefined, chain: undefined }];
+
+      assert.deepEqual(loadPayoutFile(writeFile('array.json', JSON.stringify(list))), expected);
+      assert.deepEqual(loadPayoutFile(writeFile('object.json', JSON.stringify({ payouts: list }))), expected);
+      assert.throws(() => loadPayoutFile(writeFile('bad.json', '{}')), /must contain an array of payouts/);
+    });
+
+    it('requires the recipient and amount columns', () => {
+      assert.throws(() => loadPayoutFile(writeFile('header.csv', 'to,value\n')), /missing the recipient, amount column/);
+    });
+  });
+
+  describe('validatePayouts', () => {
+    it('reports every invalid row at once', async () => {
+      const payouts = [
+        { row: 2, recipient: RECIPIENT, amount: '0.1' },
+        { row: 3, recipient: '0x1234', amount: '0.1' },
+        { row: 4, recipient: RECIPIENT, amount: '0' },
+        { row: 5, recipient: RECIPIENT, amount: '0.1', asset: 'DOGE' },
+        { row: 6, recipient: SOLANA_RECIPIENT, amount: '0.1', chain: 'solana' },
+        { row: 7, recipient: RECIPIENT }
+      ];
+
+      await assert.rejects(
+        validatePayouts(payouts, { chain: 'sepolia', chainType: 'ethereum' }),
+        (error) => {
+          assert.ok(error instanceof PayoutValidationError);
+          assert.deepEqual(error.errors.map(e => e.row), [3, 4, 5, 6, 7]);
+          assert.match(error.errors[0].message, /Invalid recipient address/);
+          assert.match(error.errors[3].message, /can only send on ethereum chains/);
+          return true;
+        }
+      );
+    });
+
+    it('resolves the chain, token and raw amount', async () => {
+      const [row] = await validatePayouts([{ recipient: RECIPIENT, amount: '2.5', asset: 'USDC', chain: 'base' }]);
+
+      assert.equal(row.row, 1);
+      assert.equal(row.chain.chainId, BASE);
+      assert.equal(row.token.symbol, 'USDC');
+      assert.equal(row.amountRaw, 2_500000n);
+    });
+
+    it('rejects an empty list', async () => {
+      await assert.rejects(validatePayouts([]), /No payouts to send/);
+    });
+  });
+
+  it('checks balances on a dry run without sending', async () => {
+    const file = writeFile('dry.csv', `recipient,amount,asset,chain\n${RECIPIENT},0.1,,sepolia\n${OTHER},5,USDC,base\n`);
+
+    const report = await batchPayout({ walletId: EVM_WALLET_ID, file, dryRun: true });
+
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(report.summary, { total: 2, sent: 0, replayed: 0, failed: 0, queued: 2 });
+    assert.deepEqual(report.balances.map(b => [b.symbol, b.total, b.sufficient]), [['ETH', '0.1', true], ['USDC', '5.0', true]]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.report.json`, 'utf8')).summary, report.summary);
+    assert.equal(sends().length, 0);
+  });
+
+  it('refuses a batch the wallet cannot cover', async () => {
+    const payouts = [
+      { recipient: RECIPIENT, amount: '60', asset: 'USDC' },
+      { recipient: OTHER, amount: '60', asset: 'USDC' }
+    ];
+
+    await assert.rejects(
+      batchPayout({ walletId: EVM_WALLET_ID, payouts, chain: 'base', reportFile: null }),
+      (error) => error instanceof PayoutValidationError && /120.0 USDC needed on eip155:8453, wallet has 100.0/.test(error.message)
+    );
+    assert.equal(sends().length, 0);
+  });
+
+  it('sends rows in order with consecutive nonces and resumes without resending', async () => {
+    const file = writeFile('send.csv', `recipient,amount\n${RECIPIENT},0.01\n${OTHER},0.02\n${RECIPIENT},0.03\n`);
+    const nonce = env.evm.nonceOf(SEPOLIA, evmSigner.address);
+
+    const first = await batchPayout({ walletId: EVM_WALLET_ID, file, chain: 'eip155:11155111', wait: true });
+
+    assert.deepEqual(first.summary, { total: 3, sent: 3, replayed: 0, failed: 0, queued: 0 });
+    assert.deepEqual(first.rows.map(row => row.status), ['success', 'success', 'success']);
+    assert.deepEqual(first.rows.map(row => row.nonce), [nonce, nonce + 1, nonce + 2]);
+    assert.deepEqual(
+      sends().map(r => r.headers['privy-idempotency-key']),
+      [2, 3, 4].map(row => `payout:${first.batchId}:${row}`)
+    );
+
+    const second = await batchPayout({ walletId: EVM_WALLET_ID, file, chain: 'eip155:11155111' });
+
+    assert.equal(second.batchId, first.batchId);
+    assert.equal(second.summary.replayed, 3);
+    assert.deepEqual(second.rows.map(row => row.hash), first.rows.map(row => row.hash));
+    assert.equal(sends().length, 3);
+  });
+
+  it('keeps going past a failed row and sends only that row on the next run', async () => {
+    const payouts = [
+      { recipient: RECIPIENT, amount: '0.001' },
+      { recipient: OTHER, amount: '5' },
+      { recipient: RECIPIENT, amount: '0.003' }
+    ];
+    const params = {
+      walletId: EVM_WALLET_ID,
+      payouts,
+      chain: 'sepolia',
+      batchId: 'retry',
+      reportFile: env.file('retry.json'),
+      skipBalanceCheck: true
+    };
+    const sent = env.evm.transactions(SEPOLIA).length;
+    const before = env.evm.balanceOf(SEPOLIA, OTHER);
+
+    const first = await batchPayout(params);
+
+    assert.deepEqual(first.rows.map(row => row.status), ['sent', 'failed', 'sent']);
+    assert.match(first.rows[1].error, /insufficient funds/);
+    assert.equal(first.summary.failed, 1);
+    assert.equal(env.evm.transactions(SEPOLIA).length, sent + 2);
+
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('10'));
+    const second = await batchPayout(params);
+
+    assert.deepEqual(second.rows.map(row => row.replayed), [true, false, true]);
+    assert.equal(second.rows[1].status, 'sent');
+    assert.equal(env.evm.transactions(SEPOLIA).length, sent + 3);
+    assert.equal(env.evm.balanceOf(SEPOLIA, OTHER) - before, ethers.parseEther('5'));
+  });
+
+  it('resumes a crashed run when the sent rows took more than the remaining balance', async () => {
+    const balance = env.evm.balanceOf(SEPOLIA, evmSigner.address);
+    const payouts = [
+      { recipient: RECIPIENT, amount: ethers.formatEther(balance * 6n / 10n) },
+      { recipient: OTHER, amount: ethers.formatEther(balance * 3n / 10n) }
+    ];
+    const params = { walletId: EVM_WALLET_ID, payouts, chain: 'sepolia', batchId: 'crash', reportFile: null };
+    const privy = getPrivyClient();
+    let rpcs = 0;
+    // The first run dies after sending row 1
+    const crashing = {
+      ...privy,
+      rpc: async (...args) => {
+        if (++rpcs > 1) throw new Error('process killed');
+        return privy.rpc(...args);
+      }
+    };
+
+    const first = await batchPayout({ ...params, client: crashing });
+    assert.deepEqual(first.rows.map(row => row.status), ['sent', 'failed']);
+
+    const second = await batchPayout(params);
+
+    assert.deepEqual(second.balances.map(b => b.total), [payouts[1].amount]);
+    assert.deepEqual(second.rows.map(row => [row.status, row.replayed]), [['sent', true], ['sent', false]]);
+  });
+
+  it('counts past the nonce of a row that failed after it may have gone out', async () => {
+    const nonce = env.evm.nonceOf(SEPOLIA, evmSigner.address);
+    const privy = getPrivyClient();
+    const tried = [];
+    // Row 1 is lost on the way back from Privy, so it may or may not be on the chain
+    const flaky = {
+      ...privy,
+      rpc: async (request) => {
+        tried.push(Number(request.params.transaction.nonce));
+        if (tried.length === 1) throw new Error('socket hang up');
+        return privy.rpc(request);
+      }
+    };
+    const params = {
+      walletId: EVM_WALLET_ID,
+      payouts: [{ recipient: RECIPIENT, amount: '0.001' }, { recipient: OTHER, amount: '0.001' }],
+      chain: 'sepolia',
+      batchId: 'lost',
+      reportFile: null
+    };
+
+    const first = await batchPayout({ ...params, client: flaky });
+
+    assert.deepEqual(tried, [nonce, nonce + 1]);
+    assert.deepEqual(first.rows.map(row => row.status), ['failed', 'failed']);
+    assert.match(first.rows[1].error, /nonce too high/);
+
+    const second = await batchPayout(params);
+
+    assert.deepEqual(second.rows.map(row => [row.status, row.nonce]), [['sent', nonce], ['sent', nonce + 1]]);
+  });
+
+  it('resends a row a crash left started with the nonce it was given', async () => {
+    const nonce = env.evm.nonceOf(SEPOLIA, evmSigner.address);
+    const privy = getPrivyClient();
+    // The process dies after Privy broadcast row 1 but before anything else was written
+    const crashing = {
+      ...privy,
+      rpc: async (request) => {
+        await privy.rpc(request);
+        throw new Error('process killed');
+      }
+    };
+    const params = {
+      walletId: EVM_WALLET_ID,
+      payouts: [{ recipient: RECIPIENT, amount: '0.001' }, { recipient: OTHER, amount: '0.001' }],
+      chain: 'sepolia',
+      batchId: 'started',
+      reportFile: null
+    };
+
+    await batchPayout({ ...params, client: crashing, stopOnError: true });
+    const file = getIdempotencyFile();
+    const lines = fs.readFileSync(file, 'utf8').trimEnd().split('\n');
+    assert.equal(JSON.parse(lines.pop()).status, 'failed');
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+    const sent = env.evm.transactions(SEPOLIA).length;
+
+    const report = await batchPayout(params);
+
+    assert.deepEqual(sends().map(r => Number(r.body.params.transaction.nonce)), [nonce, nonce, nonce + 1]);
+    assert.deepEqual(report.rows.map(row => [row.status, row.nonce]), [['sent', nonce], ['sent', nonce + 1]]);
+    assert.equal(env.evm.transactions(SEPOLIA).length, sent + 1);
+  });
+
+  it('stops at the first failed row with stopOnError', async () => {
+    const sent = env.evm.transactions(SEPOLIA).length;
+    env.privy.failNext({ status: 400, body: { error: 'Transaction rejected by policy' }, path: '/rpc' });
+
+    const report = await batchPayout({
+      walletId: EVM_WALLET_ID,
+      payouts: [{ recipient: RECIPIENT, amount: '0.001' }, { recipient: OTHER, amount: '0.001' }],
+      chain: 'sepolia',
+      batchId: 'stop',
+      reportFile: null,
+      stopOnError: true
+    });
+
+    assert.deepEqual(report.rows.map(row => row.status), ['failed', 'queued']);
+    assert.deepEqual(report.summary, { total: 2, sent: 0, replayed: 0, failed: 1, queued: 1 });
+    assert.equal(env.evm.transactions(SEPOLIA).length, sent);
+  });
+});
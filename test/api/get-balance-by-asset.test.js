@@ -0,0 +1,63 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { getAllETH, getAllUSDC, getAllUSDT, getBalanceByAsset } from '../../src/api/get-balance-by-asset.js';
+import { getChain } from '../../src/lib/chains.js';
+import {
+  BASE,
+  EVM_WALLET_ID,
+  SEPOLIA,
+  SOLANA_WALLET_ID,
+  evmSigner,
+  solanaSigner,
+  startTestEnv
+} from '../helpers/env.js';
+
+const BASE_USDC = getChain('base').tokens.USDC;
+const SOLANA_USDC = getChain('solana').tokens.USDC;
+
+describe('getBalanceByAsset', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(BASE, evmSigner.address, ethers.parseEther('1.5'));
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('0.25'));
+    env.evm.addToken(BASE, BASE_USDC, { symbol: 'USDC', decimals: 6 });
+    env.evm.mint(BASE, BASE_USDC, evmSigner.address, 250_000000n);
+    env.solana.fund(solanaSigner.publicKey.toBase58(), 2_000_000_000);
+    env.solana.addMint(SOLANA_USDC, { decimals: 6 });
+    env.solana.mint(SOLANA_USDC, solanaSigner.publicKey.toBase58(), 12_500000n);
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  it('totals an asset across every chain of the wallet type', async () => {
+    const result = await getBalanceByAsset({ walletId: EVM_WALLET_ID, asset: 'eth' });
+
+    assert.equal(result.balancesByChain.base.amount, 1.5);
+    assert.equal(result.balancesByChain.sepolia.amount, 0.25);
+    assert.equal(result.total.amount, 1.75);
+    assert.equal(result.total.usd, 5250);
+    assert.ok(!('solana' in result.balancesByChain));
+  });
+
+  it('has USDC, ETH and USDT shortcuts', async () => {
+    assert.equal((await getAllUSDC({ walletId: EVM_WALLET_ID })).total.amount, 250);
+    assert.equal((await getAllETH({ walletId: EVM_WALLET_ID })).total.amount, 1.75);
+    assert.equal((await getAllUSDT({ walletId: EVM_WALLET_ID })).total.amount, 0);
+  });
+
+  it('queries USDC on Solana clusters for a Solana wallet', async () => {
+    const result = await getBalanceByAsset({ walletId: SOLANA_WALLET_ID, asset: 'usdc' });
+
+    assert.equal(result.balancesByChain.solana.amount, 12.5);
+    assert.ok(Object.keys(result.balancesByChain).every(chain => chain.startsWith('solana')));
+  });
+
+  it('rejects unsupported assets and assets the wallet type has no chain for', async () => {
+    await assert.rejects(getBalanceByAsset({ walletId: EVM_WALLET_ID, asset: 'doge' }), /Unsupported asset: doge/);
+    await assert.rejects(getBalanceByAsset({ walletId: EVM_WALLET_ID }), /Unsupported asset/);
+    await assert.rejects(getBalanceByAsset({ walletId: SOLANA_WALLET_ID, asset: 'eth' }), /not available on any solana chain/);
+  });
+});
@@ -0,0 +1,77 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { getBalanceMultipleChains } from '../../src/api/get-balance-multiple-chains.js';
+import { getChain } from '../../src/lib/chains.js';
+import {
+  BASE,
+  EVM_WALLET_ID,
+  SEPOLIA,
+  SOLANA_WALLET_ID,
+  evmSigner,
+  solanaSigner,
+  startTestEnv
+} from '../helpers/env.js';
+
+const BASE_USDC = getChain('base').tokens.USDC;
+const SOLANA_USDC = getChain('solana').tokens.USDC;
+
+describe('getBalanceMultipleChains', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(BASE, evmSigner.address, ethers.parseEther('1.5'));
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('0.25'));
+    env.evm.addToken(BASE, BASE_USDC, { symbol: 'USDC', decimals: 6 });
+    env.evm.mint(BASE, BASE_USDC, evmSigner.address, 250_000000n);
+    env.solana.fund(solanaSigner.publicKey.toBase58(), 2_000_000_000);
+    env.solana.addMint(SOLANA_USDC, { decimals: 6 });
+    env.solana.mint(SOLANA_USDC, solanaSigner.publicKey.toBase58(), 12_500000n);
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  it('builds an asset x chain matrix with null cells for unsupported pairs', async () => {
+    const result = await getBalanceMultipleChains({
+      walletId: EVM_WALLET_ID,
+      assets: ['ETH', 'usdc', 'usdt'],
+      chains: ['base', 'sepolia']
+    });
+
+    assert.equal(result.matrix.eth.base.amount, 1.5);
+    assert.equal(result.matrix.usdc.base.amount, 250);
+    assert.equal(result.matrix.usdt.base, null);
+    assert.equal(result.matrix.usdt.sepolia, null);
+    assert.equal(result.totalsByChain.base.usd, 4750);
+    assert.equal(result.totalsByChain.sepolia.testnet, true);
+    assert.equal(result.totalsByAsset.eth.amount, 1.75);
+  });
+
+  it('defaults to the wallet type chains', async () => {
+    const evm = await getBalanceMultipleChains({ walletId: EVM_WALLET_ID });
+    const solana = await getBalanceMultipleChains({ walletId: SOLANA_WALLET_ID });
+
+    assert.ok(!Object.keys(evm.matrix.eth).includes('sepolia'));
+    assert.deepEqual(Object.keys(solana.matrix).sort(), ['sol', 'usdc']);
+    assert.equal(solana.matrix.sol.solana.amount, 2);
+  });
+
+  it('adds testnets on request', async () => {
+    const result = await getBalanceMultipleChains({ walletId: EVM_WALLET_ID, assets: ['eth'], includeTestnets: true });
+
+    assert.equal(result.matrix.eth.sepolia.amount, 0.25);
+  });
+
+  it('rejects a missing wallet, unknown assets and mismatched chains', async () => {
+    await assert.rejects(getBalanceMultipleChains({}), /walletId is required/);
+    await assert.rejects(
+      getBalanceMultipleChains({ walletId: EVM_WALLET_ID, assets: ['eth', 'doge'] }),
+      /Unsupported asset\(s\): doge/
+    );
+    await assert.rejects(
+      getBalanceMultipleChains({ walletId: SOLANA_WALLET_ID, chains: ['base'] }),
+      /ethereum chain/
+    );
+  });
+});
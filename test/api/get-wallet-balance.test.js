@@ -0,0 +1,132 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  getAllBalances,
+  getETHBalance,
+  getUSDCBalance,
+  getWalletBalance
+} from '../../src/api/get-wallet-balance.js';
+import { getChain } from '../../src/lib/chains.js';
+import { PrivyNotFoundError } from '../../src/lib/errors.js';
+import {
+  BASE,
+  EVM_WALLET_ID,
+  SEPOLIA,
+  SOLANA_WALLET_ID,
+  evmSigner,
+  solanaSigner,
+  startTestEnv
+} from '../helpers/env.js';
+
+const BASE_USDC = getChain('base').tokens.USDC;
+const SOLANA_USDC = getChain('solana').tokens.USDC;
+
+describe('get-wallet-balance', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(BASE, evmSigner.address, ethers.parseEther('1.5'));
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('0.25'));
+    env.evm.addToken(BASE, BASE_USDC, { symbol: 'USDC', decimals: 6 });
+    env.evm.mint(BASE, BASE_USDC, evmSigner.address, 250_000000n);
+    env.solana.fund(solanaSigner.publicKey.toBase58(), 2_000_000_000);
+    env.solana.addMint(SOLANA_USDC, { decimals: 6 });
+    env.solana.mint(SOLANA_USDC, solanaSigner.publicKey.toBase58(), 12_500000n);
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  describe('getWalletBalance', () => {
+    it('returns the balances Privy reports for each asset/chain pair', async () => {
+      const data = await getWalletBalance({ walletId: EVM_WALLET_ID, asset: ['eth', 'usdc'], chain: ['base', 'sepolia'] });
+
+      const byKey = Object.fromEntries(data.balances.map(b => [`${b.asset}:${b.chain}`, b]));
+      assert.deepEqual(Object.keys(byKey).sort(), ['eth:base', 'eth:sepolia', 'usdc:base', 'usdc:sepolia']);
+      assert.equal(byKey['eth:base'].raw_value, ethers.parseEther('1.5').toString());
+      assert.equal(byKey['eth:base'].display_values.usd, '4500.00');
+      assert.equal(byKey['usdc:base'].raw_value, '250000000');
+      assert.equal(byKey['usdc:base'].raw_value_decimals, 6);
+    });
+
+    it('only asks for an asset on the chains that hold it', async () => {
+      await getWalletBalance({ walletId: EVM_WALLET_ID, asset: ['usdc', 'usdt'], chain: ['base', 'ethereum'] });
+
+      const balanceRequests = env.privy.requests.filter(r => r.path.endsWith('/balance'));
+      const asked = balanceRequests.map(r => [r.query.get('asset'), r.query.getAll('chain')]);
+      assert.deepEqual(asked.sort(), [['usdc', ['base', 'ethereum']], ['usdt', ['ethereum']]]);
+    });
+
+    it('reads Solana balances for a Solana wallet', async () => {
+      const data = await getWalletBalance({ walletId: SOLANA_WALLET_ID, asset: ['sol', 'usdc'], chain: 'solana' });
+
+      const byAsset = Object.fromEntries(data.balances.map(b => [b.asset, b]));
+      assert.equal(byAsset.sol.raw_value, '2000000000');
+      assert.equal(byAsset.sol.raw_value_decimals, 9);
+      assert.equal(byAsset.usdc.raw_value, '12500000');
+    });
+
+    it('rejects a missing chain, unknown assets and pairs no chain holds', async () => {
+      await assert.rejects(getWalletBalance({ walletId: EVM_WALLET_ID, asset: 'eth' }), /chain is required/);
+      await assert.rejects(getWalletBalance({ walletId: EVM_WALLET_ID, asset: 'doge', chain: 'base' }), /doge/);
+      await assert.rejects(getWalletBalance({ walletId: EVM_WALLET_ID, asset: 'usdt', chain: 'base' }), /usdt/);
+    });
+
+    it('rejects chains of the other type than the wallet', async () => {
+      await assert.rejects(
+        getWalletBalance({ walletId: EVM_WALLET_ID, asset: 'sol', chain: 'solana' }),
+        /solana is a solana chain/
+      );
+      await assert.rejects(
+        getWalletBalance({ walletId: SOLANA_WALLET_ID, asset: 'eth', chain: 'base' }),
+        /base is an? ethereum chain/
+      );
+    });
+
+    it('surfaces Privy errors', async () => {
+      await assert.rejects(getWalletBalance({ walletId: 'no-such-wallet', asset: 'eth', chain: 'base' }), PrivyNotFoundError);
+    });
+
+    it('has ETH and USDC shortcuts', async () => {
+      const eth = await getETHBalance({ walletId: EVM_WALLET_ID, chain: 'sepolia' });
+      const usdc = await getUSDCBalance({ walletId: EVM_WALLET_ID, chain: 'base' });
+
+      assert.equal(eth.balances[0].raw_value, ethers.parseEther('0.25').toString());
+      assert.equal(usdc.balances[0].raw_value, '250000000');
+    });
+
+    it('reads through the client it is given', async () => {
+      const balance = { chain: 'base', asset: 'eth', raw_value: '7', raw_value_decimals: 18, display_values: { eth: '0.000000000000000007' } };
+      const client = {
+        getWallet: async (walletId) => ({ id: walletId, address: evmSigner.address, chain_type: 'ethereum' }),
+        getBalance: async () => ({ balances: [balance] })
+      };
+
+      const data = await getETHBalance({ walletId: 'injected-wallet', chain: 'base', client });
+
+      assert.deepEqual(data.balances, [balance]);
+      assert.equal(env.privy.requests.length, 0);
+    });
+  });
+
+  describe('getAllBalances', () => {
+    it('defaults to the main EVM chains for an EVM wallet', async () => {
+      const data = await getAllBalances({ walletId: EVM_WALLET_ID });
+
+      const chains = new Set(data.balances.map(b => b.chain));
+      assert.deepEqual([...chains].sort(), ['arbitrum', 'base', 'ethereum', 'optimism', 'polygon']);
+      assert.ok(data.balances.every(b => ['eth', 'usdc', 'usdt'].includes(b.asset)));
+    });
+
+    it('defaults to Solana mainnet for a Solana wallet', async () => {
+      const data = await getAllBalances({ walletId: SOLANA_WALLET_ID });
+
+      assert.deepEqual(data.balances.map(b => `${b.asset}:${b.chain}`).sort(), ['sol:solana', 'usdc:solana']);
+    });
+
+    it('rejects chains of the other type', async () => {
+      await assert.rejects(getAllBalances({ walletId: EVM_WALLET_ID, chains: ['base', 'solana'] }), /solana chain/);
+    });
+  });
+});
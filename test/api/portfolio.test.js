@@ -0,0 +1,170 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  compareSnapshots,
+  getPortfolioReport,
+  takePortfolioSnapshot,
+  valueSwap
+} from '../../src/api/portfolio.js';
+import { getChain } from '../../src/lib/chains.js';
+import { listTransactions, recordTransaction } from '../../src/lib/history.js';
+import { getPrivyClient } from '../../src/lib/privy-client.js';
+import { listSnapshots } from '../../src/lib/snapshots.js';
+import {
+  BASE,
+  EVM_WALLET_ID,
+  SOLANA_WALLET_ID,
+  evmSigner,
+  solanaSigner,
+  startTestEnv
+} from '../helpers/env.js';
+
+const BASE_USDC = getChain('base').tokens.USDC;
+const SOLANA_USDC = getChain('solana').tokens.USDC;
+
+// Privy's USD valuation with ETH repriced by `factor`
+function repricedClient(factor) {
+  const client = getPrivyClient();
+  return {
+    ...client,
+    getBalance: async (...args) => {
+      const data = await client.getBalance(...args);
+      return {
+        ...data,
+        balances: data.balances.map(balance => balance.asset !== 'eth' ? balance : {
+          ...balance,
+          display_values: { ...balance.display_values, usd: (Number(balance.display_values.usd) * factor).toFixed(2) }
+        })
+      };
+    }
+  };
+}
+
+const snapshot = (takenAt, byAsset) => ({
+  walletId: 'w',
+  takenAt,
+  byAsset,
+  totals: { usd: Object.values(byAsset).reduce((sum, entry) => sum + entry.usd, 0) }
+});
+
+describe('portfolio', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(BASE, evmSigner.address, ethers.parseEther('1'));
+    env.evm.addToken(BASE, BASE_USDC, { symbol: 'USDC', decimals: 6 });
+    env.evm.mint(BASE, BASE_USDC, evmSigner.address, 100_000000n);
+    env.solana.fund(solanaSigner.publicKey.toBase58(), 2_000_000_000);
+    env.solana.addMint(SOLANA_USDC, { decimals: 6 });
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  describe('compareSnapshots', () => {
+    it('splits a change into market moves, swaps and other flows', () => {
+      const from = snapshot('2024-06-01T00:00:00.000Z', {
+        eth: { amount: 1, usd: 3000, price: 3000 },
+        usdc: { amount: 100, usd: 100, price: 1 }
+      });
+      const to = snapshot('2024-06-02T00:00:00.000Z', {
+        eth: { amount: 1.1, usd: 3630, price: 3300 },
+        usdc: { amount: 0, usd: 0, price: null }
+      });
+      const swap = { id: 's1', type: 'swap', status: 'success', asset: { symbol: 'USDC' }, amount: '100', quote: { buySymbol: 'WETH', buyAmount: '0.1' } };
+
+      const change = compareSnapshots(from, to, { swaps: [swap] });
+
+      assert.equal(change.changeUsd, 530);
+      assert.deepEqual(change.attribution, { marketUsd: 300, swapsUsd: 230, flowsUsd: 0 });
+      assert.deepEqual(change.byAsset.usdc, { startAmount: 100, endAmount: 0, amountChange: -100, startUsd: 100, endUsd: 0, changeUsd: -100 });
+      assert.equal(change.swaps[0].buy.usd, 330);
+    });
+
+    it('counts a swap recorded in the millisecond the later snapshot starts', () => {
+      const id = recordTransaction({ walletId: 'w', type: 'swap', status: 'success', asset: { symbol: 'ETH' }, amount: '1', quote: { buySymbol: 'USDC', buyAmount: '3100' } });
+      const { createdAt } = listTransactions({ walletId: 'w' }).find(record => record.id === id);
+      const from = snapshot(new Date(Date.parse(createdAt) - 1000).toISOString(), { eth: { amount: 1, usd: 3000, price: 3000 } });
+      const to = snapshot(createdAt, { usdc: { amount: 3100, usd: 3100, price: 1 } });
+
+      assert.equal(compareSnapshots(from, to).attribution.swapsUsd, 100);
+      assert.deepEqual(compareSnapshots(to, snapshot(new Date(Date.parse(createdAt) + 1000).toISOString(), to.byAsset)).swaps, []);
+    });
+
+    it('leaves swaps of tokens without a price out of the attribution', () => {
+      const swap = valueSwap({ asset: { symbol: 'DEGEN' }, amount: '5000', quote: { buySymbol: 'USDC', buyAmount: '20' } }, { eth: 3000 });
+
+      assert.equal(swap.sell.usd, null);
+      assert.equal(swap.buy.usd, 20);
+      assert.equal(swap.pnlUsd, null);
+    });
+  });
+
+  it('snapshots every wallet and keeps going past one that fails', async () => {
+    const result = await takePortfolioSnapshot({ walletIds: [EVM_WALLET_ID, SOLANA_WALLET_ID, 'missing-wallet'] });
+
+    assert.deepEqual(result.snapshots.map(s => s.walletId), [EVM_WALLET_ID, SOLANA_WALLET_ID]);
+    assert.equal(result.errors[0].walletId, 'missing-wallet');
+    assert.equal(result.totalUsd, 3400);
+
+    const [evm] = result.snapshots;
+    assert.deepEqual(evm.holdings.map(h => [h.asset, h.chain, h.amount, h.usd]), [['eth', 'base', 1, 3000], ['usdc', 'base', 100, 100]]);
+    assert.equal(evm.byAsset.eth.price, 3000);
+    assert.equal(evm.byAsset.usdt.price, null);
+    assert.deepEqual(listSnapshots({ walletId: EVM_WALLET_ID }).map(s => s.id), [evm.id]);
+  });
+
+  it('requires a wallet when none is configured', async () => {
+    await assert.rejects(takePortfolioSnapshot({ walletIds: [] }), /walletIds is required/);
+  });
+
+  it('reports holdings over time with PnL attributed to swaps', async () => {
+    const first = await takePortfolioSnapshot({ walletIds: [EVM_WALLET_ID, SOLANA_WALLET_ID] });
+
+    env.evm.fund(BASE, evmSigner.address, ethers.parseEther('0.5'));
+    recordTransaction({
+      walletId: EVM_WALLET_ID,
+      chain: 'eip155:8453',
+      type: 'swap',
+      status: 'success',
+      hash: '0xswap',
+      asset: { symbol: 'ETH', address: null, decimals: 18 },
+      amount: '0.2',
+      quote: { buySymbol: 'USDC', buyAmount: '700' }
+    });
+    recordTransaction({
+      walletId: EVM_WALLET_ID,
+      chain: 'eip155:8453',
+      type: 'swap',
+      status: 'reverted',
+      asset: { symbol: 'ETH' },
+      amount: '1',
+      quote: { buySymbol: 'USDC', buyAmount: '3000' }
+    });
+    const second = await takePortfolioSnapshot({ walletIds: [EVM_WALLET_ID, SOLANA_WALLET_ID], client: repricedClient(1.1) });
+
+    const report = getPortfolioReport({ since: first.takenAt });
+
+    assert.deepEqual(report.wallets.map(w => w.walletId), [EVM_WALLET_ID, SOLANA_WALLET_ID]);
+    const [evm, solana] = report.wallets;
+    assert.deepEqual(evm.snapshots.map(s => s.totalUsd), [3100, 5050]);
+    assert.deepEqual(evm.summary.attribution, { marketUsd: 300, swapsUsd: 40, flowsUsd: 1610 });
+    assert.equal(evm.summary.changeUsd, 1950);
+    assert.deepEqual(evm.swaps.map(s => [s.hash, s.pnlUsd, s.pnlAtSwapUsd]), [['0xswap', 40, 100]]);
+    assert.deepEqual(solana.summary.attribution, { marketUsd: 0, swapsUsd: 0, flowsUsd: 0 });
+
+    assert.deepEqual(report.runs.map(run => [run.runId, run.usd, run.wallets]), [[first.runId, 3400], [second.runId, 5350]].map(([id, usd]) => [id, usd, 2]));
+    assert.deepEqual(report.summary, { startUsd: 3400, endUsd: 5350, changeUsd: 1950, attribution: { marketUsd: 300, swapsUsd: 40, flowsUsd: 1610 } });
+  });
+
+  it('filters the report by wallet and time', () => {
+    const all = listSnapshots();
+
+    const report = getPortfolioReport({ walletIds: [SOLANA_WALLET_ID], until: all[0].takenAt });
+
+    assert.deepEqual(report.wallets, []);
+    assert.equal(report.summary, null);
+    assert.equal(getPortfolioReport({ walletIds: [SOLANA_WALLET_ID] }).wallets[0].snapshots.length, 3);
+  });
+});
@@ -0,0 +1,365 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { getSwapQuote, swapTokenBebop } from '../../src/api/swap-token-bebop.js';
+import { getChain } from '../../src/lib/chains.js';
+import { BEBOP_SETTLEMENT, PERMIT2_ADDRESS } from '../../src/lib/approvals.js';
+import { NATIVE_TOKEN_ADDRESS } from '../../src/lib/tokens.js';
+import { PolicyViolationError, TransactionSimulationError } from '../../src/lib/errors.js';
+import { loadConfig, setConfig } from '../../src/lib/config.js';
+import { normalizePolicy, setPolicy } from '../../src/lib/policy.js';
+import { createPrivyClient } from '../../src/lib/privy-client.js';
+import {
+  BASE,
+  EVM_WALLET_ID,
+  SOLANA_WALLET_ID,
+  evmSigner,
+  readJsonl,
+  startTestEnv
+} from '../helpers/env.js';
+
+const USDC = getChain('base').tokens.USDC;
+const WETH = getChain('base').tokens.WETH;
+
+const PERMIT2 = new ethers.Interface([
+  'function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)'
+]);
+
+describe('swapTokenBebop', () => {
+  let env;
+
+  const swap = (params) => swapTokenBebop({
+    walletId: EVM_WALLET_ID,
+    fromToken: USDC,
+    toToken: WETH,
+    amount: '10',
+    fromChain: BASE,
+    toChain: BASE,
+    ...params
+  });
+
+  const rpcCalls = (method) => env.privy.requests.filter(r => r.path.endsWith('/rpc') && r.body.method === method);
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(BASE, evmSigner.address, ethers.parseEther('1'));
+    env.evm.addToken(BASE, USDC, { name: 'USD Coin', symbol: 'USDC', decimals: 6 });
+    env.evm.addToken(BASE, WETH, { name: 'Wrapped Ether', symbol: 'WETH', decimals: 18 });
+    env.evm.mint(BASE, USDC, evmSigner.address, 1000_000000n);
+    env.evm.mint(BASE, WETH, evmSigner.address, ethers.parseEther('5'));
+    env.evm.stubCall(BASE, PERMIT2_ADDRESS, ({ data }) => {
+      PERMIT2.decodeFunctionData('allowance', data);
+      return PERMIT2.encodeFunctionResult('allowance', [0n, 0n, 3n]);
+    });
+  });
+  after(() => env.close());
+  beforeEach(() => {
+    env.reset();
+    env.evm.revertOn(BASE, BEBOP_SETTLEMENT, null);
+  });
+
+  describe('getSwapQuote', () => {
+    it('previews the swap without sending anything', async () => {
+      env.bebop.setQuote({ buyAmount: ethers.parseEther('0.004') });
+
+      const quote = await getSwapQuote({ walletId: EVM_WALLET_ID, fromToken: USDC, toToken: WETH, amount: '10', fromChain: BASE });
+
+      assert.equal(quote.dryRun, true);
+      assert.equal(quote.taker, evmSigner.address);
+      assert.equal(quote.sellAmount, '10000000');
+      assert.equal(quote.buyAmountFormatted, '0.004');
+      assert.equal(quote.minBuyAmountFormatted, '0.00398');
+      assert.equal(quote.price, 0.0004);
+      assert.equal(quote.priceImpactBps, 10);
+      assert.equal(quote.gas.limit, '180000');
+      assert.equal(quote.route.settlementAddress, BEBOP_SETTLEMENT);
+      assert.equal(rpcCalls('eth_sendTransaction').length, 0);
+
+      const [{ params }] = [...env.bebop.quotes.values()];
+      assert.equal(params.get('skip_validation'), 'true');
+      assert.equal(params.get('taker_address'), evmSigner.address);
+      assert.equal(params.get('source'), null);
+    });
+
+    it('identifies the integration to Bebop when a source is configured', async () => {
+      setConfig(loadConfig({ env: { ...process.env, BEBOP_AUTH_KEY: 'bebop-key-1', BEBOP_SOURCE_ID: 'my-app' } }));
+      try {
+        await swap({ dryRun: true });
+      } finally {
+        setConfig(null);
+      }
+
+      assert.equal([...env.bebop.quotes.values()][0].params.get('source'), 'my-app');
+    });
+
+    it('is what swapTokenBebop returns on dryRun', async () => {
+      const result = await swap({ dryRun: true, maxSlippageBps: 50 });
+
+      assert.equal(result.dryRun, true);
+      assert.equal([...env.bebop.quotes.values()][0].params.get('slippage'), '0.5');
+      assert.equal(rpcCalls('eth_sendTransaction').length, 0);
+    });
+  });
+
+  describe('with a sent transaction', () => {
+    it('approves the settlement contract once, then swaps', async () => {
+      const first = await swap({ wait: true });
+
+      assert.equal(first.success, true);
+      assert.equal(first.approval.approved, true);
+      assert.equal(first.receipt.status, 'success');
+      assert.equal(env.evm.allowanceOf(BASE, USDC, evmSigner.address, BEBOP_SETTLEMENT), ethers.MaxUint256);
+      const [approve, swapTx] = rpcCalls('eth_sendTransaction').map(r => r.body.params.transaction);
+      assert.equal(approve.to, USDC);
+      assert.equal(swapTx.to, BEBOP_SETTLEMENT);
+
+      const second = await swap();
+      assert.equal(second.approval.approved, false);
+      assert.equal(rpcCalls('eth_sendTransaction').length, 3);
+
+      const types = readJsonl(env.file('history.jsonl')).map(r => r.type);
+      assert.deepEqual(types.filter(type => type !== undefined).slice(0, 3), ['approve', 'swap', 'swap']);
+    });
+
+    it('takes token symbols like the other commands', async () => {
+      const result = await swap({ fromToken: 'usdc', toToken: 'WETH' });
+
+      assert.equal(result.success, true);
+      const [{ params }] = [...env.bebop.quotes.values()];
+      assert.equal(params.get('sell_tokens'), USDC);
+      assert.equal(params.get('buy_tokens'), WETH);
+    });
+
+    it('approves only the sold amount with exactApproval', async () => {
+      await swap({ fromToken: WETH, toToken: USDC, amount: '0.5', exactApproval: true });
+
+      assert.equal(env.evm.allowanceOf(BASE, WETH, evmSigner.address, BEBOP_SETTLEMENT), ethers.parseEther('0.5'));
+    });
+
+    it('sells the native coin without an approval', async () => {
+      const result = await swap({ fromToken: NATIVE_TOKEN_ADDRESS, toToken: USDC, amount: '0.1' });
+
+      assert.equal(result.approval.approved, false);
+      const [swapTx] = rpcCalls('eth_sendTransaction').map(r => r.body.params.transaction);
+      assert.equal(BigInt(swapTx.value), ethers.parseEther('0.1'));
+    });
+
+    it('refuses to send a swap whose simulation reverts', async () => {
+      env.evm.revertOn(BASE, BEBOP_SETTLEMENT, 'BEBOP: order expired');
+
+      await assert.rejects(
+        swap({ simulate: true }),
+        (error) => error instanceof TransactionSimulationError && /order expired/.test(error.message)
+      );
+      assert.equal(rpcCalls('eth_sendTransaction').length, 0);
+    });
+
+    it('reports a swap that reverts on chain', async () => {
+      env.evm.revertOn(BASE, BEBOP_SETTLEMENT, 'BEBOP: order expired');
+
+      const result = await swap({ wait: true });
+
+      assert.equal(result.success, false);
+      assert.equal(result.receipt.status, 'reverted');
+      assert.equal(result.receipt.revertReason, 'BEBOP: order expired');
+    });
+
+    it('swaps once per idempotency key', async () => {
+      const first = await swap({ idempotencyKey: 'swap-once' });
+      const second = await swap({ idempotencyKey: 'swap-once' });
+
+      assert.equal(second.transactionHash, first.transactionHash);
+      assert.equal(second.idempotency.replayed, true);
+      assert.equal(rpcCalls('eth_sendTransaction').length, 1);
+      assert.equal(rpcCalls('eth_sendTransaction')[0].headers['privy-idempotency-key'], 'swap-once:swap');
+    });
+
+    it('approves, signs and swaps through the client it is given', async () => {
+      const shared = createPrivyClient();
+      const methods = [];
+      const client = {
+        ...shared,
+        rpc: (request) => {
+          methods.push(request.method);
+          return shared.rpc(request);
+        }
+      };
+
+      const result = await swap({ fromToken: WETH, toToken: USDC, amount: '0.1', gasless: true, approvalType: 'Permit2', client });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(methods, ['eth_sendTransaction', 'eth_signTypedData_v4', 'eth_signTypedData_v4']);
+    });
+  });
+
+  describe('gasless', () => {
+    it('signs the order and lets Bebop settle it', async () => {
+      const result = await swap({ gasless: true, wait: { timeoutMs: 5000 } });
+
+      assert.equal(result.success, true);
+      assert.equal(result.order.status, 'settled');
+      assert.equal(result.receipt.status, 'success');
+      assert.equal(env.bebop.orders.length, 1);
+      assert.equal(env.bebop.orders[0].signer, evmSigner.address);
+      assert.equal(result.transactionHash, env.bebop.orders[0].txHash);
+      assert.equal(rpcCalls('eth_sendTransaction').length, 0);
+    });
+
+    it('sends the partner key with the quote, the order and every status poll', async () => {
+      setConfig(loadConfig({ env: { ...process.env, BEBOP_AUTH_KEY: 'bebop-key-1' } }));
+      try {
+        await swap({ gasless: true, wait: { timeoutMs: 5000 } });
+      } finally {
+        setConfig(null);
+      }
+
+      const calls = env.bebop.requests.map(r => [r.path.split('/').at(-1), r.headers['source-auth']]);
+      assert.deepEqual(new Set(calls.map(([action]) => action)), new Set(['quote', 'order', 'order-status']));
+      assert.ok(calls.every(([, key]) => key === 'bebop-key-1'));
+    });
+
+    it('sends an EIP-2612 permit with the order', async () => {
+      const result = await swap({ gasless: true, approvalType: 'Permit' });
+
+      const { permit } = env.bebop.orders[0].body;
+      assert.equal(permit.signatures.length, 1);
+      assert.deepEqual(permit.token_addresses, [USDC]);
+      assert.equal(result.approval.type, 'Permit');
+      assert.equal(rpcCalls('eth_signTypedData_v4').length, 2);
+    });
+
+    it('approves Permit2 and sends a Permit2 signature with the order', async () => {
+      await swap({ gasless: true, approvalType: 'Permit2' });
+
+      assert.equal(env.evm.allowanceOf(BASE, USDC, evmSigner.address, PERMIT2_ADDRESS), ethers.MaxUint256);
+      const { permit2 } = env.bebop.orders[0].body;
+      assert.deepEqual(permit2.token_nonces, [3]);
+      assert.match(permit2.signature, /^0x[0-9a-f]{130}$/);
+    });
+
+    it('fails when Bebop rejects or fails the order', async () => {
+      env.bebop.setOrderStatus('Confirmed', { errorCode: 102, message: 'Insufficient balance' });
+      await assert.rejects(swap({ gasless: true }), /Bebop order error 102: Insufficient balance/);
+
+      env.bebop.setOrderStatus('Failed');
+      await assert.rejects(swap({ gasless: true }), (error) => {
+        assert.match(error.message, /failed \(Failed\)/);
+        assert.equal(error.order.status, 'failed');
+        return true;
+      });
+    });
+  });
+
+  describe('quote checks', () => {
+    it('surfaces Bebop quote errors', async () => {
+      env.bebop.setQuote({ error: 'Insufficient liquidity' });
+
+      await assert.rejects(swap(), /Bebop quote error: Insufficient liquidity/);
+    });
+
+    it('refuses quotes below minBuyAmount or the slippage floor', async () => {
+      env.bebop.setQuote({ buyAmount: ethers.parseEther('0.004') });
+
+      await assert.rejects(swap({ minBuyAmount: '0.005' }), /below minBuyAmount 0.005 WETH/);
+      await assert.rejects(swap({ expectedBuyAmount: '0.005', maxSlippageBps: 100 }), /more than 100 bps below/);
+      assert.equal(rpcCalls('eth_sendTransaction').length, 0);
+    });
+
+    it('approves nothing for a quote the guard or the policy refuses', async () => {
+      const allowance = env.evm.allowanceOf(BASE, WETH, evmSigner.address, BEBOP_SETTLEMENT);
+      env.bebop.setQuote({ buyAmount: 2000_000000n }, { buyAmount: 2000_000000n });
+
+      await assert.rejects(swap({ fromToken: WETH, toToken: USDC, amount: '1', minBuyAmount: '2500' }), /below minBuyAmount/);
+      setPolicy(normalizePolicy({ limits: { perTransaction: { amount: { WETH: '0.1' } } } }, env.dir));
+      await assert.rejects(swap({ fromToken: WETH, toToken: USDC, amount: '1' }), PolicyViolationError);
+
+      assert.equal(rpcCalls('eth_sendTransaction').length, 0);
+      assert.equal(env.evm.allowanceOf(BASE, WETH, evmSigner.address, BEBOP_SETTLEMENT), allowance);
+    });
+
+    it('measures slippage of the first quote against expectedBuyAmount and the Bebop minimum', async () => {
+      env.bebop.setQuote({ buyAmount: ethers.parseEther('0.004') });
+
+      await assert.rejects(swap({ maxSlippageBps: 100 }), /expectedBuyAmount is required with maxSlippageBps/);
+      await assert.rejects(swap({ expectedBuyAmount: '0.0041', maxSlippageBps: 100 }), /buys as little as 0.00398 WETH, more than 100 bps below 0.0041 WETH/);
+      // buyAmount is within 30 bps, the 0.00398 WETH minimum is not
+      await assert.rejects(swap({ expectedBuyAmount: '0.004', maxSlippageBps: 30 }), /more than 30 bps below/);
+      assert.equal(rpcCalls('eth_sendTransaction').length, 0);
+
+      const result = await swap({ expectedBuyAmount: '0.004', maxSlippageBps: 100 });
+      assert.equal(result.success, true);
+    });
+
+    it('refuses quotes with a larger price impact', async () => {
+      env.bebop.setQuote({ priceImpact: -0.03 });
+
+      await assert.rejects(swap({ maxPriceImpactBps: 100 }), /price impact 300 bps exceeds 100 bps/);
+    });
+
+    it('requotes an expired quote and gives up after repeated expiry', async () => {
+      const expired = Math.floor(Date.now() / 1000) - 10;
+
+      env.bebop.setQuote({ expiry: expired }, {});
+      const result = await swap();
+      assert.equal(result.success, true);
+      assert.equal(env.bebop.quotes.size, 2);
+      assert.equal(result.quote.quoteId, [...env.bebop.quotes.keys()][1]);
+
+      env.bebop.setQuote({ expiry: expired });
+      await assert.rejects(swap(), /Quote expired 2 times in a row/);
+    });
+
+    it('checks every requoted transaction against the policy, counting the swap once', async () => {
+      const expired = Math.floor(Date.now() / 1000) - 10;
+      const policy = normalizePolicy({
+        blockedSelectors: ['0xdeadbeef'],
+        limits: { daily: { amount: { USDC: '15' } } },
+        auditLog: 'requote-audit.jsonl'
+      }, env.dir);
+      setPolicy(policy);
+
+      env.bebop.setQuote({ expiry: expired }, {});
+      assert.equal((await swap()).success, true);
+      const [first, second] = readJsonl(policy.auditLog).filter(record => record.kind === 'swap');
+      assert.equal(second.supersedes, first.id);
+      // 10 + 5 USDC fits the daily limit only if the requoted swap counted once
+      env.bebop.setQuote({});
+      assert.equal((await swap({ amount: '5' })).success, true);
+
+      setPolicy({ ...policy, limits: normalizePolicy({}).limits });
+      env.bebop.setQuote({ expiry: expired }, { tx: { data: '0xdeadbeef' } });
+      const sent = rpcCalls('eth_sendTransaction').length;
+      await assert.rejects(swap(), /method selector 0xdeadbeef is blocked/);
+      assert.equal(rpcCalls('eth_sendTransaction').length, sent);
+    });
+  });
+
+  describe('validation', () => {
+    it('rejects bad parameters before calling anything', async () => {
+      await assert.rejects(swap({ walletId: undefined }), /walletId is required/);
+      await assert.rejects(swap({ fromToken: undefined }), /fromToken address is required/);
+      await assert.rejects(swap({ toToken: undefined }), /toToken address is required/);
+      await assert.rejects(swap({ amount: undefined }), /amount is required/);
+      await assert.rejects(swap({ fromChain: undefined }), /fromChain ID is required/);
+      await assert.rejects(swap({ toChain: 1 }), /same-chain swaps/);
+      await assert.rejects(swap({ fromToken: 'DOGE' }), /Invalid fromToken: Unknown token DOGE on base/);
+      await assert.rejects(swap({ toToken: '0x12' }), /Invalid toToken: Unknown token 0x12/);
+      await assert.rejects(swap({ fromChain: 999999, toChain: 999999 }), /Unsupported chain/);
+      await assert.rejects(swap({ approvalType: 'Magic' }), /Invalid approvalType: Magic/);
+      await assert.rejects(swap({ approvalType: 'Permit2' }), /requires gasless: true/);
+      for (const maxSlippageBps of [-1, 10001, 0.5, '50']) {
+        await assert.rejects(swap({ maxSlippageBps, expectedBuyAmount: '1' }), /Invalid maxSlippageBps: .+\. Must be an integer from 0 to 10000/);
+        await assert.rejects(swap({ maxSlippageBps, dryRun: true }), /Invalid maxSlippageBps/);
+      }
+      assert.equal(env.privy.requests.length, 0);
+    });
+
+    it('rejects gasless native sells and non-EVM wallets', async () => {
+      await assert.rejects(
+        swap({ fromToken: NATIVE_TOKEN_ADDRESS, toToken: USDC, gasless: true }),
+        /Gasless swaps cannot sell the native token \(ETH\)/
+      );
+      await assert.rejects(swap({ walletId: SOLANA_WALLET_ID }), /solana wallet; Bebop swaps need an Ethereum wallet/);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { transfer } from '../../src/api/transfer.js';
+import { getChain } from '../../src/lib/chains.js';
+import { normalizePolicy, setPolicy } from '../../src/lib/policy.js';
+import {
+  IdempotencyConflictError,
+  PolicyViolationError,
+  PrivyValidationError,
+  TransactionSimulationError
+} from '../../src/lib/errors.js';
+import {
+  BASE,
+  EVM_WALLET_ID,
+  RECIPIENT,
+  SEPOLIA,
+  SOLANA_RECIPIENT,
+  SOLANA_WALLET_ID,
+  evmSigner,
+  readJsonl,
+  solanaSigner,
+  startTestEnv
+} from '../helpers/env.js';
+
+const BASE_USDC = getChain('base').tokens.USDC;
+const DEVNET = getChain('solana_devnet');
+const DEVNET_USDC = DEVNET.tokens.USDC;
+
+describe('transfer', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('1'));
+    env.evm.fund(BASE, evmSigner.address, ethers.parseEther('0.01'));
+    env.evm.addToken(BASE, BASE_USDC, { symbol: 'USDC', decimals: 6 });
+    env.evm.mint(BASE, BASE_USDC, evmSigner.address, 100_000000n);
+    env.solana.fund(solanaSigner.publicKey.toBase58(), 1_000_000_000);
+    env.solana.addMint(DEVNET_USDC, { decimals: 6 });
+    env.solana.mint(DEVNET_USDC, solanaSigner.publicKey.toBase58(), 50_000000n);
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  describe('EVM', () => {
+    it('sends native ETH and waits for the receipt', async () => {
+      const before = env.evm.balanceOf(SEPOLIA, RECIPIENT);
+
+      const result = await transfer({
+        walletId: EVM_WALLET_ID,
+        caip2: 'eip155:11155111',
+        asset: 'ETH',
+        amount: '0.1',
+        recipientAddress: RECIPIENT,
+        wait: true
+      });
+
+      assert.equal(result.receipt.status, 'success');
+      assert.equal(result.amountRaw, ethers.parseEther('0.1').toString());
+      assert.equal(result.explorerUrl, `https://sepolia.etherscan.io/tx/${result.hash}`);
+      assert.equal(env.evm.balanceOf(SEPOLIA, RECIPIENT) - before, ethers.parseEther('0.1'));
+
+      const [record] = readJsonl(env.file('history.jsonl')).filter(r => r.hash === result.hash);
+      assert.equal(record.type, 'transfer');
+      assert.equal(record.from, evmSigner.address);
+    });
+
+    it('sends an ERC-20 with the token decimals', async () => {
+      const result = await transfer({
+        walletId: EVM_WALLET_ID,
+        caip2: 'eip155:8453',
+        asset: 'USDC',
+        amount: '12.5',
+        recipientAddress: RECIPIENT,
+        simulate: true,
+        wait: true
+      });
+
+      assert.equal(result.simulation.success, true);
+      assert.equal(result.receipt.status, 'success');
+      assert.deepEqual(result.asset, { symbol: 'USDC', address: BASE_USDC, decimals: 6 });
+      assert.equal(env.evm.tokenBalanceOf(BASE, BASE_USDC, RECIPIENT), 12_500000n);
+    });
+
+    it('refuses to send when the simulation reverts', async () => {
+      const sent = env.evm.transactions(BASE).length;
+
+      await assert.rejects(
+        transfer({
+          walletId: EVM_WALLET_ID,
+          caip2: 'eip155:8453',
+          asset: 'USDC',
+          amount: '1000',
+          recipientAddress: RECIPIENT,
+          simulate: true
+        }),
+        (error) => error instanceof TransactionSimulationError && /exceeds balance/.test(error.message)
+      );
+      assert.equal(env.evm.transactions(BASE).length, sent);
+    });
+
+    it('reports an ERC-20 transfer that reverts on chain', async () => {
+      const result = await transfer({
+        walletId: EVM_WALLET_ID,
+        caip2: 'eip155:8453',
+        asset: 'USDC',
+        amount: '1000',
+        recipientAddress: RECIPIENT,
+        wait: true
+      });
+
+      assert.equal(result.receipt.status, 'reverted');
+      assert.equal(result.receipt.revertReason, 'ERC20: transfer amount exceeds balance');
+    });
+
+    it('sends with an explicit nonce', async () => {
+      const nonce = env.evm.nonceOf(SEPOLIA, evmSigner.address);
+
+      const result = await transfer({
+        walletId: EVM_WALLET_ID,
+        caip2: 'eip155:11155111',
+        amount: '0.001',
+        recipientAddress: RECIPIENT,
+        nonce
+      });
+
+      const sent = env.evm.transactions(SEPOLIA).find(tx => tx.hash === result.hash);
+      assert.equal(sent.nonce, nonce);
+
+      await assert.rejects(
+        transfer({ walletId: EVM_WALLET_ID, caip2: 'eip155:11155111', amount: '0.001', recipientAddress: RECIPIENT, nonce }),
+        (error) => error instanceof PrivyValidationError && /nonce too low/.test(error.message)
+      );
+    });
+
+    it('records a send Privy rejects as failed', async () => {
+      await assert.rejects(
+        transfer({ walletId: EVM_WALLET_ID, caip2: 'eip155:8453', amount: '5', recipientAddress: RECIPIENT }),
+        (error) => error instanceof PrivyValidationError && /insufficient funds/.test(error.message)
+      );
+
+      const [failed] = readJsonl(env.file('history.jsonl')).filter(r => r.status === 'failed' && r.amount === '5');
+      assert.equal(failed.hash, null);
+    });
+
+    it('validates its parameters before sending', async () => {
+      const base = { walletId: EVM_WALLET_ID, caip2: 'eip155:11155111', amount: '0.1', recipientAddress: RECIPIENT };
+
+      await assert.rejects(transfer({ ...base, walletId: undefined }), /walletId is required/);
+      await assert.rejects(transfer({ ...base, caip2: undefined }), /caip2 is required/);
+      await assert.rejects(transfer({ ...base, recipientAddress: undefined }), /recipientAddress is required/);
+      await assert.rejects(transfer({ ...base, amount: undefined }), /amount is required/);
+      await assert.rejects(transfer({ ...base, recipientAddress: '0x1234' }), /Invalid recipient address/);
+      await assert.rejects(transfer({ ...base, amount: '0' }), /greater than zero/);
+      await assert.rejects(transfer({ ...base, asset: 'DOGE' }), /Unknown token DOGE/);
+      await assert.rejects(transfer({ ...base, caip2: 'eip155:999999' }), /Unsupported chain/);
+      assert.equal(env.privy.requests.filter(r => r.path.endsWith('/rpc')).length, 0);
+    });
+
+    it('enforces the local policy before anything reaches Privy', async () => {
+      setPolicy(normalizePolicy({ recipients: [evmSigner.address], limits: { perTransaction: { amount: { ETH: '0.5' } } } }, env.dir));
+
+      await assert.rejects(
+        transfer({ walletId: EVM_WALLET_ID, caip2: 'eip155:11155111', amount: '0.1', recipientAddress: RECIPIENT }),
+        PolicyViolationError
+      );
+      await assert.rejects(
+        transfer({ walletId: EVM_WALLET_ID, caip2: 'eip155:11155111', amount: '0.6', recipientAddress: evmSigner.address }),
+        PolicyViolationError
+      );
+      assert.equal(env.privy.requests.filter(r => r.path.endsWith('/rpc')).length, 0);
+    });
+
+    it('returns the original result when an idempotency key is reused', async () => {
+      const params = {
+        walletId: EVM_WALLET_ID,
+        caip2: 'eip155:11155111',
+        amount: '0.01',
+        recipientAddress: RECIPIENT,
+        idempotencyKey: 'transfer-once'
+      };
+      const sent = env.evm.transactions(SEPOLIA).length;
+
+      const first = await transfer(params);
+      const second = await transfer(params);
+
+      assert.equal(second.hash, first.hash);
+      assert.equal(second.idempotency.replayed, true);
+      assert.equal(env.evm.transactions(SEPOLIA).length, sent + 1);
+      const rpc = env.privy.requests.find(r => r.path.endsWith('/rpc'));
+      assert.equal(rpc.headers['privy-idempotency-key'], 'transfer-once');
+
+      await assert.rejects(transfer({ ...params, amount: '0.02' }), IdempotencyConflictError);
+    });
+
+    it('sends through the client it is given', async () => {
+      const calls = [];
+      const client = {
+        getWallet: async (id) => ({ id, address: evmSigner.address, chain_type: 'ethereum' }),
+        rpc: async (request) => {
+          calls.push(request);
+          return { method: request.method, data: { hash: `0x${'ab'.repeat(32)}`, caip2: request.caip2 } };
+        }
+      };
+
+      const result = await transfer({
+        walletId: EVM_WALLET_ID,
+        caip2: 'eip155:11155111',
+        amount: '0.01',
+        recipientAddress: RECIPIENT,
+        client
+      });
+
+      assert.equal(result.hash, `0x${'ab'.repeat(32)}`);
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].params.transaction.to, RECIPIENT);
+      assert.equal(env.privy.requests.length, 0);
+    });
+  });
+
+  describe('Solana', () => {
+    it('sends SOL and waits for confirmation', async () => {
+      const result = await transfer({
+        walletId: SOLANA_WALLET_ID,
+        caip2: DEVNET.caip2,
+        asset: 'SOL',
+        amount: '0.25',
+        recipientAddress: SOLANA_RECIPIENT,
+        simulate: true,
+        wait: true
+      });
+
+      assert.equal(result.simulation.success, true);
+      assert.equal(result.receipt.status, 'success');
+      assert.equal(result.amountRaw, '250000000');
+      assert.equal(env.solana.balanceOf(SOLANA_RECIPIENT), 250_000_000);
+      assert.match(result.explorerUrl, /cluster=devnet/);
+    });
+
+    it('sends USDC, creating the recipient token account', async () => {
+      const result = await transfer({
+        walletId: SOLANA_WALLET_ID,
+        caip2: DEVNET.caip2,
+        asset: 'USDC',
+        amount: '7.5',
+        recipientAddress: SOLANA_RECIPIENT,
+        wait: true
+      });
+
+      assert.equal(result.receipt.status, 'success');
+      assert.equal(env.solana.tokenBalanceOf(DEVNET_USDC, SOLANA_RECIPIENT), 7_500000n);
+      assert.equal(env.solana.tokenBalanceOf(DEVNET_USDC, solanaSigner.publicKey.toBase58()), 42_500000n);
+    });
+
+    it('refuses to send when the simulation fails', async () => {
+      await assert.rejects(
+        transfer({
+          walletId: SOLANA_WALLET_ID,
+          caip2: DEVNET.caip2,
+          asset: 'USDC',
+          amount: '1000',
+          recipientAddress: SOLANA_RECIPIENT,
+          simulate: true
+        }),
+        (error) => error instanceof TransactionSimulationError && /InsufficientFunds/.test(error.message)
+      );
+    });
+
+    it('rejects EVM-only options and bad addresses', async () => {
+      const base = { walletId: SOLANA_WALLET_ID, caip2: DEVNET.caip2, amount: '0.1', recipientAddress: SOLANA_RECIPIENT };
+
+      await assert.rejects(transfer({ ...base, nonce: 1 }), /nonce only applies to EVM chains/);
+      await assert.rejects(transfer({ ...base, recipientAddress: RECIPIENT }), /Invalid Solana recipient address/);
+    });
+  });
+});
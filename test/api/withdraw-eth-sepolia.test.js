@@ -0,0 +1,33 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { withdrawSepoliaETH } from '../../src/api/withdraw-eth-sepolia.js';
+import { EVM_WALLET_ID, RECIPIENT, SEPOLIA, evmSigner, startTestEnv } from '../helpers/env.js';
+
+describe('withdrawSepoliaETH', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('1'));
+  });
+  after(() => env.close());
+
+  it('transfers native ETH on Sepolia', async () => {
+    const result = await withdrawSepoliaETH({
+      walletId: EVM_WALLET_ID,
+      recipientAddress: RECIPIENT,
+      amountEth: '0.05',
+      wait: true
+    });
+
+    assert.equal(result.caip2, 'eip155:11155111');
+    assert.equal(result.asset.symbol, 'ETH');
+    assert.equal(result.receipt.status, 'success');
+    assert.equal(env.evm.balanceOf(SEPOLIA, RECIPIENT), ethers.parseEther('0.05'));
+  });
+
+  it('requires an amount', async () => {
+    await assert.rejects(withdrawSepoliaETH({ walletId: EVM_WALLET_ID, recipientAddress: RECIPIENT }), /amountEth is required/);
+  });
+});
@@ -0,0 +1,117 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { EXIT_CODES, main } from '../../src/cli/index.js';
+import { getTransaction, recordTransaction } from '../../src/lib/history.js';
+import { RECIPIENT, SEPOLIA, evmSigner, startTestEnv } from '../helpers/env.js';
+
+describe('cli', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('1'));
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  // Run a command with --json and return its exit code and parsed output
+  async function run(t, argv) {
+    const lines = [];
+    t.mock.method(console, 'log', line => lines.push(line));
+    const code = await main([...argv, '--json']);
+    return { code, output: JSON.parse(lines.join('\n')) };
+  }
+
+  // A history record for a transaction sent without --wait
+  function record(hash) {
+    return recordTransaction({ walletId: 'evm-wallet', chain: `eip155:${SEPOLIA}`, type: 'transfer', status: 'submitted', hash });
+  }
+
+  async function send(value = 1n) {
+    const signed = await evmSigner.signTransaction({
+      type: 2,
+      chainId: SEPOLIA,
+      nonce: env.evm.nonceOf(SEPOLIA, evmSigner.address),
+      gasLimit: 21000n,
+      maxFeePerGas: ethers.parseUnits('2', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'),
+      to: RECIPIENT,
+      value
+    });
+    return env.evm.sendRawTransaction(SEPOLIA, signed);
+  }
+
+  describe('tx status', () => {
+    it('reports a mined transaction', async (t) => {
+      const hash = await send();
+
+      const { code, output } = await run(t, ['tx', 'status', hash, '--chain', String(SEPOLIA)]);
+
+      assert.equal(code, EXIT_CODES.OK);
+      assert.equal(output.status, 'success');
+    });
+
+    it('reports a transaction without a receipt as pending and exits 0', async (t) => {
+      env.evm.setAutomine(SEPOLIA, false);
+      try {
+        const pendingHash = await send();
+        const unknownHash = ethers.id('never-sent');
+
+        for (const hash of [pendingHash, unknownHash]) {
+          const { code, output } = await run(t, ['tx', 'status', hash, '--chain', String(SEPOLIA)]);
+          assert.equal(code, EXIT_CODES.OK);
+          assert.equal(output.status, 'pending');
+        }
+      } finally {
+        env.evm.mine(SEPOLIA);
+        env.evm.setAutomine(SEPOLIA, true);
+      }
+    });
+
+    it('writes only receipt statuses back to the history', async (t) => {
+      env.evm.setAutomine(SEPOLIA, false);
+      try {
+        const hash = await send();
+        const id = record(hash);
+
+        await run(t, ['tx', 'status', hash, '--chain', String(SEPOLIA)]);
+        assert.equal(getTransaction(id).status, 'submitted');
+
+        env.evm.mine(SEPOLIA);
+        await run(t, ['tx', 'status', hash, '--chain', String(SEPOLIA)]);
+        assert.equal(getTransaction(id).status, 'success');
+      } finally {
+        env.evm.setAutomine(SEPOLIA, true);
+      }
+    });
+
+    it('records a transaction as dropped only after a full --wait', async (t) => {
+      env.evm.setAutomine(SEPOLIA, false);
+      try {
+        const hash = await send();
+        const id = record(hash);
+
+        const waiting = run(t, ['tx', 'status', hash, '--chain', String(SEPOLIA), '--wait', '--timeout', '10000']);
+        await new Promise(resolve => setTimeout(resolve, 300));
+        env.evm.evict(SEPOLIA, hash);
+        await send(2n);
+        env.evm.mine(SEPOLIA);
+
+        const { code, output } = await waiting;
+        assert.equal(code, EXIT_CODES.TX_FAILED);
+        assert.equal(output.status, 'dropped');
+        assert.equal(getTransaction(id).status, 'dropped');
+      } finally {
+        env.evm.setAutomine(SEPOLIA, true);
+      }
+    });
+
+    it('exits with TX_PENDING when --wait times out', async (t) => {
+      const { code, output } = await run(t, ['tx', 'status', ethers.id('never-sent'), '--chain', String(SEPOLIA), '--wait', '--timeout', '200']);
+
+      assert.equal(code, EXIT_CODES.TX_PENDING);
+      assert.equal(output.status, 'pending');
+    });
+  });
+});
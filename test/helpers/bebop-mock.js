@@ -0,0 +1,213 @@
+import http from 'node:http';
+import { ethers } from 'ethers';
+import { getChain } from '../../src/lib/chains.js';
+import { BEBOP_SETTLEMENT } from '../../src/lib/approvals.js';
+import { BEBOP_ORDER_TYPES } from '../../src/lib/bebop.js';
+
+/**
+ * Local stand-in for the Bebop PMM API
+ *
+ * Serves /:chain/v3/quote, /:chain/v3/order and /:chain/v3/order-status.
+ * Quotes buy `rate` times the sell amount (in base units) unless a test
+ * overrides the response with setQuote. Submitted orders are only accepted
+ * when their EIP-712 signature recovers to the quote's taker, and are then
+ * settled by a relayer transaction on the local EVM node.
+ */
+
+const MAKER = '0x51C72848c68a965f66FA7a88855F9f7784502a7F';
+
+const relayer = new ethers.Wallet(ethers.id('bebop-test-relayer'));
+
+/**
+ * Start the mock on a free port
+ *
+ * @param {Object} params
+ * @param {Object} params.evm - Node from startEvmNode, where orders are settled
+ * @returns {Promise<Object>} Mock with url, setQuote, setOrderStatus, quotes, orders, requests, reset and close()
+ */
+export async function startBebopMock({ evm }) {
+  let quoteOverrides = [];
+  let orderStatus = 'Confirmed';
+  let orderError = null;
+  let counter = 0;
+  const quotes = new Map();
+  const orders = [];
+  const requests = [];
+
+  function quote(chain, params) {
+    const { chainId } = getChain(chain);
+    const overrides = quoteOverrides.length > 1 ? quoteOverrides.shift() : quoteOverrides[0] || {};
+    if (overrides.error) return { error: overrides.error };
+
+    const sellToken = params.get('sell_tokens');
+    const buyToken = params.get('buy_tokens');
+    const taker = params.get('taker_address');
+    const sellAmount = BigInt(params.get('sell_amounts'));
+    const buyAmount = overrides.buyAmount !== undefined
+      ? BigInt(overrides.buyAmount)
+      : sellAmount * BigInt(overrides.rate ?? 2);
+    const expiry = overrides.expiry ?? Math.floor(Date.now() / 1000) + 60;
+    const quoteId = `quote-${++counter}`;
+    const nativeSell = sellToken.toLowerCase() === '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+    const response = {
+      quoteId,
+      chainId,
+      type: 'PMM',
+      status: 'QUOTE_SUCCESS',
+      expiry,
+      settlementAddress: BEBOP_SETTLEMENT,
+      approvalTarget: BEBOP_SETTLEMENT,
+      approvalType: params.get('approval_type'),
+      requiredSignatures: overrides.requiredSignatures ?? (params.get('approval_type') === 'Standard' ? [] : [sellToken]),
+      priceImpact: overrides.priceImpact ?? -0.001,
+      gasFee: { native: '21000000000000', usd: 0.05 },
+      sellTokens: { [sellToken]: { amount: sellAmount.toString(), decimals: 18 } },
+      buyTokens: {
+        [buyToken]: {
+          amount: buyAmount.toString(),
+          minimumAmount: (buyAmount * 995n / 1000n).toString(),
+          decimals: 18
+        }
+      },
+      onchainOrderType: 'SingleOrder',
+      toSign: {
+        partner_id: 0,
+        expiry,
+        taker_address: taker,
+        maker_address: MAKER,
+        maker_nonce: counter.toString(),
+        taker_token: sellToken,
+        maker_token: buyToken,
+        taker_amount: sellAmount.toString(),
+        maker_amount: buyAmount.toString(),
+        receiver: taker,
+        packed_commands: '0'
+      },
+      tx: {
+        chainId,
+        from: taker,
+        to: BEBOP_SETTLEMENT,
+        value: nativeSell ? ethers.toQuantity(sellAmount) : '0x0',
+        data: ethers.concat(['0x4dcebcba', ethers.id(quoteId)]),
+        gas: 180000,
+        ...overrides.tx
+      }
+    };
+    quotes.set(quoteId, { chainId, gasless: params.get('gasless') === 'true', params, response });
+    return response;
+  }
+
+  async function settle(chainId, quoteResponse) {
+    evm.fund(chainId, relayer.address, ethers.parseEther('1'));
+    const raw = await relayer.signTransaction({
+      type: 2,
+      chainId,
+      to: quoteResponse.settlementAddress,
+      data: quoteResponse.tx.data,
+      nonce: evm.nonceOf(chainId, relayer.address),
+      gasLimit: 200000n,
+      maxFeePerGas: ethers.parseUnits('2', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei')
+    });
+    return evm.sendRawTransaction(chainId, raw);
+  }
+
+  async function submitOrder(body) {
+    if (orderError) return { error: orderError };
+
+    const stored = quotes.get(body.quote_id);
+    if (!stored) return { error: { errorCode: 104, message: `Unknown quote ${body.quote_id}` } };
+
+    const { toSign, settlementAddress, onchainOrderType } = stored.response;
+    const signer = ethers.verifyTypedData(
+      { name: 'BebopSettlement', version: '2', chainId: stored.chainId, verifyingContract: settlementAddress },
+      { [onchainOrderType]: BEBOP_ORDER_TYPES[onchainOrderType] },
+      toSign,
+      body.signature
+    );
+    if (signer.toLowerCase() !== toSign.taker_address.toLowerCase()) {
+      return { error: { errorCode: 101, message: `Signature is from ${signer}, not the taker` } };
+    }
+
+    const txHash = await settle(stored.chainId, stored.response);
+    orders.push({ quoteId: body.quote_id, signer, txHash, body });
+    return { status: 'Pending', txHash, expiry: stored.response.expiry };
+  }
+
+  function orderStatusOf(quoteId) {
+    const order = orders.find(o => o.quoteId === quoteId);
+    if (!order) return { error: { errorCode: 104, message: `Unknown order ${quoteId}` } };
+    return { status: orderStatus, txHash: orderStatus === 'Confirmed' || orderStatus === 'Settled' ? order.txHash : null };
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const [chain, version, action] = url.pathname.split('/').filter(Boolean);
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers });
+      res.setHeader('content-type', 'application/json');
+
+      let response;
+      if (version !== 'v3') {
+        res.statusCode = 404;
+        response = { error: `No route for ${url.pathname}` };
+      } else if (req.method === 'GET' && action === 'quote') {
+        response = quote(chain, url.searchParams);
+      } else if (req.method === 'POST' && action === 'order') {
+        response = await submitOrder(JSON.parse(body));
+      } else if (req.method === 'GET' && action === 'order-status') {
+        response = orderStatusOf(url.searchParams.get('quote_id'));
+      } else {
+        res.statusCode = 404;
+        response = { error: `No route for ${req.method} ${url.pathname}` };
+      }
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+
+    /** Quotes handed out, by quote ID; each has the query params and the response */
+    quotes,
+
+    /** Orders accepted, oldest first */
+    orders,
+
+    /** Every request received, oldest first: { method, path, headers } */
+    requests,
+
+    /**
+     * Change the next quotes: { buyAmount, rate, priceImpact, expiry, requiredSignatures, error }
+     * Several objects are used one per quote; the last one sticks.
+     */
+    setQuote(...overrides) {
+      quoteOverrides = overrides;
+    },
+
+    /** Status order-status reports for accepted orders, and an optional error for submissions */
+    setOrderStatus(status, error = null) {
+      orderStatus = status;
+      orderError = error;
+    },
+
+    reset() {
+      quoteOverrides = [];
+      orderStatus = 'Confirmed';
+      orderError = null;
+      quotes.clear();
+      orders.length = 0;
+      requests.length = 0;
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,126 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { ethers } from 'ethers';
+import { Keypair } from '@solana/web3.js';
+import { listChains } from '../../src/lib/chains.js';
+import { setConfig } from '../../src/lib/config.js';
+import { setPolicy } from '../../src/lib/policy.js';
+import { clearTokenMetadataCache } from '../../src/lib/tokens.js';
+import { startEvmNode } from './evm-node.js';
+import { startSolanaNode } from './solana-node.js';
+import { startPrivyMock } from './privy-mock.js';
+import { startBebopMock } from './bebop-mock.js';
+
+/**
+ * Offline test environment
+ *
+ * Starts the local EVM and Solana nodes and the Privy and Bebop stand-ins,
+ * and points the package at them through the same environment variables a
+ * deployment uses (PRIVY_API_URL, BEBOP_API_URL, RPC_URL_<CHAIN>), reloading
+ * the shared config (lib/config.js) on start and close. History,
+ * idempotency state and reports go to a fresh temp directory.
+ *
+ * The shared Privy client is built on first use, so call startTestEnv in
+ * `before` and keep one environment per test file.
+ */
+
+export const APP_ID = 'test-app';
+export const APP_SECRET = 'test-secret';
+
+export const EVM_WALLET_ID = 'evm-wallet';
+export const SOLANA_WALLET_ID = 'solana-wallet';
+
+export const SEPOLIA = 11155111;
+export const BASE = 8453;
+
+// Fixed keys so addresses are stable across runs
+export const evmSigner = new ethers.Wallet(ethers.id('privy-test-evm-wallet'));
+export const solanaSigner = Keypair.fromSeed(createHash('sha256').update('privy-test-solana-wallet').digest());
+
+export const RECIPIENT = '0x0a1f55b674F8eB4f6988BD2725A10b30a7451783';
+export const SOLANA_RECIPIENT = Keypair.fromSeed(createHash('sha256').update('privy-test-solana-recipient').digest()).publicKey.toBase58();
+
+/**
+ * Start every stand-in and point the environment at them
+ *
+ * @returns {Promise<Object>} { evm, solana, privy, bebop, dir, file(name), close() }
+ */
+export async function startTestEnv() {
+  const evm = await startEvmNode();
+  const solana = await startSolanaNode();
+  const privy = await startPrivyMock({ evm, solana, appId: APP_ID, appSecret: APP_SECRET });
+  const bebop = await startBebopMock({ evm });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'privy-test-'));
+
+  const env = {
+    CONFIG_FILE: '',
+    PRIVY_PROFILE: '',
+    PRIVY_APP_ID: APP_ID,
+    PRIVY_APP_SECRET: APP_SECRET,
+    PRIVY_API_URL: privy.url,
+    PRIVY_AUTHORIZATION_KEY: '',
+    PRIVY_AUTHORIZATION_KEY_FILE: '',
+    BEBOP_API_URL: bebop.url,
+    HISTORY_FILE: path.join(dir, 'history.jsonl'),
+    IDEMPOTENCY_FILE: path.join(dir, 'idempotency.jsonl'),
+    PORTFOLIO_FILE: path.join(dir, 'portfolio.jsonl'),
+    PORTFOLIO_WALLETS: '',
+    POLICY_FILE: '',
+    LOG_LEVEL: 'silent'
+  };
+  // Every chain goes to a local node, so nothing can reach a real network
+  listChains().forEach(chain => {
+    env[`RPC_URL_${chain.privy.toUpperCase()}`] = chain.caip2.startsWith('solana:')
+      ? solana.url
+      : evm.rpcUrl(chain.chainId);
+  });
+  const previous = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  setConfig(null);
+  setPolicy(null);
+
+  privy.addWallet({ id: EVM_WALLET_ID, chainType: 'ethereum', signer: evmSigner });
+  privy.addWallet({ id: SOLANA_WALLET_ID, chainType: 'solana', signer: solanaSigner });
+
+  return {
+    evm,
+    solana,
+    privy,
+    bebop,
+    dir,
+
+    /** Path inside the temp directory */
+    file: (name) => path.join(dir, name),
+
+    /** Forget mock state between tests; balances on the nodes are kept */
+    reset() {
+      privy.reset();
+      bebop.reset();
+      setPolicy(null);
+      clearTokenMetadataCache();
+    },
+
+    async close() {
+      await Promise.all([evm.close(), solana.close(), privy.close(), bebop.close()]);
+      fs.rmSync(dir, { recursive: true, force: true });
+      Object.entries(previous).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      });
+      setConfig(null);
+    }
+  };
+}
+
+/**
+ * Read a JSONL file written by the package (history, idempotency state)
+ *
+ * @param {string} file - Path
+ * @returns {Object[]}
+ */
+export function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
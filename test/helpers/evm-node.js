@@ -0,0 +1,501 @@
+import http from 'node:http';
+import { ethers } from 'ethers';
+
+/**
+ * Local EVM JSON-RPC node for the offline tests
+ *
+ * One server answers for every chain: http://127.0.0.1:<port>/<chainId>.
+ * It keeps real accounts (balance + nonce), only accepts raw transactions
+ * whose signature, chain ID and nonce check out, mines every accepted
+ * transaction into its own block and serves receipts for them.
+ *
+ * Contract code is not executed. ERC-20 tokens registered with addToken are
+ * emulated (balanceOf, decimals, symbol, name, allowance, transfer, approve,
+ * transferFrom), addresses registered with revertOn revert with a reason,
+ * addresses registered with stubCall answer with whatever their handler
+ * returns, and any other call succeeds without effect.
+ */
+
+export const GAS_PRICE = ethers.parseUnits('1', 'gwei');
+
+const ERC20 = new ethers.Interface([
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function nonces(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)'
+]);
+
+const ERROR_STRING = new ethers.Interface(['error Error(string)']);
+
+const TRANSFER_GAS = 21000n;
+const CONTRACT_GAS = 65000n;
+
+const toQuantity = (value) => ethers.toQuantity(value ?? 0);
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class Revert extends Error {}
+
+function revertError(reason) {
+  return new RpcError(3, `execution reverted: ${reason}`, ERROR_STRING.encodeErrorResult('Error', [reason]));
+}
+
+function createChainState(chainId) {
+  return {
+    chainId,
+    accounts: new Map(),
+    tokens: new Map(),
+    reverts: new Map(),
+    stubs: new Map(),
+    transactions: new Map(),
+    blocks: [{ number: 0, hash: ethers.id(`${chainId}:0`), timestamp: Math.floor(Date.now() / 1000), transactions: [] }],
+    automine: true,
+    pending: [],
+    hidden: new Map()
+  };
+}
+
+/**
+ * Start the node on a free port
+ *
+ * @returns {Promise<Object>} Node with url, rpcUrl(chainId), state helpers and close()
+ */
+export async function startEvmNode() {
+  const chains = new Map();
+
+  const chain = (chainId) => {
+    const id = Number(chainId);
+    if (!chains.has(id)) chains.set(id, createChainState(id));
+    return chains.get(id);
+  };
+
+  const account = (state, address) => {
+    const key = address.toLowerCase();
+    if (!state.accounts.has(key)) state.accounts.set(key, { balance: 0n, nonce: 0 });
+    return state.accounts.get(key);
+  };
+
+  const token = (state, address) => state.tokens.get(address?.toLowerCase());
+
+  const latestBlock = (state) => state.blocks[state.blocks.length - 1];
+
+  /**
+   * Run a call against the emulated contracts; throws Revert on failure
+   * and only changes state when `write` is set
+   */
+  function execute(state, { from, to, data = '0x', value = 0n }, write) {
+    if (!to) throw new Revert('contract creation is not supported');
+
+    const revertReason = state.reverts.get(to.toLowerCase());
+    if (revertReason) throw new Revert(revertReason);
+
+    const stub = state.stubs.get(to.toLowerCase());
+    if (stub) return stub({ from, data, value });
+
+    const erc20 = token(state, to);
+    if (!erc20 || data === '0x') return '0x';
+
+    let call = null;
+    try {
+      call = ERC20.parseTransaction({ data, value });
+    } catch {
+      // Undecodable calldata reverts like an unknown selector
+    }
+    if (!call) throw new Revert('unknown function');
+    const balanceOf = (owner) => erc20.balances.get(owner.toLowerCase()) || 0n;
+    const allowanceKey = (owner, spender) => `${owner.toLowerCase()}:${spender.toLowerCase()}`;
+    const move = (owner, recipient, amount) => {
+      if (balanceOf(owner) < amount) throw new Revert('ERC20: transfer amount exceeds balance');
+      if (write) {
+        erc20.balances.set(owner.toLowerCase(), balanceOf(owner) - amount);
+        erc20.balances.set(recipient.toLowerCase(), balanceOf(recipient) + amount);
+      }
+    };
+    const encode = (result) => ERC20.encodeFunctionResult(call.fragment, [result]);
+
+    switch (call.name) {
+      case 'name': return encode(erc20.name);
+      case 'symbol': return encode(erc20.symbol);
+      case 'decimals': return encode(erc20.decimals);
+      case 'balanceOf': return encode(balanceOf(call.args[0]));
+      case 'allowance': return encode(erc20.allowances.get(allowanceKey(call.args[0], call.args[1])) || 0n);
+      case 'nonces': return encode(0n);
+      case 'transfer':
+        move(from, call.args[0], call.args[1]);
+        return encode(true);
+      case 'approve':
+        if (write) erc20.allowances.set(allowanceKey(from, call.args[0]), call.args[1]);
+        return encode(true);
+      case 'transferFrom': {
+        const key = allowanceKey(call.args[0], from);
+        const allowance = erc20.allowances.get(key) || 0n;
+        if (allowance < call.args[2]) throw new Revert('ERC20: insufficient allowance');
+        move(call.args[0], call.args[1], call.args[2]);
+        if (write && allowance !== ethers.MaxUint256) erc20.allowances.set(key, allowance - call.args[2]);
+        return encode(true);
+      }
+      default:
+        throw new Revert('unknown function');
+    }
+  }
+
+  function mine(state) {
+    const previous = latestBlock(state);
+    const block = {
+      number: previous.number + 1,
+      hash: ethers.id(`${state.chainId}:${previous.number + 1}`),
+      timestamp: previous.timestamp + 2,
+      transactions: []
+    };
+    state.blocks.push(block);
+
+    for (const hash of state.pending.splice(0)) {
+      const entry = state.transactions.get(hash);
+      const { tx } = entry;
+      const gasUsed = tx.data === '0x' ? TRANSFER_GAS : CONTRACT_GAS;
+      const gasPrice = tx.maxFeePerGas ?? tx.gasPrice ?? GAS_PRICE;
+      const sender = account(state, tx.from);
+      sender.balance -= gasUsed * gasPrice;
+
+      let status = 1;
+      try {
+        execute(state, tx, false);
+        if (sender.balance < tx.value) throw new Revert('insufficient funds for transfer');
+        execute(state, tx, true);
+        sender.balance -= tx.value;
+        account(state, tx.to).balance += tx.value;
+      } catch (error) {
+        if (!(error instanceof Revert)) throw error;
+        status = 0;
+      }
+
+      entry.block = block;
+      entry.index = block.transactions.length;
+      entry.receipt = { status, gasUsed, gasPrice };
+      block.transactions.push(hash);
+    }
+
+    return block;
+  }
+
+  function sendRawTransaction(chainId, raw) {
+    const state = chain(chainId);
+    let tx;
+    try {
+      tx = ethers.Transaction.from(raw);
+    } catch (error) {
+      throw new RpcError(-32602, `invalid raw transaction: ${error.message}`);
+    }
+
+    if (!tx.signature || !tx.from) throw new RpcError(-32000, 'transaction is not signed');
+    if (tx.chainId !== BigInt(state.chainId)) {
+      throw new RpcError(-32000, `invalid chain id ${tx.chainId}, expected ${state.chainId}`);
+    }
+
+    const sender = account(state, tx.from);
+    if (tx.nonce < sender.nonce) throw new RpcError(-32000, 'nonce too low');
+    if (tx.nonce > sender.nonce) throw new RpcError(-32000, `nonce too high: expected ${sender.nonce}`);
+
+    const maxCost = tx.gasLimit * (tx.maxFeePerGas ?? tx.gasPrice ?? GAS_PRICE) + tx.value;
+    if (sender.balance < maxCost) throw new RpcError(-32000, 'insufficient funds for gas * price + value');
+
+    sender.nonce += 1;
+    state.transactions.set(tx.hash, {
+      tx: { hash: tx.hash, from: tx.from, to: tx.to, data: tx.data, value: tx.value, nonce: tx.nonce, gasLimit: tx.gasLimit, gasPrice: tx.gasPrice, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas, type: tx.type, signature: tx.signature },
+      raw
+    });
+    state.pending.push(tx.hash);
+    if (state.automine) mine(state);
+    return tx.hash;
+  }
+
+  // A transaction hidden with missLookups is not found until its count runs out
+  function lookup(state, hash) {
+    const misses = state.hidden.get(hash);
+    if (misses) {
+      state.hidden.set(hash, misses - 1);
+      return null;
+    }
+    return state.transactions.get(hash);
+  }
+
+  function formatBlock(state, block) {
+    return {
+      number: toQuantity(block.number),
+      hash: block.hash,
+      parentHash: block.number === 0 ? ethers.ZeroHash : state.blocks[block.number - 1].hash,
+      timestamp: toQuantity(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: toQuantity(30000000),
+      gasUsed: '0x0',
+      miner: ethers.ZeroAddress,
+      extraData: '0x',
+      baseFeePerGas: toQuantity(GAS_PRICE / 2n),
+      transactions: block.transactions
+    };
+  }
+
+  function formatTransaction(state, entry) {
+    const { tx, block } = entry;
+    return {
+      hash: tx.hash,
+      from: tx.from,
+      to: tx.to,
+      nonce: toQuantity(tx.nonce),
+      gas: toQuantity(tx.gasLimit),
+      gasPrice: toQuantity(tx.maxFeePerGas ?? tx.gasPrice),
+      ...(tx.type === 2 && {
+        maxFeePerGas: toQuantity(tx.maxFeePerGas),
+        maxPriorityFeePerGas: toQuantity(tx.maxPriorityFeePerGas)
+      }),
+      value: toQuantity(tx.value),
+      input: tx.data,
+      type: toQuantity(tx.type),
+      chainId: toQuantity(state.chainId),
+      v: toQuantity(tx.signature.yParity),
+      r: tx.signature.r,
+      s: tx.signature.s,
+      blockHash: block?.hash ?? null,
+      blockNumber: block ? toQuantity(block.number) : null,
+      transactionIndex: block ? toQuantity(entry.index) : null
+    };
+  }
+
+  function formatReceipt(state, entry) {
+    const { tx, block, receipt } = entry;
+    return {
+      transactionHash: tx.hash,
+      transactionIndex: toQuantity(entry.index),
+      blockHash: block.hash,
+      blockNumber: toQuantity(block.number),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: null,
+      cumulativeGasUsed: toQuantity(receipt.gasUsed),
+      gasUsed: toQuantity(receipt.gasUsed),
+      effectiveGasPrice: toQuantity(receipt.gasPrice),
+      logs: [],
+      logsBloom: `0x${'0'.repeat(512)}`,
+      status: toQuantity(receipt.status),
+      type: toQuantity(tx.type)
+    };
+  }
+
+  function callParams(params) {
+    const [request] = params;
+    return {
+      from: request.from || ethers.ZeroAddress,
+      to: request.to,
+      data: request.data || request.input || '0x',
+      value: BigInt(request.value || 0)
+    };
+  }
+
+  function findBlock(state, tag) {
+    if (tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized' || tag === undefined) {
+      return latestBlock(state);
+    }
+    if (tag === 'earliest') return state.blocks[0];
+    return state.blocks[Number(tag)] || null;
+  }
+
+  const methods = {
+    eth_chainId: (state) => toQuantity(state.chainId),
+    net_version: (state) => state.chainId.toString(),
+    eth_blockNumber: (state) => toQuantity(latestBlock(state).number),
+    eth_gasPrice: () => toQuantity(GAS_PRICE),
+    eth_maxPriorityFeePerGas: () => toQuantity(GAS_PRICE / 2n),
+    eth_getBalance: (state, [address]) => toQuantity(account(state, address).balance),
+    eth_getCode: (state, [address]) => state.tokens.has(address.toLowerCase()) ? '0x00' : '0x',
+    eth_getTransactionCount: (state, [address, tag]) => {
+      const { nonce } = account(state, address);
+      // Unmined transactions still hold their nonce for 'pending'
+      const queued = tag === 'pending' ? 0 : state.pending.filter(hash =>
+        state.transactions.get(hash).tx.from.toLowerCase() === address.toLowerCase()
+      ).length;
+      return toQuantity(nonce - queued);
+    },
+    eth_getBlockByNumber: (state, [tag]) => {
+      const block = findBlock(state, tag);
+      return block ? formatBlock(state, block) : null;
+    },
+    eth_getBlockByHash: (state, [hash]) => {
+      const block = state.blocks.find(b => b.hash === hash);
+      return block ? formatBlock(state, block) : null;
+    },
+    eth_call: (state, params) => {
+      try {
+        return execute(state, callParams(params), false);
+      } catch (error) {
+        if (error instanceof Revert) throw revertError(error.message);
+        throw error;
+      }
+    },
+    eth_estimateGas: (state, params) => {
+      const request = callParams(params);
+      try {
+        execute(state, request, false);
+      } catch (error) {
+        if (error instanceof Revert) throw revertError(error.message);
+        throw error;
+      }
+      return toQuantity(request.data === '0x' ? TRANSFER_GAS : CONTRACT_GAS);
+    },
+    eth_sendRawTransaction: (state, [raw]) => sendRawTransaction(state.chainId, raw),
+    eth_getTransactionByHash: (state, [hash]) => {
+      const entry = lookup(state, hash);
+      return entry ? formatTransaction(state, entry) : null;
+    },
+    eth_getTransactionReceipt: (state, [hash]) => {
+      const entry = lookup(state, hash);
+      return entry?.receipt ? formatReceipt(state, entry) : null;
+    }
+  };
+
+  function handle(chainId, { id, method, params = [] }) {
+    const state = chain(chainId);
+    const implementation = methods[method];
+    try {
+      if (!implementation) throw new RpcError(-32601, `Method ${method} not supported`);
+      return { jsonrpc: '2.0', id, result: implementation(state, params) };
+    } catch (error) {
+      if (!(error instanceof RpcError)) throw error;
+      return { jsonrpc: '2.0', id, error: { code: error.code, message: error.message, ...(error.data && { data: error.data }) } };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const chainId = Number(req.url.split('/')[1]);
+      res.setHeader('content-type', 'application/json');
+      if (!chainId) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: 'use /<chainId>' }));
+        return;
+      }
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload)
+        ? payload.map(request => handle(chainId, request))
+        : handle(chainId, payload);
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+
+    /** RPC URL of one chain */
+    rpcUrl: (chainId) => `${url}/${chainId}`,
+
+    /** Give an address native coin (wei) */
+    fund(chainId, address, amount) {
+      account(chain(chainId), address).balance += BigInt(amount);
+    },
+
+    /** Native balance (wei) */
+    balanceOf(chainId, address) {
+      return account(chain(chainId), address).balance;
+    },
+
+    /** Confirmed nonce of an address */
+    nonceOf(chainId, address) {
+      return account(chain(chainId), address).nonce;
+    },
+
+    /** Emulate an ERC-20 at `address` */
+    addToken(chainId, address, { name = 'Test Token', symbol = 'TEST', decimals = 18 } = {}) {
+      chain(chainId).tokens.set(address.toLowerCase(), { name, symbol, decimals, balances: new Map(), allowances: new Map() });
+    },
+
+    /** Whether addToken registered `address` */
+    hasToken(chainId, address) {
+      return chain(chainId).tokens.has(address.toLowerCase());
+    },
+
+    /** Credit ERC-20 base units to an address */
+    mint(chainId, tokenAddress, address, amount) {
+      const erc20 = token(chain(chainId), tokenAddress);
+      const key = address.toLowerCase();
+      erc20.balances.set(key, (erc20.balances.get(key) || 0n) + BigInt(amount));
+    },
+
+    /** ERC-20 balance in base units */
+    tokenBalanceOf(chainId, tokenAddress, address) {
+      return token(chain(chainId), tokenAddress).balances.get(address.toLowerCase()) || 0n;
+    },
+
+    /** ERC-20 allowance in base units */
+    allowanceOf(chainId, tokenAddress, owner, spender) {
+      return token(chain(chainId), tokenAddress).allowances.get(`${owner.toLowerCase()}:${spender.toLowerCase()}`) || 0n;
+    },
+
+    /** Make every call/transaction to `address` revert with `reason` (null to stop) */
+    revertOn(chainId, address, reason) {
+      const { reverts } = chain(chainId);
+      if (reason) reverts.set(address.toLowerCase(), reason);
+      else reverts.delete(address.toLowerCase());
+    },
+
+    /** Answer calls to `address` with handler({ from, data, value }) => hex result */
+    stubCall(chainId, address, handler) {
+      chain(chainId).stubs.set(address.toLowerCase(), handler);
+    },
+
+    /** With automine off transactions stay pending until mine() */
+    setAutomine(chainId, enabled) {
+      chain(chainId).automine = enabled;
+    },
+
+    /** Mine a block including every pending transaction */
+    mine(chainId) {
+      return mine(chain(chainId)).number;
+    },
+
+    /** Answer the next `count` lookups of a transaction or its receipt with null, like a lagging RPC replica */
+    missLookups(chainId, hash, count = 1) {
+      chain(chainId).hidden.set(hash, count);
+    },
+
+    /** Evict a pending transaction from the mempool, freeing its nonce */
+    evict(chainId, hash) {
+      const state = chain(chainId);
+      const entry = state.transactions.get(hash);
+      if (!entry || entry.receipt) throw new Error(`${hash} is not pending`);
+      state.transactions.delete(hash);
+      state.pending = state.pending.filter(pending => pending !== hash);
+      account(state, entry.tx.from).nonce -= 1;
+    },
+
+    /** Transactions the node accepted, oldest first */
+    transactions(chainId) {
+      return [...chain(chainId).transactions.values()].map(entry => ({
+        ...entry.tx,
+        status: entry.receipt ? entry.receipt.status : null
+      }));
+    },
+
+    sendRawTransaction,
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
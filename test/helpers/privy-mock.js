@@ -0,0 +1,325 @@
+import http from 'node:http';
+import { createPublicKey, verify } from 'node:crypto';
+import { ethers } from 'ethers';
+import { VersionedTransaction } from '@solana/web3.js';
+import { getChain } from '../../src/lib/chains.js';
+import { KNOWN_TOKENS } from '../../src/lib/tokens.js';
+
+/**
+ * Local stand-in for the Privy wallet API
+ *
+ * Serves GET /v1/wallets, GET /v1/wallets/:id, GET /v1/wallets/:id/balance
+ * and POST /v1/wallets/:id/rpc. Wallets hold real keys: eth_sendTransaction
+ * fills in nonce, gas and fees, signs with the wallet's key and broadcasts
+ * to the local EVM node; signAndSendTransaction does the same against the
+ * local Solana node. Balances are read from the nodes, so they move with
+ * every transaction the tests send. A wallet given owner keys with setOwner
+ * rejects writes whose privy-authorization-signature does not verify.
+ */
+
+export const USD_PRICES = { eth: 3000, pol: 0.5, sol: 150, usdc: 1, usdt: 1 };
+
+const MAX_FEE_PER_GAS = ethers.parseUnits('2', 'gwei');
+const MAX_PRIORITY_FEE_PER_GAS = ethers.parseUnits('1', 'gwei');
+
+// Canonical JSON as Privy signs it: keys sorted at every level, no whitespace
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Start the mock on a free port
+ *
+ * @param {Object} params
+ * @param {Object} params.evm - Node from startEvmNode
+ * @param {Object} params.solana - Node from startSolanaNode
+ * @param {string} params.appId - Accepted app ID
+ * @param {string} params.appSecret - Accepted app secret
+ * @returns {Promise<Object>} Mock with url, addWallet, setOwner, failNext, requests, reset and close()
+ */
+export async function startPrivyMock({ evm, solana, appId, appSecret }) {
+  const wallets = new Map();
+  const idempotent = new Map();
+  const owners = new Map();
+  const failures = [];
+  const requests = [];
+  const expectedAuthorization = `Basic ${Buffer.from(`${appId}:${appSecret}`).toString('base64')}`;
+
+  const toWalletResponse = (wallet) => ({
+    id: wallet.id,
+    address: wallet.address,
+    chain_type: wallet.chainType,
+    owner_id: owners.has(wallet.id) ? `owner-${wallet.id}` : null,
+    additional_signers: [],
+    policy_ids: [],
+    created_at: wallet.createdAt
+  });
+
+  function findWallet(id) {
+    const wallet = wallets.get(id);
+    if (!wallet) throw new HttpError(404, `Wallet ${id} not found`);
+    return wallet;
+  }
+
+  function balanceOf(wallet, asset, slug) {
+    const chain = getChain(slug);
+    if (chain.chainType !== wallet.chainType) return null;
+
+    const native = asset.toUpperCase() === chain.nativeSymbol;
+    const tokenAddress = chain.tokens[asset.toUpperCase()];
+    if (!native && !tokenAddress) return null;
+
+    const decimals = native ? chain.nativeDecimals : KNOWN_TOKENS[asset.toUpperCase()]?.decimals ?? 18;
+    let raw;
+    if (chain.chainType === 'solana') {
+      raw = native ? BigInt(solana.balanceOf(wallet.address)) : solana.tokenBalanceOf(tokenAddress, wallet.address);
+    } else {
+      raw = native
+        ? evm.balanceOf(chain.chainId, wallet.address)
+        : evm.hasToken(chain.chainId, tokenAddress) ? evm.tokenBalanceOf(chain.chainId, tokenAddress, wallet.address) : 0n;
+    }
+
+    const amount = ethers.formatUnits(raw, decimals);
+    return {
+      chain: chain.privy,
+      asset,
+      raw_value: raw.toString(),
+      raw_value_decimals: decimals,
+      display_values: {
+        [asset]: amount,
+        usd: (Number(amount) * (USD_PRICES[asset] ?? 0)).toFixed(2)
+      }
+    };
+  }
+
+  async function sendEvmTransaction(wallet, caip2, transaction) {
+    if (!caip2) throw new HttpError(400, 'caip2 is required for eth_sendTransaction');
+    const { chainId } = getChain(caip2);
+    const data = transaction.data || '0x';
+
+    const raw = await wallet.signer.signTransaction({
+      type: 2,
+      chainId,
+      to: transaction.to,
+      data,
+      value: BigInt(transaction.value ?? 0),
+      nonce: transaction.nonce !== undefined ? Number(transaction.nonce) : evm.nonceOf(chainId, wallet.address),
+      gasLimit: transaction.gas_limit !== undefined ? BigInt(transaction.gas_limit) : data === '0x' ? 21000n : 100000n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS
+    });
+
+    try {
+      return evm.sendRawTransaction(chainId, raw);
+    } catch (error) {
+      throw new HttpError(400, `Transaction broadcast failed: ${error.message}`);
+    }
+  }
+
+  function sendSolanaTransaction(wallet, params) {
+    if (params.encoding !== 'base64') throw new HttpError(400, 'encoding must be base64');
+    const transaction = VersionedTransaction.deserialize(Buffer.from(params.transaction, 'base64'));
+    transaction.sign([wallet.signer]);
+    try {
+      return solana.sendTransaction(Buffer.from(transaction.serialize()).toString('base64'));
+    } catch (error) {
+      throw new HttpError(400, `Transaction broadcast failed: ${error.message}`);
+    }
+  }
+
+  async function rpc(wallet, body) {
+    const { method, params = {}, caip2 } = body;
+
+    switch (method) {
+      case 'eth_sendTransaction': {
+        if (wallet.chainType !== 'ethereum') throw new HttpError(400, `${method} needs an ethereum wallet`);
+        const hash = await sendEvmTransaction(wallet, caip2, params.transaction);
+        return { method, data: { hash, caip2 } };
+      }
+      case 'eth_signTypedData_v4': {
+        const { domain, types, primary_type: primaryType, message } = params.typed_data;
+        const { EIP712Domain, ...messageTypes } = types;
+        const signature = await wallet.signer.signTypedData(domain, messageTypes, message);
+        return { method, data: { signature, encoding: 'hex', primaryType } };
+      }
+      case 'personal_sign': {
+        const signature = await wallet.signer.signMessage(
+          params.encoding === 'hex' ? ethers.getBytes(params.message) : params.message
+        );
+        return { method, data: { signature, encoding: 'hex' } };
+      }
+      case 'signAndSendTransaction': {
+        if (wallet.chainType !== 'solana') throw new HttpError(400, `${method} needs a solana wallet`);
+        const hash = sendSolanaTransaction(wallet, params);
+        return { method, data: { hash, caip2 } };
+      }
+      default:
+        throw new HttpError(400, `Unsupported method ${method}`);
+    }
+  }
+
+  // Every owner key has to have signed exactly this request
+  function checkAuthorizationSignature(req, url, body, keys) {
+    const header = req.headers['privy-authorization-signature'];
+    if (!header) throw new HttpError(401, 'Missing privy-authorization-signature');
+
+    const idempotencyKey = req.headers['privy-idempotency-key'];
+    const payload = Buffer.from(canonicalJson({
+      version: 1,
+      method: req.method,
+      url: `${baseUrl}${url.pathname}${url.search}`,
+      body: body ? JSON.parse(body) : undefined,
+      headers: { 'privy-app-id': appId, ...(idempotencyKey && { 'privy-idempotency-key': idempotencyKey }) }
+    }));
+    const signatures = header.split(',').map(signature => Buffer.from(signature, 'base64'));
+    const signed = keys.every(key => {
+      const publicKey = createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+      return signatures.some(signature => verify('sha256', payload, publicKey, signature));
+    });
+    if (!signed) throw new HttpError(401, 'Invalid authorization signature');
+  }
+
+  async function route(req, url, body) {
+    if (req.headers.authorization !== expectedAuthorization || req.headers['privy-app-id'] !== appId) {
+      throw new HttpError(401, 'Invalid app ID or app secret');
+    }
+
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'v1' || parts[1] !== 'wallets') throw new HttpError(404, `No route for ${url.pathname}`);
+
+    if (req.method === 'GET' && parts.length === 2) {
+      const chainType = url.searchParams.get('chain_type');
+      return {
+        data: [...wallets.values()]
+          .filter(wallet => !chainType || wallet.chainType === chainType)
+          .map(toWalletResponse),
+        next_cursor: null
+      };
+    }
+
+    const wallet = findWallet(parts[2]);
+    if (req.method !== 'GET' && owners.has(wallet.id)) checkAuthorizationSignature(req, url, body, owners.get(wallet.id));
+    if (req.method === 'GET' && parts.length === 3) return toWalletResponse(wallet);
+
+    if (req.method === 'GET' && parts[3] === 'balance') {
+      const assets = url.searchParams.getAll('asset');
+      const chains = url.searchParams.getAll('chain');
+      if (assets.length === 0 || chains.length === 0) throw new HttpError(400, 'asset and chain are required');
+      return {
+        balances: assets.flatMap(asset => chains.map(chain => balanceOf(wallet, asset, chain))).filter(Boolean)
+      };
+    }
+
+    if (req.method === 'POST' && parts[3] === 'rpc') {
+      const key = req.headers['privy-idempotency-key'];
+      if (key && idempotent.has(key)) return idempotent.get(key);
+      const response = await rpc(wallet, JSON.parse(body));
+      if (key) idempotent.set(key, response);
+      return response;
+    }
+
+    throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({
+        method: req.method,
+        path: url.pathname,
+        query: url.searchParams,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : undefined
+      });
+      res.setHeader('content-type', 'application/json');
+
+      const failureIndex = failures.findIndex(failure => !failure.path || url.pathname.endsWith(failure.path));
+      if (failureIndex !== -1) {
+        const [failure] = failures.splice(failureIndex, 1);
+        res.writeHead(failure.status, failure.headers || {});
+        res.end(JSON.stringify(failure.body ?? { error: `Injected ${failure.status}` }));
+        return;
+      }
+
+      try {
+        res.end(JSON.stringify(await route(req, url, body)));
+      } catch (error) {
+        res.statusCode = error.status || 500;
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: baseUrl,
+
+    /** Every request received, oldest first */
+    requests,
+
+    /**
+     * Add a wallet backed by a real key
+     *
+     * @param {Object} params
+     * @param {string} params.id - Wallet ID
+     * @param {string} params.chainType - 'ethereum' or 'solana'
+     * @param {ethers.Wallet|Keypair} params.signer - Key that signs for the wallet
+     */
+    addWallet({ id, chainType, signer }) {
+      const address = chainType === 'solana' ? signer.publicKey.toBase58() : signer.address;
+      const wallet = { id, chainType, signer, address, createdAt: Date.now() };
+      wallets.set(id, wallet);
+      return toWalletResponse(wallet);
+    },
+
+    /**
+     * Protect a wallet with owner keys, so writes need an authorization signature from each
+     *
+     * @param {string} walletId - Wallet ID
+     * @param {string[]|null} publicKeys - Base64 DER SPKI P-256 keys; null removes the owner
+     */
+    setOwner(walletId, publicKeys) {
+      if (publicKeys) owners.set(walletId, publicKeys);
+      else owners.delete(walletId);
+    },
+
+    /**
+     * Answer the next matching request with an error instead of handling it
+     *
+     * @param {Object} failure
+     * @param {number} failure.status - HTTP status
+     * @param {Object} failure.body - JSON body (default: { error })
+     * @param {Object} failure.headers - Extra headers, e.g. { 'retry-after': '0' }
+     * @param {string} failure.path - Only fail requests whose path ends with this
+     */
+    failNext(failure) {
+      failures.push(failure);
+    },
+
+    /** Forget recorded requests, pending failures, idempotency keys and owners */
+    reset() {
+      requests.length = 0;
+      failures.length = 0;
+      idempotent.clear();
+      owners.clear();
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,257 @@
+import http from 'node:http';
+import { createPublicKey, verify } from 'node:crypto';
+import { ethers } from 'ethers';
+import { Keypair, PublicKey, SystemProgram, VersionedTransaction } from '@solana/web3.js';
+import { ASSOCIATED_TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID, getAssociatedTokenAddress } from '../../src/lib/solana.js';
+
+/**
+ * Local Solana JSON-RPC node for the offline tests
+ *
+ * Serves the handful of methods lib/solana.js uses. Accepted transactions
+ * must carry a valid fee payer signature and a blockhash the node handed
+ * out; SystemProgram transfers and SPL TransferChecked /
+ * CreateIdempotent instructions are applied to its balances.
+ */
+
+export const LAMPORTS_FEE = 5000;
+
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const MINT_SIZE = 82;
+const TOKEN_ACCOUNT_SIZE = 165;
+
+function verifySignature(publicKey, message, signature) {
+  const key = createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+    format: 'der',
+    type: 'spki'
+  });
+  return verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+/**
+ * Start the node on a free port
+ *
+ * @returns {Promise<Object>} Node with url, state helpers and close()
+ */
+export async function startSolanaNode() {
+  let slot = 100;
+  let blockHeight = 100;
+  const lamports = new Map();
+  const mints = new Map();
+  const tokenAccounts = new Map();
+  const blockhashes = new Map();
+  const signatures = new Map();
+
+  const context = () => ({ slot });
+
+  const lamportsOf = (address) => lamports.get(address.toString()) || 0;
+
+  function accountInfo(address) {
+    const mint = mints.get(address);
+    if (mint) {
+      const data = Buffer.alloc(MINT_SIZE);
+      data.writeUInt8(mint.decimals, 44);
+      data.writeUInt8(1, 45);
+      return { data: [data.toString('base64'), 'base64'], executable: false, lamports: 1461600, owner: TOKEN_PROGRAM_ID.toBase58(), rentEpoch: 0, space: MINT_SIZE };
+    }
+
+    const tokenAccount = tokenAccounts.get(address);
+    if (tokenAccount) {
+      const data = Buffer.alloc(TOKEN_ACCOUNT_SIZE);
+      new PublicKey(tokenAccount.mint).toBuffer().copy(data, 0);
+      new PublicKey(tokenAccount.owner).toBuffer().copy(data, 32);
+      data.writeBigUInt64LE(tokenAccount.amount, 64);
+      return { data: [data.toString('base64'), 'base64'], executable: false, lamports: 2039280, owner: TOKEN_PROGRAM_ID.toBase58(), rentEpoch: 0, space: TOKEN_ACCOUNT_SIZE };
+    }
+
+    if (lamports.has(address)) {
+      return { data: ['', 'base64'], executable: false, lamports: lamportsOf(address), owner: SystemProgram.programId.toBase58(), rentEpoch: 0, space: 0 };
+    }
+    return null;
+  }
+
+  function tokenAccount(owner, mint) {
+    const address = getAssociatedTokenAddress(new PublicKey(owner), new PublicKey(mint), TOKEN_PROGRAM_ID).toBase58();
+    return { address, account: tokenAccounts.get(address) };
+  }
+
+  /**
+   * Apply a transaction's instructions; throws with the program error on failure
+   */
+  function execute(transaction) {
+    const message = transaction.message;
+    const keys = message.staticAccountKeys.map(key => key.toBase58());
+    const feePayer = keys[0];
+
+    if (lamportsOf(feePayer) < LAMPORTS_FEE) throw new Error('InsufficientFundsForFee');
+    lamports.set(feePayer, lamportsOf(feePayer) - LAMPORTS_FEE);
+
+    for (const instruction of message.compiledInstructions) {
+      const program = keys[instruction.programIdIndex];
+      const accounts = instruction.accountKeyIndexes.map(index => keys[index]);
+      const data = Buffer.from(instruction.data);
+
+      if (program === SystemProgram.programId.toBase58() && data.readUInt32LE(0) === 2) {
+        const amount = Number(data.readBigUInt64LE(4));
+        if (lamportsOf(accounts[0]) < amount) throw new Error('InsufficientFunds');
+        lamports.set(accounts[0], lamportsOf(accounts[0]) - amount);
+        lamports.set(accounts[1], lamportsOf(accounts[1]) + amount);
+      } else if (program === ASSOCIATED_TOKEN_PROGRAM_ID.toBase58() && data[0] === 1) {
+        const [, destination, owner, mint] = accounts;
+        if (!tokenAccounts.has(destination)) tokenAccounts.set(destination, { mint, owner, amount: 0n });
+      } else if (program === TOKEN_PROGRAM_ID.toBase58() && data[0] === 12) {
+        const [source, mint, destination] = accounts;
+        const amount = data.readBigUInt64LE(1);
+        const from = tokenAccounts.get(source);
+        const to = tokenAccounts.get(destination);
+        if (!from || !to || from.mint !== mint || to.mint !== mint) throw new Error('InvalidAccountData');
+        if (data[9] !== mints.get(mint).decimals) throw new Error('MintDecimalsMismatch');
+        if (from.amount < amount) throw new Error('InsufficientFunds');
+        from.amount -= amount;
+        to.amount += amount;
+      } else {
+        throw new Error(`UnsupportedInstruction ${program}`);
+      }
+    }
+  }
+
+  /**
+   * Run a transaction against a copy of the state
+   */
+  function simulate(transaction) {
+    const snapshot = {
+      lamports: new Map(lamports),
+      tokenAccounts: new Map([...tokenAccounts].map(([key, value]) => [key, { ...value }]))
+    };
+    try {
+      execute(transaction);
+      return null;
+    } catch (error) {
+      return { InstructionError: [0, error.message] };
+    } finally {
+      lamports.clear();
+      snapshot.lamports.forEach((value, key) => lamports.set(key, value));
+      tokenAccounts.clear();
+      snapshot.tokenAccounts.forEach((value, key) => tokenAccounts.set(key, value));
+    }
+  }
+
+  function sendTransaction(serialized) {
+    const transaction = VersionedTransaction.deserialize(Buffer.from(serialized, 'base64'));
+    const message = transaction.message;
+    const payer = message.staticAccountKeys[0];
+    const signature = transaction.signatures[0];
+
+    if (!verifySignature(payer, message.serialize(), signature)) {
+      throw new Error('Transaction signature verification failure');
+    }
+    if (!blockhashes.has(message.recentBlockhash)) {
+      throw new Error('Blockhash not found');
+    }
+
+    const hash = ethers.encodeBase58(signature);
+    slot += 1;
+    blockHeight += 1;
+    let err = null;
+    try {
+      execute(transaction);
+    } catch (error) {
+      err = { InstructionError: [0, error.message] };
+    }
+    signatures.set(hash, { slot, err });
+    return hash;
+  }
+
+  const methods = {
+    getLatestBlockhash: () => {
+      const blockhash = Keypair.generate().publicKey.toBase58();
+      const lastValidBlockHeight = blockHeight + 150;
+      blockhashes.set(blockhash, lastValidBlockHeight);
+      return { context: context(), value: { blockhash, lastValidBlockHeight } };
+    },
+    getBlockHeight: () => blockHeight,
+    getSlot: () => slot,
+    getBalance: ([address]) => ({ context: context(), value: lamportsOf(address) }),
+    getAccountInfo: ([address]) => ({ context: context(), value: accountInfo(address) }),
+    getFeeForMessage: () => ({ context: context(), value: LAMPORTS_FEE }),
+    simulateTransaction: ([serialized]) => ({
+      context: context(),
+      value: (() => {
+        const err = simulate(VersionedTransaction.deserialize(Buffer.from(serialized, 'base64')));
+        return { err, logs: [], accounts: null, unitsConsumed: 450, returnData: null };
+      })()
+    }),
+    sendTransaction: ([serialized]) => sendTransaction(serialized),
+    getSignatureStatuses: ([hashes]) => ({
+      context: context(),
+      value: hashes.map(hash => {
+        const status = signatures.get(hash);
+        return status
+          ? { slot: status.slot, confirmations: null, err: status.err, status: status.err ? { Err: status.err } : { Ok: null }, confirmationStatus: 'finalized' }
+          : null;
+      })
+    }),
+    getTransaction: () => null
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params = [] } = JSON.parse(body);
+      res.setHeader('content-type', 'application/json');
+      try {
+        if (!methods[method]) throw new Error(`Method ${method} not supported`);
+        res.end(JSON.stringify({ jsonrpc: '2.0', id, result: methods[method](params) }));
+      } catch (error) {
+        res.end(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32002, message: error.message } }));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+
+    /** Give an address lamports */
+    fund(address, amount) {
+      lamports.set(address, lamportsOf(address) + Number(amount));
+    },
+
+    /** Lamport balance */
+    balanceOf: (address) => lamportsOf(address),
+
+    /** Register an SPL mint owned by the classic token program */
+    addMint(mint, { decimals = 6 } = {}) {
+      mints.set(mint, { decimals });
+    },
+
+    /** Credit SPL base units to the owner's associated token account */
+    mint(mint, owner, amount) {
+      const { address, account } = tokenAccount(owner, mint);
+      if (account) account.amount += BigInt(amount);
+      else tokenAccounts.set(address, { mint, owner, amount: BigInt(amount) });
+    },
+
+    /** SPL balance of the owner's associated token account */
+    tokenBalanceOf(mint, owner) {
+      return tokenAccount(owner, mint).account?.amount ?? 0n;
+    },
+
+    /** Skip block heights, e.g. past a transaction's lastValidBlockHeight */
+    advance(blocks) {
+      blockHeight += blocks;
+      slot += blocks;
+    },
+
+    sendTransaction,
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
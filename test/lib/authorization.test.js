@@ -0,0 +1,125 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPublicKey, generateKeyPairSync, verify } from 'node:crypto';
+import {
+  AUTHORIZATION_KEY_PREFIX,
+  AUTHORIZATION_SIGNATURE_HEADER,
+  canonicalize,
+  createAuthorizationSignature,
+  createKeySigner,
+  formatAuthorizationPayload
+} from '../../src/lib/authorization.js';
+import { PrivyAuthError } from '../../src/lib/errors.js';
+import { createPrivyClient } from '../../src/lib/privy-client.js';
+import { APP_ID, EVM_WALLET_ID, startTestEnv } from '../helpers/env.js';
+
+// A fresh key in the "wallet-auth:<base64 PKCS#8>" form the Privy dashboard exports
+function generateAuthorizationKey(namedCurve = 'prime256v1') {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve });
+  return AUTHORIZATION_KEY_PREFIX + privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64');
+}
+
+function verifies(publicKey, payload, signature) {
+  const key = createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+  return verify('sha256', payload, key, Buffer.from(signature, 'base64'));
+}
+
+describe('authorization', () => {
+  describe('payload', () => {
+    it('canonicalizes with sorted keys, no whitespace and no undefined fields', () => {
+      assert.equal(
+        canonicalize({ b: [2, { d: 1, c: undefined }, undefined], a: 'x', e: null, c: undefined }),
+        '{"a":"x","b":[2,{"d":1},null],"e":null}'
+      );
+    });
+
+    it('signs version, method, url, body and the Privy headers', () => {
+      const payload = formatAuthorizationPayload({
+        method: 'POST',
+        url: 'https://api.privy.io/v1/wallets/w1/rpc',
+        body: { method: 'personal_sign', params: { message: 'hi', encoding: 'utf-8' } },
+        appId: 'app',
+        idempotencyKey: 'key-1'
+      });
+
+      assert.equal(
+        payload.toString(),
+        '{"body":{"method":"personal_sign","params":{"encoding":"utf-8","message":"hi"}},' +
+        '"headers":{"privy-app-id":"app","privy-idempotency-key":"key-1"},' +
+        '"method":"POST","url":"https://api.privy.io/v1/wallets/w1/rpc","version":1}'
+      );
+      assert.ok(!formatAuthorizationPayload({ method: 'POST', url: 'u', body: {}, appId: 'app' })
+        .toString().includes('privy-idempotency-key'));
+    });
+  });
+
+  describe('createKeySigner', () => {
+    it('signs with a P-256 key so the exported public key verifies', async () => {
+      const signer = createKeySigner(generateAuthorizationKey());
+      const payload = Buffer.from('payload');
+
+      const signature = await signer.sign(payload);
+
+      assert.ok(verifies(signer.publicKey, payload, signature));
+      assert.ok(!verifies(signer.publicKey, Buffer.from('other payload'), signature));
+    });
+
+    it('rejects keys that are not P-256 PKCS#8', () => {
+      assert.throws(() => createKeySigner(generateAuthorizationKey('secp256k1')), /must be a P-256 key/);
+      assert.throws(() => createKeySigner('wallet-auth:not-a-key'), /Invalid authorization private key/);
+    });
+
+    it('joins the signatures of a quorum with commas', async () => {
+      const signers = [createKeySigner(generateAuthorizationKey()), createKeySigner(generateAuthorizationKey())];
+      const request = { method: 'POST', url: 'u', body: {}, appId: 'app' };
+
+      const signatures = (await createAuthorizationSignature({ ...request, signers })).split(',');
+
+      assert.equal(signatures.length, 2);
+      signatures.forEach((signature, index) => {
+        assert.ok(verifies(signers[index].publicKey, formatAuthorizationPayload(request), signature));
+      });
+      assert.equal(await createAuthorizationSignature({ ...request, signers: [] }), undefined);
+    });
+  });
+
+  describe('privy client', () => {
+    let env;
+    const owner = createKeySigner(generateAuthorizationKey());
+    const rpc = (client, headers) => client.rpc({
+      walletId: EVM_WALLET_ID,
+      caip2: 'eip155:11155111',
+      method: 'personal_sign',
+      params: { message: 'hello', encoding: 'utf-8' },
+      headers
+    });
+
+    before(async () => {
+      env = await startTestEnv();
+    });
+    after(() => env.close());
+    beforeEach(() => {
+      env.reset();
+      env.privy.setOwner(EVM_WALLET_ID, [owner.publicKey]);
+    });
+
+    it('signs writes to an owner-protected wallet, including the idempotency key', async () => {
+      const client = createPrivyClient({ authorizationSigners: [owner] });
+
+      await client.getWallet(EVM_WALLET_ID);
+      await rpc(client, { 'privy-idempotency-key': 'sign-once' });
+
+      const [get, post] = env.privy.requests;
+      assert.equal(get.headers[AUTHORIZATION_SIGNATURE_HEADER], undefined);
+      assert.ok(post.headers[AUTHORIZATION_SIGNATURE_HEADER]);
+      assert.equal(post.headers['privy-app-id'], APP_ID);
+    });
+
+    it('is rejected without a signature or with the wrong key', async () => {
+      const stranger = createKeySigner(generateAuthorizationKey());
+
+      await assert.rejects(rpc(createPrivyClient({ authorizationSigners: [] })), PrivyAuthError);
+      await assert.rejects(rpc(createPrivyClient({ authorizationSigners: [stranger] })), /Invalid authorization signature/);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getConfig, loadConfig, requireConfig, setConfig } from '../../src/lib/config.js';
+import { getChain } from '../../src/lib/chains.js';
+import { ConfigError } from '../../src/lib/errors.js';
+import { SOLANA_RECIPIENT } from '../helpers/env.js';
+
+describe('config', () => {
+  let dir;
+
+  const writeConfig = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  };
+  const load = (env, options) => loadConfig({ env, cwd: dir, ...options });
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'privy-config-'));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('types environment variables and leaves unset values null', () => {
+    const config = load({
+      PRIVY_APP_ID: 'app',
+      PRIVY_APP_SECRET: 'app-secret-1',
+      PRIVY_API_URL: 'http://localhost:4000/',
+      PRIVY_AUTHORIZATION_KEY: 'wallet-auth:a, wallet-auth:b',
+      CAIP2: '8453',
+      WITHDRAW_RECIPIENT: SOLANA_RECIPIENT,
+      LOG_LEVEL: 'debug',
+      HISTORY_FILE: 'off',
+      IDEMPOTENCY_FILE: 'state/keys.jsonl',
+      RPC_URL_BASE_SEPOLIA: 'http://a.test, http://b.test'
+    });
+
+    assert.equal(config.privy.apiUrl, 'http://localhost:4000');
+    assert.deepEqual(config.privy.authorizationKeys, ['wallet-auth:a', 'wallet-auth:b']);
+    assert.equal(config.chain, 'eip155:8453');
+    assert.equal(config.withdrawRecipient, SOLANA_RECIPIENT);
+    assert.equal(config.log.level, 'debug');
+    assert.equal(config.historyFile, false);
+    assert.equal(config.idempotencyFile, path.join(dir, 'state/keys.jsonl'));
+    assert.deepEqual(config.rpcUrls, { base_sepolia: ['http://a.test', 'http://b.test'] });
+    assert.equal(config.walletId, null);
+    assert.equal(config.bebop.authKey, null);
+    assert.equal(config.profile, null);
+  });
+
+  it('is deeply frozen', () => {
+    const config = load({ RPC_URL_SEPOLIA: 'http://a.test' });
+
+    assert.ok(Object.isFrozen(config));
+    assert.ok(Object.isFrozen(config.privy));
+    assert.throws(() => config.rpcUrls.sepolia.push('http://b.test'), TypeError);
+  });
+
+  it('reports every invalid value at once', () => {
+    assert.throws(
+      () => load({
+        PRIVY_API_URL: 'ftp://privy',
+        CAIP2: 'dogechain',
+        RECIPIENT_ADDRESS: '0x1234',
+        LOG_LEVEL: 'loud',
+        RPC_URL_NOWHERE: 'http://a.test'
+      }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.errors.map(e => e.source), ['PRIVY_API_URL', 'CAIP2', 'RECIPIENT_ADDRESS', 'LOG_LEVEL', 'RPC_URL_NOWHERE']);
+        assert.match(error.message, /LOG_LEVEL: must be one of debug, info, warn, error, silent, got loud/);
+        assert.match(error.message, /CAIP2: Unsupported chain: dogechain/);
+        return true;
+      }
+    );
+  });
+
+  it('refuses placeholder secrets', () => {
+    for (const value of ['bebop-auth-key', 'your-bebop-key', '<auth key>', 'xxxx', 'changeme']) {
+      assert.throws(() => load({ BEBOP_AUTH_KEY: value }), /BEBOP_AUTH_KEY: is a placeholder/);
+    }
+    assert.throws(() => load({ PRIVY_AUTHORIZATION_KEY: 'wallet-auth:MIGHAgEAMBMGByqGSM49...' }), /is a placeholder/);
+    assert.equal(load({ BEBOP_AUTH_KEY: 'b3f1c9e0' }).bebop.authKey, 'b3f1c9e0');
+  });
+
+  it('layers the config file, the environment and the selected profile', () => {
+    const file = writeConfig('layers.json', {
+      walletId: 'file-wallet',
+      chain: 'base',
+      log: { level: 'warn' },
+      policyFile: 'policy.yaml',
+      profiles: {
+        'sepolia-dev': { walletId: 'dev-wallet', chain: 11155111, rpcUrls: { sepolia: 'http://dev.test' } },
+        'base-prod': { walletId: 'prod-wallet' }
+      }
+    });
+
+    const base = load({ CONFIG_FILE: file, LOG_LEVEL: 'error' });
+    assert.equal(base.file, file);
+    assert.equal(base.walletId, 'file-wallet');
+    assert.equal(base.log.level, 'error');
+    assert.equal(base.policyFile, path.join(dir, 'policy.yaml'));
+
+    const dev = load({ CONFIG_FILE: file, WALLET_ID: 'env-wallet', PRIVY_PROFILE: 'sepolia-dev' });
+    assert.equal(dev.profile, 'sepolia-dev');
+    assert.equal(dev.walletId, 'dev-wallet');
+    assert.equal(dev.chain, 'eip155:11155111');
+    assert.deepEqual(dev.rpcUrls.sepolia, ['http://dev.test']);
+
+    assert.equal(load({ CONFIG_FILE: file, PRIVY_PROFILE: 'sepolia-dev' }, { profile: 'base-prod' }).walletId, 'prod-wallet');
+  });
+
+  it('picks up ./privy.config.json when no file is named', () => {
+    writeConfig('privy.config.json', { walletId: 'default-file-wallet' });
+    try {
+      assert.equal(load({}).walletId, 'default-file-wallet');
+    } finally {
+      fs.rmSync(path.join(dir, 'privy.config.json'));
+    }
+  });
+
+  it('rejects unknown profiles, unknown keys and profiles without a file', () => {
+    const file = writeConfig('profiles.json', { profiles: { 'sepolia-dev': { wallet: 'typo' } }, privy: { appKey: 'x' } });
+
+    assert.throws(() => load({ CONFIG_FILE: file }, { profile: 'base-prod' }), /Unknown profile: base-prod. Available: sepolia-dev/);
+    assert.throws(() => load({}, { profile: 'sepolia-dev' }), /needs a config file/);
+    assert.throws(
+      () => load({ CONFIG_FILE: file }, { profile: 'sepolia-dev' }),
+      (error) => {
+        assert.deepEqual(error.errors.map(e => e.key), ['privy.appKey', 'profiles.sepolia-dev.wallet']);
+        return true;
+      }
+    );
+    assert.throws(() => load({ CONFIG_FILE: path.join(dir, 'missing.json') }), /Cannot read config file/);
+  });
+
+  it('names every missing required setting', () => {
+    const config = load({ PRIVY_APP_ID: 'app' });
+
+    assert.equal(requireConfig(['privy.appId'], config), config);
+    assert.throws(
+      () => requireConfig(['privy.appId', 'privy.appSecret', 'walletId'], config),
+      /Missing required configuration: PRIVY_APP_SECRET, WALLET_ID/
+    );
+  });
+
+  it('is shared through getConfig and replaced with setConfig', () => {
+    setConfig(load({ RPC_URL_SEPOLIA: 'http://override.test' }));
+    try {
+      assert.equal(getConfig().rpcUrls.sepolia[0], 'http://override.test');
+      assert.equal(getChain('sepolia').rpcUrl, 'http://override.test');
+    } finally {
+      setConfig(null);
+    }
+    assert.notEqual(getChain('sepolia').rpcUrl, 'http://override.test');
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV_COLUMNS, toCsv } from '../../src/lib/history.js';
+
+describe('history', () => {
+  describe('toCsv', () => {
+    const cells = (record) => {
+      const [, row] = toCsv([record]).split('\n');
+      return Object.fromEntries(CSV_COLUMNS.map((column, index) => [column, row.split(',')[index]]));
+    };
+
+    it('neutralises cells a spreadsheet would run as a formula', () => {
+      const row = cells({ id: '=HYPERLINK("http://evil.test")', status: '+1', to: '@SUM(A1)', error: '-2+3', amount: '-0.5' });
+
+      assert.equal(row.id, `"'=HYPERLINK(""http://evil.test"")"`);
+      assert.equal(row.status, "'+1");
+      assert.equal(row.to, "'@SUM(A1)");
+      assert.equal(row.error, "'-2+3");
+      assert.equal(row.amount, '-0.5');
+    });
+
+    it('quotes carriage returns, newlines, commas and quotes', () => {
+      const csv = toCsv([{ id: 'a\rb', error: 'x, "y"\nz' }]);
+
+      assert.ok(csv.includes('"a\rb"'));
+      assert.ok(csv.includes('"x, ""y""\nz"'));
+    });
+  });
+});
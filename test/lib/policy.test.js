@@ -0,0 +1,140 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { enforcePolicy, evaluatePolicy, normalizePolicy, setPolicy } from '../../src/lib/policy.js';
+import { PolicyViolationError } from '../../src/lib/errors.js';
+
+const WALLET = 'policy-wallet';
+const RECIPIENT = '0x0a1f55b674f8eb4f6988bd2725a10b30a7451783';
+const USDC = { symbol: 'USDC', decimals: 6, address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913' };
+
+// A Privy client that values ETH at `usd` per coin, or has no price when usd is null
+function priceClient(usd) {
+  return {
+    getBalance: async () => ({
+      balances: usd === null ? [] : [{ raw_value: '1000000000000000000', raw_value_decimals: 18, display_values: { usd: String(usd) } }]
+    })
+  };
+}
+
+describe('policy', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'privy-policy-'));
+  let runs = 0;
+  let policy;
+
+  // A fresh audit log per test, so daily totals start at zero
+  const usePolicy = (raw) => {
+    policy = normalizePolicy({ ...raw, auditLog: `audit-${++runs}.jsonl` }, dir);
+    return policy;
+  };
+  const sendEth = (eth, params = {}) => evaluatePolicy({
+    policy,
+    walletId: WALLET,
+    chain: 'base',
+    transaction: { to: RECIPIENT, value: ethers.toQuantity(ethers.parseEther(eth)) },
+    kind: 'transfer',
+    client: priceClient(3000),
+    ...params
+  });
+  const sendUsdc = (amount) => evaluatePolicy({
+    policy,
+    walletId: WALLET,
+    chain: 'base',
+    transaction: { to: USDC.address, data: '0x' },
+    kind: 'transfer',
+    spend: { token: USDC, amountRaw: ethers.parseUnits(amount, 6), recipient: RECIPIENT },
+    client: priceClient(null)
+  });
+
+  beforeEach(() => setPolicy(null));
+  after(() => {
+    setPolicy(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('applies per-transaction USD and amount limits', async () => {
+    usePolicy({ limits: { perTransaction: { usd: 500, amount: { usdc: '100' } } } });
+
+    assert.equal((await sendEth('0.1')).decision, 'allow');
+    const denied = await sendEth('0.2');
+    assert.equal(denied.decision, 'deny');
+    assert.deepEqual(denied.reasons, ['$600.00 exceeds the per-transaction limit of $500']);
+
+    assert.equal((await sendUsdc('100')).decision, 'allow');
+    assert.match((await sendUsdc('100.01')).reasons[0], /100.01 USDC exceeds the per-transaction limit of 100 USDC/);
+  });
+
+  it('sums allowed decisions from the audit log into the daily limits', async () => {
+    usePolicy({ limits: { daily: { usd: 1000 } } });
+
+    assert.equal((await sendEth('0.2')).decision, 'allow');
+    assert.equal((await sendEth('0.1')).decision, 'allow');
+    const denied = await sendEth('0.2');
+    assert.match(denied.reasons[0], /\$1500.00 in 24h exceeds the daily limit of \$1000/);
+    // Denied decisions do not count, so a smaller send still fits
+    assert.equal((await sendEth('0.03')).decision, 'allow');
+
+    usePolicy({ limits: { daily: { amount: { USDC: '150' } } } });
+    assert.equal((await sendUsdc('100')).decision, 'allow');
+    assert.match((await sendUsdc('60')).reasons.join(), /160 USDC in 24h exceeds the daily limit of 150 USDC/);
+  });
+
+  it('leaves out decisions older than 24 hours and ones a re-check superseded', async () => {
+    usePolicy({ limits: { daily: { usd: 700 } } });
+    const old = { decision: 'allow', walletId: WALLET, usd: 600, time: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() };
+    fs.writeFileSync(policy.auditLog, JSON.stringify(old) + '\n');
+
+    const first = await sendEth('0.2');
+    assert.equal(first.decision, 'allow');
+    assert.equal((await sendEth('0.2', { supersedes: first.id })).decision, 'allow');
+    assert.equal((await sendEth('0.03')).decision, 'allow');
+  });
+
+  it('only allows the listed chains', async () => {
+    usePolicy({ chains: ['base'] });
+
+    assert.equal((await sendEth('0.01')).decision, 'allow');
+    const denied = await sendEth('0.01', { chain: 'ethereum' });
+    assert.deepEqual(denied.reasons, ['chain ethereum is not allowed']);
+  });
+
+  it('blocks calls by method selector', async () => {
+    usePolicy({ blockedSelectors: ['0x095EA7B3'] });
+    const approve = new ethers.Interface(['function approve(address spender, uint256 amount)'])
+      .encodeFunctionData('approve', [RECIPIENT, ethers.MaxUint256]);
+
+    const denied = await evaluatePolicy({
+      policy,
+      walletId: WALLET,
+      chain: 'base',
+      transaction: { to: USDC.address, data: approve },
+      kind: 'approve',
+      client: priceClient(3000)
+    });
+
+    assert.deepEqual(denied.reasons, ['method selector 0x095ea7b3 is blocked']);
+  });
+
+  it('fails closed when a USD limit applies and no price is known', async () => {
+    usePolicy({ limits: { perTransaction: { usd: 1000 } } });
+
+    const denied = await sendEth('0.01', { client: priceClient(null) });
+    assert.deepEqual(denied.reasons, ['no USD price for ETH, cannot apply USD limits']);
+    // A price in the policy stands in for Privy's
+    usePolicy({ limits: { perTransaction: { usd: 1000 } }, prices: { eth: 2000 } });
+    assert.equal((await sendEth('0.01', { client: priceClient(null) })).usd, 20);
+  });
+
+  it('throws PolicyViolationError from enforcePolicy, and does nothing without a policy', async () => {
+    assert.equal(await enforcePolicy({ walletId: WALLET, chain: 'base', transaction: { to: RECIPIENT } }), null);
+
+    setPolicy(usePolicy({ chains: ['ethereum'] }));
+    await assert.rejects(
+      enforcePolicy({ walletId: WALLET, chain: 'base', transaction: { to: RECIPIENT }, kind: 'transfer', client: priceClient(3000) }),
+      (error) => error instanceof PolicyViolationError && error.record.decision === 'deny'
+    );
+  });
+});
@@ -0,0 +1,140 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPrivyClient, getPrivyClient, parseRetryAfter, setPrivyClient } from '../../src/lib/privy-client.js';
+import {
+  PrivyApiError,
+  PrivyAuthError,
+  PrivyNotFoundError,
+  PrivyRateLimitError,
+  PrivyValidationError
+} from '../../src/lib/errors.js';
+import { APP_ID, APP_SECRET, EVM_WALLET_ID, evmSigner, startTestEnv } from '../helpers/env.js';
+
+describe('privy client', () => {
+  let env;
+  let client;
+
+  before(async () => {
+    env = await startTestEnv();
+    client = createPrivyClient({ baseDelayMs: 1, maxDelayMs: 5 });
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  it('sends Basic auth and the app ID', async () => {
+    const wallet = await client.getWallet(EVM_WALLET_ID);
+
+    assert.equal(wallet.address, evmSigner.address);
+    const [request] = env.privy.requests;
+    assert.equal(request.headers.authorization, `Basic ${Buffer.from(`${APP_ID}:${APP_SECRET}`).toString('base64')}`);
+    assert.equal(request.headers['privy-app-id'], APP_ID);
+  });
+
+  it('repeats asset and chain query parameters for balances', async () => {
+    await client.getBalance(EVM_WALLET_ID, { asset: ['eth', 'usdc'], chain: ['base', 'sepolia'] });
+
+    const [request] = env.privy.requests;
+    assert.deepEqual(request.query.getAll('asset'), ['eth', 'usdc']);
+    assert.deepEqual(request.query.getAll('chain'), ['base', 'sepolia']);
+    assert.equal(request.query.get('include_currency'), 'usd');
+  });
+
+  it('retries rate limits, honoring Retry-After', async () => {
+    env.privy.failNext({ status: 429, headers: { 'retry-after': '0' } });
+    env.privy.failNext({ status: 429, headers: { 'retry-after': '0' } });
+
+    const wallet = await client.getWallet(EVM_WALLET_ID);
+
+    assert.equal(wallet.id, EVM_WALLET_ID);
+    assert.equal(env.privy.requests.length, 3);
+  });
+
+  it('gives up after maxRetries and throws PrivyRateLimitError', async () => {
+    const impatient = createPrivyClient({ maxRetries: 1, baseDelayMs: 1 });
+    env.privy.failNext({ status: 429, headers: { 'retry-after': '0' } });
+    env.privy.failNext({ status: 429, headers: { 'retry-after': '0' } });
+
+    await assert.rejects(impatient.getWallet(EVM_WALLET_ID), (error) => {
+      assert.ok(error instanceof PrivyRateLimitError);
+      assert.equal(error.retryAfterMs, 0);
+      return true;
+    });
+    assert.equal(env.privy.requests.length, 2);
+  });
+
+  it('retries server errors on GET', async () => {
+    env.privy.failNext({ status: 503 });
+
+    await client.getWallet(EVM_WALLET_ID);
+
+    assert.equal(env.privy.requests.length, 2);
+  });
+
+  it('does not retry a POST server error without an idempotency key', async () => {
+    env.privy.failNext({ status: 502 });
+
+    await assert.rejects(
+      client.rpc({ walletId: EVM_WALLET_ID, method: 'personal_sign', params: { message: 'hi', encoding: 'utf-8' } }),
+      (error) => error instanceof PrivyApiError && error.status === 502
+    );
+    assert.equal(env.privy.requests.length, 1);
+  });
+
+  it('retries a POST server error that carries an idempotency key', async () => {
+    env.privy.failNext({ status: 502 });
+
+    const result = await client.rpc({
+      walletId: EVM_WALLET_ID,
+      method: 'personal_sign',
+      params: { message: 'hi', encoding: 'utf-8' },
+      headers: { 'privy-idempotency-key': 'retry-me' }
+    });
+
+    assert.equal(result.data.signature, await evmSigner.signMessage('hi'));
+    assert.equal(env.privy.requests.length, 2);
+  });
+
+  it('maps error statuses to typed errors', async () => {
+    await assert.rejects(client.getWallet('missing'), PrivyNotFoundError);
+
+    env.privy.failNext({ status: 400, body: { error: 'bad request', code: 'invalid_data' } });
+    await assert.rejects(client.getWallet(EVM_WALLET_ID), (error) => {
+      assert.ok(error instanceof PrivyValidationError);
+      assert.equal(error.code, 'invalid_data');
+      assert.equal(error.path, `/v1/wallets/${EVM_WALLET_ID}`);
+      return true;
+    });
+
+    const wrongSecret = createPrivyClient({ appSecret: 'wrong' });
+    await assert.rejects(wrongSecret.getWallet(EVM_WALLET_ID), PrivyAuthError);
+  });
+
+  it('requires app credentials', () => {
+    assert.throws(() => createPrivyClient({ appId: '' }), /PRIVY_APP_ID is required/);
+    assert.throws(() => createPrivyClient({ appSecret: '' }), /PRIVY_APP_SECRET is required/);
+  });
+
+  it('shares one client that can be replaced', () => {
+    const shared = getPrivyClient();
+    assert.equal(getPrivyClient(), shared);
+    assert.equal(shared.baseUrl, env.privy.url);
+
+    const fake = { request() {}, getBalance() {}, getWallet() {}, rpc() {} };
+    setPrivyClient(fake);
+    assert.equal(getPrivyClient(), fake);
+
+    setPrivyClient(null);
+    assert.notEqual(getPrivyClient(), fake);
+    assert.equal(getPrivyClient().baseUrl, env.privy.url);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('parses seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+    const inFuture = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(inFuture > 50000 && inFuture <= 60000);
+  });
+});
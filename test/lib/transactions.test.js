@@ -0,0 +1,173 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  decodeRevertReason,
+  preflightTransaction,
+  simulateTransaction,
+  waitForTransaction
+} from '../../src/lib/transactions.js';
+import { TransactionSimulationError } from '../../src/lib/errors.js';
+import { RECIPIENT, SEPOLIA, evmSigner, startTestEnv } from '../helpers/env.js';
+
+const TARGET = '0x1111111111111111111111111111111111111111';
+
+describe('transactions', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('1'));
+  });
+  after(() => env.close());
+  beforeEach(() => {
+    env.reset();
+    env.evm.revertOn(SEPOLIA, TARGET, null);
+  });
+
+  async function send(transaction) {
+    const signed = await evmSigner.signTransaction({
+      type: 2,
+      chainId: SEPOLIA,
+      nonce: env.evm.nonceOf(SEPOLIA, evmSigner.address),
+      gasLimit: 100000n,
+      maxFeePerGas: ethers.parseUnits('2', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'),
+      ...transaction
+    });
+    return env.evm.sendRawTransaction(SEPOLIA, signed);
+  }
+
+  it('simulates a transfer and prices its gas', async () => {
+    const simulation = await simulateTransaction({
+      chain: SEPOLIA,
+      from: evmSigner.address,
+      transaction: { to: RECIPIENT, value: ethers.toQuantity(ethers.parseEther('0.1')) }
+    });
+
+    assert.equal(simulation.success, true);
+    assert.equal(simulation.gasLimit, '21000');
+    assert.equal(simulation.nativeSymbol, 'ETH');
+  });
+
+  it('reports a revert with its decoded reason instead of throwing', async () => {
+    env.evm.revertOn(SEPOLIA, TARGET, 'Paused');
+
+    const simulation = await simulateTransaction({
+      chain: SEPOLIA,
+      from: evmSigner.address,
+      transaction: { to: TARGET, data: '0x12345678' }
+    });
+
+    assert.deepEqual(simulation, { success: false, stage: 'call', revertReason: 'Paused' });
+    await assert.rejects(
+      preflightTransaction({ chain: SEPOLIA, from: evmSigner.address, transaction: { to: TARGET, data: '0x12345678' } }),
+      (error) => error instanceof TransactionSimulationError && /would revert \(call\): Paused/.test(error.message)
+    );
+  });
+
+  it('requires a sender to simulate', async () => {
+    await assert.rejects(simulateTransaction({ chain: SEPOLIA, transaction: { to: TARGET } }), /from is required/);
+  });
+
+  it('waits for a mined transaction', async () => {
+    const hash = await send({ to: RECIPIENT, value: 1n });
+
+    const receipt = await waitForTransaction({ chain: SEPOLIA, hash });
+
+    assert.equal(receipt.status, 'success');
+    assert.equal(receipt.gasUsed, '21000');
+    assert.equal(receipt.confirmations, 1);
+  });
+
+  it('reports a reverted transaction with its reason', async () => {
+    env.evm.revertOn(SEPOLIA, TARGET, 'Paused');
+    const hash = await send({ to: TARGET, data: '0x12345678' });
+
+    const receipt = await waitForTransaction({ chain: SEPOLIA, hash });
+
+    assert.equal(receipt.status, 'reverted');
+    assert.equal(receipt.revertReason, 'Paused');
+  });
+
+  it('waits for the requested confirmations', async () => {
+    env.evm.setAutomine(SEPOLIA, false);
+    const hash = await send({ to: RECIPIENT, value: 1n });
+
+    const pending = await waitForTransaction({ chain: SEPOLIA, hash, timeoutMs: 50, pollIntervalMs: 10 });
+    assert.equal(pending.status, 'pending');
+
+    env.evm.mine(SEPOLIA);
+    const waiting = waitForTransaction({ chain: SEPOLIA, hash, confirmations: 2, timeoutMs: 5000, pollIntervalMs: 10 });
+    setTimeout(() => env.evm.mine(SEPOLIA), 30);
+    const receipt = await waiting;
+    env.evm.setAutomine(SEPOLIA, true);
+
+    assert.equal(receipt.status, 'success');
+    assert.equal(receipt.confirmations, 2);
+  });
+
+  it('leaves a transaction the node never saw pending', async () => {
+    const receipt = await waitForTransaction({ chain: SEPOLIA, hash: ethers.id('unknown'), timeoutMs: 20, pollIntervalMs: 5 });
+
+    assert.equal(receipt.status, 'pending');
+    assert.equal((await waitForTransaction({ chain: SEPOLIA, hash: ethers.id('unknown'), timeoutMs: 0 })).status, 'pending');
+  });
+
+  it('does not call a transaction dropped when the RPC misses it once', async () => {
+    env.evm.setAutomine(SEPOLIA, false);
+    try {
+      const hash = await send({ to: RECIPIENT, value: 1n });
+      const waiting = waitForTransaction({ chain: SEPOLIA, hash, timeoutMs: 5000, pollIntervalMs: 10 });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      env.evm.missLookups(SEPOLIA, hash, 2);
+      setTimeout(() => env.evm.mine(SEPOLIA), 60);
+
+      assert.equal((await waiting).status, 'success');
+    } finally {
+      env.evm.setAutomine(SEPOLIA, true);
+    }
+  });
+
+  it('calls a transaction dropped after several misses in a row', async () => {
+    env.evm.setAutomine(SEPOLIA, false);
+    try {
+      const hash = await send({ to: RECIPIENT, value: 1n });
+      const waiting = waitForTransaction({ chain: SEPOLIA, hash, timeoutMs: 5000, pollIntervalMs: 10 });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      env.evm.evict(SEPOLIA, hash);
+
+      assert.equal((await waiting).status, 'dropped');
+    } finally {
+      env.evm.setAutomine(SEPOLIA, true);
+    }
+  });
+
+  it('calls a transaction dropped as soon as another one takes its nonce', async () => {
+    env.evm.setAutomine(SEPOLIA, false);
+    try {
+      const hash = await send({ to: RECIPIENT, value: 1n });
+      // Polls a second apart: three misses would take well over two seconds
+      const started = Date.now();
+      const waiting = waitForTransaction({ chain: SEPOLIA, hash, timeoutMs: 5000, pollIntervalMs: 1000 });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      env.evm.evict(SEPOLIA, hash);
+      await send({ to: RECIPIENT, value: 2n });
+      env.evm.mine(SEPOLIA);
+
+      assert.equal((await waiting).status, 'dropped');
+      assert.ok(Date.now() - started < 2000);
+    } finally {
+      env.evm.setAutomine(SEPOLIA, true);
+    }
+  });
+
+  it('decodes revert data', () => {
+    const iface = new ethers.Interface(['error Error(string)', 'error Panic(uint256)']);
+
+    assert.equal(decodeRevertReason(iface.encodeErrorResult('Error', ['nope'])), 'nope');
+    assert.equal(decodeRevertReason(iface.encodeErrorResult('Panic', [0x11])), 'Panic(0x11)');
+    assert.equal(decodeRevertReason('0xdeadbeef'), 'Custom error 0xdeadbeef');
+    assert.equal(decodeRevertReason('0x'), null);
+  });
+});
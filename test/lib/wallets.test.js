@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWallet } from '../../src/lib/wallets.js';
+
+// A Privy client that knows one wallet and counts its lookups
+function stubClient(address) {
+  const client = {
+    lookups: 0,
+    getWallet: async (id) => {
+      client.lookups++;
+      return { id, address, chain_type: 'ethereum' };
+    },
+    request: async () => ({ data: [{ id: 'shared-id', address, chain_type: 'ethereum' }], next_cursor: null })
+  };
+  return client;
+}
+
+describe('wallets', () => {
+  it('caches wallets per client', async () => {
+    const appA = stubClient('0x00000000000000000000000000000000000000aa');
+    const appB = stubClient('0x00000000000000000000000000000000000000bb');
+
+    assert.equal((await getWallet('shared-id', { client: appA })).address, '0x00000000000000000000000000000000000000aa');
+    assert.equal((await getWallet('shared-id', { client: appB })).address, '0x00000000000000000000000000000000000000bb');
+    await getWallet('shared-id', { client: appA });
+    assert.deepEqual([appA.lookups, appB.lookups], [1, 1]);
+
+    await assert.rejects(
+      getWallet('0x00000000000000000000000000000000000000aa', { client: appB }),
+      /No wallet in this app has address/
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createServer } from '../../src/mcp-server/index.js';
+import { EVM_WALLET_ID, RECIPIENT, SEPOLIA, evmSigner, startTestEnv } from '../helpers/env.js';
+
+describe('mcp server', () => {
+  let env;
+  let client;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('1'));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createServer().connect(serverTransport);
+    client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(clientTransport);
+  });
+  after(async () => {
+    await client.close();
+    await env.close();
+  });
+  beforeEach(() => env.reset());
+
+  const call = async (name, args) => {
+    const result = await client.callTool({ name, arguments: args });
+    return { isError: result.isError ?? false, body: JSON.parse(result.content[0].text) };
+  };
+
+  it('lists the wallet tools with their input schemas', async () => {
+    const { tools } = await client.listTools();
+    const byName = Object.fromEntries(tools.map(tool => [tool.name, tool]));
+
+    assert.ok(['getWalletBalance', 'transfer', 'batchPayout', 'swapTokenBebop', 'getSwapQuote'].every(name => byName[name]));
+    assert.deepEqual(byName.batchPayout.inputSchema.required, ['payouts']);
+    assert.equal(byName.batchPayout.inputSchema.properties.file, undefined);
+  });
+
+  it('runs a batch payout dry run from inline rows', async () => {
+    const { isError, body } = await call('batchPayout', {
+      walletId: EVM_WALLET_ID,
+      payouts: [{ recipient: RECIPIENT, amount: '0.01' }],
+      chain: 'sepolia',
+      dryRun: true
+    });
+
+    assert.equal(isError, false);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.file, null);
+    assert.deepEqual(body.rows.map(row => [row.recipient, row.status]), [[RECIPIENT, 'queued']]);
+    assert.equal(env.privy.requests.filter(r => r.path.endsWith('/rpc')).length, 0);
+  });
+
+  it('does not read payout files', async () => {
+    const { isError, body } = await call('batchPayout', { walletId: EVM_WALLET_ID, file: '/etc/passwd', dryRun: true });
+
+    assert.equal(isError, true);
+    assert.match(body.error, /payouts is required/);
+  });
+
+  it('reports unknown tools as tool errors', async () => {
+    const { isError, body } = await call('noSuchTool', {});
+
+    assert.equal(isError, true);
+    assert.equal(body.error, 'Unknown tool: noSuchTool');
+  });
+});
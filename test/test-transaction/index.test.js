@@ -0,0 +1,114 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  getBalance,
+  getWalletInfo,
+  initPrivyClient,
+  sendCustomTransaction,
+  sendTestTransaction
+} from '../../src/test-transaction/index.js';
+import { getChain } from '../../src/lib/chains.js';
+import { PolicyViolationError } from '../../src/lib/errors.js';
+import { normalizePolicy, setPolicy } from '../../src/lib/policy.js';
+import {
+  EVM_WALLET_ID,
+  RECIPIENT,
+  SEPOLIA,
+  evmSigner,
+  solanaSigner,
+  startTestEnv
+} from '../helpers/env.js';
+
+const SEPOLIA_USDC = getChain('sepolia').tokens.USDC;
+
+describe('test-transaction', () => {
+  let env;
+  let client;
+
+  before(async () => {
+    env = await startTestEnv();
+    env.evm.fund(SEPOLIA, evmSigner.address, ethers.parseEther('1'));
+    env.solana.fund(solanaSigner.publicKey.toBase58(), 1_500_000_000);
+    env.evm.addToken(SEPOLIA, SEPOLIA_USDC, { symbol: 'USDC', decimals: 6 });
+    env.evm.mint(SEPOLIA, SEPOLIA_USDC, evmSigner.address, 100_000000n);
+    client = initPrivyClient();
+  });
+  after(() => env.close());
+  beforeEach(() => env.reset());
+
+  describe('getBalance', () => {
+    it('reads the balance of the given address on the given chain', async () => {
+      const balance = await getBalance(evmSigner.address, 'eip155:11155111');
+
+      assert.deepEqual(balance, {
+        address: evmSigner.address,
+        caip2: 'eip155:11155111',
+        symbol: 'ETH',
+        balance: ethers.formatEther(env.evm.balanceOf(SEPOLIA, evmSigner.address)),
+        balanceRaw: env.evm.balanceOf(SEPOLIA, evmSigner.address).toString()
+      });
+      assert.equal((await getBalance(RECIPIENT, SEPOLIA)).caip2, 'eip155:11155111');
+    });
+
+    it('reads SOL on Solana chains', async () => {
+      const balance = await getBalance(solanaSigner.publicKey.toBase58(), 'solana_devnet');
+
+      assert.equal(balance.symbol, 'SOL');
+      assert.equal(balance.balanceRaw, '1500000000');
+    });
+
+    it('rejects a missing chain or an address for the wrong chain', async () => {
+      await assert.rejects(getBalance(evmSigner.address), /chain is required/);
+      await assert.rejects(getBalance(undefined, SEPOLIA), /walletAddress is required/);
+      await assert.rejects(getBalance('0x1234', SEPOLIA), /Invalid wallet address/);
+      await assert.rejects(getBalance(evmSigner.address, 'solana_devnet'), /Invalid Solana wallet address/);
+    });
+  });
+
+  it('gets the wallet through lib/wallets.js', async () => {
+    const wallet = await getWalletInfo(EVM_WALLET_ID);
+
+    assert.equal(wallet.address, evmSigner.address);
+    assert.equal(wallet.chainType, 'ethereum');
+  });
+
+  it('sends a test transfer through the server SDK', async () => {
+    const before = env.evm.balanceOf(SEPOLIA, RECIPIENT);
+
+    const result = await sendTestTransaction(client, EVM_WALLET_ID, {
+      chain: 'sepolia',
+      recipientAddress: RECIPIENT,
+      amount: '0.001',
+      wait: true
+    });
+
+    assert.equal(result.receipt.status, 'success');
+    assert.equal(env.evm.balanceOf(SEPOLIA, RECIPIENT) - before, ethers.parseEther('0.001'));
+    const [rpc] = env.privy.requests.filter(r => r.path.endsWith('/rpc'));
+    assert.equal(rpc.body.caip2, 'eip155:11155111');
+  });
+
+  it('validates custom transactions before sending', async () => {
+    const transaction = { to: RECIPIENT, value: '0x1' };
+
+    await assert.rejects(sendCustomTransaction(client, EVM_WALLET_ID, { transaction }), /chain is required/);
+    await assert.rejects(sendCustomTransaction(client, EVM_WALLET_ID, { chain: 'solana', transaction }), /EVM only/);
+    await assert.rejects(sendCustomTransaction(client, EVM_WALLET_ID, { chain: SEPOLIA }), /transaction.to is required/);
+    await assert.rejects(sendTestTransaction(client, EVM_WALLET_ID, { chain: SEPOLIA, recipientAddress: '0x12' }), /Invalid recipient/);
+    assert.equal(env.privy.requests.length, 0);
+  });
+
+  it('applies the recipient allowlist to ERC-20 transfer calldata', async () => {
+    setPolicy(normalizePolicy({ recipients: [RECIPIENT], contracts: [SEPOLIA_USDC] }, env.dir));
+    const erc20 = new ethers.Interface(['function transfer(address to, uint256 amount)']);
+    const drain = { to: SEPOLIA_USDC, data: erc20.encodeFunctionData('transfer', ['0x000000000000000000000000000000000000dEaD', 5_000000n]) };
+
+    await assert.rejects(sendCustomTransaction(client, EVM_WALLET_ID, { chain: SEPOLIA, transaction: drain }), PolicyViolationError);
+    assert.equal(env.privy.requests.filter(r => r.path.endsWith('/rpc')).length, 0);
+
+    const payout = { to: SEPOLIA_USDC, data: erc20.encodeFunctionData('transfer', [RECIPIENT, 5_000000n]) };
+    await sendCustomTransaction(client, EVM_WALLET_ID, { chain: SEPOLIA, transaction: payout, wait: true });
+    assert.equal(env.evm.tokenBalanceOf(SEPOLIA, SEPOLIA_USDC, RECIPIENT), 5_000000n);
+  });
+});